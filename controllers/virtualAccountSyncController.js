@@ -2,27 +2,35 @@
 const mongoose = require("mongoose");
 const User = require("../models/User");
 const Transaction = require("../models/Transaction");
+const ledger = require("../utils/ledger");
+const { MONEY, formatNaira, parseKobo } = require("../utils/money");
 
 exports.syncVirtualAccountCredit = async (req, res) => {
   const session = await mongoose.startSession();
 
   try {
-    // Optional internal key
-    if (process.env.MAIN_BACKEND_API_KEY && req.headers["x-internal-api-key"] !== process.env.MAIN_BACKEND_API_KEY) {
+    // Internal key is required - with none configured nobody may credit through here
+    if (!process.env.MAIN_BACKEND_API_KEY || req.headers["x-internal-api-key"] !== process.env.MAIN_BACKEND_API_KEY) {
       return res.status(403).json({ success: false, error: "Unauthorized" });
     }
 
-    const { userId, amount: amountKobo, reference } = req.body;
-    if (!userId || !amountKobo || !reference) return res.status(400).json({ success: false, error: "Missing fields" });
+    const { userId, reference } = req.body;
+    if (!userId || !req.body.amount || !reference) return res.status(400).json({ success: false, error: "Missing fields" });
 
-    const amountNaira = Number(amountKobo) / 100;
+    // The main backend already sends kobo - store it as is
+    let amount;
+    try {
+      amount = parseKobo(req.body.amount);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
 
     await session.startTransaction();
 
     // IDEMPOTENCY — this is the real money, so we are extra strict
     const existing = await Transaction.findOne({
       reference,
-      status: "Successful",
+      status: "completed",
       type: "virtual_account_topup"
     }).session(session);
 
@@ -32,6 +40,7 @@ exports.syncVirtualAccountCredit = async (req, res) => {
         success: true,
         alreadyProcessed: true,
         newBalance: existing.balanceAfter,
+        ...MONEY,
         message: "Already credited"
       });
     }
@@ -39,30 +48,39 @@ exports.syncVirtualAccountCredit = async (req, res) => {
     const user = await User.findById(userId).session(session);
     if (!user) { await session.abortTransaction(); return res.status(404).json({ success: false, error: "User not found" }); }
 
-    const before = user.walletBalance;
-    user.walletBalance += amountNaira;
-    await user.save({ session });
+    const { balances } = await ledger.postJournal({
+      reference,
+      type: "deposit",
+      description: "Virtual Account Deposit",
+      postings: [
+        ledger.debit(ledger.ACCOUNTS.PROVIDER_CLEARING, amount, { provider: "paystack" }),
+        ledger.credit(ledger.ACCOUNTS.USER_WALLET, amount, { userId: user._id })
+      ],
+      metadata: { source: "virtual_account_sync" }
+    }, { session });
+    const { before, after } = balances[user._id.toString()];
 
     await Transaction.create([{
       userId: user._id,
       type: "virtual_account_topup",
-      amount: amountNaira,
-      status: "Successful",
+      amount,
+      status: "completed",
       reference,
       description: "Virtual Account Deposit",
       balanceBefore: before,
-      balanceAfter: user.walletBalance,
+      balanceAfter: after,
       gateway: "paystack"
     }], { session });
 
     await session.commitTransaction();
 
-    console.log(`MAIN BACKEND: ₦${amountNaira} credited → ${user.email} | Ref: ${reference}`);
+    console.log(`MAIN BACKEND: ${formatNaira(amount)} credited → ${user.email} | Ref: ${reference}`);
 
     res.json({
       success: true,
-      newBalance: user.walletBalance,
-      amount: amountNaira,
+      newBalance: after,
+      amount,
+      ...MONEY,
       message: "Wallet credited"
     });
 
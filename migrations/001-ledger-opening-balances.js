@@ -0,0 +1,75 @@
+// Give every existing wallet balance a backing journal entry so that
+// walletBalance == credits - debits on user_wallet from day one.
+// Runs before 002-money-to-kobo, so walletBalance is still naira here; the
+// entries are posted in kobo (amounts and balanceAfter) and tagged so 002
+// doesn't convert them twice.
+// Safe to run again: a user who already has an OPENING_ entry is skipped. The run
+// ends by checking that the opening entries net to zero and every wallet now
+// matches its postings - otherwise it fails and isn't marked applied.
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const ledger = require('../utils/ledger');
+const { toKobo, formatNaira } = require('../utils/money');
+
+const openingReference = (userId) => `OPENING_${userId}`;
+
+// Credits minus debits over every opening entry - 0 when they balance
+const openingNet = async () => {
+  const [result] = await JournalEntry.aggregate([
+    { $match: { type: 'opening_balance' } },
+    { $unwind: '$postings' },
+    {
+      $group: {
+        _id: null,
+        net: { $sum: { $cond: [{ $eq: ['$postings.direction', 'credit'] }, '$postings.amount', { $multiply: ['$postings.amount', -1] }] } }
+      }
+    }
+  ]);
+  return result ? result.net : 0;
+};
+
+module.exports = {
+  up: async () => {
+    let posted = 0;
+    let skipped = 0;
+
+    for await (const user of User.find({}).select('walletBalance email').lean()) {
+      if (await JournalEntry.exists({ reference: openingReference(user._id) })) {
+        skipped++;
+        continue;
+      }
+
+      const balance = toKobo(user.walletBalance);
+      const derived = await ledger.deriveWalletBalance(user._id);
+      const difference = balance - derived;
+      if (difference === 0) continue;
+
+      const wallet = { userId: user._id };
+      await ledger.postJournal({
+        reference: openingReference(user._id),
+        type: 'opening_balance',
+        description: 'Opening balance carried over from walletBalance',
+        postings: difference > 0
+          ? [ledger.debit(ledger.ACCOUNTS.SUSPENSE, difference), ledger.credit(ledger.ACCOUNTS.USER_WALLET, difference, wallet)]
+          : [ledger.debit(ledger.ACCOUNTS.USER_WALLET, -difference, wallet), ledger.credit(ledger.ACCOUNTS.SUSPENSE, -difference)],
+        metadata: { unit: 'kobo' }
+      }, { updateCachedBalances: false, balancesAfter: { [user._id.toString()]: balance } });
+
+      console.log(`   📒 ${user.email}: opening balance ${formatNaira(difference)}`);
+      posted++;
+    }
+
+    // ========== CHECK ==========
+    const net = await openingNet();
+    if (net !== 0) throw new Error(`Opening entries don't balance: net ${formatNaira(net)}`);
+
+    const mismatched = [];
+    for await (const user of User.find({}).select('walletBalance email').lean()) {
+      const derived = await ledger.deriveWalletBalance(user._id);
+      if (derived !== toKobo(user.walletBalance)) mismatched.push(`${user.email} (${formatNaira(derived)} in the ledger)`);
+    }
+    if (mismatched.length) throw new Error(`Wallets not matching their postings: ${mismatched.join(', ')}`);
+
+    return { posted, skipped };
+  }
+};
@@ -0,0 +1,86 @@
+// Convert every stored naira amount to integer kobo (see utils/money.js).
+// Stop the server before running this - anything it writes mid-migration
+// would be in kobo already and get multiplied again.
+//
+// Safe to re-run after a failure part way: each document is converted and marked
+// in one update (amountUnit: 'kobo', or metadata.unit on journal entries, which
+// 001 already posts in kobo), and marked documents are skipped. Documents the app
+// writes afterwards carry no marker - once this is recorded as applied, it must
+// not be run again.
+const mongoose = require('mongoose');
+
+const MONEY_FIELDS = {
+  users: ['walletBalance', 'commissionBalance', 'totalReferralEarnings'],
+  transactions: ['amount', 'previousBalance', 'newBalance', 'serviceCharge', 'balanceBefore', 'balanceAfter'],
+  virtualaccounts: ['amount', 'totalPayable', 'fee'],
+  failedsyncs: ['amount'],
+  wallets: ['balance']
+};
+
+// Amounts the routes copied into metadata in naira (deposit breakdowns, fees,
+// before / after balances)
+const METADATA_MONEY_FIELDS = [
+  'amount', 'amountPaid', 'amountSettled', 'amountToCredit', 'creditedAmount', 'netAmountToCredit',
+  'originalAmount', 'originalRequestedAmount', 'requiredAmount', 'adjustmentAmount', 'totalPayable',
+  'cashwyreDepositAmount', 'cashwyreFee', 'frontendDisplayFee', 'actualPlatformFee', 'fee', 'quotedFee',
+  'feeDeducted', 'serviceCharge', 'serviceChargeDeducted',
+  'balanceBefore', 'balanceAfter', 'previousBalance', 'newBalance', 'oldBalance', 'newBalanceAfter', 'oldBalanceAfter'
+];
+
+const toKoboExpr = (value) => ({
+  $cond: [{ $isNumber: value }, { $round: [{ $multiply: [value, 100] }, 0] }, value]
+});
+
+// The metadata object with its money converted; anything that isn't an object is kept
+const metadataToKoboExpr = {
+  $cond: [
+    { $eq: [{ $type: '$metadata' }, 'object'] },
+    { $mergeObjects: ['$metadata', Object.fromEntries(METADATA_MONEY_FIELDS.map(field => [field, toKoboExpr(`$metadata.${field}`)]))] },
+    '$metadata'
+  ]
+};
+
+module.exports = {
+  up: async () => {
+    const db = mongoose.connection.db;
+    const result = {};
+
+    for (const [collection, fields] of Object.entries(MONEY_FIELDS)) {
+      const { modifiedCount } = await db.collection(collection).updateMany(
+        { amountUnit: { $ne: 'kobo' } },
+        [{
+          $set: {
+            ...Object.fromEntries(fields.map(field => [field, toKoboExpr(`$${field}`)])),
+            metadata: metadataToKoboExpr,
+            amountUnit: 'kobo'
+          }
+        }]
+      );
+      result[collection] = modifiedCount;
+      console.log(`   💱 ${collection}: ${modifiedCount} documents converted`);
+    }
+
+    // Journal postings: amounts and cached balanceAfter posted in naira
+    const { modifiedCount } = await db.collection('journalentries').updateMany({ 'metadata.unit': { $ne: 'kobo' } }, [{
+      $set: {
+        postings: {
+          $map: {
+            input: '$postings',
+            as: 'posting',
+            in: {
+              $mergeObjects: ['$$posting', {
+                amount: toKoboExpr('$$posting.amount'),
+                balanceAfter: toKoboExpr('$$posting.balanceAfter')
+              }]
+            }
+          }
+        },
+        metadata: { $mergeObjects: [metadataToKoboExpr, { unit: 'kobo' }] }
+      }
+    }]);
+    result.journalentries = modifiedCount;
+    console.log(`   💱 journalentries: ${modifiedCount} documents converted`);
+
+    return result;
+  }
+};
@@ -0,0 +1,40 @@
+// Bring every transaction onto the unified schema in models/Transaction.js:
+// lowercase statuses, snake_case types and balanceBefore / balanceAfter.
+const Transaction = require('../models/Transaction');
+
+// { $switch } that maps legacy values of a field and leaves everything else alone
+const mapValues = (field, map) => ({
+  $switch: {
+    branches: Object.entries(map).map(([from, to]) => ({ case: { $eq: [`$${field}`, from] }, then: to })),
+    default: `$${field}`
+  }
+});
+
+module.exports = {
+  up: async () => {
+    const collection = Transaction.collection;
+
+    const { modifiedCount } = await collection.updateMany({}, [
+      {
+        $set: {
+          status: mapValues('status', Transaction.LEGACY_STATUSES),
+          type: mapValues('type', Transaction.LEGACY_TYPES),
+          // server.js used to write previousBalance / newBalance
+          balanceBefore: { $ifNull: ['$balanceBefore', { $ifNull: ['$previousBalance', 0] }] },
+          balanceAfter: { $ifNull: ['$balanceAfter', { $ifNull: ['$newBalance', 0] }] }
+        }
+      },
+      { $unset: ['previousBalance', 'newBalance'] }
+    ]);
+    console.log(`   🔁 transactions: ${modifiedCount} documents normalized`);
+
+    // Anything left over needs a human - report it rather than guess
+    const unknownStatus = await collection.countDocuments({ status: { $nin: Transaction.STATUSES } });
+    const unknownType = await collection.countDocuments({ type: { $nin: Transaction.TYPES } });
+    if (unknownStatus || unknownType) {
+      console.log(`   ⚠️ ${unknownStatus} transactions with an unknown status, ${unknownType} with an unknown type`);
+    }
+
+    return { normalized: modifiedCount, unknownStatus, unknownType };
+  }
+};
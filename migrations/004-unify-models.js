@@ -0,0 +1,55 @@
+// Bring server.js data onto the shared models now that the Cashwyre and Paystack
+// flows run in one process: tag virtual accounts with their provider, store
+// userId as an ObjectId, and hash the plaintext PINs server.js used to save.
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const VirtualAccount = require('../models/VirtualAccount');
+
+// Unique indexes from the old schemas that the shared model replaces with partial ones
+const LEGACY_INDEXES = ['userId_1', 'cashwyreRequestId_1'];
+
+module.exports = {
+  up: async () => {
+    const accounts = VirtualAccount.collection;
+
+    for (const name of LEGACY_INDEXES) {
+      try {
+        await accounts.dropIndex(name);
+        console.log(`   🗑️ virtualaccounts: dropped index ${name}`);
+      } catch (error) {
+        // Already gone (or never existed)
+      }
+    }
+
+    const { modifiedCount: tagged } = await accounts.updateMany(
+      { provider: { $exists: false } },
+      [{ $set: { provider: { $cond: [{ $ifNull: ['$customerCode', false] }, 'paystack', 'cashwyre'] } } }]
+    );
+    console.log(`   🏷️ virtualaccounts: ${tagged} tagged with a provider`);
+
+    const { modifiedCount: converted } = await accounts.updateMany(
+      { userId: { $type: 'string' } },
+      [{ $set: { userId: { $toObjectId: '$userId' } } }]
+    );
+    console.log(`   🔁 virtualaccounts: ${converted} userIds converted to ObjectId`);
+
+    // Write through the collection - saving the model would hash the hash
+    let hashed = 0;
+    const plaintext = User.collection.find({
+      transactionPin: { $type: 'string', $ne: '', $not: /^\$2[aby]\$/ }
+    }).project({ transactionPin: 1 });
+
+    for await (const user of plaintext) {
+      await User.collection.updateOne(
+        { _id: user._id },
+        { $set: { transactionPin: await bcrypt.hash(user.transactionPin, 10), transactionPinSet: true } }
+      );
+      hashed++;
+    }
+    console.log(`   🔐 users: ${hashed} transaction PINs hashed`);
+
+    await VirtualAccount.createIndexes();
+
+    return { tagged, converted, hashed };
+  }
+};
@@ -0,0 +1,64 @@
+// Seed DepositEvent from Cashwyre deposits credited before utils/depositProcessor.js.
+// Those were journaled under the bare Cashwyre code (sync / process) or CASHWYRE_<code>
+// (fiat); without a credited DepositEvent a late redelivery of one of them would
+// credit it a second time under the new reference.
+const DepositEvent = require('../models/DepositEvent');
+const Transaction = require('../models/Transaction');
+
+// The Cashwyre code a legacy transaction was credited for, if we can tell
+const codeOf = (tx) => tx.metadata?.cashwyreCode
+  || (tx.reference?.startsWith('CASHWYRE_') ? tx.reference.slice('CASHWYRE_'.length) : null)
+  || (tx.metadata?.source?.startsWith('cashwyre_webhook') ? tx.cashwyreReference : null);
+
+module.exports = {
+  up: async () => {
+    const cursor = Transaction.collection.find({
+      type: 'wallet_funding',
+      status: 'completed',
+      $or: [
+        { 'metadata.cashwyreCode': { $exists: true } },
+        { reference: /^CASHWYRE_/ },
+        { 'metadata.source': /^cashwyre_webhook/ }
+      ]
+    });
+
+    let seeded = 0;
+    let skipped = 0;
+    for await (const tx of cursor) {
+      const cashwyreCode = codeOf(tx);
+      if (!cashwyreCode) {
+        skipped++;
+        continue;
+      }
+
+      const { upsertedCount } = await DepositEvent.collection.updateOne(
+        { cashwyreCode },
+        {
+          $setOnInsert: {
+            cashwyreCode,
+            provider: 'cashwyre',
+            accountNumber: tx.metadata?.accountNumber,
+            userId: tx.userId,
+            amountPaid: tx.metadata?.amountPaid || tx.amount,
+            amountSettled: tx.metadata?.amountSettled,
+            providerFee: 0,
+            feeAmount: tx.metadata?.feeDeducted ?? tx.metadata?.serviceChargeDeducted ?? tx.serviceCharge ?? 0,
+            creditedAmount: tx.amount,
+            currency: 'NGN',
+            status: tx.amount > 0 ? 'credited' : 'no_credit',
+            transactionId: tx._id,
+            creditedAt: tx.completedAt || tx.updatedAt || tx.createdAt,
+            reports: [{ source: 'legacy', receivedAt: tx.createdAt }],
+            createdAt: new Date(),
+            updatedAt: new Date()
+          }
+        },
+        { upsert: true }
+      );
+      seeded += upsertedCount;
+    }
+
+    console.log(`   🔁 deposit events: ${seeded} seeded from completed Cashwyre deposits, ${skipped} without a code`);
+    return { seeded, skipped };
+  }
+};
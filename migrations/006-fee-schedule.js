@@ -0,0 +1,19 @@
+// Seed fee schedule v1 with the fees that were hardcoded before utils/feeEngine.js
+// (1.5% capped payin fee, ₦50 / ₦100 reserve deposit fee, no card or transfer fee).
+// The engine seeds the same on first use; this just makes it explicit on deploy.
+const FeeSchedule = require('../models/FeeSchedule');
+const { DEFAULT_SCHEDULE } = require('../utils/feeEngine');
+
+module.exports = {
+  up: async () => {
+    const existing = await FeeSchedule.countDocuments();
+    if (existing) {
+      console.log(`   💸 fee schedules: ${existing} already published, nothing seeded`);
+      return { seeded: 0 };
+    }
+
+    await FeeSchedule.create(DEFAULT_SCHEDULE);
+    console.log('   💸 fee schedules: v1 seeded from the old hardcoded fees');
+    return { seeded: 1 };
+  }
+};
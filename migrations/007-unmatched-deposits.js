@@ -0,0 +1,68 @@
+// Bring deposits parked before the unmatched workflow into it:
+//   - payloads the forwarder sent to /api/webhooks/unmatched were only kept in the
+//     unmatchedwebhooks collection - each becomes an unmatched DepositEvent
+//   - DepositEvents already 'unmatched' get their candidate owners
+// Nothing is credited here; an admin assigns each one (/api/admin/unmatched-deposits).
+const mongoose = require('mongoose');
+const DepositEvent = require('../models/DepositEvent');
+const { fromProcessPayload } = require('../utils/depositProcessor');
+const { suggestCandidates } = require('../utils/depositCandidates');
+
+module.exports = {
+  up: async () => {
+    let imported = 0;
+    let skipped = 0;
+
+    const legacy = mongoose.connection.db.collection('unmatchedwebhooks').find();
+    for await (const doc of legacy) {
+      let deposit;
+      try {
+        deposit = fromProcessPayload(doc.payload || {});
+      } catch (error) {
+        deposit = null;
+      }
+      if (!deposit?.cashwyreCode || !(deposit.amountPaid > 0)) {
+        skipped++;
+        continue;
+      }
+
+      const { upsertedCount } = await DepositEvent.collection.updateOne(
+        { cashwyreCode: deposit.cashwyreCode },
+        {
+          $setOnInsert: {
+            cashwyreCode: deposit.cashwyreCode,
+            provider: 'cashwyre',
+            accountNumber: deposit.accountNumber,
+            amountPaid: deposit.amountPaid,
+            amountSettled: deposit.amountSettled,
+            providerFee: deposit.amountSettled === undefined ? 0 : Math.max(0, deposit.amountPaid - deposit.amountSettled),
+            requestedAmount: deposit.requestedAmount,
+            currency: 'NGN',
+            bankName: deposit.bankName,
+            senderName: deposit.senderName,
+            settledOn: deposit.settledOn ? new Date(deposit.settledOn) : doc.receivedAt,
+            status: 'unmatched',
+            lastError: 'Imported from unmatchedwebhooks',
+            reports: [{ source: 'legacy-unmatched', receivedAt: doc.receivedAt }],
+            history: [{ action: 'captured', by: 'migration', note: 'Imported from unmatchedwebhooks', at: new Date() }],
+            createdAt: doc.receivedAt || new Date(),
+            updatedAt: new Date()
+          }
+        },
+        { upsert: true }
+      );
+      imported += upsertedCount;
+    }
+
+    let suggested = 0;
+    for await (const event of DepositEvent.find({ status: 'unmatched' })) {
+      event.candidates = await suggestCandidates(event);
+      event.candidatesAt = new Date();
+      await event.save();
+      suggested++;
+    }
+
+    console.log(`   ❓ unmatched deposits: ${imported} imported, ${skipped} legacy payloads without a code or amount, ${suggested} with candidates`);
+    return { imported, skipped, suggested };
+  }
+};
@@ -0,0 +1,27 @@
+// The audit log is chained per target now (utils/audit.js chainOf), so seq is only
+// unique within a chain. Drop the indexes that made it unique across the whole log
+// and build the (chain, seq) one before the server writes a second chain's first
+// entry. Existing entries keep no chain and are verified as the one line they were.
+const AuditEvent = require('../models/AuditEvent');
+
+const LEGACY_INDEXES = ['seq_1', 'actor.id_1_seq_-1', 'target.type_1_target.id_1_seq_-1'];
+
+module.exports = {
+  up: async () => {
+    const dropped = [];
+    for (const name of LEGACY_INDEXES) {
+      try {
+        await AuditEvent.collection.dropIndex(name);
+        dropped.push(name);
+        console.log(`   🗑️ auditevents: dropped index ${name}`);
+      } catch (error) {
+        // Already gone (or never existed)
+      }
+    }
+
+    await AuditEvent.createIndexes();
+    console.log('   🔗 auditevents: (chain, seq) index built');
+
+    return { dropped };
+  }
+};
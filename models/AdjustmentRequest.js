@@ -0,0 +1,109 @@
+// models/AdjustmentRequest.js - A manual balance change waiting for a second operator
+// One operator asks (with evidence), another approves; only approval posts to the
+// ledger (utils/adjustments.js). The journal and the Transaction it writes carry
+// this request's id, and the request keeps both references.
+const mongoose = require('mongoose');
+const { defineModel } = require('../utils/modelRegistry');
+const { koboField } = require('../utils/money');
+
+const KINDS = [
+  'balance_correction',    // /api/wallet/force-update-balance - credit or debit against suspense
+  'deposit_recovery',      // /api/payments/manual-recovery - a deposit to an account number
+  'zero_balance_recovery', // /api/payments/recover-zero-balance - re-credit a transaction
+                           // that completed without moving the balance
+  'provider_topup'         // /api/wallet/top-up and /virtual-account-topup - a credit from
+                           // provider clearing for a payment the caller says arrived
+];
+
+const STATUSES = [
+  'pending',  // waiting for a second operator
+  'posted',   // approved and posted to the ledger
+  'rejected'  // turned down; nothing was posted
+];
+
+// Who did what to the request - appended, never edited
+const historySchema = new mongoose.Schema({
+  action: String, // requested | approved | rejected
+  by: String,
+  note: String,
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const adjustmentRequestSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: KINDS,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending',
+    index: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  direction: {
+    type: String,
+    enum: ['credit', 'debit'],
+    default: 'credit'
+  },
+  amount: koboField({ required: true, min: 1 }),
+  // The wallet when it was asked for, so the approver sees what changed since
+  balanceAtRequest: koboField(),
+  // force-update-balance's newBalance, when the request was made that way
+  requestedBalance: koboField(),
+
+  // What it applies to - the account number and Cashwyre code of a recovery, the
+  // transaction a zero-balance recovery fixes, or the Transaction a top-up writes
+  target: {
+    accountNumber: String,
+    cashwyreCode: String,
+    virtualAccountId: { type: mongoose.Schema.Types.ObjectId, ref: 'VirtualAccount' },
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+    originalReference: String,
+    transactionType: String,
+    gateway: String,
+    source: String,
+    description: String
+  },
+
+  evidence: {
+    providerReference: String,
+    screenshotUrl: String,
+    note: { type: String, required: true }
+  },
+
+  // The ledger journal approval posts - one pending request per reference
+  journalReference: { type: String, required: true },
+  transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+
+  requestedBy: { type: String, required: true },
+  reviewedBy: String,
+  reviewNote: String,
+  reviewedAt: Date,
+  postedAt: Date,
+  balanceBefore: koboField(),
+  balanceAfter: koboField(),
+
+  history: [historySchema]
+}, {
+  timestamps: true
+});
+
+adjustmentRequestSchema.index(
+  { journalReference: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+adjustmentRequestSchema.index({ status: 1, createdAt: -1 });
+
+const AdjustmentRequest = defineModel('AdjustmentRequest', adjustmentRequestSchema, __filename);
+AdjustmentRequest.KINDS = KINDS;
+AdjustmentRequest.STATUSES = STATUSES;
+
+module.exports = AdjustmentRequest;
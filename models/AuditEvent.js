@@ -0,0 +1,79 @@
+// models/AuditEvent.js - Append-only record of who changed what (utils/audit.js)
+// Entries are chained per target (chain); within a chain they are numbered (seq)
+// and each holds the hash of the one before it, so an edited, removed or reordered
+// entry breaks its chain. The model refuses updates
+// and deletes; the check for changes made around it is utils/audit.js verify().
+const mongoose = require('mongoose');
+const { defineModel } = require('../utils/modelRegistry');
+
+const APPEND_ONLY = 'AuditEvent is append-only';
+
+const auditEventSchema = new mongoose.Schema({
+  // e.g. user:<id>, route:POST /api/... (utils/audit.js chainOf); unset on entries
+  // written before chains, which form one chain of their own
+  chain: String,
+  seq: {
+    type: Number,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+
+  // user (the app), staff (admin token), service (main backend key), system, anonymous
+  actor: {
+    type: { type: String, required: true },
+    id: String,
+    email: String,
+    role: String
+  },
+  // e.g. adjustment.approved, kyc.updated - listed in utils/audit.js
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  target: {
+    type: { type: String },
+    id: String
+  },
+  // Snapshots of what the action changed, as plain JSON
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  metadata: mongoose.Schema.Types.Mixed,
+
+  requestId: String,
+  ip: String,
+
+  prevHash: { type: String, required: true },
+  hash: { type: String, required: true }
+}, {
+  versionKey: false,
+  minimize: false
+});
+
+auditEventSchema.index({ chain: 1, seq: 1 }, { unique: true });
+auditEventSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error(APPEND_ONLY));
+  next();
+});
+
+auditEventSchema.pre([
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+], function(next) {
+  next(new Error(APPEND_ONLY));
+});
+
+auditEventSchema.pre('deleteOne', { document: true, query: false }, function(next) {
+  next(new Error(APPEND_ONLY));
+});
+
+const AuditEvent = defineModel('AuditEvent', auditEventSchema, __filename);
+
+module.exports = AuditEvent;
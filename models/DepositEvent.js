@@ -0,0 +1,137 @@
+// models/DepositEvent.js - One row per Cashwyre deposit, however many ways it reached us
+// cashwyre-fiat (Cashwyre itself), cashwyre-sync and cashwyre-process (the PHP forwarder)
+// can all report the same payment. Each adapter normalizes its payload into this shape
+// and utils/depositProcessor.js credits it once, keyed on the Cashwyre code.
+const mongoose = require('mongoose');
+const { defineModel } = require('../utils/modelRegistry');
+const { koboField } = require('../utils/money');
+
+const STATUSES = [
+  'received',  // stored, not credited yet
+  'credited',  // wallet credited
+  'no_credit', // paid, but fees took all of it - booked to fee income
+  'held',      // short payment into a funding account, in suspense until the rest
+               // arrives or it expires (utils/payinPolicy.js)
+  'unmatched',      // no virtual account / user for it - waiting for an admin
+  'refund_pending', // going back to the payer - an admin's decision, or the payin policy
+  'refunded',       // sent back; never credited
+  'failed'          // crediting threw; the webhook inbox retries it
+];
+
+// Users an unmatched deposit may belong to (utils/depositCandidates.js)
+const candidateSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  virtualAccountId: { type: mongoose.Schema.Types.ObjectId, ref: 'VirtualAccount' },
+  fullName: String,
+  email: String,
+  score: Number,
+  reasons: [String]
+}, { _id: false });
+
+// Who did what to an unmatched deposit - appended, never edited
+const historySchema = new mongoose.Schema({
+  action: String, // captured | assigned | marked_for_refund | refunded | released | recovered
+  by: String,
+  note: String,
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// What each delivery reported - kept so disagreeing sources are visible
+const reportSchema = new mongoose.Schema({
+  source: String,
+  webhookEventId: mongoose.Schema.Types.ObjectId,
+  amountPaid: koboField(),
+  amountSettled: koboField(),
+  reportedCredit: koboField(), // netAmountToCredit / amount, if the sender sent one
+  receivedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const depositEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    default: 'cashwyre'
+  },
+  // The idempotency key - one credit per code
+  cashwyreCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  requestId: String,
+  accountNumber: {
+    type: String,
+    index: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  virtualAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualAccount'
+  },
+
+  // Integer kobo. amountPaid is what the payer sent; amountSettled what Cashwyre
+  // settles to us after its own fee.
+  amountPaid: koboField({ required: true }),
+  amountSettled: koboField(),
+  providerFee: koboField({ default: 0 }),
+  requestedAmount: koboField(),
+
+  // Outcome of the crediting policy
+  feeAmount: koboField(),
+  feeScheduleVersion: Number,
+  creditedAmount: koboField(),
+
+  currency: { type: String, default: 'NGN' },
+  bankName: String,
+  senderName: String,
+  sourceOfPayment: String,
+  narration: String,
+  settledOn: Date,
+
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'received',
+    index: true
+  },
+  lastError: String,
+  journalReference: String,
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  creditedAt: Date,
+  // A held deposit is credited by a later one (or the expiry sweep) - its journal reference
+  releasedIn: String,
+  // For support:
+  //   paid_after_expiry  paid into a funding account after it expired, credited as a
+  //                      plain deposit (utils/expirySweeper.js)
+  //   refund_due         credited, but part of it (refund.amount) goes back to the payer
+  //   excess_held        overpayment kept in suspense for an admin to decide on
+  flags: [String],
+
+  reports: [reportSchema],
+
+  // ========== UNMATCHED RESOLUTION ==========
+  candidates: [candidateSchema],
+  candidatesAt: Date,
+  refund: {
+    amount: koboField(), // unset = all of amountPaid
+    reason: String,
+    reference: String, // the bank transfer that sent it back
+    refundedAt: Date
+  },
+  history: [historySchema]
+}, {
+  timestamps: true
+});
+
+const DepositEvent = defineModel('DepositEvent', depositEventSchema, __filename);
+DepositEvent.STATUSES = STATUSES;
+
+module.exports = DepositEvent;
@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const { defineModel } = require('../utils/modelRegistry');
+const { koboField } = require('../utils/money');
+
+// One row per outbox message that failed to deliver (utils/outbox.js keeps it current)
+const STATUSES = [
+  'retrying', // the dispatcher will try again (nextAttemptAt on the message)
+  'dead',     // the dispatcher gave up
+  'resolved'  // delivered after all
+];
 
 const failedSyncSchema = new mongoose.Schema({
   userId: {
@@ -6,10 +15,8 @@ const failedSyncSchema = new mongoose.Schema({
     required: true,
     index: true
   },
-  amount: {
-    type: Number,
-    required: true
-  },
+  // Integer kobo
+  amount: koboField({ required: true }),
   reference: {
     type: String,
     required: true,
@@ -26,9 +33,30 @@ const failedSyncSchema = new mongoose.Schema({
   lastAttempt: {
     type: Date,
     default: Date.now
-  }
+  },
+  outboxMessageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OutboxMessage',
+    unique: true,
+    sparse: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'retrying',
+    index: true
+  },
+  lastStatusCode: Number,
+  nextAttemptAt: Date,
+  resolvedAt: Date,
+  // Set when ops resolve it by hand instead of a delivery going through
+  resolvedBy: String,
+  resolution: String
 }, {
   timestamps: true
 });
 
-module.exports = mongoose.model('FailedSync', failedSyncSchema);
+const FailedSync = defineModel('FailedSync', failedSyncSchema, __filename);
+FailedSync.STATUSES = STATUSES;
+
+module.exports = FailedSync;
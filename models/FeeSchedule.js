@@ -0,0 +1,64 @@
+// models/FeeSchedule.js - Versioned, effective-dated fee schedules (utils/feeEngine.js)
+// A published version is never edited: changing a fee means publishing the next
+// version with a new effectiveFrom, so every priced transaction can point at the
+// exact rules that priced it (Transaction.feeScheduleVersion).
+const mongoose = require('mongoose');
+const { defineModel } = require('../utils/modelRegistry');
+const { koboField } = require('../utils/money');
+
+const PRODUCTS = ['dynamic_payin', 'reserve_deposit', 'paystack_card', 'transfer'];
+const RULE_TYPES = ['percentage', 'flat', 'tiered'];
+
+// One band of a tiered rule - applies to amounts below `below` (the last band has none)
+const tierSchema = new mongoose.Schema({
+  below: koboField(),
+  type: { type: String, enum: ['percentage', 'flat'], required: true },
+  bps: { type: Number, default: 0 },  // basis points, 150 = 1.5%
+  flat: koboField({ default: 0 })
+}, { _id: false });
+
+// min / max cap the computed fee whatever the type
+const ruleSchema = new mongoose.Schema({
+  type: { type: String, enum: RULE_TYPES, required: true },
+  bps: { type: Number, default: 0 },
+  flat: koboField({ default: 0 }),
+  tiers: { type: [tierSchema], default: undefined },
+  min: koboField(),
+  max: koboField()
+}, { _id: false });
+
+const feeScheduleSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  products: new mongoose.Schema(
+    Object.fromEntries(PRODUCTS.map(product => [product, { type: ruleSchema, required: true }])),
+    { _id: false }
+  ),
+  note: String,
+  publishedBy: String
+}, {
+  timestamps: true
+});
+
+feeScheduleSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error(`Fee schedule v${this.version} is published - publish a new version instead`));
+  next();
+});
+
+feeScheduleSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Fee schedules are immutable - publish a new version instead'));
+});
+
+const FeeSchedule = defineModel('FeeSchedule', feeScheduleSchema, __filename);
+FeeSchedule.PRODUCTS = PRODUCTS;
+FeeSchedule.RULE_TYPES = RULE_TYPES;
+
+module.exports = FeeSchedule;
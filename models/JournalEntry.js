@@ -0,0 +1,75 @@
+// models/JournalEntry.js - Double-entry ledger journal
+const mongoose = require('mongoose');
+const { defineModel } = require('../utils/modelRegistry');
+const { koboField } = require('../utils/money');
+
+const postingSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: ['user_wallet', 'platform_fee_income', 'provider_clearing', 'suspense', 'vat_payable', 'emtl_payable'],
+    required: true
+  },
+  // Only set on user_wallet postings
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Only set on provider_clearing postings (cashwyre, paystack, ...)
+  provider: {
+    type: String,
+    default: null
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  // Integer kobo
+  amount: koboField({ required: true, min: 1 }),
+  // Cached wallet balance right after this posting (user_wallet only)
+  balanceAfter: koboField({ default: null })
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['deposit', 'transfer', 'withdrawal', 'adjustment', 'recovery', 'opening_balance'],
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  postings: {
+    type: [postingSchema],
+    validate: {
+      validator: (postings) => postings.length >= 2,
+      message: 'A journal entry needs at least two postings'
+    }
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Journal entries are append-only: corrections are new entries, never edits
+journalEntrySchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Journal entries are immutable - post a correcting entry instead'));
+  }
+  next();
+});
+
+journalEntrySchema.index({ 'postings.account': 1, 'postings.userId': 1 });
+journalEntrySchema.index({ createdAt: -1 });
+
+module.exports = defineModel('JournalEntry', journalEntrySchema, __filename);
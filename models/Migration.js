@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const { defineModel } = require('../utils/modelRegistry');
+
+// One document per data migration that has been applied (see scripts/migrate.js)
+const migrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+});
+
+module.exports = defineModel('Migration', migrationSchema, __filename);
@@ -0,0 +1,54 @@
+// models/OutboxMessage.js - Messages to other services, written with the change they announce
+// utils/outbox.js inserts one in the same Mongo transaction as the wallet credit, so a
+// credit can't commit without its message (or the reverse); the dispatcher delivers it.
+const mongoose = require('mongoose');
+const { defineModel } = require('../utils/modelRegistry');
+
+const STATUSES = [
+  'pending',    // waiting for its next attempt (nextAttemptAt)
+  'delivering', // claimed by a dispatcher
+  'delivered',
+  'dead',       // out of attempts, or refused outright - needs a person (FailedSync)
+  'cancelled'   // a person settled it another way (FailedSync resolved by hand)
+];
+
+const outboxMessageSchema = new mongoose.Schema({
+  // Which handler delivers it, e.g. 'main-backend-credit'
+  topic: {
+    type: String,
+    required: true
+  },
+  // One message per key - e.g. credit:<reference>
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: Date,
+  lastError: String,
+  lastStatusCode: Number,
+  deliveredAt: Date,
+  deadAt: Date
+}, {
+  timestamps: true
+});
+
+// The dispatcher's query: due messages, oldest first
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const OutboxMessage = defineModel('OutboxMessage', outboxMessageSchema, __filename);
+OutboxMessage.STATUSES = STATUSES;
+
+module.exports = OutboxMessage;
@@ -1,4 +1,74 @@
+// models/Transaction.js - The one Transaction model (server.js and every router use it)
 const mongoose = require('mongoose');
+const { defineModel } = require('../utils/modelRegistry');
+const { koboField } = require('../utils/money');
+
+// ============================================================
+// STATUS STATE MACHINE
+// ============================================================
+
+const STATUSES = ['pending', 'processing', 'completed', 'failed', 'expired'];
+
+// Where each status may move next. Re-setting the same status is always allowed.
+// failed -> completed covers a provider confirming a payment we'd given up on;
+// expired -> completed a payment made in time whose webhook came after the sweep
+// (utils/expirySweeper.js).
+const STATUS_TRANSITIONS = {
+    pending: ['processing', 'completed', 'failed', 'expired'],
+    processing: ['pending', 'completed', 'failed'],
+    completed: [],
+    failed: ['processing', 'completed'],
+    expired: ['completed']
+};
+
+// Values written before the schemas were unified (only the migration should need these)
+const LEGACY_STATUSES = {
+    Pending: 'pending',
+    Processing: 'processing',
+    Successful: 'completed',
+    successful: 'completed',
+    Success: 'completed',
+    success: 'completed',
+    Failed: 'failed'
+};
+
+const TYPES = [
+    'wallet_funding',
+    'virtual_account_topup',
+    'transfer',
+    'credit',
+    'debit',
+    'commission',
+    'commission_withdrawal',
+    'balance_adjustment',
+    'partial_payment',
+    'airtime_purchase',
+    'data_purchase',
+    'cable_tv_subscription',
+    'electricity_payment',
+    'education_payment',
+    'insurance_purchase'
+];
+
+const LEGACY_TYPES = {
+    'Wallet Funding': 'wallet_funding',
+    'virtual_account_deposit': 'virtual_account_topup',
+    'Transfer Sent': 'transfer',
+    'Transfer Received': 'credit',
+    'Commission Credit': 'commission',
+    'Commission Withdrawal': 'commission_withdrawal',
+    'Airtime Purchase': 'airtime_purchase',
+    'Data Purchase': 'data_purchase',
+    'Cable TV Subscription': 'cable_tv_subscription',
+    'Electricity Payment': 'electricity_payment',
+    'Education Payment': 'education_payment',
+    'Insurance Purchase': 'insurance_purchase'
+};
+
+const canTransition = (from, to) => !from || from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Statuses that are allowed to move into `to`
+const statusesInto = (to) => STATUSES.filter(from => canTransition(from, to));
 
 const metadataSchema = new mongoose.Schema({
     phone: { type: String, default: '' },
@@ -27,7 +97,7 @@ const metadataSchema = new mongoose.Schema({
         status: { type: String },
         response: { type: mongoose.Schema.Types.Mixed }
     }]
-}, { _id: false });
+}, { _id: false, strict: false }); // Cashwyre flows keep their own keys (source, accountNumber, ...)
 
 const transactionSchema = new mongoose.Schema({
     userId: {
@@ -36,39 +106,33 @@ const transactionSchema = new mongoose.Schema({
         required: true,
         index: true
     },
-   type: {
-    type: String,
-    enum: [
-        'Airtime Purchase',
-        'Data Purchase',
-        'Cable TV Subscription',
-        'Electricity Payment',
-        'Education Payment',
-        'Insurance Purchase',
-        'Wallet Funding',
-        'Transfer Sent',
-        'Transfer Received',
-        'Commission Credit',
-        'Commission Withdrawal',
-        'debit',
-        'credit',
-        'wallet_funding',
-        'virtual_account_topup'   // ✅ Added correctly
-    ],
-    required: true
-},
-
-    amount: { type: Number, required: true, min: 0 },
+    type: {
+        type: String,
+        enum: TYPES,
+        required: true
+    },
+
+    // Money fields are integer kobo
+    amount: koboField({ required: true, min: 0 }),
     status: {
         type: String,
-        enum: ['Successful', 'Pending', 'Failed', 'Processing'],
-        default: 'Pending'
+        enum: STATUSES,
+        default: 'pending'
     },
     transactionId: { type: String, unique: true, sparse: true },
     reference: { type: String, unique: true, sparse: true, index: true },
     description: { type: String, required: true },
-    balanceBefore: { type: Number, default: 0 },
-    balanceAfter: { type: Number, default: 0 },
+    // previousBalance / newBalance are the names older app builds still read
+    balanceBefore: koboField({ default: 0, alias: 'previousBalance' }),
+    balanceAfter: koboField({ default: 0, alias: 'newBalance' }),
+    serviceCharge: koboField({ default: 0 }),
+    // FeeSchedule version that priced serviceCharge (utils/feeEngine.js)
+    feeScheduleVersion: { type: Number, index: true },
+    // Statutory levies carved out of serviceCharge (utils/levies.js)
+    levies: {
+        vat: koboField({ default: 0 }),
+        emtl: koboField({ default: 0 })
+    },
     metadata: metadataSchema,
     isCommission: { type: Boolean, default: false, index: true },
     service: { type: String, default: '', index: true },
@@ -87,7 +151,11 @@ const transactionSchema = new mongoose.Schema({
     verificationAttempts: { type: Number, default: 0 },
     failureReason: String,
     canRetry: { type: Boolean, default: false },
-    nextRetryAt: Date
+    nextRetryAt: Date,
+
+    // Cashwyre
+    cashwyreReference: { type: String, index: true },
+    completedAt: Date
 }, {
     timestamps: true,
     versionKey: false
@@ -101,6 +169,49 @@ transactionSchema.pre('save', function(next) {
     next();
 });
 
+// Remember the status we loaded so saves can be checked against the state machine
+transactionSchema.post('init', function() {
+    this.$locals.loadedStatus = this.status;
+});
+
+transactionSchema.pre('save', function(next) {
+    if (!this.isNew && this.isModified('status') && !canTransition(this.$locals.loadedStatus, this.status)) {
+        return next(new Error(`Invalid transaction status transition: ${this.$locals.loadedStatus} → ${this.status}`));
+    }
+    this.$locals.loadedStatus = this.status;
+    next();
+});
+
+// Query updates that set a status only match documents allowed to move into it,
+// and anything outside the canonical vocabulary is rejected outright
+transactionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+    const update = this.getUpdate() || {};
+    const status = update.status ?? update.$set?.status;
+    if (status === undefined) return next();
+
+    if (!STATUSES.includes(status)) {
+        return next(new Error(`Unknown transaction status: ${status}`));
+    }
+    this.and([{ status: { $in: statusesInto(status) } }]);
+    this._statusGuard = status;
+    next();
+});
+
+// An upsert whose filter no longer matches (because of the guard above) tries to
+// insert a second document with the same reference - report that as what it is
+transactionSchema.post(['updateOne', 'findOneAndUpdate'], function(error, res, next) {
+    if (error && error.code === 11000 && this._statusGuard) {
+        return next(new Error(`Invalid transaction status transition to ${this._statusGuard}`));
+    }
+    next(error);
+});
+
+// Move one transaction to a new status. Returns the updated document, or null if
+// nothing matched the filter in a status that may move there.
+transactionSchema.statics.transition = function(filter, status, fields = {}, options = {}) {
+    return this.findOneAndUpdate(filter, { $set: { ...fields, status } }, { new: true, ...options });
+};
+
 // Virtual: Phone number from metadata
 transactionSchema.virtual('phoneNumber').get(function() {
     return this.metadata?.phone || this.metadata?.billersCode || null;
@@ -147,5 +258,15 @@ transactionSchema.index({ userId: 1, isCommission: 1 });
 transactionSchema.index({ reference: 1 });
 transactionSchema.index({ status: 1, createdAt: -1 });
 transactionSchema.index({ gatewayReference: 1 }); // NEW INDEX
+// Pending card fundings due a recheck (utils/paystackReverifier.js)
+transactionSchema.index({ status: 1, gateway: 1, nextRetryAt: 1 });
+
+const Transaction = defineModel('Transaction', transactionSchema, __filename);
+
+Transaction.STATUSES = STATUSES;
+Transaction.TYPES = TYPES;
+Transaction.LEGACY_STATUSES = LEGACY_STATUSES;
+Transaction.LEGACY_TYPES = LEGACY_TYPES;
+Transaction.canTransition = canTransition;
 
-module.exports = mongoose.models.Transaction || mongoose.model('Transaction', transactionSchema);
+module.exports = Transaction;
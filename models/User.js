@@ -1,6 +1,15 @@
 // models/User.js
 const mongoose = require('mongoose');
+const { defineModel } = require('../utils/modelRegistry');
 const bcrypt = require('bcryptjs');
+const { guardWalletBalance } = require('../utils/ledger');
+const { koboField, formatNaira } = require('../utils/money');
+const { ROLES, LEGACY_ROLES } = require('../utils/roles');
+
+// Wrong transaction PINs in a row before the PIN locks, and for how long
+const PIN_MAX_ATTEMPTS = Number(process.env.PIN_MAX_ATTEMPTS) || 3;
+const PIN_LOCK_MINUTES = Number(process.env.PIN_LOCK_MINUTES) || 15;
+const isBcryptHash = (value) => /^\$2[aby]\$/.test(value);
 
 const userSchema = mongoose.Schema(
   {
@@ -25,18 +34,17 @@ const userSchema = mongoose.Schema(
     transactionPin: { 
       type: String 
     },
+    transactionPinSet: {
+      type: Boolean,
+      default: false,
+    },
+    // Cashwyre app users are created without a password (see /api/users/create)
     password: {
       type: String,
-      required: true,
-    },
-    walletBalance: {
-      type: Number,
-      default: 0.0,
-    },
-    commissionBalance: {
-      type: Number,
-      default: 0.0,
     },
+    // Money fields are integer kobo
+    walletBalance: koboField({ default: 0 }),
+    commissionBalance: koboField({ default: 0 }),
     isAdmin: {
       type: Boolean,
       default: false,
@@ -45,6 +53,12 @@ const userSchema = mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // utils/roles.js - 'admin' is what the main backend set before roles
+    role: {
+      type: String,
+      enum: [...Object.keys(ROLES), ...LEGACY_ROLES],
+      default: 'user',
+    },
     
     // === KYC / CASHWYRE DEDICATED ACCOUNT FIELDS ===
     
@@ -124,10 +138,7 @@ const userSchema = mongoose.Schema(
       type: Number,
       default: 0,
     },
-    totalReferralEarnings: {
-      type: Number,
-      default: 0.0,
-    },
+    totalReferralEarnings: koboField({ default: 0 }),
     
     // Authentication fields
     refreshToken: {
@@ -205,8 +216,6 @@ const userSchema = mongoose.Schema(
       },
       accountNumber: { 
         type: String, 
-        unique: true, 
-        sparse: true,
         default: null
       },
       accountName: { 
@@ -215,14 +224,17 @@ const userSchema = mongoose.Schema(
       },
       reference: { 
         type: String, 
-        unique: true, 
-        sparse: true,
         default: null
       },
       bankCode: {
         type: String,
         default: null,
       },
+      // Paystack dedicated accounts only
+      customerCode: {
+        type: String,
+        default: null,
+      },
       currency: {
         type: String,
         default: 'NGN',
@@ -245,14 +257,20 @@ const userSchema = mongoose.Schema(
 
 // Hash transaction PIN before saving if modified
 userSchema.pre('save', async function (next) {
-  if (this.isModified('transactionPin') && this.transactionPin) {
-    console.log(`DEBUG (User Model Pre-Save): Hashing transaction PIN for user ${this.email}`);
+  // PINs and passwords the main backend wrote are already bcrypt hashes - don't hash them twice
+  if (this.isModified('transactionPin') && this.transactionPin && !isBcryptHash(this.transactionPin)) {
     const salt = await bcrypt.genSalt(10);
     this.transactionPin = await bcrypt.hash(this.transactionPin, salt);
   }
+  if (this.isModified('password') && this.password && !isBcryptHash(this.password)) {
+    this.password = await bcrypt.hash(this.password, await bcrypt.genSalt(10));
+  }
   next();
 });
 
+// walletBalance is a cache of the ledger postings - only utils/ledger.js may change it
+userSchema.plugin(guardWalletBalance);
+
 // Method to compare entered password with hashed password
 userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
@@ -263,7 +281,7 @@ userSchema.methods.matchTransactionPin = async function (enteredPin) {
   if (!this.transactionPin) {
     return false;
   }
-  return await bcrypt.compare(enteredPin, this.transactionPin);
+  return await bcrypt.compare(String(enteredPin), this.transactionPin);
 };
 
 // Method to check if PIN is locked
@@ -279,23 +297,36 @@ userSchema.methods.getRemainingLockTime = function () {
   return Math.ceil(diff / (1000 * 60)); // Convert to minutes
 };
 
-// Method to increment failed PIN attempts
-userSchema.methods.incrementFailedPinAttempts = function () {
-  this.failedPinAttempts += 1;
-  
-  // Lock account after 3 failed attempts for 15 minutes
-  if (this.failedPinAttempts >= 3) {
-    this.pinLockedUntil = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
+// Count a wrong PIN. The PIN_MAX_ATTEMPTS-th locks the PIN for PIN_LOCK_MINUTES and
+// starts the count again. Updates in the database, so parallel guesses all count.
+// Pass the session to count it inside a transaction (with its audit entry).
+// -> { failedPinAttempts, pinLockedUntil, lockedNow }
+userSchema.methods.incrementFailedPinAttempts = async function ({ session = null } = {}) {
+  const Model = this.constructor;
+  const counted = await Model.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedPinAttempts: 1 } },
+    { new: true, projection: 'failedPinAttempts pinLockedUntil', session }
+  );
+  if (counted.failedPinAttempts < PIN_MAX_ATTEMPTS) {
+    return { failedPinAttempts: counted.failedPinAttempts, pinLockedUntil: counted.pinLockedUntil, lockedNow: false };
   }
-  
-  return this.save();
+
+  // Only the guess that crossed the limit sets the lock; one racing it finds it set
+  const pinLockedUntil = new Date(Date.now() + PIN_LOCK_MINUTES * 60 * 1000);
+  const locked = await Model.findOneAndUpdate(
+    { _id: this._id, failedPinAttempts: { $gte: PIN_MAX_ATTEMPTS } },
+    { $set: { failedPinAttempts: 0, pinLockedUntil } },
+    { new: true, projection: 'failedPinAttempts pinLockedUntil', session }
+  );
+  return { failedPinAttempts: PIN_MAX_ATTEMPTS, pinLockedUntil, lockedNow: Boolean(locked) };
 };
 
 // Method to reset failed PIN attempts (on successful PIN entry)
 userSchema.methods.resetFailedPinAttempts = function () {
   this.failedPinAttempts = 0;
   this.pinLockedUntil = null;
-  return this.save();
+  return this.constructor.updateOne({ _id: this._id }, { $set: { failedPinAttempts: 0, pinLockedUntil: null } });
 };
 
 // Static method to find user by referral code
@@ -381,12 +412,12 @@ userSchema.methods.updateKYC = function (kycData) {
 
 // Virtual for formatted wallet balance
 userSchema.virtual('formattedWalletBalance').get(function () {
-  return `₦${this.walletBalance.toFixed(2)}`;
+  return formatNaira(this.walletBalance);
 });
 
 // Virtual for formatted commission balance
 userSchema.virtual('formattedCommissionBalance').get(function () {
-  return `₦${this.commissionBalance.toFixed(2)}`;
+  return formatNaira(this.commissionBalance);
 });
 
 // Virtual for KYC status
@@ -411,13 +442,23 @@ userSchema.virtual('accountStatus').get(function () {
 // INDEXES
 // ============================================================
 
-userSchema.index({ email: 1 });
-userSchema.index({ phone: 1 });
-userSchema.index({ referralCode: 1 });
+// email, phone, referralCode and accountReference are indexed by their unique fields
 userSchema.index({ referrerId: 1 });
-userSchema.index({ 'virtualAccount.accountNumber': 1 });
-userSchema.index({ accountReference: 1 });
+// Unset accounts are stored as null, so uniqueness only applies to real values
+userSchema.index(
+  { 'virtualAccount.accountNumber': 1 },
+  { unique: true, partialFilterExpression: { 'virtualAccount.accountNumber': { $type: 'string' } } }
+);
+userSchema.index(
+  { 'virtualAccount.reference': 1 },
+  { unique: true, partialFilterExpression: { 'virtualAccount.reference': { $type: 'string' } } }
+);
 userSchema.index({ bvn: 1 });
 userSchema.index({ nin: 1 });
 
-module.exports = mongoose.models.User || mongoose.model('User', userSchema);
+const User = defineModel('User', userSchema, __filename);
+
+User.PIN_MAX_ATTEMPTS = PIN_MAX_ATTEMPTS;
+User.PIN_LOCK_MINUTES = PIN_LOCK_MINUTES;
+
+module.exports = User;
@@ -0,0 +1,46 @@
+// models/UserEvent.js - What happened to a user's money, for the app's live stream
+// utils/userEvents.js inserts one in the same Mongo transaction as the change it
+// describes, so it only exists once that change commits. Every server instance
+// watches this collection (a change stream) and pushes new events to the user's open
+// streams (routes/events.js); a reconnecting client catches up from here.
+const mongoose = require('mongoose');
+const { defineModel } = require('../utils/modelRegistry');
+
+const TYPES = [
+  'deposit.pending',   // a funding opened, or money arrived that isn't credited yet
+  'deposit.credited',  // money in - deposit, card funding, recovery
+  'transfer.sent',
+  'transfer.received',
+  'balance.updated'    // any wallet balance change, with the new balance
+];
+
+// How long a reconnecting client can catch up from
+const TTL_SECONDS = (Number(process.env.USER_EVENT_TTL_HOURS) || 24) * 60 * 60;
+
+const userEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  },
+  // Journal / transaction reference the event is about
+  reference: String,
+  // Amounts in kobo, like the rest of the API
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  createdAt: { type: Date, default: Date.now, expires: TTL_SECONDS }
+}, {
+  versionKey: false
+});
+
+// Catching up: a user's events after the last one the client saw
+userEventSchema.index({ userId: 1, _id: 1 });
+
+const UserEvent = defineModel('UserEvent', userEventSchema, __filename);
+UserEvent.TYPES = TYPES;
+
+module.exports = UserEvent;
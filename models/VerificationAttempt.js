@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { defineModel } = require('../utils/modelRegistry');
 
 const verificationAttemptSchema = new mongoose.Schema({
   reference: {
@@ -18,4 +19,4 @@ const verificationAttemptSchema = new mongoose.Schema({
   timestamps: true
 });
 
-module.exports = mongoose.model('VerificationAttempt', verificationAttemptSchema);
+module.exports = defineModel('VerificationAttempt', verificationAttemptSchema, __filename);
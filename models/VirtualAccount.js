@@ -1,16 +1,42 @@
-// models/VirtualAccount.js - COMPLETE FIXED VERSION
-const mongoose = require('mongoose'); // ✅ ADD THIS MISSING LINE
+// models/VirtualAccount.js - Cashwyre (dynamic + reserve) and Paystack (dedicated) accounts
+const mongoose = require('mongoose');
+const { defineModel } = require('../utils/modelRegistry');
+const { koboField } = require('../utils/money');
+
+const isProvider = (provider) => function () {
+    return this.provider === provider;
+};
+
+// Funding intent - how far the transfers in have got towards totalPayable
+const PAYMENT_STATUSES = ['awaiting', 'partial', 'paid', 'overpaid'];
+
+// One transfer into a funding account and how utils/payinPolicy.js split it (kobo)
+const paymentSchema = new mongoose.Schema({
+    cashwyreCode: String,
+    amountPaid: koboField(),
+    credit: koboField(),
+    fee: koboField(),
+    hold: koboField(),
+    refund: koboField(),
+    release: koboField(),
+    at: { type: Date, default: Date.now }
+}, { _id: false });
 
 const virtualAccountSchema = new mongoose.Schema({
-    userId: {
+    provider: {
         type: String,
-        required: true,
-        unique: true
+        enum: ['cashwyre', 'paystack'],
+        default: 'cashwyre',
+        index: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
     },
     accountNumber: {
         type: String,
-        required: true,
-        unique: true
+        required: true
     },
     accountName: {
         type: String,
@@ -24,15 +50,69 @@ const virtualAccountSchema = new mongoose.Schema({
         type: String,
         required: true
     },
-    customerCode: {
+    currency: {
         type: String,
-        required: true
+        default: 'NGN'
     },
-    assigned: {
+    active: {
         type: Boolean,
         default: true
     },
-    active: {
+
+    // ============================================================
+    // CASHWYRE - funding accounts carry an amount, reserve accounts don't
+    // ============================================================
+    amount: koboField({ default: 0 }),
+    totalPayable: koboField({ default: 0 }),
+    fee: koboField({ default: 0 }),
+    feeScheduleVersion: { type: Number },
+    cashwyreRequestId: {
+        type: String,
+        required: isProvider('cashwyre')
+    },
+    cashwyreReference: { type: String },
+    expiresOn: { type: Date, default: null },
+    expiresOnInMins: { type: Number, default: 0 },
+    processedAt: { type: Date },
+    accountReference: { type: String, default: null },
+    status: { type: String, default: 'ACTIVE' },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    // ============================================================
+    // FUNDING INTENT - expected (totalPayable) vs received, across transfers
+    // ============================================================
+    // The under / overpayment policy in force when the account was created
+    payinPolicy: {
+        underpayment: { type: String },
+        overpayment: { type: String }
+    },
+    paymentStatus: { type: String, enum: PAYMENT_STATUSES, default: 'awaiting' },
+    amountReceived: koboField({ default: 0 }), // every transfer in
+    amountCredited: koboField({ default: 0 }), // to the wallet so far
+    amountHeld: koboField({ default: 0 }),     // in suspense right now
+    amountRefunded: koboField({ default: 0 }), // owed back to the payer
+    feeCharged: koboField({ default: 0 }),     // of the quoted fee
+    payments: [paymentSchema],
+    // Cashwyre's payin status, polled until paid, expired or a webhook arrives
+    // (utils/payinPoller.js)
+    poll: {
+        attempts: { type: Number, default: 0 },
+        nextAt: { type: Date, default: null },
+        lastAt: { type: Date },
+        lastStatus: { type: String },
+        lastError: { type: String },
+        stoppedAt: { type: Date, default: null },
+        stopReason: { type: String }
+    },
+
+    // ============================================================
+    // PAYSTACK - dedicated virtual accounts
+    // ============================================================
+    customerCode: {
+        type: String,
+        required: isProvider('paystack')
+    },
+    assigned: {
         type: Boolean,
         default: true
     },
@@ -44,4 +124,22 @@ const virtualAccountSchema = new mongoose.Schema({
     timestamps: true
 });
 
-module.exports = mongoose.model('VirtualAccount', virtualAccountSchema);
+// Indexes
+virtualAccountSchema.index({ userId: 1, createdAt: -1 });
+virtualAccountSchema.index({ accountNumber: 1 }, { unique: true });
+virtualAccountSchema.index({ accountReference: 1 });
+virtualAccountSchema.index({ 'poll.nextAt': 1 });
+virtualAccountSchema.index(
+    { cashwyreRequestId: 1 },
+    { unique: true, partialFilterExpression: { cashwyreRequestId: { $type: 'string' } }, name: 'cashwyreRequestId_unique' }
+);
+// One Paystack dedicated account per user; Cashwyre issues a new account per funding
+virtualAccountSchema.index(
+    { userId: 1 },
+    { unique: true, partialFilterExpression: { provider: 'paystack' }, name: 'paystack_userId_unique' }
+);
+
+const VirtualAccount = defineModel('VirtualAccount', virtualAccountSchema, __filename);
+VirtualAccount.PAYMENT_STATUSES = PAYMENT_STATUSES;
+
+module.exports = VirtualAccount;
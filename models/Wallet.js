@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { defineModel } = require('../utils/modelRegistry');
+const { koboField } = require('../utils/money');
 
 const walletSchema = new mongoose.Schema({
   userId: {
@@ -6,10 +8,8 @@ const walletSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
-  balance: {
-    type: Number,
-    default: 0.0
-  },
+  // Integer kobo
+  balance: koboField({ default: 0 }),
   currency: {
     type: String,
     default: 'NGN'
@@ -22,4 +22,4 @@ const walletSchema = new mongoose.Schema({
   timestamps: true
 });
 
-module.exports = mongoose.model('Wallet', walletSchema);
+module.exports = defineModel('Wallet', walletSchema, __filename);
@@ -0,0 +1,99 @@
+// models/WebhookEvent.js - Every inbound webhook, stored raw before we act on it
+// Receiving and processing are separate steps (utils/webhookInbox.js): the row is
+// written first, so a crash or bug mid-credit leaves a failed event to retry
+// instead of a lost webhook.
+const mongoose = require('mongoose');
+const { defineModel } = require('../utils/modelRegistry');
+
+const STATUSES = ['received', 'processing', 'processed', 'ignored', 'failed', 'rejected'];
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['cashwyre', 'paystack'],
+    required: true
+  },
+  // Which endpoint took it: paystack (paystack-payments on older deliveries), cashwyre-fiat,
+  // cashwyre-sync, cashwyre-process, cashwyre-unmatched, partial-payment
+  source: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // The provider's id for the event - the dedupe key together with provider
+  eventId: {
+    type: String,
+    required: true
+  },
+  eventType: String,
+
+  // Exactly what arrived - for rejected deliveries only the start of the body
+  // (utils/webhookInbox.js), with its full length
+  rawBody: String,
+  rawBodyLength: Number,
+  rawBodyTruncated: Boolean,
+  payload: mongoose.Schema.Types.Mixed,
+  headers: mongoose.Schema.Types.Mixed,
+  ip: String,
+
+  signatureVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Rejected deliveries (bad signature, unparseable body) are kept for forensics but
+  // don't claim the event id, so a forged copy can't block the real one
+  accepted: {
+    type: Boolean,
+    default: true
+  },
+  rejectionReason: String,
+
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'received',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: Date,
+  lastError: String,
+  processedAt: Date,
+  result: mongoose.Schema.Types.Mixed,
+
+  // Admin / CLI replays through a later version of the handler (utils/webhookInbox.js)
+  replays: [{
+    _id: false,
+    at: Date,
+    by: String,
+    previousStatus: String,
+    status: String,
+    result: mongoose.Schema.Types.Mixed,
+    error: String
+  }],
+
+  // Times the provider sent this same event (1 = no retries)
+  deliveries: {
+    type: Number,
+    default: 1
+  },
+  lastDeliveredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index(
+  { provider: 1, eventId: 1 },
+  { unique: true, name: 'provider_eventId_unique', partialFilterExpression: { accepted: true } }
+);
+webhookEventSchema.index({ status: 1, updatedAt: 1 });
+
+const WebhookEvent = defineModel('WebhookEvent', webhookEventSchema, __filename);
+WebhookEvent.STATUSES = STATUSES;
+
+module.exports = WebhookEvent;
@@ -0,0 +1,57 @@
+// providers/PaymentProvider.js - What every payment gateway adapter implements
+// Amounts going in and coming out are integer kobo (utils/money.js); an adapter
+// converts to whatever its gateway speaks. Failures throw - a gateway answering
+// success: false is an error, not a result.
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // { userId, firstName, lastName, email, phone, bvn, nin, accountReference, preferredBank }
+  // -> { accountNumber, accountName, bankName, bankCode, currency, status, active, reference, providerFields, raw }
+  // providerFields are the VirtualAccount fields only this gateway fills in
+  async createDedicatedAccount(customer) {
+    return this.unsupported('createDedicatedAccount');
+  }
+
+  // reference -> same shape as createDedicatedAccount, or null if the gateway has none
+  async getDedicatedAccount(reference) {
+    return this.unsupported('getDedicatedAccount');
+  }
+
+  // { requestId, amount }
+  // -> { accountNumber, accountName, bankName, bankCode, currency, reference, depositAmount, providerFee, raw }
+  async createDynamicAccount(request) {
+    return this.unsupported('createDynamicAccount');
+  }
+
+  // { email, amount, reference, callbackUrl, metadata } -> { authorizationUrl, accessCode, reference, raw }
+  async initializeCharge(charge) {
+    return this.unsupported('initializeCharge');
+  }
+
+  // reference -> { reference, status, gatewayStatus, amount, customerEmail, metadata, raw }
+  // status is a Transaction status: pending, completed or failed
+  async verifyCharge(reference) {
+    return this.unsupported('verifyCharge');
+  }
+
+  // (rawBody, headers) -> true if the webhook really came from this gateway
+  verifyWebhookSignature(rawBody, headers) {
+    return this.unsupported('verifyWebhookSignature');
+  }
+
+  // JSON string or parsed body
+  // -> { event, eventId, gatewayEvent, status, reference, amount, accountNumber, customerEmail, metadata, raw }
+  // event is 'deposit' for money arriving, otherwise the gateway's own event name.
+  // eventId identifies the event itself (the webhook inbox dedupes on it), null if the gateway sends none
+  parseWebhook(body) {
+    return this.unsupported('parseWebhook');
+  }
+
+  unsupported(method) {
+    throw new Error(`Payment provider ${this.name} does not support ${method}`);
+  }
+}
+
+module.exports = PaymentProvider;
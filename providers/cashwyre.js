@@ -0,0 +1,187 @@
+// providers/cashwyre.js - Cashwyre adapter (reserve accounts, dynamic payin accounts)
+// Cashwyre speaks naira; everything this adapter returns is kobo.
+const axios = require('axios');
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+const { toKobo, toNaira } = require('../utils/money');
+const { checkSignature } = require('../utils/webhookAuth');
+
+// CASHWYRE_BASE_URL points this at the local simulator (simulator/server.js)
+const CASHWYRE_CONFIG = {
+  baseURL: process.env.CASHWYRE_BASE_URL || 'https://businessapi.cashwyre.com/api/v1.0',
+  businessCode: process.env.CASHWYRE_BUSINESS_CODE || 'C4B20260307000114',
+  appId: process.env.CASHWYRE_APP_ID || 'C4B20260307000114',
+  secretKey: process.env.CASHWYRE_SECRET_KEY || 'secK_0cc3f3c57217673eb0581ba428b4d375d43d991d636303ac9c563ea8b6db2d873fb80586f448578090a1e7495b86f61423cb91121d9e957e6c9751933b3f2f9e',
+  currency: 'NGN',
+  country: 'NG'
+};
+
+// Reserve accounts are issued on Moniepoint unless Cashwyre says otherwise
+const DEFAULT_BANK = { bankName: 'Moniepoint Microfinance Bank', bankCode: '50515' };
+
+const DEPOSIT_EVENTS = ['fiat_deposit.success', 'fiat.deposit.success'];
+
+const newRequestId = () => `${Date.now()}${crypto.randomBytes(4).toString('hex')}`;
+
+class CashwyreProvider extends PaymentProvider {
+  constructor(config = CASHWYRE_CONFIG) {
+    super('cashwyre');
+    this.config = config;
+  }
+
+  async call(endpoint, data, timeout = 30000) {
+    const response = await axios.post(
+      `${this.config.baseURL}${endpoint}`,
+      data,
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.config.secretKey}`,
+          'Accept': 'application/json'
+        },
+        timeout
+      }
+    );
+
+    if (response.data.success !== true) {
+      const error = new Error(response.data.message || `Cashwyre ${endpoint} failed`);
+      error.response = response;
+      throw error;
+    }
+    return response.data.data;
+  }
+
+  toAccount(data, requestId, accountReference) {
+    return {
+      accountNumber: data.accountNumber,
+      accountName: data.accountName,
+      bankName: data.bankName || DEFAULT_BANK.bankName,
+      bankCode: data.bankCode || DEFAULT_BANK.bankCode,
+      currency: data.currency || this.config.currency,
+      status: data.status || 'ACTIVE',
+      active: (data.status || 'ACTIVE') === 'ACTIVE',
+      createdOn: data.createdOn,
+      reference: accountReference,
+      providerFields: { cashwyreRequestId: requestId, accountReference },
+      raw: data
+    };
+  }
+
+  async createDedicatedAccount(customer) {
+    const requestId = newRequestId();
+    const data = await this.call('/ReserveAccount/createReserveAccount', {
+      appId: this.config.businessCode,
+      requestId,
+      country: customer.country || this.config.country,
+      currency: customer.currency || this.config.currency,
+      firstName: customer.firstName.substring(0, 50),
+      lastName: customer.lastName.substring(0, 50),
+      email: customer.email || '',
+      phoneNumber: customer.phone,
+      accountReference: customer.accountReference,
+      bvn: customer.bvn || '',
+      nin: customer.nin || '',
+      businessCode: this.config.businessCode
+    });
+    return this.toAccount(data, requestId, customer.accountReference);
+  }
+
+  async getDedicatedAccount(accountReference) {
+    const requestId = newRequestId();
+    const data = await this.call('/ReserveAccount/getReserveAccount', {
+      appId: this.config.businessCode,
+      requestId,
+      AccountReference: accountReference
+    }, 15000);
+    return data ? this.toAccount(data, requestId, accountReference) : null;
+  }
+
+  async createDynamicAccount({ requestId, amount }) {
+    const data = await this.call('/payin/initiatePayin', {
+      appId: this.config.appId,
+      requestId,
+      amount: toNaira(amount),
+      currency: this.config.currency,
+      businessCode: this.config.businessCode,
+      country: this.config.country,
+      feeType: 'sender' // customer pays Cashwyre's fee
+    });
+    return {
+      accountNumber: data.accountNumber,
+      accountName: data.accountName,
+      bankName: data.bankName,
+      bankCode: data.bankCode,
+      currency: data.currency || this.config.currency,
+      reference: data.reference,
+      transactionReference: data.transactionReference,
+      feeType: data.feeType,
+      canConfirmPayin: data.canConfirmPayin,
+      // depositAmount includes Cashwyre's fee
+      depositAmount: data.depositAmount ? toKobo(data.depositAmount) : amount,
+      providerFee: toKobo(data.feeAmount || 0),
+      raw: data
+    };
+  }
+
+  // Cashwyre payins are checked by the requestId they were created with. Once paid,
+  // metadata carries the deposit's Cashwyre code and amounts - the same code the
+  // fiat_deposit webhook sends, so the two can't both credit it.
+  async verifyCharge(reference) {
+    const data = await this.call('/payin/payinStatus', {
+      appId: this.config.appId,
+      requestId: newRequestId(),
+      transactionReference: reference
+    }, 15000);
+    const gatewayStatus = data?.status;
+    return {
+      reference: data?.transactionReference || reference,
+      status: ['completed', 'success'].includes(gatewayStatus) ? 'completed'
+        : ['failed', 'expired', 'cancelled'].includes(gatewayStatus) ? 'failed'
+        : 'pending',
+      gatewayStatus,
+      amount: toKobo(data?.depositAmount || 0),
+      customerEmail: null,
+      metadata: {
+        code: data?.code || data?.Code || null,
+        amountPaid: data?.amountPaid === undefined ? undefined : toKobo(data.amountPaid),
+        amountSettled: data?.amountSettled === undefined ? undefined : toKobo(data.amountSettled),
+        settledOn: data?.settledOn || null
+      },
+      raw: data
+    };
+  }
+
+  // x-cashwyre-timestamp + x-cashwyre-signature with CASHWYRE_WEBHOOK_SECRET (see utils/webhookAuth.js)
+  verifyWebhookSignature(rawBody, headers) {
+    return !checkSignature({
+      secret: process.env.CASHWYRE_WEBHOOK_SECRET,
+      rawBody,
+      signature: headers['x-cashwyre-signature'],
+      timestamp: headers['x-cashwyre-timestamp']
+    });
+  }
+
+  parseWebhook(body) {
+    const payload = typeof body === 'string' || Buffer.isBuffer(body) ? JSON.parse(body.toString()) : body;
+    const { eventType, eventData = {} } = payload;
+    const isDeposit = DEPOSIT_EVENTS.includes(eventType);
+
+    return {
+      event: isDeposit ? 'deposit' : eventType,
+      eventId: eventData.Code ? `${eventType}:${eventData.Code}` : null,
+      gatewayEvent: eventType,
+      status: eventData.Status === 'success' ? 'completed' : eventData.Status === 'failed' ? 'failed' : 'pending',
+      reference: eventData.Code || eventData.RequestId || null,
+      // AmountSettled is after Cashwyre's fee
+      amount: toKobo(eventData.AmountSettled || eventData.AmountPaid || 0),
+      amountPaid: toKobo(eventData.AmountPaid || 0),
+      accountNumber: eventData.AccountNumber || null,
+      customerEmail: null,
+      metadata: {},
+      raw: payload
+    };
+  }
+}
+
+module.exports = CashwyreProvider;
+module.exports.CASHWYRE_CONFIG = CASHWYRE_CONFIG;
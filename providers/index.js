@@ -0,0 +1,50 @@
+// providers/index.js - Payment gateway registry
+// Handlers ask for a provider by flow (providerFor('charge')) or by the name stored
+// on a record (getProvider(virtualAccount.provider)), never for a gateway directly.
+// Adding a gateway: subclass PaymentProvider and registerProvider() it here.
+const PaymentProvider = require('./PaymentProvider');
+const CashwyreProvider = require('./cashwyre');
+const PaystackProvider = require('./paystack');
+
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  if (!(provider instanceof PaymentProvider)) {
+    throw new Error('Payment providers must extend providers/PaymentProvider.js');
+  }
+  providers.set(provider.name, provider);
+  return provider;
+};
+
+const getProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name} (registered: ${[...providers.keys()].join(', ')})`);
+  }
+  return provider;
+};
+
+// Which gateway serves each flow - override with the env var, e.g. CHARGE_PROVIDER=paystack
+const FLOWS = {
+  dedicatedAccount: { env: 'DEDICATED_ACCOUNT_PROVIDER', default: 'paystack' }, // routes/virtualAccount.js
+  reserveAccount: { env: 'RESERVE_ACCOUNT_PROVIDER', default: 'cashwyre' },     // /api/cashwyre/reserve-account
+  dynamicAccount: { env: 'DYNAMIC_ACCOUNT_PROVIDER', default: 'cashwyre' },     // /api/virtual-accounts/create-dynamic
+  charge: { env: 'CHARGE_PROVIDER', default: 'paystack' }                       // routes/payments.js
+};
+
+const providerFor = (flow) => {
+  const config = FLOWS[flow];
+  if (!config) throw new Error(`Unknown payment flow: ${flow}`);
+  return getProvider(process.env[config.env] || config.default);
+};
+
+registerProvider(new CashwyreProvider());
+registerProvider(new PaystackProvider());
+
+module.exports = {
+  PaymentProvider,
+  FLOWS,
+  registerProvider,
+  getProvider,
+  providerFor
+};
@@ -0,0 +1,168 @@
+// providers/paystack.js - Paystack adapter (dedicated accounts, card/bank charges)
+// Paystack already speaks kobo, so amounts pass through untouched.
+const axios = require('axios');
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+
+// PAYSTACK_BASE_URL points this at the local simulator (simulator/server.js)
+const PAYSTACK_BASE_URL = process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co';
+
+const STATUSES = {
+  success: 'completed',
+  failed: 'failed',
+  abandoned: 'failed',
+  reversed: 'failed'
+};
+
+const newReference = () => `REF_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+class PaystackProvider extends PaymentProvider {
+  constructor() {
+    super('paystack');
+  }
+
+  // Read on every call - without it, Paystack webhooks answer 503 (routes/webhooks.js)
+  get secretKey() {
+    return process.env.PAYSTACK_SECRET_KEY?.trim();
+  }
+
+  async request(method, path, data, timeout = 10000) {
+    const response = await axios({
+      method,
+      url: `${PAYSTACK_BASE_URL}${path}`,
+      data,
+      headers: {
+        Authorization: `Bearer ${this.secretKey}`,
+        'Content-Type': 'application/json',
+        'User-Agent': 'VirtualAccountBackend/1.0'
+      },
+      timeout
+    });
+
+    if (!response.data.status) {
+      const error = new Error(response.data.message || `Paystack ${path} failed`);
+      error.response = response;
+      throw error;
+    }
+    return response.data.data;
+  }
+
+  async findOrCreateCustomer({ email, firstName, lastName, phone }) {
+    const customers = await this.request('get', `/customer?email=${encodeURIComponent(email)}`);
+    if (customers && customers.length > 0) {
+      console.log(`✅ Found existing customer: ${customers[0].customer_code}`);
+      return customers[0].customer_code;
+    }
+
+    const customer = await this.request('post', '/customer', {
+      email,
+      first_name: firstName,
+      last_name: lastName,
+      phone
+    });
+    console.log(`✅ Created new customer: ${customer.customer_code}`);
+    return customer.customer_code;
+  }
+
+  toAccount(account, customerCode) {
+    // Paystack doesn't always return a reference for dedicated accounts
+    const reference = account.reference || newReference();
+    return {
+      accountNumber: account.account_number,
+      accountName: account.account_name,
+      bankName: account.bank.name,
+      bankCode: account.bank.id.toString(),
+      currency: account.currency || 'NGN',
+      status: account.active === false ? 'INACTIVE' : 'ACTIVE',
+      active: account.active !== false,
+      reference,
+      providerFields: { customerCode, assigned: true, paystackReference: reference },
+      raw: account
+    };
+  }
+
+  async createDedicatedAccount(customer) {
+    const customerCode = await this.findOrCreateCustomer(customer);
+
+    try {
+      const account = await this.request('post', '/dedicated_account', {
+        customer: customerCode,
+        preferred_bank: customer.preferredBank || 'wema-bank'
+      }, 15000);
+      return this.toAccount(account, customerCode);
+    } catch (error) {
+      // The customer already has one - hand that back instead
+      if (!error.response?.data?.message?.includes('already been assigned')) throw error;
+      console.log(`ℹ️ Customer already has virtual account, retrieving...`);
+      const existing = await this.getDedicatedAccount(customerCode);
+      if (!existing) throw error;
+      return existing;
+    }
+  }
+
+  async getDedicatedAccount(customerCode) {
+    const accounts = await this.request('get', `/dedicated_account?customer=${customerCode}`);
+    return accounts && accounts.length > 0 ? this.toAccount(accounts[0], customerCode) : null;
+  }
+
+  async initializeCharge({ email, amount, reference, callbackUrl, metadata }) {
+    const data = await this.request('post', '/transaction/initialize', {
+      email,
+      amount,
+      reference,
+      callback_url: callbackUrl,
+      metadata
+    }, 30000);
+    return {
+      authorizationUrl: data.authorization_url,
+      accessCode: data.access_code,
+      reference: data.reference,
+      raw: data
+    };
+  }
+
+  async verifyCharge(reference) {
+    const data = await this.request('get', `/transaction/verify/${reference}`);
+    return {
+      reference: data.reference || reference,
+      status: STATUSES[data.status] || 'pending',
+      gatewayStatus: data.status,
+      amount: data.amount,
+      customerEmail: data.customer?.email || null,
+      metadata: data.metadata || {},
+      raw: data
+    };
+  }
+
+  verifyWebhookSignature(rawBody, headers) {
+    const signature = headers['x-paystack-signature'];
+    if (!signature || !rawBody || !this.secretKey) return false;
+
+    const hash = crypto.createHmac('sha512', this.secretKey)
+      .update(rawBody)
+      .digest('hex');
+    return hash.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(signature));
+  }
+
+  parseWebhook(body) {
+    const payload = typeof body === 'string' || Buffer.isBuffer(body) ? JSON.parse(body.toString()) : body;
+    const data = payload.data || {};
+
+    return {
+      event: payload.event === 'charge.success' ? 'deposit' : payload.event,
+      // Paystack events carry no id of their own; event name + transaction id is unique
+      eventId: data.id || data.reference ? `${payload.event}:${data.id || data.reference}` : null,
+      gatewayEvent: payload.event,
+      status: STATUSES[data.status] || 'pending',
+      reference: data.reference || null,
+      amount: data.amount || 0,
+      accountNumber: data.authorization?.receiver_bank_account_number || null,
+      customerEmail: data.customer?.email || null,
+      metadata: data.metadata || {},
+      raw: payload
+    };
+  }
+}
+
+module.exports = PaystackProvider;
@@ -0,0 +1,141 @@
+// routes/adjustments.js - Reviewing manual balance changes (utils/adjustments.js)
+// force-update-balance, manual-recovery and recover-zero-balance file requests; here a
+// second operator approves (posts) or rejects them. Nobody approves their own, and
+// approving needs a staff login - the main backend's key names whoever it likes as
+// `by`, so it could play both maker and checker.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const AdjustmentRequest = require('../models/AdjustmentRequest');
+const adjustments = require('../utils/adjustments');
+const { requirePermission, actorOf } = require('../utils/permissions');
+const { MONEY } = require('../utils/money');
+
+const canRead = requirePermission('reports.read');
+const canReview = requirePermission('adjustments.approve');
+const canApprove = requirePermission('adjustments.approve', { internalKey: false });
+
+const findRequest = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid id' });
+    return null;
+  }
+  const request = await AdjustmentRequest.findById(req.params.id);
+  if (!request) res.status(404).json({ success: false, message: 'Adjustment request not found' });
+  return request;
+};
+
+// The reviewer - logged-in staff, or the by sent with the main backend's key
+const requireReviewer = (req, res) => {
+  const by = actorOf(req, req.body.by);
+  if (!by) res.status(400).json({ success: false, message: 'by (who is reviewing) is required' });
+  return by;
+};
+
+// ========== LIST ==========
+// GET /?status=pending&kind=deposit_recovery&userId=&limit=50&skip=0 (default: pending)
+router.get('/', canRead, async (req, res) => {
+  const statuses = String(req.query.status || 'pending').split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = statuses.filter(status => !AdjustmentRequest.STATUSES.includes(status));
+  if (unknown.length) {
+    return res.status(400).json({ success: false, message: `Unknown status: ${unknown.join(', ')}` });
+  }
+
+  const filter = { status: { $in: statuses } };
+  if (req.query.kind) filter.kind = String(req.query.kind);
+  if (req.query.userId) {
+    if (!mongoose.isValidObjectId(req.query.userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid userId' });
+    }
+    filter.userId = req.query.userId;
+  }
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const skip = Number(req.query.skip) || 0;
+
+  try {
+    const [requests, total] = await Promise.all([
+      AdjustmentRequest.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit)
+        .populate('userId', 'fullName email walletBalance'),
+      AdjustmentRequest.countDocuments(filter)
+    ]);
+    res.json({ success: true, total, requests, ...MONEY });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.get('/:id', canRead, async (req, res) => {
+  try {
+    const request = await findRequest(req, res);
+    if (!request) return;
+    await request.populate('userId', 'fullName email walletBalance');
+    res.json({ success: true, request, ...MONEY });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ========== APPROVE ==========
+// { note? } - posts it to the ledger, as the logged-in reviewer
+router.post('/:id/approve', canApprove, async (req, res) => {
+  const by = requireReviewer(req, res);
+  if (!by) return;
+
+  try {
+    const found = await findRequest(req, res);
+    if (!found) return;
+    if (found.status !== 'pending') {
+      return res.status(409).json({ success: false, message: `Request is ${found.status}` });
+    }
+    if (found.requestedBy === by) {
+      return res.status(403).json({ success: false, message: 'A request must be approved by someone other than who made it' });
+    }
+
+    const result = await adjustments.approve(found._id, { by, note: String(req.body.note || '').trim() || null, req });
+    if (!result) {
+      return res.status(409).json({ success: false, message: 'Request is no longer pending' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Adjustment approved and posted',
+      request: result.request,
+      transactionId: result.transaction._id,
+      balanceBefore: result.balanceBefore,
+      balanceAfter: result.balanceAfter,
+      ...MONEY
+    });
+  } catch (error) {
+    // Credited another way meanwhile - by a webhook, or an earlier recovery
+    if (error.status === 409 || error.code === 11000) {
+      const message = error.status === 409 ? error.message : 'Already posted under this journal reference';
+      return res.status(409).json({ success: false, message: `${message} - reject this request` });
+    }
+    console.error('❌ Adjustment approval failed:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ========== REJECT ==========
+// { reason, by? }
+router.post('/:id/reject', canReview, async (req, res) => {
+  const by = requireReviewer(req, res);
+  if (!by) return;
+  const reason = String(req.body.reason || '').trim();
+  if (!reason) {
+    return res.status(400).json({ success: false, message: 'reason is required' });
+  }
+
+  try {
+    if (!await findRequest(req, res)) return;
+    const request = await adjustments.reject(req.params.id, { by, reason, req });
+    if (!request) {
+      return res.status(409).json({ success: false, message: 'Request is no longer pending' });
+    }
+    res.json({ success: true, request, ...MONEY });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
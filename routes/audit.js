@@ -0,0 +1,124 @@
+// routes/audit.js - Searching, verifying and exporting the audit log (utils/audit.js)
+// Everything here needs audit.read (the auditor role, or superadmin).
+const express = require('express');
+const router = express.Router();
+const AuditEvent = require('../models/AuditEvent');
+const audit = require('../utils/audit');
+const { requirePermission } = require('../utils/permissions');
+
+const MAX_LIMIT = 500;
+const EXPORT_FORMATS = ['ndjson', 'csv'];
+const CSV_COLUMNS = ['chain', 'seq', 'createdAt', 'actor', 'action', 'target', 'before', 'after', 'metadata', 'requestId', 'ip', 'prevHash', 'hash'];
+
+router.use(requirePermission('audit.read'));
+
+const isDate = (value) => value === undefined || !Number.isNaN(new Date(value).getTime());
+
+// action (comma-separated), actorId, targetType, targetId, chain, requestId, from, to
+const filterFrom = (query) => {
+  if (!isDate(query.from) || !isDate(query.to)) throw new Error('from / to must be dates');
+
+  const filter = {};
+  if (query.action) filter.action = { $in: String(query.action).split(',').map(s => s.trim()).filter(Boolean) };
+  if (query.actorId) filter['actor.id'] = String(query.actorId);
+  if (query.targetType) filter['target.type'] = String(query.targetType);
+  if (query.targetId) filter['target.id'] = String(query.targetId);
+  if (query.chain) filter.chain = String(query.chain);
+  if (query.requestId) filter.requestId = String(query.requestId);
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+  }
+  return filter;
+};
+
+// ========== SEARCH ==========
+// GET /?action=adjustment.approved&targetType=user&targetId=...&limit=50&skip=0 - newest first
+router.get('/', async (req, res) => {
+  let filter;
+  try {
+    filter = filterFrom(req.query);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  const limit = Math.min(Number(req.query.limit) || 50, MAX_LIMIT);
+  const skip = Number(req.query.skip) || 0;
+
+  try {
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit).lean(),
+      AuditEvent.countDocuments(filter)
+    ]);
+    res.json({ success: true, total, events });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ========== VERIFY ==========
+// GET /verify - recompute every hash and link in every chain
+// GET /verify?chain=user:<id>&fromSeq=1 - one chain, from there on
+router.get('/verify', async (req, res) => {
+  const fromSeq = Math.max(Number(req.query.fromSeq) || 1, 1);
+  try {
+    const result = req.query.chain ? await audit.verify({ chain: String(req.query.chain), fromSeq }) : await audit.verify();
+    if (!result.ok) console.error(`🚨 Audit chain ${result.chain} broken at seq ${result.brokenAt}: ${result.reason}`);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ========== EXPORT ==========
+// GET /export?format=ndjson|csv&from=&to= (and the search filters) - oldest first,
+// with chain, seq, prevHash and hash, so the chains can be checked away from this server
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+router.get('/export', async (req, res) => {
+  const format = String(req.query.format || 'ndjson');
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+  let filter;
+  try {
+    filter = filterFrom(req.query);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  // Recorded before anything is sent - no export leaves without its entry
+  try {
+    await audit.log({ action: 'audit.exported', req, target: { type: 'audit_log' }, metadata: { query: req.query, format } });
+  } catch (error) {
+    console.error('❌ Audit export not recorded:', error.message);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv' : 'application/x-ndjson',
+    'Content-Disposition': `attachment; filename="audit-${stamp}.${format}"`
+  });
+
+  const cursor = AuditEvent.find(filter).sort({ createdAt: 1, _id: 1 }).select('-_id').lean().cursor();
+  try {
+    if (format === 'csv') res.write(`${CSV_COLUMNS.join(',')}\n`);
+    for await (const event of cursor) {
+      const line = format === 'csv'
+        ? CSV_COLUMNS.map(column => csvCell(column === 'createdAt' ? event.createdAt.toISOString() : event[column])).join(',')
+        : JSON.stringify(event);
+      if (!res.write(`${line}\n`)) await new Promise(resolve => res.once('drain', resolve));
+    }
+    res.end();
+    console.log(`📤 Audit export (${format}) by ${req.staff.email || req.staff.id}`);
+  } catch (error) {
+    console.error('❌ Audit export failed:', error.message);
+    res.destroy(error);
+  }
+});
+
+module.exports = router;
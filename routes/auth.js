@@ -0,0 +1,84 @@
+// routes/auth.js - Log in, refresh, log out (tokens in utils/auth.js)
+const express = require('express');
+const router = express.Router();
+const NodeCache = require('node-cache');
+const User = require('../models/User');
+const auth = require('../utils/auth');
+const { roleOf } = require('../utils/permissions');
+const { MONEY } = require('../utils/money');
+
+// Failed logins per email / phone, so a password can't be guessed at speed
+const MAX_FAILED_LOGINS = 5;
+const failedLogins = new NodeCache({ stdTTL: 15 * 60 });
+
+const profile = (user) => ({
+  _id: user._id,
+  email: user.email,
+  fullName: user.fullName,
+  phone: user.phone,
+  walletBalance: user.walletBalance,
+  transactionPinSet: user.transactionPinSet,
+  role: roleOf(user),
+  ...MONEY
+});
+
+// ========== LOGIN ==========
+// { email | phone, password } -> { accessToken, refreshToken, expiresIn, user }
+router.post('/login', async (req, res) => {
+  const { email, phone, password } = req.body;
+  const identifier = String(email || phone || '').trim().toLowerCase();
+  if (!identifier || !password) {
+    return res.status(400).json({ success: false, message: 'email or phone, and password are required' });
+  }
+
+  const failures = failedLogins.get(identifier) || 0;
+  if (failures >= MAX_FAILED_LOGINS) {
+    return res.status(429).json({ success: false, message: 'Too many failed attempts. Try again in 15 minutes.' });
+  }
+
+  try {
+    const user = await User.findOne(email ? { email: identifier } : { phone: String(phone).trim() });
+    // Users created by the app without a password can't log in here until they set one
+    const valid = user && user.password && user.isActive !== false && await user.matchPassword(String(password));
+    if (!valid) {
+      failedLogins.set(identifier, failures + 1);
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    failedLogins.del(identifier);
+    const tokens = await auth.issueTokens(user);
+    console.log(`🔐 Login: ${user.email}`);
+    res.json({ success: true, ...tokens, user: profile(user) });
+  } catch (error) {
+    console.error('❌ Login error:', error.message);
+    res.status(500).json({ success: false, message: 'Login failed' });
+  }
+});
+
+// ========== REFRESH ==========
+// { refreshToken } -> a new pair; the old refresh token stops working
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await auth.refresh(req.body.refreshToken);
+    if (!result) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+    }
+    res.json({ success: true, ...result.tokens });
+  } catch (error) {
+    console.error('❌ Token refresh error:', error.message);
+    res.status(500).json({ success: false, message: 'Token refresh failed' });
+  }
+});
+
+// ========== LOGOUT ==========
+// The refresh token stops working; access tokens run out on their own (JWT_ACCESS_TTL)
+router.post('/logout', auth.requireUser, async (req, res) => {
+  try {
+    await auth.revoke(req.user._id);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
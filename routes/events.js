@@ -0,0 +1,137 @@
+// routes/events.js - The app's live event stream, instead of polling check-status
+// GET /stream is Server-Sent Events; the same events come over a WebSocket at
+// <prefix>/ws (attachWebSocket, wired to the http server in server.js). Each message
+// is { id, type, reference, data, createdAt } - types in models/UserEvent.js, amounts
+// in kobo. The first message on a connection is 'ready' with the current balance.
+//
+// Reconnecting clients send the last id they saw (SSE Last-Event-ID, or ?lastEventId=)
+// and get what they missed first. Events come from every server instance through the
+// change stream in utils/userEvents.js.
+const express = require('express');
+const router = express.Router();
+const auth = require('../utils/auth');
+const userEvents = require('../utils/userEvents');
+const websocket = require('../utils/websocket');
+const { MONEY } = require('../utils/money');
+
+// Comments / pings so proxies (Render) don't drop an idle connection
+const HEARTBEAT_MS = Number(process.env.EVENT_STREAM_HEARTBEAT_MS) || 25000;
+// How soon an EventSource reconnects after a drop
+const RETRY_MS = 3000;
+
+// A JWT access token (utils/auth.js). An EventSource or a browser WebSocket can't
+// set headers, so ?access_token= works too. The stream outlives the token - it is
+// only checked when the connection opens.
+const authenticate = (req) => auth.userFromToken(
+  auth.bearerToken(req) || new URL(req.url, 'http://localhost').searchParams.get('access_token')
+);
+
+// Send 'ready', what the client missed, then live events - in that order. Live events
+// that arrive while catching up wait, so none is lost or sent twice.
+// -> stop()
+const openStream = async (user, lastEventId, send) => {
+  let waiting = [];
+  const unsubscribe = userEvents.subscribe(user._id, (message) => {
+    if (waiting) waiting.push(message);
+    else send(message);
+  });
+
+  try {
+    send({ id: null, type: 'ready', reference: null, data: { userId: String(user._id), balance: user.walletBalance, ...MONEY }, createdAt: new Date() });
+    const missed = lastEventId ? await userEvents.since(user._id, lastEventId) : [];
+    const seen = new Set(missed.map(message => message.id));
+    missed.forEach(send);
+    waiting.filter(message => !seen.has(message.id)).forEach(send);
+  } catch (error) {
+    unsubscribe();
+    throw error;
+  } finally {
+    waiting = null;
+  }
+  return unsubscribe;
+};
+
+// ========== SERVER-SENT EVENTS ==========
+router.get('/stream', async (req, res) => {
+  let user;
+  try {
+    user = await authenticate(req);
+  } catch (error) {
+    return res.status(500).json({ success: false, message: error.message });
+  }
+  if (!user) {
+    return res.status(401).json({ success: false, message: 'Valid token required' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const send = (message) => {
+    res.write(`${message.id ? `id: ${message.id}\n` : ''}event: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+  };
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  let stop = null;
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (stop) stop();
+  });
+
+  try {
+    const unsubscribe = await openStream(user, req.get('Last-Event-ID') || req.query.lastEventId, send);
+    if (closed) unsubscribe();
+    else stop = unsubscribe;
+  } catch (error) {
+    console.error('⚠️ Event stream failed to open:', error.message);
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+// ========== WEBSOCKET ==========
+// Handle WebSocket upgrades on path - call with the http server once it listens
+const attachWebSocket = (server, path) => {
+  server.on('upgrade', async (req, socket) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) return websocket.reject(socket, 404, 'Not Found');
+
+    let user;
+    try {
+      user = await authenticate(req);
+    } catch (error) {
+      return websocket.reject(socket, 500, 'Internal Server Error');
+    }
+    if (!user) return websocket.reject(socket, 401, 'Unauthorized');
+
+    const ws = websocket.accept(req, socket);
+    if (!ws) return;
+
+    const heartbeat = setInterval(() => ws.ping(), HEARTBEAT_MS);
+    let stop = null;
+    let closed = false;
+    ws.onClose(() => {
+      closed = true;
+      clearInterval(heartbeat);
+      if (stop) stop();
+    });
+
+    try {
+      const unsubscribe = await openStream(user, url.searchParams.get('lastEventId'), (message) => ws.send(JSON.stringify(message)));
+      if (closed) unsubscribe();
+      else stop = unsubscribe;
+    } catch (error) {
+      console.error('⚠️ Event socket failed to open:', error.message);
+      ws.close(1011);
+    }
+  });
+};
+
+module.exports = router;
+module.exports.attachWebSocket = attachWebSocket;
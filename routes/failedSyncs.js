@@ -0,0 +1,292 @@
+// routes/failedSyncs.js - Ops tools for main backend syncs that didn't go through
+// Each FailedSync mirrors an outbox message (utils/outbox.js). Retrying puts the
+// message back in the queue and delivers it straight away; resolving stops it.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const FailedSync = require('../models/FailedSync');
+const OutboxMessage = require('../models/OutboxMessage');
+const Transaction = require('../models/Transaction');
+const outbox = require('../utils/outbox');
+const { requirePermission, actorOf } = require('../utils/permissions');
+const audit = require('../utils/audit');
+const ledger = require('../utils/ledger');
+const { fetchMainBackendTransaction } = require('../utils/syncVirtualAccount');
+const { MONEY } = require('../utils/money');
+
+const MAX_BULK = 100;
+
+// Staff with reports.read look, sync.manage acts (utils/permissions.js)
+const canRead = requirePermission('reports.read');
+const canManage = requirePermission('sync.manage');
+
+const optionalNumber = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) throw new Error(`${name} must be a non-negative number`);
+  return number;
+};
+
+// userId, reference, status (comma-separated, default retrying,dead), minAgeHours /
+// maxAgeHours (since the first failure), minRetries / maxRetries
+const filterFrom = (params) => {
+  const filter = {};
+  if (params.userId) filter.userId = String(params.userId);
+  if (params.reference) filter.reference = String(params.reference);
+
+  const statuses = String(params.status || 'retrying,dead').split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = statuses.filter(status => !FailedSync.STATUSES.includes(status));
+  if (unknown.length) throw new Error(`Unknown status: ${unknown.join(', ')}`);
+  filter.status = { $in: statuses };
+
+  const minAgeHours = optionalNumber(params.minAgeHours, 'minAgeHours');
+  const maxAgeHours = optionalNumber(params.maxAgeHours, 'maxAgeHours');
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+  if (minAgeHours !== undefined || maxAgeHours !== undefined) {
+    filter.createdAt = {
+      ...(minAgeHours !== undefined && { $lte: hoursAgo(minAgeHours) }),
+      ...(maxAgeHours !== undefined && { $gte: hoursAgo(maxAgeHours) })
+    };
+  }
+
+  const minRetries = optionalNumber(params.minRetries, 'minRetries');
+  const maxRetries = optionalNumber(params.maxRetries, 'maxRetries');
+  if (minRetries !== undefined || maxRetries !== undefined) {
+    filter.retryCount = {
+      ...(minRetries !== undefined && { $gte: minRetries }),
+      ...(maxRetries !== undefined && { $lte: maxRetries })
+    };
+  }
+  return filter;
+};
+
+const findFailedSync = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid id' });
+    return null;
+  }
+  const failedSync = await FailedSync.findById(req.params.id);
+  if (!failedSync) res.status(404).json({ success: false, message: 'Failed sync not found' });
+  return failedSync;
+};
+
+// Requeue the message behind one FailedSync and deliver it now
+const retryOne = async (failedSync, req) => {
+  if (!failedSync.outboxMessageId) {
+    return { id: failedSync._id, retried: false, message: 'Not linked to an outbox message' };
+  }
+
+  const message = await outbox.requeue(failedSync.outboxMessageId);
+  if (!message) {
+    const current = await OutboxMessage.findById(failedSync.outboxMessageId).select('status');
+    return { id: failedSync._id, retried: false, message: `Outbox message is ${current?.status || 'missing'}` };
+  }
+
+  const { delivered, error } = await outbox.deliver(message);
+  await audit.log({
+    action: 'sync.retried',
+    req,
+    target: { type: 'failed_sync', id: failedSync._id },
+    before: { status: failedSync.status },
+    after: { delivered: Boolean(delivered) },
+    metadata: { reference: failedSync.reference, error: error ? error.message : null }
+  });
+  return {
+    id: failedSync._id,
+    reference: failedSync.reference,
+    retried: true,
+    delivered: Boolean(delivered),
+    ...(error && { error: error.response?.data?.message || error.message })
+  };
+};
+
+// ========== LIST ==========
+// GET /?userId=&reference=&status=dead&minAgeHours=24&minRetries=3&limit=50&skip=0
+router.get('/', canRead, async (req, res) => {
+  let filter;
+  try {
+    filter = filterFrom(req.query);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const skip = Number(req.query.skip) || 0;
+
+    const [failedSyncs, total] = await Promise.all([
+      FailedSync.find(filter)
+        .sort({ lastAttempt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('outboxMessageId', 'status attempts nextAttemptAt lastError lastStatusCode'),
+      FailedSync.countDocuments(filter)
+    ]);
+
+    res.json({ success: true, total, count: failedSyncs.length, failedSyncs, ...MONEY });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ========== ONE ==========
+router.get('/:id', canRead, async (req, res) => {
+  try {
+    const failedSync = await findFailedSync(req, res);
+    if (!failedSync) return;
+
+    const message = failedSync.outboxMessageId && await OutboxMessage.findById(failedSync.outboxMessageId);
+    res.json({ success: true, failedSync, outboxMessage: message || null, ...MONEY });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ========== RETRY ==========
+// Many: { ids: [...] } or the list filters in the body. At most 100 per call.
+router.post('/retry', canManage, async (req, res) => {
+  let filter;
+  try {
+    filter = Array.isArray(req.body.ids)
+      ? { _id: { $in: req.body.ids.filter(id => mongoose.isValidObjectId(id)) } }
+      : filterFrom(req.body);
+    filter.status = { ...filter.status, $ne: 'resolved' };
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  try {
+    const failedSyncs = await FailedSync.find(filter)
+      .sort({ createdAt: 1 })
+      .limit(MAX_BULK);
+
+    const results = [];
+    for (const failedSync of failedSyncs) {
+      results.push(await retryOne(failedSync, req));
+    }
+
+    console.log(`🔁 Failed sync retry: ${results.filter(r => r.delivered).length}/${results.length} delivered`);
+    res.json({
+      success: true,
+      attempted: results.length,
+      delivered: results.filter(r => r.delivered).length,
+      results
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.post('/:id/retry', canManage, async (req, res) => {
+  try {
+    const failedSync = await findFailedSync(req, res);
+    if (!failedSync) return;
+    if (failedSync.status === 'resolved') {
+      return res.status(409).json({ success: false, message: 'Already resolved' });
+    }
+
+    const result = await retryOne(failedSync, req);
+    res.status(result.retried ? 200 : 409).json({ success: result.delivered === true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ========== RESOLVE ==========
+// { reason, resolvedBy } - for syncs settled another way (e.g. credited by hand on
+// the main backend). Stops the outbox from delivering it.
+router.post('/:id/resolve', canManage, async (req, res) => {
+  const { reason } = req.body;
+  const resolvedBy = actorOf(req, req.body.resolvedBy);
+  if (!reason || !String(reason).trim()) {
+    return res.status(400).json({ success: false, message: 'reason is required' });
+  }
+
+  try {
+    const failedSync = await findFailedSync(req, res);
+    if (!failedSync) return;
+    if (failedSync.status === 'resolved') {
+      return res.status(409).json({ success: false, message: 'Already resolved' });
+    }
+
+    if (failedSync.outboxMessageId) {
+      const message = await OutboxMessage.findById(failedSync.outboxMessageId).select('status');
+      if (message?.status === 'delivering') {
+        return res.status(409).json({ success: false, message: 'A delivery is in flight - try again in a moment' });
+      }
+      await outbox.cancel(failedSync.outboxMessageId);
+    }
+
+    const statusBefore = failedSync.status;
+    failedSync.status = 'resolved';
+    failedSync.resolvedAt = new Date();
+    failedSync.resolvedBy = resolvedBy;
+    failedSync.resolution = String(reason).trim();
+    failedSync.nextAttemptAt = null;
+    await ledger.withTransaction(async (session) => {
+      await failedSync.save({ session });
+      await audit.log({
+        action: 'sync.resolved',
+        req,
+        target: { type: 'failed_sync', id: failedSync._id },
+        before: { status: statusBefore },
+        after: { status: 'resolved' },
+        metadata: { reference: failedSync.reference, resolvedBy, reason: failedSync.resolution }
+      }, { session });
+    });
+
+    console.log(`✅ Failed sync ${failedSync._id} (${failedSync.reference}) resolved: ${failedSync.resolution}`);
+    res.json({ success: true, failedSync, ...MONEY });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ========== COMPARE ==========
+// Our Transaction for the reference next to what the main backend reports for it
+router.get('/:id/compare', canRead, async (req, res) => {
+  try {
+    const failedSync = await findFailedSync(req, res);
+    if (!failedSync) return;
+
+    const local = await Transaction.findOne({ reference: failedSync.reference })
+      .select('userId reference amount serviceCharge status balanceBefore balanceAfter gateway completedAt')
+      .lean();
+
+    let remote;
+    try {
+      remote = await fetchMainBackendTransaction(failedSync.reference);
+    } catch (error) {
+      return res.status(502).json({
+        success: false,
+        message: `Main backend lookup failed: ${error.response?.data?.message || error.message}`,
+        local
+      });
+    }
+
+    const differences = [];
+    if (!local) differences.push('no local transaction');
+    if (!remote) differences.push('main backend has no record');
+    if (local && remote) {
+      if (Number(remote.amount) !== local.amount) differences.push(`amount: local ${local.amount}, main backend ${remote.amount}`);
+      if (remote.status !== local.status) differences.push(`status: local ${local.status}, main backend ${remote.status}`);
+      if (remote.userId && String(remote.userId) !== String(local.userId)) {
+        differences.push(`userId: local ${local.userId}, main backend ${remote.userId}`);
+      }
+    }
+
+    res.json({
+      success: true,
+      reference: failedSync.reference,
+      inSync: differences.length === 0,
+      differences,
+      local,
+      remote,
+      ...MONEY
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
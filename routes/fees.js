@@ -0,0 +1,89 @@
+// routes/fees.js - Fee quotes for the app and fee schedule publishing (utils/feeEngine.js)
+const express = require('express');
+const router = express.Router();
+const feeEngine = require('../utils/feeEngine');
+const { requirePermission, actorOf } = require('../utils/permissions');
+const audit = require('../utils/audit');
+const ledger = require('../utils/ledger');
+const { MONEY, parseKobo } = require('../utils/money');
+
+// ========== QUOTE ==========
+// GET /quote?product=dynamic_payin&amount=500000 (or POST with the same fields).
+// The app shows exactly this fee; the charging endpoints price with the same engine
+// and answer 409 if the fee the app sends back no longer matches.
+const handleQuote = async (req, res) => {
+  const { product } = { ...req.query, ...req.body };
+  const rawAmount = req.body?.amount ?? req.query.amount;
+
+  if (!feeEngine.PRODUCTS.includes(product)) {
+    return res.status(400).json({
+      success: false,
+      message: `product must be one of: ${feeEngine.PRODUCTS.join(', ')}`
+    });
+  }
+
+  let amount;
+  try {
+    amount = parseKobo(rawAmount);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  if (amount <= 0) {
+    return res.status(400).json({ success: false, message: 'Amount must be greater than zero' });
+  }
+
+  try {
+    const quote = await feeEngine.quote(product, amount);
+    res.json({ success: true, ...quote, ...MONEY });
+  } catch (error) {
+    console.error('Fee quote error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+router.get('/quote', handleQuote);
+router.post('/quote', handleQuote);
+
+// ========== SCHEDULES ==========
+router.get('/schedules', async (req, res) => {
+  try {
+    const schedules = await feeEngine.loadSchedules();
+    const active = await feeEngine.scheduleAt(new Date());
+    res.json({ success: true, activeVersion: active.version, schedules, ...MONEY });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Publish the next version: { effectiveFrom?, note?, products: { transfer: {...}, ... } }
+// Products left out carry over from the latest version.
+router.post('/schedules', requirePermission('fees.manage'), async (req, res) => {
+  const { products, effectiveFrom, note } = req.body;
+  const publishedBy = actorOf(req, req.body.publishedBy);
+  if (!products || typeof products !== 'object') {
+    return res.status(400).json({ success: false, message: 'products is required' });
+  }
+
+  try {
+    // The new version and its audit entry commit together
+    const schedule = await ledger.withTransaction(async (session) => {
+      const published = await feeEngine.publishSchedule({ products, effectiveFrom, note, publishedBy }, { session });
+      await audit.log({
+        action: 'fees.schedule_published',
+        req,
+        target: { type: 'fee_schedule', id: published._id },
+        after: published,
+        metadata: { publishedBy, note }
+      }, { session });
+      return published;
+    });
+    res.status(201).json({ success: true, schedule, ...MONEY });
+  } catch (error) {
+    console.error('Fee schedule publish error:', error.message);
+    // Bad rules / dates come back as plain errors; the database ones carry a name
+    const status = error.name === 'Error' ? 400 : 500;
+    res.status(status).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
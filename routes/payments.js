@@ -1,15 +1,24 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
 const mongoose = require('mongoose');
 const NodeCache = require('node-cache');
 const verificationCache = new NodeCache({ stdTTL: 120 }); // Only once!
 
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
-
-const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
-const MAIN_BACKEND_URL = process.env.MAIN_BACKEND_URL || 'https://vtpass-backend.onrender.com';
+const { MONEY, formatNaira, parseKobo } = require('../utils/money');
+const { providerFor } = require('../providers');
+const feeEngine = require('../utils/feeEngine');
+const chargeProcessor = require('../utils/chargeProcessor');
+const userEvents = require('../utils/userEvents');
+const auth = require('../utils/auth');
+const { requirePermission, actorOf } = require('../utils/permissions');
+const adjustments = require('../utils/adjustments');
+const { handlePayStackWebhook } = require('./webhooks');
+
+// Card / bank charges go through whichever gateway CHARGE_PROVIDER names (Paystack by default)
+const provider = () => providerFor('charge');
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || 'https://virtual-account-backend.onrender.com';
 
 // CORS middleware
 router.use((req, res, next) => {
@@ -21,74 +30,83 @@ router.use((req, res, next) => {
 });
 
 // ========== INITIALIZE PAYMENT ==========
-router.post('/initialize-paystack', async (req, res) => {
+router.post('/initialize-paystack', auth.requireUser, auth.actAsSelf('userId'), async (req, res) => {
   try {
-    const { userId, email, amount, reference } = req.body;
+    const { userId, email, reference } = req.body;
     
-    if (!email || !amount || !reference) {
+    if (!email || !req.body.amount || !reference) {
       return res.status(400).json({ success: false, message: 'Missing parameters' });
     }
 
+    // Amounts are integer kobo end to end - Paystack takes kobo too
+    let amount;
+    try {
+      amount = parseKobo(req.body.amount);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    // amount is what the wallet gets; the card is charged amount + fee
+    const feeQuote = await feeEngine.quote('paystack_card', amount);
+    const feeChanged = feeEngine.quoteMismatch(feeQuote, req.body.fee);
+    if (feeChanged) {
+      return res.status(409).json({ success: false, message: feeChanged, quote: feeQuote, ...MONEY });
+    }
+
   // Create transaction with pending status
 const transaction = await Transaction.create({
   userId,
-  type: 'Wallet Funding',
+  type: 'wallet_funding',
   amount: amount,
   reference: reference,
-  status: 'Pending',
+  status: 'pending',
   description: 'Wallet funding initialization',
-  gateway: 'paystack',
+  gateway: provider().name,
   gatewayReference: reference,
+  feeScheduleVersion: feeQuote.scheduleVersion,
+  metadata: { quotedFee: feeQuote.fee },
   balanceBefore: 0,
   balanceAfter: 0
 });
 
-    // Initialize with PayStack
-    const paystackPayload = {
+    // Initialize with the configured charge provider
+    const charge = await provider().initializeCharge({
       email: email,
-      amount: Math.round(amount * 100),
+      amount: feeQuote.total,
       reference: reference,
-      callback_url: `https://virtual-account-backend.onrender.com/api/payments/verify`,
+      callbackUrl: `${PUBLIC_BASE_URL}${req.baseUrl}/verify`,
       metadata: { 
         userId: userId,
         transactionId: transaction._id.toString()
-      },
-    };
-
-    const response = await axios.post(
-      'https://api.paystack.co/transaction/initialize',
-      paystackPayload,
-      {
-        headers: { 
-          'Authorization': `Bearer ${PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: 30000,
       }
-    );
-
-    if (!response.data.status) {
-      throw new Error(response.data.message || 'PayStack initialization failed');
-    }
+    });
 
-    const paystackData = response.data.data;
-    
     // Update transaction
-   // Update transaction
-await Transaction.findByIdAndUpdate(transaction._id, {
-  gatewayResponse: paystackData,
-  gatewayReference: paystackData.reference,
-  status: 'Pending'
-});
+    await Transaction.transition({ _id: transaction._id }, 'pending', {
+      gatewayResponse: charge.raw,
+      gatewayReference: charge.reference
+    });
+
+    await userEvents.publish([{
+      userId,
+      type: 'deposit.pending',
+      reference: charge.reference,
+      data: { amount, fee: feeQuote.fee, totalPayable: feeQuote.total, source: `${provider().name}_checkout` }
+    }]).catch(error => console.error('⚠️ deposit.pending not published:', error.message));
 
     // Return success
     res.json({
       success: true,
-      authorizationUrl: paystackData.authorization_url,
-      reference: paystackData.reference,
-      accessCode: paystackData.access_code,
+      authorizationUrl: charge.authorizationUrl,
+      reference: charge.reference,
+      accessCode: charge.accessCode,
       message: 'Payment initialized',
-      transactionId: transaction._id
+      transactionId: transaction._id,
+      amount: amount,
+      fee: feeQuote.fee,
+      totalPayable: feeQuote.total,
+      feeScheduleVersion: feeQuote.scheduleVersion,
+      ...MONEY
     });
 
   } catch (error) {
@@ -133,25 +151,13 @@ router.get('/verify', async (req, res) => {
     
     console.log('🔍 Verifying:', paymentReference);
     
-    // Verify with PayStack with better error handling
-    let data;
+    // Verify with the charge provider - if it can't answer, the app's own polling
+    // (POST /verify-paystack) settles the transaction later
+    let charge;
     try {
-      const verifyResponse = await axios.get(
-        `https://api.paystack.co/transaction/verify/${paymentReference}`,
-        {
-          headers: { Authorization: `Bearer ${PAYSTACK_SECRET_KEY}` },
-          timeout: 10000, // Shorter timeout
-        }
-      );
-      data = verifyResponse.data;
+      charge = await provider().verifyCharge(paymentReference);
     } catch (verifyError) {
-      console.log('⚠️ PayStack verification failed, but still showing success page');
-      // Continue to show success page even if verification fails
-      data = { status: true, data: { status: 'success', amount: 0 } };
-    }
-    
-    if (!data.status || !data.data) {
-      console.error('❌ Invalid PayStack response');
+      console.error('❌ Charge verification failed:', verifyError.message);
       return res.send(`
         <!DOCTYPE html>
         <html>
@@ -165,7 +171,7 @@ router.get('/verify', async (req, res) => {
       `);
     }
     
-    const transactionData = data.data;
+    const transactionData = charge.raw;
     
     // Update transaction without duplicate error - silent fail
    // Update transaction with proper schema format
@@ -174,19 +180,19 @@ try {
     { reference: paymentReference },
     {
       $set: {
-        status: transactionData.status === 'success' ? 'Successful' : 'Failed',
+        status: charge.status,
         gatewayResponse: transactionData,
         gatewayReference: paymentReference,
-        gateway: 'paystack',
+        gateway: provider().name,
         updatedAt: new Date()
       },
       $push: {
         'metadata.verificationHistory': {
           method: 'callback',
           timestamp: new Date(),
-          status: transactionData.status,
+          status: charge.gatewayStatus,
           response: { 
-            source: 'paystack_callback',
+            source: `${provider().name}_callback`,
             receivedAt: new Date() 
           }
         }
@@ -199,7 +205,7 @@ try {
 }
     
     // Create HTML page
-    const deepLink = `dalabapay://payment-callback?ref=${paymentReference}&status=${transactionData.status}&amount=${transactionData.amount / 100}`;
+    const deepLink = `dalabapay://payment-callback?ref=${paymentReference}&status=${charge.gatewayStatus}&amount=${charge.amount}&currency=${MONEY.currency}&exponent=${MONEY.exponent}`;
     
     return res.send(`
       <!DOCTYPE html>
@@ -225,11 +231,11 @@ try {
         </script>
       </head>
       <body>
-        <h1 class="${transactionData.status === 'success' ? 'success' : 'failed'}">
-          Payment ${transactionData.status === 'success' ? 'Successful' : 'Failed'}!
+        <h1 class="${charge.status === 'completed' ? 'success' : 'failed'}">
+          Payment ${charge.status === 'completed' ? 'Successful' : 'Failed'}!
         </h1>
         <p>Reference: ${paymentReference}</p>
-        <p>Amount: ₦${transactionData.amount / 100}</p>
+        <p>Amount: ${formatNaira(charge.amount)}</p>
         <p>Redirecting to app...</p>
         <p>You can close this window.</p>
       </body>
@@ -252,7 +258,7 @@ try {
 });
 
 // ========== PERFECT BULLETPROOF VERIFY ENDPOINT ==========
-router.post('/verify-paystack', async (req, res) => {
+router.post('/verify-paystack', auth.requireUser, async (req, res) => {
   let reference = req.body.reference?.toString().trim();
 
   console.log('POST /verify-paystack →', reference);
@@ -283,7 +289,7 @@ router.post('/verify-paystack', async (req, res) => {
     // ======================================================
     const existingSuccessTx = await Transaction.findOne({ 
       reference, 
-      status: 'Successful',
+      status: 'completed',
       balanceAfter: { $gt: 0 }
     }).lean();
 
@@ -300,53 +306,43 @@ router.post('/verify-paystack', async (req, res) => {
         balanceBefore: existingSuccessTx.balanceBefore,
         balanceAfter: existingSuccessTx.balanceAfter,
         currentBalance: currentBalance,
+        ...MONEY,
         message: 'Transaction already verified and credited.'
       });
     }
 
     // ======================================================
-    // 2. VERIFY WITH PAYSTACK (ALL TRANSACTIONS NOW!)
+    // 2. VERIFY WITH THE CHARGE PROVIDER (ALL TRANSACTIONS NOW!)
     // ======================================================
-    let paystackData;
+    let charge;
     try {
-      const resp = await axios.get(
-        `https://api.paystack.co/transaction/verify/${reference}`,
-        {
-          headers: { 
-            Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
-            'User-Agent': 'VirtualAccountBackend/1.0'
-          },
-          timeout: 10000
-        }
-      );
-      paystackData = resp.data;
+      charge = await provider().verifyCharge(reference);
     } catch (err) {
-      console.log('⚠️ PayStack connection error:', err.message);
-      return res.json({
-        success: false,
-        message: 'Payment gateway timeout. Please try again.',
-        retryable: true
-      });
-    }
-
-    // Check if Paystack returned a valid response
-    if (!paystackData.status) {
+      // No response at all: the gateway is unreachable, so the app should try again
+      if (!err.response) {
+        console.log(`⚠️ ${provider().name} connection error:`, err.message);
+        return res.json({
+          success: false,
+          message: 'Payment gateway timeout. Please try again.',
+          retryable: true
+        });
+      }
       return res.json({ 
         success: false, 
-        message: 'Invalid transaction reference or PayStack error',
+        message: `Invalid transaction reference or ${provider().name} error`,
         shouldStopPolling: true
       });
     }
 
-    const transactionData = paystackData.data;
+    const transactionData = charge.raw;
     
-    // Handle different Paystack statuses
-    if (transactionData.status !== 'success') {
-      // Update transaction status to failed if it exists
-      await Transaction.findOneAndUpdate(
+    // Handle different gateway statuses
+    if (charge.status !== 'completed') {
+      // Record the gateway's verdict (still pending, or failed)
+      await Transaction.transition(
         { reference: reference },
+        charge.status,
         {
-          status: 'Failed',
           gatewayResponse: transactionData,
           updatedAt: new Date()
         },
@@ -355,44 +351,24 @@ router.post('/verify-paystack', async (req, res) => {
       
       return res.json({ 
         success: false, 
-        message: `Payment ${transactionData.status} on PayStack`,
-        gatewayStatus: transactionData.status,
-        shouldRetry: transactionData.status === 'pending'
+        message: `Payment ${charge.gatewayStatus} on ${provider().name}`,
+        gatewayStatus: charge.gatewayStatus,
+        shouldRetry: charge.status === 'pending'
       });
     }
 
-    const amount = transactionData.amount / 100;
-    console.log(`💰 Verified amount: ₦${amount}`);
-
     // ======================================================
-    // 3. IDENTIFY USER
+    // 3. IDENTIFY USER (metadata, then email, then the pending transaction)
     // ======================================================
-    let userId = transactionData.metadata?.userId?.toString();
-
-    // Fallback 1: Check customer email
-    if (!userId && transactionData.customer?.email) {
-      const userByEmail = await User.findOne({ 
-        email: transactionData.customer.email 
-      }).select('_id').lean();
-      if (userByEmail) userId = userByEmail._id.toString();
-    }
-
-    // Fallback 2: Check existing pending transaction
-    if (!userId) {
-      const pendingTx = await Transaction.findOne({ 
-        reference, 
-        status: 'Pending' 
-      }).select('userId');
-      if (pendingTx) userId = pendingTx.userId.toString();
-    }
+    const userId = await chargeProcessor.chargeUserId(charge);
 
     if (!userId) {
       console.log('❌ Cannot identify user for reference:', reference);
       // Create failed transaction record
-      await Transaction.findOneAndUpdate(
+      await Transaction.transition(
         { reference: reference },
+        'failed',
         {
-          status: 'Failed',
           gatewayResponse: transactionData,
           description: 'User not found for transaction',
           updatedAt: new Date()
@@ -424,128 +400,30 @@ router.post('/verify-paystack', async (req, res) => {
 
     try {
       // ======================================================
-      // 5. ATOMIC TRANSACTION (MongoDB Session)
+      // 5. ATOMIC CREDIT - journal, transaction, main backend sync (utils/chargeProcessor.js)
       // ======================================================
-      const session = await mongoose.startSession();
-      
-      try {
-        session.startTransaction();
-        
-        // 5a. Get user WITH LOCK
-        const user = await User.findById(userId).session(session);
-        if (!user) {
-          throw new Error(`User ${userId} not found`);
-        }
-
-        // Initialize wallet balance if undefined
-        if (user.walletBalance === undefined || user.walletBalance === null) {
-          user.walletBalance = 0;
-        }
-
-        const balanceBefore = user.walletBalance;
-        const balanceAfter = balanceBefore + amount;
-
-        // 5b. Update user balance
-        user.walletBalance = balanceAfter;
-        await user.save({ session });
-
-        console.log(`💰 User balance: ₦${balanceBefore} → ₦${balanceAfter}`);
-
-      // 5c. Prepare transaction update - FIXED FOR YOUR MODEL
-const transactionUpdate = {
-  $set: {
-    userId: userId,
-    amount: amount,
-    status: 'Successful',
-    type: 'Wallet Funding',
-    description: `Wallet funding via PayStack - ${reference}`,
-    balanceBefore: balanceBefore,
-    balanceAfter: balanceAfter,
-    gatewayResponse: transactionData,
-    gatewayReference: reference,
-    gateway: 'paystack',
-    updatedAt: new Date()
-  },
-  $setOnInsert: {
-    reference: reference,
-    createdAt: new Date(),
-    // MUST match your model format: TXN_timestamp_randomString
-    transactionId: `TXN_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`
-  },
-  // Correct way to push to verificationHistory array in metadata
-  $push: {
-    'metadata.verificationHistory': {
-      method: 'polling',
-      timestamp: new Date(),
-      status: 'success',
-      response: { 
-        source: 'paystack_verification',
-        verifiedAt: new Date(),
-        amount: amount 
-      }
-    }
-  }
-};
-        // 5d. Upsert transaction
-        await Transaction.findOneAndUpdate(
-          { reference: reference },
-          transactionUpdate,
-          { 
-            upsert: true,
-            session: session,
-            new: true
-          }
-        );
-
-        // 5e. Commit transaction
-        await session.commitTransaction();
-        
-        console.log(`✅ ATOMIC SUCCESS: User ${userId} credited ₦${amount}`);
-
-        // ======================================================
-        // 6. SYNC TO MAIN BACKEND (non-blocking)
-        // ======================================================
-        try {
-          await axios.post(
-            `${MAIN_BACKEND_URL}/api/transactions/sync-payment`,
-            {
-              userId: userId,
-              amount: amount,
-              reference: reference,
-              type: 'Wallet Funding',
-              status: 'Successful',
-              balanceBefore: balanceBefore,
-              balanceAfter: balanceAfter,
-              source: 'virtual_account_backend'
-            },
-            { timeout: 5000 }
-          );
-          console.log('📡 Synced to main backend');
-        } catch (syncError) {
-          console.log('⚠️ Main backend sync failed (non-critical):', syncError.message);
-        }
+      const { amount, balanceBefore, balanceAfter } = await chargeProcessor.creditCharge(charge, {
+        userId,
+        gateway: provider().name,
+        source: `${provider().name}_verification`
+      });
 
-        // ======================================================
-        // 7. SUCCESS RESPONSE
-        // ======================================================
-        res.json({
-          success: true,
-          amount: amount,
-          balanceBefore: balanceBefore,
-          balanceAfter: balanceAfter,
-          newBalance: balanceAfter,
-          userId: userId,
-          reference: reference,
-          message: '✅ Payment verified and wallet credited successfully!'
-        });
+      console.log(`✅ ATOMIC SUCCESS: User ${userId} credited ${formatNaira(amount)} | ${formatNaira(balanceBefore)} → ${formatNaira(balanceAfter)}`);
 
-      } catch (transactionError) {
-        // Rollback on any error
-        await session.abortTransaction();
-        throw transactionError;
-      } finally {
-        session.endSession();
-      }
+      // ======================================================
+      // 6. SUCCESS RESPONSE
+      // ======================================================
+      res.json({
+        success: true,
+        amount: amount,
+        balanceBefore: balanceBefore,
+        balanceAfter: balanceAfter,
+        newBalance: balanceAfter,
+        userId: userId,
+        reference: reference,
+        ...MONEY,
+        message: '✅ Payment verified and wallet credited successfully!'
+      });
 
     } finally {
       // Always release the lock
@@ -582,7 +460,10 @@ const transactionUpdate = {
 
 
 // ========== MANUAL RECOVERY ENDPOINT ==========
-router.post('/recover-zero-balance', async (req, res) => {
+// Files an adjustment request to re-credit a completed transaction that never moved
+// the balance; it posts once another operator approves it (utils/adjustments.js).
+// { userId, reference, note, screenshotUrl? } - the reference is the evidence.
+router.post('/recover-zero-balance', requirePermission('deposit.recover'), async (req, res) => {
   try {
     const { userId, reference } = req.body;
     
@@ -592,12 +473,26 @@ router.post('/recover-zero-balance', async (req, res) => {
         message: 'Missing userId or reference' 
       });
     }
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid userId' });
+    }
+
+    const evidence = adjustments.readEvidence(req.body, { providerReference: reference });
+    const missing = adjustments.missingEvidence(evidence);
+    if (missing) {
+      return res.status(400).json({ success: false, message: missing });
+    }
+
+    const requestedBy = actorOf(req, req.body.by);
+    if (!requestedBy) {
+      return res.status(400).json({ success: false, message: 'by (who is asking) is required' });
+    }
 
     // Find problematic transaction with zero balanceAfter
     const transaction = await Transaction.findOne({
       userId: new mongoose.Types.ObjectId(userId),
       reference: reference,
-      status: 'Successful',
+      status: 'completed',
       $or: [
         { balanceAfter: 0 },
         { balanceAfter: { $exists: false } }
@@ -611,74 +506,34 @@ router.post('/recover-zero-balance', async (req, res) => {
       });
     }
 
-    const amount = transaction.amount;
-    
-    // Start atomic session
-    const session = await mongoose.startSession();
-    session.startTransaction();
-
-    try {
-      // Get user with lock
-      const user = await User.findById(userId).session(session);
-      if (!user) {
-        throw new Error('User not found');
-      }
-
-      // Initialize wallet balance if needed
-      if (user.walletBalance === undefined || user.walletBalance === null) {
-        user.walletBalance = 0;
-      }
-
-      const balanceBefore = user.walletBalance;
-      const balanceAfter = balanceBefore + amount;
-
-      // Update user
-      user.walletBalance = balanceAfter;
-      await user.save({ session });
-
-      // Fix transaction
-      await Transaction.updateOne(
-        { _id: transaction._id },
-        {
-          $set: {
-            balanceBefore: balanceBefore,
-            balanceAfter: balanceAfter,
-            updatedAt: new Date(),
-            'metadata.recovery': {
-              recoveredAt: new Date(),
-              oldBalanceAfter: transaction.balanceAfter || 0,
-              newBalanceAfter: balanceAfter
-            }
-          }
-        },
-        { session }
-      );
-
-      await session.commitTransaction();
-      session.endSession();
-
-      console.log(`🔄 RECOVERED: User ${userId} +₦${amount} (was: ₦${transaction.balanceAfter || 0})`);
-
-      res.json({
-        success: true,
-        amount: amount,
-        oldBalance: balanceBefore,
-        newBalance: balanceAfter,
-        reference: reference,
-        message: 'Balance successfully recovered!'
-      });
-
-    } catch (error) {
-      await session.abortTransaction();
-      session.endSession();
-      throw error;
-    }
+    const user = await User.findById(userId).select('walletBalance');
+    const request = await adjustments.createRequest({
+      kind: 'zero_balance_recovery',
+      userId: transaction.userId,
+      amount: transaction.amount,
+      // One-shot: a second approval loses on the journal reference
+      journalReference: `RECOVERY_${reference}`,
+      target: { transactionId: transaction._id, originalReference: reference },
+      evidence,
+      requestedBy,
+      balanceAtRequest: user ? user.walletBalance : undefined
+    }, { req });
+
+    res.status(202).json({
+      success: true,
+      request,
+      amount: transaction.amount,
+      reference: reference,
+      ...MONEY,
+      message: 'Recovery requested - another operator must approve it'
+    });
 
   } catch (error) {
     console.error('Recovery error:', error);
-    res.status(500).json({
+    const status = error.code === 11000 ? 409 : 500;
+    res.status(status).json({
       success: false,
-      message: 'Recovery failed',
+      message: status === 409 ? 'A recovery for this reference is already awaiting approval' : 'Recovery failed',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -686,156 +541,14 @@ router.post('/recover-zero-balance', async (req, res) => {
 
 
 
-// ========== COMPLETE WEBHOOK (FIXED) ==========
-router.post('/webhook/paystack', express.raw({ type: 'application/json' }), async (req, res) => {
-  let session;
-  
-  try {
-    const event = JSON.parse(req.body.toString());
-
-    // Only handle successful charge
-    if (event.event !== 'charge.success') {
-      return res.sendStatus(200);
-    }
-
-    const data = event.data;
-    const reference = data.reference;
-    const amount = data.amount / 100;
-
-    console.log("📩 Webhook received:", reference);
-
-    // ========== CONCURRENCY LOCK ==========
-    const lockKey = `lock:${reference}`;
-    if (verificationCache.get(lockKey)) {
-      console.log(`⏳ Webhook: Lock exists for ${reference}. Skipping.`);
-      return res.sendStatus(200);
-    }
-    verificationCache.set(lockKey, true, 30);
-
-    try {
-      // 1. Check if already processed
-      const existing = await Transaction.findOne({ reference, status: "Successful" });
-      if (existing) {
-        console.log("⛔ Already processed webhook:", reference);
-        return res.sendStatus(200);
-      }
-
-      // 2. Get user
-      let userId = data.metadata?.userId;
-
-      // Fallback using email
-      if (!userId && data.customer?.email) {
-        const user = await User.findOne({ email: data.customer.email });
-        if (user) userId = user._id;
-      }
-
-      if (!userId) {
-        console.log("❌ No user found for webhook");
-        return res.sendStatus(200);
-      }
-
-      // 3. ATOMIC TRANSACTION
-      session = await mongoose.startSession();
-      session.startTransaction();
-
-      // 4. Get user WITH LOCK
-      const user = await User.findById(userId).session(session);
-      if (!user) {
-        throw new Error(`User ${userId} not found`);
-      }
-
-      // Initialize wallet balance if undefined
-      if (user.walletBalance === undefined || user.walletBalance === null) {
-        user.walletBalance = 0;
-      }
-
-      const balanceBefore = user.walletBalance;
-      const balanceAfter = balanceBefore + amount;
-
-      // 5. Update user balance
-      user.walletBalance = balanceAfter;
-      await user.save({ session });
-
-      // 6. Save transaction (matches your model schema)
-      const transactionUpdate = {
-        $set: {
-          userId: userId,
-          amount: amount,
-          status: 'Successful',
-          type: 'Wallet Funding',
-          description: "Wallet funding via Paystack Webhook",
-          balanceBefore: balanceBefore,
-          balanceAfter: balanceAfter,
-          gatewayResponse: data,
-          gatewayReference: reference,
-          gateway: 'paystack',
-          updatedAt: new Date()
-        },
-        $setOnInsert: {
-          reference: reference,
-          createdAt: new Date(),
-          // MUST match your model format
-          transactionId: `TXN_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`
-        },
-        // Correct way to push to verificationHistory
-        $push: {
-          'metadata.verificationHistory': {
-            method: 'webhook',
-            timestamp: new Date(),
-            status: 'success',
-            response: { 
-              source: 'paystack_webhook',
-              receivedAt: new Date(),
-              amount: amount 
-            }
-          }
-        }
-      };
-
-      await Transaction.findOneAndUpdate(
-        { reference: reference },
-        transactionUpdate,
-        { 
-          upsert: true,
-          session: session,
-          new: true
-        }
-      );
-
-      // 7. Commit
-      await session.commitTransaction();
-      
-      console.log(`✅ Webhook: User ${userId} credited ₦${amount} | Before: ₦${balanceBefore} → After: ₦${balanceAfter}`);
-
-      return res.sendStatus(200);
-
-    } catch (error) {
-      // Rollback on error
-      if (session) {
-        await session.abortTransaction();
-      }
-      console.error("🔥 WEBHOOK PROCESSING ERROR:", error.message);
-      // Don't return 500 - PayStack will retry
-      return res.sendStatus(200);
-    } finally {
-      if (session) {
-        session.endSession();
-      }
-      // Always release the lock
-      verificationCache.del(lockKey);
-    }
-
-  } catch (error) {
-    console.error("🔥 WEBHOOK PARSING ERROR:", error);
-    return res.sendStatus(500);
-  }
-});
+// Paystack's charge.success - one handler for every Paystack webhook URL (routes/webhooks.js)
+router.post('/webhook/paystack', handlePayStackWebhook);
 
 
 // ========== GET TRANSACTION STATUS ==========
-router.get('/status/:reference', async (req, res) => {
+router.get('/status/:reference', auth.requireUser, async (req, res) => {
   try {
-    const transaction = await Transaction.findOne({ reference: req.params.reference });
+    const transaction = await Transaction.findOne({ reference: req.params.reference, userId: req.user._id });
     if (!transaction) {
       return res.status(404).json({ success: false, message: 'Transaction not found' });
     }
@@ -845,7 +558,8 @@ router.get('/status/:reference', async (req, res) => {
       status: transaction.status,
       amount: transaction.amount,
       reference: transaction.reference,
-      createdAt: transaction.createdAt
+      createdAt: transaction.createdAt,
+      ...MONEY
     });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Error fetching status' });
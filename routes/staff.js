@@ -0,0 +1,85 @@
+// routes/staff.js - Staff roles for the admin endpoints (utils/permissions.js)
+// A role is set on an existing user, who then logs in through /api/auth as usual.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { PERMISSIONS, ROLES, roleOf, requirePermission, actorOf } = require('../utils/permissions');
+const { isRole } = require('../utils/roles');
+const audit = require('../utils/audit');
+const ledger = require('../utils/ledger');
+
+const STAFF_ROLES = Object.keys(ROLES).filter(role => role !== 'user');
+
+const staffView = (user) => ({
+  _id: user._id,
+  email: user.email,
+  fullName: user.fullName,
+  role: roleOf(user),
+  permissions: ROLES[roleOf(user)],
+  isActive: user.isActive
+});
+
+// ========== ROLES ==========
+// What each role may do
+router.get('/roles', requirePermission('reports.read'), (req, res) => {
+  res.json({ success: true, roles: ROLES, permissions: PERMISSIONS });
+});
+
+// ========== LIST ==========
+// Everyone with a staff role, and the admins from before roles
+router.get('/', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const users = await User.find({ $or: [{ role: { $in: [...STAFF_ROLES, 'admin'] } }, { isAdmin: true }] })
+      .select('email fullName role isAdmin isActive')
+      .sort({ email: 1 });
+    res.json({ success: true, staff: users.map(staffView) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ========== SET ROLE ==========
+// { role } - one of the staff roles, or 'user' to take staff access away.
+// isAdmin is cleared too, so the role given is the role they have.
+router.put('/:userId/role', requirePermission('roles.manage'), async (req, res) => {
+  const { role } = req.body;
+  if (!isRole(role)) {
+    return res.status(400).json({ success: false, message: `role must be one of: ${Object.keys(ROLES).join(', ')}` });
+  }
+  if (!mongoose.isValidObjectId(req.params.userId)) {
+    return res.status(400).json({ success: false, message: 'Invalid userId' });
+  }
+  // So the last superadmin can't lock everyone out by accident
+  if (req.user && String(req.user._id) === req.params.userId) {
+    return res.status(409).json({ success: false, message: 'You cannot change your own role' });
+  }
+
+  try {
+    const previous = await ledger.withTransaction(async (session) => {
+      const found = await User.findByIdAndUpdate(
+        req.params.userId,
+        { $set: { role, isAdmin: false } },
+        { session, runValidators: true }
+      ).select('email fullName role isAdmin isActive');
+      if (!found) return null;
+      await audit.log({
+        action: 'staff.role_changed',
+        req,
+        target: { type: 'user', id: found._id },
+        before: { role: roleOf(found) },
+        after: { role }
+      }, { session });
+      return found;
+    });
+    if (!previous) return res.status(404).json({ success: false, message: 'User not found' });
+    const user = Object.assign(previous.toObject(), { role, isAdmin: false });
+
+    console.log(`🛡️ ${user.email} is now ${role} (set by ${actorOf(req, req.staff.id)})`);
+    res.json({ success: true, user: staffView(user) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,253 @@
+// routes/unmatchedDeposits.js - Resolving Cashwyre deposits no account or user matched
+// utils/depositProcessor.js parks them as 'unmatched' DepositEvents with suggested
+// owners. From here an admin assigns one to a user (credited through the normal
+// deposit path) or marks it for refund. Every action lands in the event's history
+// with who did it.
+// Refunds the payin policy owes (utils/payinPolicy.js) are queued here too: a whole
+// transfer as refund_pending, the excess of a credited one flagged refund_due.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const DepositEvent = require('../models/DepositEvent');
+const User = require('../models/User');
+const VirtualAccount = require('../models/VirtualAccount');
+const depositProcessor = require('../utils/depositProcessor');
+const { suggestCandidates } = require('../utils/depositCandidates');
+const { requirePermission, actorOf } = require('../utils/permissions');
+const audit = require('../utils/audit');
+const ledger = require('../utils/ledger');
+const { MONEY, formatNaira } = require('../utils/money');
+
+// Staff with reports.read look; assigning takes deposit.recover, refunds
+// deposit.refund (utils/permissions.js)
+const canRead = requirePermission('reports.read');
+const canRecover = requirePermission('deposit.recover');
+const canRefund = requirePermission('deposit.refund');
+
+const OPEN = ['unmatched', 'refund_pending'];
+
+const findDeposit = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid id' });
+    return null;
+  }
+  const deposit = await DepositEvent.findById(req.params.id);
+  if (!deposit) res.status(404).json({ success: false, message: 'Deposit not found' });
+  return deposit;
+};
+
+// Every action must say who took it - the logged-in staff member, or the by the
+// main backend sends along with its key
+const requireActor = (req, res) => {
+  const by = actorOf(req, req.body.by);
+  if (!by) res.status(400).json({ success: false, message: 'by (who is resolving it) is required' });
+  return by;
+};
+
+// ========== LIST ==========
+// GET /?status=unmatched,refund_pending&flag=refund_due&accountNumber=&limit=50&skip=0
+// Without status or flag: everything open, including refunds due on credited deposits
+router.get('/', canRead, async (req, res) => {
+  const statuses = String(req.query.status || OPEN.join(',')).split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = statuses.filter(status => !DepositEvent.STATUSES.includes(status));
+  if (unknown.length) {
+    return res.status(400).json({ success: false, message: `Unknown status: ${unknown.join(', ')}` });
+  }
+
+  try {
+    const filter = req.query.status || req.query.flag
+      ? { status: { $in: statuses } }
+      : { $or: [{ status: { $in: statuses } }, { flags: 'refund_due' }] };
+    if (req.query.flag) filter.flags = String(req.query.flag);
+    if (req.query.accountNumber) filter.accountNumber = String(req.query.accountNumber);
+
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const skip = Number(req.query.skip) || 0;
+
+    const [deposits, total] = await Promise.all([
+      DepositEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-reports'),
+      DepositEvent.countDocuments(filter)
+    ]);
+
+    res.json({ success: true, total, count: deposits.length, deposits, ...MONEY });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ========== ONE ==========
+router.get('/:id', canRead, async (req, res) => {
+  try {
+    const deposit = await findDeposit(req, res);
+    if (!deposit) return;
+    res.json({ success: true, deposit, ...MONEY });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Suggestions are worked out at capture - run them again after creating or
+// fixing the account a deposit was meant for
+router.post('/:id/candidates', canRecover, async (req, res) => {
+  try {
+    const deposit = await findDeposit(req, res);
+    if (!deposit) return;
+    if (deposit.status !== 'unmatched') {
+      return res.status(409).json({ success: false, message: `Deposit is ${deposit.status}` });
+    }
+
+    deposit.candidates = await suggestCandidates(deposit);
+    deposit.candidatesAt = new Date();
+    await deposit.save();
+
+    res.json({ success: true, candidates: deposit.candidates });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ========== ASSIGN ==========
+// { userId, virtualAccountId?, by, note? } - credits the user like any deposit:
+// the reserve_deposit fee, or the quoted fee of virtualAccountId (one of the user's
+// unpaid funding accounts)
+router.post('/:id/assign', canRecover, async (req, res) => {
+  const by = requireActor(req, res);
+  if (!by) return;
+  const { userId, virtualAccountId, note } = req.body;
+  if (!mongoose.isValidObjectId(userId)) {
+    return res.status(400).json({ success: false, message: 'A valid userId is required' });
+  }
+
+  try {
+    const deposit = await findDeposit(req, res);
+    if (!deposit) return;
+    if (deposit.status !== 'unmatched') {
+      return res.status(409).json({ success: false, message: `Deposit is ${deposit.status}, not unmatched` });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    let virtualAccount = null;
+    if (virtualAccountId) {
+      virtualAccount = mongoose.isValidObjectId(virtualAccountId)
+        ? await VirtualAccount.findOne({ _id: virtualAccountId, userId: user._id, provider: 'cashwyre', amount: { $gt: 0 } })
+        : null;
+      if (!virtualAccount) {
+        return res.status(404).json({ success: false, message: 'No funding account with that id for this user' });
+      }
+      if (virtualAccount.processedAt) {
+        return res.status(409).json({ success: false, message: 'That funding account was already paid' });
+      }
+    }
+
+    const result = await depositProcessor.assignDeposit(deposit, {
+      user,
+      virtualAccount,
+      by,
+      note,
+      auditEvent: (credited) => ({
+        action: 'deposit.assigned',
+        req,
+        target: { type: 'deposit', id: deposit._id },
+        before: { status: 'unmatched' },
+        after: { status: 'credited', userId: user._id, balance: credited.newBalance },
+        metadata: { cashwyreCode: deposit.cashwyreCode, amount: credited.amount, fee: credited.fee, virtualAccountId: virtualAccount && virtualAccount._id, by, note }
+      })
+    });
+    res.json({ success: true, message: 'Deposit credited', ...result, ...MONEY });
+  } catch (error) {
+    // A second assignment of the same deposit loses on the unique journal reference
+    const status = error.code === 11000 ? 409 : 500;
+    res.status(status).json({ success: false, message: status === 409 ? 'Deposit was already credited' : error.message });
+  }
+});
+
+// ========== REFUND ==========
+// { by, reason } - the payer gets it back; it will never be credited
+router.post('/:id/refund', canRefund, async (req, res) => {
+  const by = requireActor(req, res);
+  if (!by) return;
+  const reason = String(req.body.reason || '').trim();
+  if (!reason) {
+    return res.status(400).json({ success: false, message: 'reason is required' });
+  }
+
+  try {
+    if (!await findDeposit(req, res)) return;
+
+    const deposit = await ledger.withTransaction(async (session) => {
+      const marked = await DepositEvent.findOneAndUpdate(
+        { _id: req.params.id, status: 'unmatched' },
+        {
+          $set: { status: 'refund_pending', 'refund.reason': reason },
+          $push: { history: { action: 'marked_for_refund', by, note: reason } }
+        },
+        { new: true, session }
+      );
+      if (!marked) return null;
+      await audit.log({
+        action: 'deposit.refund_marked',
+        req,
+        target: { type: 'deposit', id: marked._id },
+        before: { status: 'unmatched' },
+        after: { status: 'refund_pending' },
+        metadata: { cashwyreCode: marked.cashwyreCode, amountPaid: marked.amountPaid, by, reason }
+      }, { session });
+      return marked;
+    });
+    if (!deposit) {
+      return res.status(409).json({ success: false, message: 'Deposit is no longer unmatched' });
+    }
+
+    console.log(`↩️ Deposit ${deposit.cashwyreCode} marked for refund by ${by}: ${reason}`);
+    res.json({ success: true, deposit, ...MONEY });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// { by, reference } - the refund transfer went out. For a deposit the payin policy
+// booked, refund.amount leaves the suspense account.
+router.post('/:id/refunded', canRefund, async (req, res) => {
+  const by = requireActor(req, res);
+  if (!by) return;
+  const reference = String(req.body.reference || '').trim();
+  if (!reference) {
+    return res.status(400).json({ success: false, message: 'reference (the refund transfer) is required' });
+  }
+
+  try {
+    const found = await findDeposit(req, res);
+    if (!found) return;
+
+    const deposit = await depositProcessor.markRefunded(found, {
+      by,
+      reference,
+      auditEvent: (refunded) => ({
+        action: 'deposit.refunded',
+        req,
+        target: { type: 'deposit', id: refunded._id },
+        before: { status: found.status, flags: found.flags },
+        after: { status: refunded.status, flags: refunded.flags },
+        metadata: { cashwyreCode: refunded.cashwyreCode, amount: refunded.refund.amount ?? refunded.amountPaid, reference, by }
+      })
+    });
+    if (!deposit) {
+      return res.status(409).json({ success: false, message: 'Deposit has no refund outstanding' });
+    }
+
+    console.log(`✅ Deposit ${deposit.cashwyreCode} refunded ${formatNaira(deposit.refund.amount ?? deposit.amountPaid)} (${reference}) - recorded by ${by}`);
+    res.json({ success: true, deposit, ...MONEY });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
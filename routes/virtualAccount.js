@@ -1,20 +1,18 @@
 // routes/virtualAccount.js - COMPLETE FIXED VERSION
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
 const VirtualAccount = require('../models/VirtualAccount');
 const User = require("../models/User");
+const { providerFor } = require('../providers');
+const auth = require('../utils/auth');
+const { requirePermission } = require('../utils/permissions');
+const audit = require('../utils/audit');
 
-
-const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
-
-// Validate that keys are loaded
-if (!PAYSTACK_SECRET_KEY) {
-    console.error('❌ PAYSTACK_SECRET_KEY is not defined in environment variables');
-}
+// Dedicated accounts come from whichever gateway DEDICATED_ACCOUNT_PROVIDER names (Paystack by default)
+const provider = () => providerFor('dedicatedAccount');
 
 // Get virtual account by user ID
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', auth.requireUser, auth.ownsParam(), async (req, res) => {
     try {
         const { userId } = req.params;
 
@@ -27,7 +25,7 @@ router.get('/:userId', async (req, res) => {
             });
         }
 
-        const virtualAccount = await VirtualAccount.findOne({ userId });
+        const virtualAccount = await VirtualAccount.findOne({ userId, provider: provider().name });
 
         if (!virtualAccount) {
             console.log(`❌ Virtual account not found for user: ${userId}`);
@@ -78,9 +76,10 @@ router.get('/health/status', async (req, res) => {
 });
 
 // FIXED: Create instant virtual account endpoint
-router.post('/create-instant-account', async (req, res) => {
+router.post('/create-instant-account', auth.requireUser, auth.actAsSelf('userId'), async (req, res) => {
     try {
-        const { userId, email, firstName, lastName, phone, preferredBank = 'wema-bank' } = req.body;
+        // bvn, nin and accountReference are only needed by providers that do KYC at creation (Cashwyre)
+        const { userId, email, firstName, lastName, phone, preferredBank = 'wema-bank', bvn, nin, accountReference } = req.body;
 
         console.log(`🚀 CREATE-INSTANT: Creating virtual account for user: ${userId}`);
 
@@ -93,7 +92,7 @@ router.post('/create-instant-account', async (req, res) => {
         }
 
         // Check if virtual account already exists
-        const existingAccount = await VirtualAccount.findOne({ userId });
+        const existingAccount = await VirtualAccount.findOne({ userId, provider: provider().name });
         if (existingAccount) {
             console.log(`✅ Virtual account already exists for user ${userId}: ${existingAccount.accountNumber}`);
             return res.json({
@@ -107,218 +106,79 @@ router.post('/create-instant-account', async (req, res) => {
             });
         }
 
-        // Create or get customer
-        let customerCode;
+        // Create the account with the configured provider (it finds or creates the customer)
+        let account;
         try {
-            // Try to find existing customer first
-            const customerResponse = await axios.get(
-                `https://api.paystack.co/customer?email=${encodeURIComponent(email)}`,
-                {
-                    headers: {
-                        Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
-                    },
-                    timeout: 10000,
-                }
-            );
-
-            if (customerResponse.data.data && customerResponse.data.data.length > 0) {
-                customerCode = customerResponse.data.data[0].customer_code;
-                console.log(`✅ Found existing customer: ${customerCode}`);
-            } else {
-                // Create new customer
-                const createCustomerResponse = await axios.post(
-                    'https://api.paystack.co/customer',
-                    {
-                        email: email,
-                        first_name: firstName,
-                        last_name: lastName,
-                        phone: phone,
-                    },
-                    {
-                        headers: {
-                            Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
-                            'Content-Type': 'application/json',
-                        },
-                        timeout: 10000,
-                    }
-                );
-
-                if (createCustomerResponse.data.status && createCustomerResponse.data.data) {
-                    customerCode = createCustomerResponse.data.data.customer_code;
-                    console.log(`✅ Created new customer: ${customerCode}`);
-                } else {
-                    throw new Error('Failed to create customer');
-                }
-            }
-        } catch (error) {
-            console.error('Customer creation error:', error.response?.data || error.message);
+            account = await provider().createDedicatedAccount({
+                userId,
+                email,
+                firstName,
+                lastName,
+                phone,
+                preferredBank,
+                bvn,
+                nin,
+                accountReference,
+            });
+        } catch (providerError) {
+            console.error(`${provider().name} virtual account error:`, providerError.response?.data || providerError.message);
             return res.status(500).json({
                 success: false,
-                message: 'Failed to create or retrieve customer',
+                message: 'Failed to create virtual account: ' + (providerError.response?.data?.message || providerError.message),
             });
         }
 
-        // Create virtual account
-        try {
-            const paystackResponse = await axios.post(
-                'https://api.paystack.co/dedicated_account',
-                {
-                    customer: customerCode,
-                    preferred_bank: preferredBank,
-                },
-                {
-                    headers: {
-                        Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
-                        'Content-Type': 'application/json',
-                    },
-                    timeout: 15000,
-                }
-            );
-
-            if (paystackResponse.data.status && paystackResponse.data.data) {
-                const virtualAccount = paystackResponse.data.data;
-
-                // ✅ FIX: Generate paystackReference if missing from Paystack response
-                const paystackReference = virtualAccount.reference || `REF_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-                console.log(`💰 Paystack virtual account created:`, {
-                    account_number: virtualAccount.account_number,
-                    reference: paystackReference,
-                    customer_code: customerCode
-                });
-
-                // ✅ FIX: Save to database with ALL required fields
-                const newVirtualAccount = new VirtualAccount({
-                    userId: userId,
-                    accountNumber: virtualAccount.account_number,
-                    accountName: virtualAccount.account_name,
-                    bankName: virtualAccount.bank.name,
-                    bankCode: virtualAccount.bank.id.toString(),
-                    customerCode: customerCode,
-                    assigned: true,
-                    active: true,
-                    paystackReference: paystackReference // ✅ This is now provided
-                });
-
-                await newVirtualAccount.save();
-
-                console.log(`✅ Virtual account saved to database: ${virtualAccount.account_number}`);
-
-                // ✅ ADD THIS: Update the user document automatically
-                // ✅ ADD THIS: Update the user document automatically
-await User.updateOne(
-    { _id: userId },
-    {
-        $set: {
-            virtualAccountNumber: virtualAccount.account_number,
-            virtualAccount: {
-                assigned: true,
-                accountNumber: virtualAccount.account_number,
-                accountName: virtualAccount.account_name,
-                bankName: virtualAccount.bank.name,
-                bankCode: virtualAccount.bank.id.toString(),
-                customerCode: customerCode,
-                reference: paystackReference  // ← ADD THIS LINE!
-            }
-        }
-    }
-);
-
-console.log(`✅ User document updated with virtual account info: ${userId}`);
-
-                return res.json({
-                    success: true,
-                    accountNumber: virtualAccount.account_number,
-                    accountName: virtualAccount.account_name,
-                    bankName: virtualAccount.bank.name,
-                    active: true,
-                    customerCode: customerCode,
-                    message: 'Virtual account created successfully',
-                });
-            } else {
-                throw new Error(paystackResponse.data.message || 'Paystack API error');
-            }
-        } catch (paystackError) {
-            console.error('Paystack virtual account error:', paystackError.response?.data || paystackError.message);
-
-            // Handle case where customer already has virtual account
-            if (paystackError.response?.data?.message?.includes('already been assigned')) {
-                console.log(`ℹ️ Customer already has virtual account, retrieving...`);
-
-                try {
-                    const accountsResponse = await axios.get(
-                        `https://api.paystack.co/dedicated_account?customer=${customerCode}`,
-                        {
-                            headers: {
-                                Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
-                            },
-                            timeout: 10000,
-                        }
-                    );
-
-                    if (accountsResponse.data.data && accountsResponse.data.data.length > 0) {
-                        const existingPaystackAccount = accountsResponse.data.data[0];
-
-                        // ✅ FIX: Generate paystackReference for existing account
-                        const paystackReference = existingPaystackAccount.reference || `REF_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-                        // Save to our database
-                                           // Save to our database
-                        const newVirtualAccount = new VirtualAccount({
-                            userId: userId,
-                            accountNumber: existingPaystackAccount.account_number,
-                            accountName: existingPaystackAccount.account_name,
-                            bankName: existingPaystackAccount.bank.name,
-                            bankCode: existingPaystackAccount.bank.id.toString(),
-                            customerCode: customerCode,
-                            assigned: true,
-                            active: existingPaystackAccount.active,
-                            paystackReference: paystackReference
-                        });
-
-                        await newVirtualAccount.save();
-
-                        // ✅ ALSO UPDATE THE USER DOCUMENT
-                        await User.updateOne(
-                            { _id: userId },
-                            {
-                                $set: {
-                                    virtualAccountNumber: existingPaystackAccount.account_number,
-                                    virtualAccount: {
-                                        assigned: true,
-                                        accountNumber: existingPaystackAccount.account_number,
-                                        accountName: existingPaystackAccount.account_name,
-                                        bankName: existingPaystackAccount.bank.name,
-                                        bankCode: existingPaystackAccount.bank.id.toString(),
-                                        customerCode: customerCode,
-                                        reference: paystackReference  // ← ADD THIS!
-                                    }
-                                }
-                            }
-                        );
+        console.log(`💰 ${provider().name} virtual account ready:`, {
+            account_number: account.accountNumber,
+            reference: account.reference,
+        });
 
-                        console.log(`✅ Existing virtual account saved: ${existingPaystackAccount.account_number}`);
+        // Save to database with ALL required fields
+        const newVirtualAccount = new VirtualAccount({
+            provider: provider().name,
+            userId: userId,
+            accountNumber: account.accountNumber,
+            accountName: account.accountName,
+            bankName: account.bankName,
+            bankCode: account.bankCode,
+            active: account.active,
+            ...account.providerFields,
+        });
 
-                        return res.json({
-                            success: true,
-                            accountNumber: existingPaystackAccount.account_number,
-                            accountName: existingPaystackAccount.account_name,
-                            bankName: existingPaystackAccount.bank.name,
-                            active: existingPaystackAccount.active,
-                            customerCode: customerCode,
-                            message: 'Virtual account retrieved successfully',
-                        });
+        await newVirtualAccount.save();
+
+        console.log(`✅ Virtual account saved to database: ${account.accountNumber}`);
+
+        // Update the user document automatically
+        await User.updateOne(
+            { _id: userId },
+            {
+                $set: {
+                    virtualAccountNumber: account.accountNumber,
+                    virtualAccount: {
+                        assigned: true,
+                        accountNumber: account.accountNumber,
+                        accountName: account.accountName,
+                        bankName: account.bankName,
+                        bankCode: account.bankCode,
+                        customerCode: account.providerFields.customerCode || null,
+                        reference: account.reference,
                     }
-                } catch (getError) {
-                    console.error('Failed to get existing account:', getError.message);
                 }
             }
+        );
 
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to create virtual account: ' + (paystackError.response?.data?.message || paystackError.message),
-            });
-        }
+        console.log(`✅ User document updated with virtual account info: ${userId}`);
+
+        return res.json({
+            success: true,
+            accountNumber: account.accountNumber,
+            accountName: account.accountName,
+            bankName: account.bankName,
+            active: account.active,
+            customerCode: account.providerFields.customerCode,
+            message: 'Virtual account created successfully',
+        });
     } catch (error) {
         console.error('Instant virtual account creation error:', error);
         res.status(500).json({
@@ -329,10 +189,11 @@ console.log(`✅ User document updated with virtual account info: ${userId}`);
 });
 
 // Add this route to fix existing users with missing paystackReference
-router.post('/fix-missing-references', async (req, res) => {
+router.post('/fix-missing-references', requirePermission('accounts.repair'), async (req, res) => {
     try {
         // Find all virtual accounts missing paystackReference or with invalid ones
         const brokenAccounts = await VirtualAccount.find({
+            provider: 'paystack',
             $or: [
                 { paystackReference: { $exists: false } },
                 { paystackReference: null },
@@ -343,6 +204,7 @@ router.post('/fix-missing-references', async (req, res) => {
         console.log(`🔧 Found ${brokenAccounts.length} accounts with missing paystackReference`);
 
         let fixedCount = 0;
+        const fixed = [];
         
         for (const account of brokenAccounts) {
             try {
@@ -354,11 +216,22 @@ router.post('/fix-missing-references', async (req, res) => {
                 
                 console.log(`✅ Fixed account ${account.accountNumber} for user ${account.userId}`);
                 fixedCount++;
+                fixed.push({ accountNumber: account.accountNumber, userId: account.userId, paystackReference: newReference });
             } catch (saveError) {
                 console.error(`❌ Failed to fix account ${account.accountNumber}:`, saveError.message);
             }
         }
 
+        if (fixedCount > 0) {
+            await audit.log({
+                action: 'account.references_fixed',
+                req,
+                target: { type: 'virtual_account' },
+                before: { paystackReference: null },
+                metadata: { fixedCount, totalFound: brokenAccounts.length, accounts: fixed }
+            });
+        }
+
         res.json({
             success: true,
             message: `Fixed ${fixedCount} out of ${brokenAccounts.length} accounts with missing references`,
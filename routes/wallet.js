@@ -3,103 +3,53 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
-
-// ✅ Wallet top-up endpoint for payment verification
-router.post('/top-up', async (req, res) => {
+const ledger = require('../utils/ledger');
+const auth = require('../utils/auth');
+const { requirePermission, actorOf } = require('../utils/permissions');
+const adjustments = require('../utils/adjustments');
+const audit = require('../utils/audit');
+const { MONEY, parseKobo } = require('../utils/money');
+
+// ==================== PROVIDER TOP-UPS ====================
+// Both credit a wallet from provider clearing for a payment the caller vouches for, so
+// neither posts directly any more: each files a provider_topup adjustment request (202)
+// and a second operator approves it before the balance moves (utils/adjustments.js).
+// Evidence: reference is the provider reference; note (or description) says why.
+const requestTopUp = ({ label, transactionType, gateway, defaultSource, defaultDescription }) => async (req, res) => {
     try {
-        const { userId, amount, reference, source, description } = req.body;
+        const { userId, reference } = req.body;
+        const source = req.body.source || defaultSource;
+        const description = req.body.description || defaultDescription;
 
-        console.log('💰 Wallet top-up request:', { userId, amount, reference });
+        console.log(`💰 ${label} request:`, { userId, amount: req.body.amount, reference });
 
-        if (!userId || !amount || !reference) {
+        if (!userId || !req.body.amount || !reference) {
             return res.status(400).json({
                 success: false,
                 message: 'userId, amount, and reference are required'
             });
         }
 
-        // Find user
-        const user = await User.findById(userId);
-        if (!user) {
-            return res.status(404).json({
+        // Amounts are integer kobo
+        let amount;
+        try {
+            amount = parseKobo(req.body.amount);
+        } catch (error) {
+            return res.status(400).json({
                 success: false,
-                message: 'User not found'
+                message: error.message
             });
         }
 
-        // Check if transaction already exists
-        const existingTransaction = await Transaction.findOne({
-            reference: reference,
-            type: 'wallet_funding'
-        });
-
-        if (existingTransaction) {
-            console.log('⚠️ Transaction already processed:', reference);
-            return res.json({
-                success: true,
-                message: 'Payment already processed',
-                newBalance: user.walletBalance,
-                transactionId: existingTransaction._id
-            });
+        const evidence = adjustments.readEvidence(req.body, { providerReference: reference, note: req.body.description });
+        const missing = adjustments.missingEvidence(evidence);
+        if (missing) {
+            return res.status(400).json({ success: false, message: missing });
         }
 
-        // Update wallet balance
-        const oldBalance = user.walletBalance;
-        user.walletBalance += parseFloat(amount);
-        await user.save();
-
-        // FIXED: Use correct enum values
-        const transaction = new Transaction({
-            userId: userId,
-            type: 'wallet_funding', // This exists in the enum
-            amount: parseFloat(amount),
-            reference: reference,
-            status: 'success', // This exists in the enum
-            description: description || 'Wallet funding',
-            previousBalance: oldBalance,
-            newBalance: user.walletBalance,
-            source: source || 'paystack_funding',
-            gateway: 'paystack'
-        });
-
-        await transaction.save();
-
-        console.log('✅ Wallet topped up successfully:', {
-            userId: userId,
-            amount: amount,
-            oldBalance: oldBalance,
-            newBalance: user.walletBalance
-        });
-
-        res.json({
-            success: true,
-            message: 'Wallet topped up successfully',
-            amount: amount,
-            newBalance: user.walletBalance,
-            transactionId: transaction._id
-        });
-
-    } catch (error) {
-        console.error('💥 Wallet top-up error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Wallet top-up failed: ' + error.message
-        });
-    }
-});
-
-// ✅ Virtual account top-up endpoint for webhook transfers
-router.post('/virtual-account-topup', async (req, res) => {
-    try {
-        const { userId, amount, reference, description, source } = req.body;
-
-        console.log('💰 Virtual account top-up request:', { userId, amount, reference });
-
-        if (!userId || !amount || !reference) {
-            return res.status(400).json({
-                success: false,
-                message: 'userId, amount, and reference are required'
-            });
+        const requestedBy = actorOf(req, req.body.by);
+        if (!requestedBy) {
+            return res.status(400).json({ success: false, message: 'by (who is asking) is required' });
         }
 
         // Find user
@@ -112,73 +62,73 @@ router.post('/virtual-account-topup', async (req, res) => {
         }
 
         // Check if transaction already exists to prevent double credit
-        const existingTransaction = await Transaction.findOne({
-            reference: reference
-        });
-
+        const existingTransaction = await Transaction.findOne({ reference: reference });
         if (existingTransaction) {
-            console.log('⚠️ Virtual account transaction already processed:', reference);
+            console.log(`⚠️ ${label} already processed:`, reference);
             return res.json({
                 success: true,
-                message: 'Virtual account payment already processed',
+                message: 'Payment already processed',
                 newBalance: user.walletBalance,
-                transactionId: existingTransaction._id
+                transactionId: existingTransaction._id,
+                ...MONEY
             });
         }
 
-        // Update wallet balance
-        const oldBalance = user.walletBalance;
-        user.walletBalance += parseFloat(amount);
-        await user.save();
-
-        // FIXED: Use correct enum values
-        const transaction = new Transaction({
-            userId: userId,
-            type: 'virtual_account_deposit', // Use the new enum value
-            amount: parseFloat(amount),
-            reference: reference,
-            status: 'success', // Use 'success' not 'completed'
-            description: description || 'Virtual account deposit',
-            balanceBefore: oldBalance,
-            balanceAfter: user.walletBalance,
-            source: source || 'virtual_account_transfer',
-            gateway: 'paystack_virtual_account',
-            metadata: {
-                source: 'virtual_account_webhook',
-                transferType: 'virtual_account_deposit',
-                processedAt: new Date().toISOString()
-            }
-        });
-
-        await transaction.save();
-
-        console.log('✅ Virtual account top-up successful:', {
-            userId: userId,
-            amount: amount,
-            oldBalance: oldBalance,
-            newBalance: user.walletBalance,
-            reference: reference
-        });
-
-        res.json({
+        const request = await adjustments.createRequest({
+            kind: 'provider_topup',
+            userId: user._id,
+            amount,
+            journalReference: String(reference),
+            target: { transactionType, gateway, source, description },
+            evidence,
+            requestedBy,
+            balanceAtRequest: user.walletBalance
+        }, { req });
+
+        res.status(202).json({
             success: true,
-            message: 'Virtual account deposit processed successfully',
-            amount: amount,
-            newBalance: user.walletBalance,
-            transactionId: transaction._id
+            message: 'Top-up requested - another operator must approve it before the balance changes',
+            request,
+            amount,
+            currentBalance: user.walletBalance,
+            ...MONEY
         });
 
     } catch (error) {
-        console.error('💥 Virtual account top-up error:', error);
+        console.error(`💥 ${label} error:`, error);
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'A top-up for this reference is already awaiting approval'
+            });
+        }
         res.status(500).json({
             success: false,
-            message: 'Virtual account top-up failed: ' + error.message
+            message: `${label} failed: ${error.message}`
         });
     }
-});
+};
+
+// ✅ Wallet top-up endpoint for payment verification
+router.post('/top-up', requirePermission('balance.adjust'), requestTopUp({
+    label: 'Wallet top-up',
+    transactionType: 'wallet_funding',
+    gateway: 'paystack',
+    defaultSource: 'paystack_funding',
+    defaultDescription: 'Wallet funding'
+}));
+
+// ✅ Virtual account top-up endpoint for webhook transfers
+router.post('/virtual-account-topup', requirePermission('balance.adjust'), requestTopUp({
+    label: 'Virtual account top-up',
+    transactionType: 'virtual_account_topup',
+    gateway: 'paystack_virtual_account',
+    defaultSource: 'virtual_account_transfer',
+    defaultDescription: 'Virtual account deposit'
+}));
 
 // ✅ Get wallet balance
-router.get('/balance/:userId', async (req, res) => {
+router.get('/balance/:userId', auth.requireUser, auth.ownsParam(), async (req, res) => {
     try {
         const { userId } = req.params;
 
@@ -193,7 +143,8 @@ router.get('/balance/:userId', async (req, res) => {
         res.json({
             success: true,
             walletBalance: user.walletBalance,
-            userId: userId
+            userId: userId,
+            ...MONEY
         });
 
     } catch (error) {
@@ -206,7 +157,7 @@ router.get('/balance/:userId', async (req, res) => {
 });
 
 // ✅ Emergency balance sync endpoint
-router.post('/emergency-sync', async (req, res) => {
+router.post('/emergency-sync', requirePermission('balance.adjust'), async (req, res) => {
     try {
         const { userId } = req.body;
 
@@ -226,49 +177,43 @@ router.post('/emergency-sync', async (req, res) => {
             });
         }
 
-        // Get all successful transactions for this user
-        const transactions = await Transaction.find({
-            userId,
-            status: 'completed',
-            type: 'wallet_funding'
-        });
-
-        // Calculate total balance from transactions
-        let calculatedBalance = 0;
-        transactions.forEach(transaction => {
-            calculatedBalance += transaction.amount;
+        // The ledger postings are the source of truth - rebuild the cached balance from them
+        const { cached, derived, corrected } = await ledger.withTransaction(async (session) => {
+            const result = await ledger.reconcileWalletBalance(user._id, { session });
+            await audit.log({
+                action: 'wallet.reconciled',
+                req,
+                target: { type: 'user', id: user._id },
+                before: { balance: result.cached },
+                after: { balance: result.derived },
+                metadata: { corrected: result.corrected }
+            }, { session });
+            return result;
         });
 
-        // Update user balance if different
-        const balanceChanged = user.walletBalance !== calculatedBalance;
-        if (balanceChanged) {
-            const oldBalance = user.walletBalance;
-            user.walletBalance = calculatedBalance;
-            await user.save();
-
+        if (corrected) {
             console.log('✅ Emergency sync completed:', {
                 userId: userId,
-                oldBalance: oldBalance,
-                newBalance: calculatedBalance,
-                transactionsCount: transactions.length
+                oldBalance: cached,
+                newBalance: derived
             });
 
             res.json({
                 success: true,
                 message: 'Emergency sync completed - Balance corrected',
-                oldBalance: oldBalance,
-                newBalance: calculatedBalance,
-                transactionsCount: transactions.length,
-                balanceCorrected: true
+                oldBalance: cached,
+                newBalance: derived,
+                balanceCorrected: true,
+                ...MONEY
             });
         } else {
-            console.log('ℹ️ Emergency sync - Balance already correct:', user.walletBalance);
+            console.log('ℹ️ Emergency sync - Balance already correct:', cached);
             res.json({
                 success: true,
                 message: 'Balance already correct',
-                currentBalance: user.walletBalance,
-                transactionsCount: transactions.length,
-                balanceCorrected: false
+                currentBalance: cached,
+                balanceCorrected: false,
+                ...MONEY
             });
         }
 
@@ -282,17 +227,38 @@ router.post('/emergency-sync', async (req, res) => {
 });
 
 // ✅ Force balance update endpoint (for manual corrections)
-router.post('/force-update-balance', async (req, res) => {
+// Files an adjustment request - another operator approves it at /api/admin/adjustments
+// before anything posts (utils/adjustments.js). Either { newBalance } (the difference
+// from the balance now is what gets approved) or { amount, direction: credit|debit },
+// plus the evidence: note (or reason), and providerReference or screenshotUrl.
+router.post('/force-update-balance', requirePermission('balance.adjust'), async (req, res) => {
     try {
-        const { userId, newBalance, reason } = req.body;
+        const { userId, newBalance, direction = 'credit' } = req.body;
 
-        if (!userId || newBalance === undefined) {
+        if (!userId || (newBalance === undefined && req.body.amount === undefined)) {
+            return res.status(400).json({
+                success: false,
+                message: 'userId and newBalance (or amount) are required'
+            });
+        }
+        if (!['credit', 'debit'].includes(direction)) {
             return res.status(400).json({
                 success: false,
-                message: 'userId and newBalance are required'
+                message: 'direction must be credit or debit'
             });
         }
 
+        const evidence = adjustments.readEvidence(req.body);
+        const missing = adjustments.missingEvidence(evidence);
+        if (missing) {
+            return res.status(400).json({ success: false, message: missing });
+        }
+
+        const requestedBy = actorOf(req, req.body.by);
+        if (!requestedBy) {
+            return res.status(400).json({ success: false, message: 'by (who is asking) is required' });
+        }
+
         const user = await User.findById(userId);
         if (!user) {
             return res.status(404).json({
@@ -301,45 +267,51 @@ router.post('/force-update-balance', async (req, res) => {
             });
         }
 
-        const oldBalance = user.walletBalance;
-        user.walletBalance = parseFloat(newBalance);
-        await user.save();
-
-        // Log the manual balance adjustment
-        const transaction = new Transaction({
-            userId: userId,
-            type: 'balance_adjustment',
-            amount: parseFloat(newBalance) - oldBalance,
-            reference: `MANUAL_${Date.now()}`,
-            status: 'completed',
-            description: `Manual balance adjustment: ${reason || 'No reason provided'}`,
-            previousBalance: oldBalance,
-            newBalance: user.walletBalance,
-            source: 'manual_correction',
-            metadata: {
-                adjustmentType: 'manual',
-                reason: reason,
-                processedBy: 'system_admin',
-                processedAt: new Date().toISOString()
+        let adjustmentAmount;
+        let targetBalance;
+        try {
+            if (newBalance !== undefined) {
+                targetBalance = parseKobo(newBalance);
+                adjustmentAmount = targetBalance - user.walletBalance;
+            } else {
+                adjustmentAmount = parseKobo(req.body.amount) * (direction === 'debit' ? -1 : 1);
             }
-        });
-
-        await transaction.save();
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
 
-        console.log('✅ Force balance update completed:', {
-            userId: userId,
-            oldBalance: oldBalance,
-            newBalance: user.walletBalance,
-            reason: reason
-        });
+        if (adjustmentAmount === 0) {
+            return res.json({
+                success: true,
+                message: 'Balance already at requested value',
+                oldBalance: user.walletBalance,
+                newBalance: user.walletBalance,
+                adjustmentAmount: 0,
+                ...MONEY
+            });
+        }
 
-        res.json({
+        const request = await adjustments.createRequest({
+            kind: 'balance_correction',
+            userId: user._id,
+            direction: adjustmentAmount > 0 ? 'credit' : 'debit',
+            amount: Math.abs(adjustmentAmount),
+            evidence,
+            requestedBy,
+            balanceAtRequest: user.walletBalance,
+            requestedBalance: targetBalance
+        }, { req });
+
+        res.status(202).json({
             success: true,
-            message: 'Balance force updated successfully',
-            oldBalance: oldBalance,
-            newBalance: user.walletBalance,
-            adjustmentAmount: parseFloat(newBalance) - oldBalance,
-            transactionId: transaction._id
+            message: 'Adjustment requested - another operator must approve it before the balance changes',
+            request,
+            currentBalance: user.walletBalance,
+            adjustmentAmount: adjustmentAmount,
+            ...MONEY
         });
 
     } catch (error) {
@@ -352,7 +324,7 @@ router.post('/force-update-balance', async (req, res) => {
 });
 
 // ✅ Get wallet transactions
-router.get('/transactions/:userId', async (req, res) => {
+router.get('/transactions/:userId', auth.requireUser, auth.ownsParam(), async (req, res) => {
     try {
         const { userId } = req.params;
         const { limit = 50, page = 1, type } = req.query;
@@ -374,7 +346,8 @@ router.get('/transactions/:userId', async (req, res) => {
             transactions: transactions,
             totalTransactions: totalTransactions,
             currentPage: parseInt(page),
-            totalPages: Math.ceil(totalTransactions / parseInt(limit))
+            totalPages: Math.ceil(totalTransactions / parseInt(limit)),
+            ...MONEY
         });
 
     } catch (error) {
@@ -393,8 +366,8 @@ router.get('/health', (req, res) => {
         message: 'Wallet service is running',
         timestamp: new Date().toISOString(),
         endpoints: [
-            'POST /top-up - Wallet top-up',
-            'POST /virtual-account-topup - Virtual account deposits',
+            'POST /top-up - Request a wallet top-up (needs approval)',
+            'POST /virtual-account-topup - Request a virtual account deposit credit (needs approval)',
             'GET /balance/:userId - Get balance',
             'POST /emergency-sync - Emergency balance sync',
             'POST /force-update-balance - Force balance update',
@@ -0,0 +1,170 @@
+// routes/webhookReplay.js - Look at stored webhooks and run them through today's handlers
+// Same as scripts/replay-webhooks.js. Replays are idempotent (see utils/webhookInbox.js):
+// an event that already credited is ignored, so this can't pay anyone twice. Use
+// dryRun first - it shows what today's pipeline would credit, and for settled events
+// how that differs from what was credited.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const WebhookEvent = require('../models/WebhookEvent');
+const webhookInbox = require('../utils/webhookInbox');
+const { requirePermission, actorOf } = require('../utils/permissions');
+const audit = require('../utils/audit');
+const { MONEY } = require('../utils/money');
+
+const MAX_REPLAY = 100;
+
+// Staff with reports.read look, webhooks.replay replays (utils/permissions.js)
+const canRead = requirePermission('reports.read');
+const canReplay = requirePermission('webhooks.replay');
+
+const listOf = (value) => (value === undefined || value === '' ? undefined : String(value).split(',').map(s => s.trim()).filter(Boolean));
+
+const isDate = (value) => value === undefined || !Number.isNaN(new Date(value).getTime());
+
+// ========== LIST ==========
+// GET /events?source=cashwyre-process&status=processed,failed&from=2024-05-01&to=2024-05-31
+router.get('/events', canRead, async (req, res) => {
+  const { from, to } = req.query;
+  if (!isDate(from) || !isDate(to)) {
+    return res.status(400).json({ success: false, message: 'from / to must be dates' });
+  }
+
+  try {
+    const filter = {};
+    const sources = listOf(req.query.source);
+    const statuses = listOf(req.query.status);
+    if (sources) filter.source = { $in: sources };
+    if (statuses) filter.status = { $in: statuses };
+    if (from || to) {
+      filter.createdAt = {
+        ...(from && { $gte: new Date(from) }),
+        ...(to && { $lte: new Date(to) })
+      };
+    }
+
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const skip = Number(req.query.skip) || 0;
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-rawBody -headers -payload'),
+      WebhookEvent.countDocuments(filter)
+    ]);
+
+    res.json({ success: true, total, count: events.length, events });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.get('/events/:id', canRead, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid id' });
+  }
+
+  try {
+    const event = await WebhookEvent.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Webhook event not found' });
+    }
+    res.json({ success: true, event });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ========== REPLAY ==========
+// Real replays need "by" (the logged-in staff member, or sent with the main
+// backend's key) - it is stored on the event's replays
+const replayOptions = (req, res) => {
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+  const by = actorOf(req, req.body.by);
+  if (!dryRun && !by) {
+    res.status(400).json({ success: false, message: 'by (who is replaying) is required unless dryRun' });
+    return null;
+  }
+  return { dryRun, by };
+};
+
+// Real replays are audit events, one per stored webhook; dry runs change nothing
+const auditReplays = async (req, summaries, { dryRun, by }) => {
+  if (dryRun) return;
+  for (const summary of summaries) {
+    await audit.log({
+      action: 'webhook.replayed',
+      req,
+      target: { type: 'webhook_event', id: summary.id },
+      after: { status: summary.status },
+      metadata: { by, source: summary.source, eventId: summary.eventId, skipped: summary.skipped || false, reason: summary.reason, error: summary.error, result: summary.result }
+    });
+  }
+};
+
+// { dryRun, by }
+router.post('/events/:id/replay', canReplay, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid id' });
+  }
+  const options = replayOptions(req, res);
+  if (!options) return;
+
+  try {
+    const outcome = await webhookInbox.replay(req.params.id, options);
+    if (!outcome.event) {
+      return res.status(404).json({ success: false, message: 'Webhook event not found' });
+    }
+
+    const summary = webhookInbox.replaySummary(outcome);
+    await auditReplays(req, [summary], options);
+    const status = outcome.skipped ? 409 : 200;
+    res.status(status).json({ success: !outcome.skipped && !outcome.error, dryRun: options.dryRun, ...summary, ...MONEY });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// { ids: [...] } or { source, status, from, to } (at least one), plus dryRun, by, limit (max 100)
+router.post('/replay', canReplay, async (req, res) => {
+  const options = replayOptions(req, res);
+  if (!options) return;
+
+  const { ids, from, to } = req.body;
+  const source = listOf(req.body.source);
+  const status = listOf(req.body.status);
+  if (!isDate(from) || !isDate(to)) {
+    return res.status(400).json({ success: false, message: 'from / to must be dates' });
+  }
+  if (!Array.isArray(ids) && !source && !from && !to) {
+    return res.status(400).json({ success: false, message: 'Give ids, or at least one of source / from / to' });
+  }
+
+  try {
+    const filter = Array.isArray(ids)
+      ? { ids: ids.filter(id => mongoose.isValidObjectId(id)) }
+      : { source, status, from, to };
+    const limit = Math.min(Number(req.body.limit) || MAX_REPLAY, MAX_REPLAY);
+
+    const outcomes = await webhookInbox.replayMatching(filter, { ...options, limit });
+    const results = outcomes.map(webhookInbox.replaySummary);
+    await auditReplays(req, results, options);
+
+    console.log(`🔁 Webhook replay${options.dryRun ? ' (dry run)' : ''}: ${results.length} event(s)`);
+    res.json({
+      success: true,
+      dryRun: options.dryRun,
+      count: results.length,
+      failed: results.filter(r => r.error).length,
+      wouldCredit: options.dryRun ? results.filter(r => r.preview?.wouldCredit).length : undefined,
+      results,
+      ...MONEY
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
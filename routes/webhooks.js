@@ -1,146 +1,234 @@
 // routes/webhooks.js - FINAL UNIVERSAL VERSION
 const express = require("express");
 const router = express.Router();
-const crypto = require("crypto");
-const mongoose = require("mongoose");
 
 const User = require("../models/User");
 const Transaction = require("../models/Transaction");
-
-const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY?.trim();
-if (!PAYSTACK_SECRET_KEY) throw new Error("PAYSTACK_SECRET_KEY missing");
-
-const processedWebhooks = new Set();
-
-const handlePayStackWebhook = async (req, res) => {
-  const webhookId = `wh_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
-  console.log(`\nPAYSTACK WEBHOOK [${webhookId}]`);
-  console.log("Full payload:", JSON.stringify(req.body, null, 2));
-
-  res.status(200).json({ status: "OK", received: true });
-
-  if (!req.rawBody) {
-    console.error("RAW BODY MISSING");
-    return;
+const ledger = require("../utils/ledger");
+const { formatNaira } = require("../utils/money");
+const { getProvider } = require("../providers");
+const webhookInbox = require("../utils/webhookInbox");
+const feeEngine = require("../utils/feeEngine");
+const levies = require("../utils/levies");
+const { queueCreditSync } = require("../utils/syncVirtualAccount");
+const audit = require("../utils/audit");
+
+// Metadata userId, then customer email, then the dedicated account number
+const findPaystackUser = async (data, accountNumber, session = null) => {
+  let user = null;
+
+  if (data.metadata?.userId) {
+    user = await User.findById(data.metadata.userId).session(session);
+    console.log("Found by userId:", data.metadata.userId);
   }
 
-  const signature = req.headers["x-paystack-signature"];
-  if (!signature) {
-    console.log("Missing signature");
-    return;
+  if (!user && data.customer?.email) {
+    user = await User.findOne({ email: data.customer.email.toLowerCase().trim() }).session(session);
+    console.log("Found by email:", data.customer.email);
   }
 
-  const hash = crypto.createHmac("sha512", PAYSTACK_SECRET_KEY)
-    .update(req.rawBody)
-    .digest("hex");
-
-  if (!crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(signature))) {
-    console.log("Invalid signature");
-    return;
+  if (!user && accountNumber) {
+    user = await User.findOne({ "virtualAccount.accountNumber": accountNumber }).session(session);
+    console.log("Found by virtual account:", accountNumber);
   }
 
-  console.log("Signature verified");
+  return user;
+};
 
-  let event;
-  try {
-    event = JSON.parse(req.rawBody.toString());
-  } catch (err) {
-    console.log("Invalid JSON");
-    return;
-  }
+// Runs from the inbox (utils/webhookInbox.js) on a stored event - throwing marks it failed for retry
+const processPayStackEvent = async (stored) => {
+  const event = getProvider("paystack").parseWebhook(stored.payload);
 
-  if (event.event !== "charge.success" || event.data?.status !== "success") {
-    console.log(`Ignored: ${event.event} | Status: ${event.data?.status}`);
-    return;
+  if (event.event !== "deposit" || event.status !== "completed") {
+    console.log(`Ignored: ${event.gatewayEvent} | Status: ${event.raw.data?.status}`);
+    return { ignored: true, reason: `${event.gatewayEvent} (${event.raw.data?.status})` };
   }
 
-  const data = event.data;
-  const reference = data.reference;
-  const amountNaira = data.amount / 100;
+  const data = event.raw.data;
+  const reference = event.reference;
+  const grossAmount = event.amount; // providers report kobo
   const channel = data.channel || "unknown";
-  const accountNumber = data.authorization?.receiver_bank_account_number;
+  const accountNumber = event.accountNumber;
+  const webhookEventId = stored._id;
 
   console.log(`PAYMENT SUCCESS`);
-  console.log(`Amount: ₦${amountNaira}`);
+  console.log(`Amount: ${formatNaira(grossAmount)}`);
   console.log(`Reference: ${reference}`);
   console.log(`Channel: ${channel}`);
   console.log(`Virtual Account: ${accountNumber || 'None'}`);
   console.log(`User ID: ${data.metadata?.userId}`);
   console.log(`Email: ${data.customer?.email}`);
 
-  const key = `${reference}_${data.id}`;
-  if (processedWebhooks.has(key)) {
-    console.log("Duplicate ignored");
-    return;
+  // Card charges started by initialize-paystack include the fee quoted there
+  const { fee, credit: amount, scheduleVersion } = await feeEngine.includedFee(reference, grossAmount);
+  // A dedicated account deposit is a bank transfer in - EMTL applies, out of our side
+  const levy = levies.assess({ fee, amount: grossAmount, inbound: Boolean(accountNumber) });
+
+  return ledger.withTransaction(async (session) => {
+    const existingTx = await Transaction.findOne({ 
+      reference, 
+      status: "completed" 
+    }).session(session);
+
+    if (existingTx) {
+      console.log("Already credited");
+      return { ignored: true, reason: "Already credited", reference };
+    }
+
+    const user = await findPaystackUser(data, accountNumber, session);
+
+    if (!user) {
+      console.log("USER NOT FOUND");
+      throw new Error(`No user for Paystack payment ${reference}`);
+    }
+
+    const { balances } = await ledger.postJournal({
+      reference,
+      type: "deposit",
+      description: accountNumber ? "Virtual account deposit" : `PayStack ${channel}`,
+      postings: [
+        ledger.debit(ledger.ACCOUNTS.PROVIDER_CLEARING, grossAmount, { provider: "paystack" }),
+        ledger.credit(ledger.ACCOUNTS.USER_WALLET, amount, { userId: user._id }),
+        ...levies.feePostings(fee, levy)
+      ],
+      metadata: { source: "paystack_webhook", channel, webhookEventId, fee, feeScheduleVersion: scheduleVersion, vat: levy.vat, emtl: levy.emtl }
+    }, { session });
+    const { before, after } = balances[user._id.toString()];
+
+    // A card charge from initialize-paystack already has a pending row under this reference
+    await Transaction.findOneAndUpdate(
+      { reference },
+      {
+        $set: {
+          userId: user._id,
+          type: "wallet_funding",
+          amount,
+          status: "completed",
+          balanceBefore: before,
+          balanceAfter: after,
+          serviceCharge: fee,
+          feeScheduleVersion: scheduleVersion,
+          levies: { vat: levy.vat, emtl: levy.emtl },
+          gateway: "paystack",
+          gatewayResponse: data,
+          gatewayReference: reference,
+          description: accountNumber ? "Virtual account deposit" : `PayStack ${channel}`,
+          "metadata.channel": channel,
+          "metadata.paystackData": data,
+          "metadata.webhookEventId": webhookEventId
+        },
+        $setOnInsert: { reference }
+      },
+      { upsert: true, session, new: true }
+    );
+
+    await queueCreditSync({
+      userId: user._id,
+      reference,
+      amount,
+      fee,
+      balanceBefore: before,
+      balanceAfter: after,
+      gateway: "paystack",
+      origin: accountNumber ? "paystack_dedicated_account" : "paystack_webhook"
+    }, { session });
+
+    await audit.log({
+      action: "deposit.credited",
+      actor: { type: "system", id: "paystack_webhook" },
+      target: { type: "user", id: user._id },
+      before: { walletBalance: before },
+      after: { walletBalance: after },
+      metadata: { gateway: "paystack", reference, channel, accountNumber, webhookEventId, amountPaid: grossAmount, amount, fee }
+    }, { session });
+
+    console.log(`CREDITED +${formatNaira(amount)} → ${user.email}`);
+    console.log(`NEW BALANCE: ${formatNaira(after)}`);
+    return { reference, userId: user._id, amount, balanceBefore: before, balanceAfter: after };
+  });
+};
+
+// Dry-run replay: what processPayStackEvent would credit today, nothing written
+const previewPayStackEvent = async (stored) => {
+  const event = getProvider("paystack").parseWebhook(stored.payload);
+  if (event.event !== "deposit" || event.status !== "completed") {
+    return { wouldCredit: false, reason: `${event.gatewayEvent} (${event.raw.data?.status})` };
   }
-  processedWebhooks.add(key);
 
-  const session = await mongoose.startSession();
+  const reference = event.reference;
+  const { fee, credit, scheduleVersion } = await feeEngine.includedFee(reference, event.amount);
+  const policy = { reference, amountPaid: event.amount, fee, credit, scheduleVersion };
+
+  const existingTx = await Transaction.findOne({ reference, status: "completed" });
+  if (existingTx) {
+    return { wouldCredit: false, reason: "Already credited", ...policy, creditedTo: existingTx.userId, credited: existingTx.amount, difference: credit - existingTx.amount };
+  }
+
+  const user = await findPaystackUser(event.raw.data, event.accountNumber);
+  if (!user) return { wouldCredit: false, reason: "No user - would fail", ...policy };
+
+  return { wouldCredit: true, ...policy, userId: user._id, balanceBefore: user.walletBalance, balanceAfter: user.walletBalance + credit };
+};
+
+webhookInbox.registerHandler("paystack", processPayStackEvent, { preview: previewPayStackEvent });
+// Deliveries stored by /api/payments/webhook/paystack before it shared this handler
+webhookInbox.registerHandler("paystack-payments", processPayStackEvent, { preview: previewPayStackEvent });
+
+// Store the delivery, acknowledge, then process. Only a failed store answers 500,
+// so Paystack retries exactly the deliveries we never recorded. Without
+// PAYSTACK_SECRET_KEY nothing can be verified: 503, and Paystack retries later.
+const handlePayStackWebhook = async (req, res) => {
+  console.log(`\nPAYSTACK WEBHOOK`);
+  console.log("Full payload:", JSON.stringify(req.body, null, 2));
+
+  const paystack = getProvider("paystack");
+  if (!paystack.secretKey) {
+    console.error("PAYSTACK_SECRET_KEY missing - Paystack webhook not accepted");
+    return res.status(503).json({ status: "UNAVAILABLE", received: false });
+  }
+  const signatureVerified = Boolean(req.rawBody) && paystack.verifyWebhookSignature(req.rawBody, req.headers);
+
+  let event = null;
   try {
-    await session.withTransaction(async () => {
-      const existingTx = await Transaction.findOne({ 
-        reference, 
-        status: "Successful" 
-      }).session(session);
-
-      if (existingTx) {
-        console.log("Already credited");
-        return;
-      }
-
-      let user = null;
-
-      if (data.metadata?.userId) {
-        user = await User.findById(data.metadata.userId).session(session);
-        console.log("Found by userId:", data.metadata.userId);
-      }
-
-      if (!user && data.customer?.email) {
-        user = await User.findOne({ email: data.customer.email.toLowerCase().trim() }).session(session);
-        console.log("Found by email:", data.customer.email);
-      }
-
-      if (!user && accountNumber) {
-        user = await User.findOne({ "virtualAccount.accountNumber": accountNumber }).session(session);
-        console.log("Found by virtual account:", accountNumber);
-      }
-
-      if (!user) {
-        console.log("USER NOT FOUND");
-        return;
-      }
-
-      const before = user.walletBalance || 0;
-      user.walletBalance = before + amountNaira;
-      await user.save({ session });
-
-      await Transaction.create([{
-        userId: user._id,
-        type: "Wallet Funding",
-        amount: amountNaira,
-        reference,
-        status: "Successful",
-        balanceBefore: before,
-        balanceAfter: user.walletBalance,
-        gateway: "paystack",
-        gatewayResponse: data,
-        description: accountNumber ? "Virtual account deposit" : `PayStack ${channel}`,
-        metadata: { channel, paystackData: data, webhookId }
-      }], { session });
-
-      console.log(`CREDITED +₦${amountNaira} → ${user.email}`);
-      console.log(`NEW BALANCE: ₦${user.walletBalance}`);
-    });
+    event = paystack.parseWebhook(req.rawBody || req.body);
+  } catch (err) {
+    console.log("Invalid JSON");
+  }
+
+  const rejectionReason = !req.rawBody ? "raw body missing"
+    : !signatureVerified ? "invalid signature"
+    : !event ? "invalid JSON"
+    : null;
+
+  let stored;
+  try {
+    ({ event: stored } = await webhookInbox.receive(req, {
+      provider: "paystack",
+      source: "paystack",
+      eventId: event?.eventId,
+      eventType: event?.gatewayEvent,
+      payload: event?.raw,
+      signatureVerified,
+      rejectionReason
+    }));
   } catch (error) {
-    console.error("TRANSACTION FAILED:", error.message);
-    processedWebhooks.delete(key);
-  } finally {
-    await session.endSession();
+    console.error("WEBHOOK NOT STORED:", error.message);
+    return res.status(500).json({ status: "ERROR", received: false });
+  }
+
+  if (rejectionReason) {
+    return res.status(401).json({ status: "REJECTED", received: false });
   }
-}; // ← THIS CLOSING BRACKET WAS MISSING!
 
-// BOTH ENDPOINTS USE THE SAME HANDLER
+  res.status(200).json({ status: "OK", received: true });
+
+  // Duplicates that were already processed are skipped by the inbox claim
+  await webhookInbox.processEvent(stored);
+};
+
+// BOTH ENDPOINTS USE THE SAME HANDLER (and /api/payments/webhook/paystack, routes/payments.js)
 router.post("/paystack", handlePayStackWebhook);
 router.post("/virtual-account", handlePayStackWebhook);
 
 module.exports = router;
+module.exports.handlePayStackWebhook = handlePayStackWebhook;
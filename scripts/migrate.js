@@ -0,0 +1,47 @@
+// scripts/migrate.js - Apply pending data migrations from ./migrations in order
+// Usage: npm run migrate            (apply everything not yet applied)
+//        npm run migrate -- --list  (show applied / pending)
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Migration = require('../models/Migration');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+const loadMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter(file => file.endsWith('.js'))
+  .sort()
+  .map(file => ({ name: path.basename(file, '.js'), ...require(path.join(MIGRATIONS_DIR, file)) }));
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cashwyre_wallet');
+  console.log('MongoDB connected');
+
+  const applied = new Set((await Migration.find().select('name')).map(m => m.name));
+  const migrations = loadMigrations();
+
+  if (process.argv.includes('--list')) {
+    migrations.forEach(m => console.log(`${applied.has(m.name) ? '✅' : '⏳'} ${m.name}`));
+    return;
+  }
+
+  for (const migration of migrations) {
+    if (applied.has(migration.name)) continue;
+
+    console.log(`\n🔧 Applying ${migration.name}...`);
+    const result = await migration.up();
+    await Migration.create({ name: migration.name, result: result || {} });
+    console.log(`✅ ${migration.name} applied:`, result || {});
+  }
+
+  console.log('\n✅ Migrations up to date');
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,63 @@
+// scripts/replay-webhooks.js - Run stored webhooks through the current handlers again
+// Usage: npm run replay -- --id <webhookEventId> [--dry-run]
+//        npm run replay -- --source cashwyre-process --from 2024-05-01 --to 2024-05-31
+//                          [--status processed,failed] [--limit 100] [--dry-run]
+// Real replays record --by (default $USER) on the event. Already-credited events are
+// ignored by the handlers, so a replay never credits twice.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Loading the app registers every webhook handler without starting the server
+require('../server');
+const webhookInbox = require('../utils/webhookInbox');
+const { formatNaira } = require('../utils/money');
+
+const arg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+const list = (value) => value && value.split(',').map(s => s.trim()).filter(Boolean);
+
+const describe = (summary) => {
+  const head = `${summary.id} ${summary.source} ${summary.eventId}`;
+  if (summary.skipped) return `⏭️  ${head}: ${summary.reason}`;
+  if (summary.error) return `❌ ${head}: ${summary.error}`;
+
+  if (summary.preview) {
+    const p = summary.preview;
+    const money = p.credit === undefined ? '' : ` credit ${formatNaira(p.credit)} (fee ${formatNaira(p.fee)})`;
+    const balance = p.balanceAfter === undefined ? '' : `, balance ${formatNaira(p.balanceBefore)} → ${formatNaira(p.balanceAfter)}`;
+    const drift = p.difference ? `, credited ${formatNaira(p.credited)} - off by ${formatNaira(p.difference)}` : '';
+    return `${p.wouldCredit ? '💰' : '➖'} ${head}:${money}${balance}${drift}${p.reason ? ` - ${p.reason}` : ''}`;
+  }
+
+  const r = summary.result || {};
+  return `${r.ignored ? '➖' : '✅'} ${head}: ${r.ignored ? r.reason : `credited ${formatNaira(r.amount || 0)}`}`;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const id = arg('id');
+  const filter = { source: list(arg('source')), status: list(arg('status')), from: arg('from'), to: arg('to') };
+  if (!id && !filter.source && !filter.from && !filter.to) {
+    throw new Error('Give --id, or at least one of --source / --from / --to');
+  }
+  const by = arg('by') || process.env.USER || 'cli';
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cashwyre_wallet');
+  console.log(`MongoDB connected - ${dryRun ? 'DRY RUN, nothing is written' : `replaying as ${by}`}`);
+
+  const outcomes = id
+    ? [await webhookInbox.replay(id, { dryRun, by })]
+    : await webhookInbox.replayMatching(filter, { dryRun, by, limit: Number(arg('limit')) || 100 });
+
+  outcomes.map(webhookInbox.replaySummary).forEach(summary => console.log(describe(summary)));
+  console.log(`\n${outcomes.length} event(s)${dryRun ? ' previewed' : ' replayed'}`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Replay failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -7,9 +7,37 @@ const cors = require('cors');
 const crypto = require('crypto');
 const axios = require('axios');
 require('dotenv').config();
+const ledger = require('./utils/ledger');
+const { MONEY, toKobo, formatNaira, parseKobo } = require('./utils/money');
+const { registeredModels } = require('./utils/modelRegistry');
+const { getProvider, providerFor } = require('./providers');
+const { CASHWYRE_CONFIG } = require('./providers/cashwyre');
+const webhookInbox = require('./utils/webhookInbox');
+const webhookAuth = require('./utils/webhookAuth');
+const depositProcessor = require('./utils/depositProcessor');
+const feeEngine = require('./utils/feeEngine');
+const levies = require('./utils/levies');
+const outbox = require('./utils/outbox');
+const expirySweeper = require('./utils/expirySweeper');
+const payinPolicy = require('./utils/payinPolicy');
+const payinPoller = require('./utils/payinPoller');
+const paystackReverifier = require('./utils/paystackReverifier');
+const userEvents = require('./utils/userEvents');
+const auth = require('./utils/auth');
+const { requirePermission, actorOf, roleOf } = require('./utils/permissions');
+const adjustments = require('./utils/adjustments');
+const audit = require('./utils/audit');
+const pin = require('./utils/pin');
+require('./utils/syncVirtualAccount'); // registers the main backend credit handler with the outbox
 
 const app = express();
 
+// Behind Render's proxy req.ip is the proxy's address unless this is set, and the
+// webhook IP allowlists need the caller's (TRUST_PROXY=1 for one hop)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 
 
 // ==================== SUPER FAST FIXES FOR CASHWYRE SERVER ====================
@@ -31,24 +59,89 @@ const agent = new https.Agent({
 });
 axios.defaults.httpsAgent = agent;
 
-// 3. ADD AUTO-RECOVERY FOR DEAD MONGODB CONNECTIONS
-setInterval(() => {
-  if (mongoose.connection.readyState !== 1) {
-    console.log('🔄 MongoDB disconnected, attempting to reconnect...');
-    mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cashwyre_wallet').catch(console.error);
-  }
-}, 30000);
+// 3 + 4 and the webhook retry run from start() below, so requiring this file (tests, simulator) starts no timers
+const startTimers = (mongoUri, port) => {
+  // 3. ADD AUTO-RECOVERY FOR DEAD MONGODB CONNECTIONS
+  setInterval(() => {
+    if (mongoose.connection.readyState !== 1) {
+      console.log('🔄 MongoDB disconnected, attempting to reconnect...');
+      mongoose.connect(mongoUri).catch(console.error);
+    }
+  }, 30000);
+
+  // RETRY WEBHOOKS WHOSE PROCESSING FAILED (stored in the inbox, see utils/webhookInbox.js)
+  setInterval(() => {
+    if (mongoose.connection.readyState !== 1) return;
+    webhookInbox.retryFailed().catch(error => console.error('⚠️ Webhook retry run failed:', error.message));
+  }, Number(process.env.WEBHOOK_RETRY_INTERVAL_MS) || 60000);
+
+  // DELIVER OUTBOX MESSAGES (main backend syncs, see utils/outbox.js)
+  let dispatching = false;
+  setInterval(async () => {
+    if (dispatching || mongoose.connection.readyState !== 1) return;
+    dispatching = true;
+    try {
+      await outbox.dispatchDue();
+    } catch (error) {
+      console.error('⚠️ Outbox dispatch run failed:', error.message);
+    } finally {
+      dispatching = false;
+    }
+  }, Number(process.env.OUTBOX_DISPATCH_INTERVAL_MS) || 5000);
 
-// 4. ADD KEEP-ALIVE PING (Prevents Render from sleeping)
-setInterval(async () => {
-  try {
-    const PORT = process.env.PORT || 3000;
-    await axios.get(`http://localhost:${PORT}/health`, { timeout: 5000 });
-    console.log('💓 Keep-alive ping successful');
-  } catch (error) {
-    console.log('⚠️ Keep-alive ping failed');
-  }
-}, 4 * 60 * 1000); // Every 4 minutes
+  // EXPIRE UNPAID FUNDING ACCOUNTS AND THEIR PENDING TRANSACTIONS (utils/expirySweeper.js)
+  let sweeping = false;
+  setInterval(async () => {
+    if (sweeping || mongoose.connection.readyState !== 1) return;
+    sweeping = true;
+    try {
+      await expirySweeper.sweepExpired();
+    } catch (error) {
+      console.error('⚠️ Expiry sweep failed:', error.message);
+    } finally {
+      sweeping = false;
+    }
+  }, Number(process.env.EXPIRY_SWEEP_INTERVAL_MS) || 60000);
+
+  // POLL CASHWYRE FOR OPEN FUNDING ACCOUNTS - each on its own backoff (utils/payinPoller.js)
+  let polling = false;
+  setInterval(async () => {
+    if (polling || mongoose.connection.readyState !== 1) return;
+    polling = true;
+    try {
+      await payinPoller.pollDue();
+    } catch (error) {
+      console.error('⚠️ Payin poll run failed:', error.message);
+    } finally {
+      polling = false;
+    }
+  }, Number(process.env.PAYIN_POLL_INTERVAL_MS) || 10000);
+
+  // RECHECK PENDING PAYSTACK CHECKOUTS - credit, fail, or close after the horizon (utils/paystackReverifier.js)
+  let reverifying = false;
+  setInterval(async () => {
+    if (reverifying || mongoose.connection.readyState !== 1) return;
+    reverifying = true;
+    try {
+      await paystackReverifier.reverifyDue();
+    } catch (error) {
+      console.error('⚠️ Paystack reverify run failed:', error.message);
+    } finally {
+      reverifying = false;
+    }
+  }, Number(process.env.PAYSTACK_REVERIFY_INTERVAL_MS) || 30000);
+
+  // 4. ADD KEEP-ALIVE PING (Prevents Render from sleeping) - KEEP_ALIVE=false turns it off
+  if (process.env.KEEP_ALIVE === 'false') return;
+  setInterval(async () => {
+    try {
+      await axios.get(process.env.KEEP_ALIVE_URL || `http://localhost:${port}/health`, { timeout: 5000 });
+      console.log('💓 Keep-alive ping successful');
+    } catch (error) {
+      console.log('⚠️ Keep-alive ping failed');
+    }
+  }, 4 * 60 * 1000); // Every 4 minutes
+};
 
 // 5. ADD REQUEST LOGGING FOR DEBUGGING (keep existing middleware)
 console.log('✅ SUPER FAST FIXES APPLIED FOR CASHWYRE SERVER!');
@@ -59,21 +152,14 @@ console.log('✅ SUPER FAST FIXES APPLIED FOR CASHWYRE SERVER!');
 const forceRefreshCooldown = new Map(); // Track last refresh time per user
 const FORCE_REFRESH_DELAY = 5000; // 5 seconds cooldown
 
-// Cashwyre Configuration for NGN
-const CASHWYRE_CONFIG = {
-  baseURL: 'https://businessapi.cashwyre.com/api/v1.0',
-  businessCode: 'C4B20260307000114',
-  appId: 'C4B20260307000114',
-  secretKey: 'secK_0cc3f3c57217673eb0581ba428b4d375d43d991d636303ac9c563ea8b6db2d873fb80586f448578090a1e7495b86f61423cb91121d9e957e6c9751933b3f2f9e',
-  currency: 'NGN',
-  country: 'NG'
-};
+// Cashwyre Configuration for NGN lives in providers/cashwyre.js
 
 // ==================== RAW BODY MIDDLEWARE ====================
 app.use(express.json({
   limit: '10mb',
   verify: (req, res, buf) => {
-    if (req.originalUrl.startsWith('/api/webhooks')) {
+    // Cashwyre and Paystack webhooks both need the exact bytes for signature checks
+    if (req.originalUrl.includes('/webhook')) {
       req.rawBody = buf.toString();
     }
   }
@@ -85,207 +171,40 @@ app.use(express.urlencoded({ extended: true }));
 app.use(cors({ origin: true, credentials: true }));
 app.options('*', cors());
 
-// ==================== JSON PARSER ====================
-
-
-// ==================== MONGODB MODELS ====================
-
-const UserSchema = new mongoose.Schema({
-  email: { type: String, required: true, unique: true },
-  fullName: { type: String, required: true },
-  phone: { type: String, required: true },
-  walletBalance: { type: Number, default: 0 },
-  commissionBalance: { type: Number, default: 0 },
-  transactionPin: { type: String, default: null },
-  transactionPinSet: { type: Boolean, default: false },
-  isActive: { type: Boolean, default: true },
-  role: { type: String, default: 'user' },
-  
-  // ============================================================
-  // KYC FIELDS FOR CASHWYRE RESERVE ACCOUNT
-  // ============================================================
-  bvn: { type: String, default: null },
-  nin: { type: String, default: null },
-  kycVerified: { type: Boolean, default: false },
-  kycSubmittedAt: { type: Date, default: null },
-  kycApprovedAt: { type: Date, default: null },
-  accountReference: { type: String, default: null, unique: true, sparse: true },
-  dateOfBirth: { type: Date, default: null },
-  gender: { type: String, enum: ['Male', 'Female', 'Other', null], default: null },
-  address: { type: String, default: null },
-  city: { type: String, default: null },
-  state: { type: String, default: null },
-  country: { type: String, default: 'Nigeria' },
-  
-  // Virtual Account fields for Cashwyre Reserve Account
-  virtualAccount: {
-    assigned: { type: Boolean, default: false },
-    accountNumber: { type: String, default: null },
-    accountName: { type: String, default: null },
-    bankName: { type: String, default: null },
-    bankCode: { type: String, default: null },
-    currency: { type: String, default: 'NGN' },
-    status: { type: String, default: null },
-    reference: { type: String, default: null },
-    createdOn: { type: Date, default: null }
-  },
-  
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now }
-});
-
-// Add indexes for KYC fields
-UserSchema.index({ bvn: 1 });
-UserSchema.index({ nin: 1 });
-UserSchema.index({ accountReference: 1 }, { unique: true, sparse: true });
-
-// Update your TransactionSchema to have a default createdAt
-const TransactionSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  type: { type: String, enum: ['wallet_funding', 'transfer', 'debit', 'credit', 'commission'], required: true },
-  amount: { type: Number, required: true },
-  previousBalance: { type: Number, required: true },
-  newBalance: { type: Number, required: true },
-  reference: { type: String, required: true, unique: true },
-  status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'completed' },
-  description: { type: String },
-  metadata: { type: mongoose.Schema.Types.Mixed },
-  serviceCharge: { type: Number, default: 0 },
-  cashwyreReference: { type: String },
-  completedAt: { type: Date },
-  createdAt: { type: Date, default: Date.now, index: true }  // ← ADD INDEX for sorting
-});
-
-// Add this to automatically set createdAt on save
-TransactionSchema.pre('save', function(next) {
-  if (!this.createdAt) {
-    this.createdAt = new Date();
-  }
+// ==================== REQUEST ID ====================
+// Echoed back as X-Request-Id and kept on audit events (utils/audit.js); a caller's
+// own X-Request-Id is reused so its logs line up with ours
+app.use((req, res, next) => {
+  req.id = String(req.headers['x-request-id'] || '').slice(0, 100) || crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
   next();
 });
 
+// ==================== JSON PARSER ====================
 
 
-
-// Find this schema in your server.js (around line 80-100)
-// Find this schema in your server.js (around line 80-100)
-const VirtualAccountSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  accountNumber: { type: String, required: true },
-  accountName: { type: String, required: true },
-  bankName: { type: String, required: true },
-  bankCode: { type: String, required: true },
-  currency: { type: String, default: 'NGN' },
-  
-  // ============================================================
-  // 🔥 FIX: Make these fields optional for Reserve Accounts
-  // ============================================================
-  amount: { type: Number, default: 0 },          // ← Made optional
-  totalPayable: { type: Number, default: 0 },    // ← Made optional
-  fee: { type: Number, default: 0 },             // ← Made optional
-  
-  cashwyreRequestId: { type: String, required: true, unique: true },
-  cashwyreReference: { type: String },
-  expiresOn: { type: Date, default: null },      // ← Made optional
-  expiresOnInMins: { type: Number, default: 0 }, // ← Made optional
-  active: { type: Boolean, default: true },
-  processedAt: { type: Date },
-  createdAt: { type: Date, default: Date.now },
-  
-  // ADD THESE TWO FIELDS
-  accountReference: { type: String, default: null },
-  status: { type: String, default: 'ACTIVE' },
-  
-  // ADD THIS FOR KYC METADATA
-  metadata: { type: mongoose.Schema.Types.Mixed, default: {} }
-});
-
-// Indexes
-VirtualAccountSchema.index({ userId: 1, createdAt: -1 });
-VirtualAccountSchema.index({ accountNumber: 1 }, { unique: true });
-VirtualAccountSchema.index({ accountReference: 1 });
-
-const User = mongoose.model('User', UserSchema);
-const Transaction = mongoose.model('Transaction', TransactionSchema);
-const VirtualAccount = mongoose.model('VirtualAccount', VirtualAccountSchema);
-
-// Unmatched Webhook Schema for debugging
-const UnmatchedWebhookSchema = new mongoose.Schema({
-  reference: { type: String },
-  payload: { type: mongoose.Schema.Types.Mixed },
-  receivedAt: { type: Date, default: Date.now }
-});
-const UnmatchedWebhook = mongoose.model('UnmatchedWebhook', UnmatchedWebhookSchema);
+// ==================== MONGODB MODELS ====================
+// One definition per model, shared with the Paystack routers (see utils/modelRegistry.js)
+const User = require('./models/User');
+const VirtualAccount = require('./models/VirtualAccount');
+const Transaction = require('./models/Transaction');
+require('./models/WebhookEvent');
 
 // ==================== HELPER FUNCTIONS ====================
 const generateRequestId = () => {
   return `${Date.now()}${crypto.randomBytes(4).toString('hex')}`;
 };
 
-const calculateServiceCharge = (amount) => {
-  // 1.5% service charge on all deposits
-  // Minimum charge: ₦1.50 (for small amounts)
-  // Maximum charge: ₦7,500 (for ₦500,000 deposits)
-  
-  const percentage = 1.5 / 100; // 1.5%
-  let fee = amount * percentage;
-  
-  // Round to 2 decimal places (kobo)
-  fee = Math.round(fee * 100) / 100;
-  
-  // Minimum fee of ₦1.50 for very small amounts
-  if (fee < 1.50 && amount > 0) {
-    fee = 1.50;
-  }
-  
-  // Maximum fee cap (optional, for large amounts)
-  const MAX_FEE = 7500; // 1.5% of ₦500,000
-  if (fee > MAX_FEE) {
-    fee = MAX_FEE;
-  }
-  
-  console.log(`💰 Fee calculation: ₦${amount} × 1.5% = ₦${fee}`);
-  
-  return fee;
-};
-
-// Cashwyre API Call
-const cashwyreApiCall = async (endpoint, data) => {
-  const response = await axios.post(
-    `${CASHWYRE_CONFIG.baseURL}${endpoint}`,
-    data,
-    {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${CASHWYRE_CONFIG.secretKey}`,
-        'Accept': 'application/json'
-      },
-      timeout: 30000
-    }
-  );
-  return response.data;
-};
-
 // Create Dynamic Virtual Account
 // Create Dynamic Virtual Account - Frontend shows fixed fee, backend calculates adjustment
-const createDynamicAccount = async (userId, amount) => {
+// amount is in kobo; Cashwyre still speaks naira, so convert at the edge.
+// feeQuote: the dynamic_payin quote the route already checked, if any
+const createDynamicAccount = async (userId, amount, feeQuote = null) => {
   const requestId = generateRequestId();
   
-  // FRONTEND DISPLAY FEE (what user sees)
-  // In createDynamicAccount function, replace the frontendDisplayFee calculation:
-
-// FRONTEND DISPLAY FEE (what user sees) - 1.5% of amount
-let frontendDisplayFee = 0;
-if (amount > 0) {
-  frontendDisplayFee = amount * 0.015; // 1.5%
-  frontendDisplayFee = Math.round(frontendDisplayFee * 100) / 100;
-  if (frontendDisplayFee < 1.50) {
-    frontendDisplayFee = 1.50;
-  }
-  if (frontendDisplayFee > 7500) {
-    frontendDisplayFee = 7500;
-  }
-}
+  // FRONTEND DISPLAY FEE (what user sees) - the same quote GET /api/fees/quote gave the app
+  const { fee: frontendDisplayFee, scheduleVersion: feeScheduleVersion } =
+    feeQuote || await feeEngine.quote('dynamic_payin', amount);
   
   // Calculate what user should pay TOTAL (what they see in frontend)
   const userSeesTotalPayable = amount + frontendDisplayFee;
@@ -295,157 +214,170 @@ if (amount > 0) {
   expiresOn.setHours(expiresOn.getHours() + 1); // 1 hour from now
   const expiresOnInMins = 60;
   
-  // Prepare payload for Cashwyre - send the ORIGINAL amount
-  const payload = {
-    appId: CASHWYRE_CONFIG.appId,
-    requestId: requestId,
-    amount: amount,  // Send original amount (e.g., 100)
-    currency: CASHWYRE_CONFIG.currency,
-    businessCode: CASHWYRE_CONFIG.businessCode,
-    country: CASHWYRE_CONFIG.country,
-    feeType: "sender"
-  };
+  const provider = providerFor('dynamicAccount');
+  
+  // Under / overpayment handling, fixed for the life of this account
+  const mismatchPolicy = payinPolicy.policyFor('dynamic_payin');
   
   try {
-    console.log(`💰 Calling Cashwyre /payin/initiatePayin for amount: ₦${amount}`);
+    console.log(`💰 Calling ${provider.name} createDynamicAccount for amount: ${formatNaira(amount)}`);
     console.log(`   feeType: sender (customer pays fee)`);
     
-    const result = await cashwyreApiCall('/payin/initiatePayin', payload);
-    
-    if (result.success) {
-      // Cashwyre returns depositAmount (includes their fee)
-      const cashwyreDepositAmount = result.data.depositAmount || amount;
-      const cashwyreFee = result.data.feeAmount || 0;
-      
-      // BACKEND CALCULATES THE ACTUAL ADJUSTMENT
-      // User should pay total = amount + frontendDisplayFee (e.g., ₦150)
-      // Cashwyre says user pays = cashwyreDepositAmount (e.g., ₦101.50)
-      // So your ACTUAL platform fee = userSeesTotalPayable - cashwyreDepositAmount
-      const actualPlatformFee = userSeesTotalPayable - cashwyreDepositAmount;
-      
-      // The user pays this amount (same as what they see in frontend)
-      const userTotalPayable = userSeesTotalPayable;
-      
-      console.log(`💰 CASHWYRE PAYIN RESPONSE:`);
-      console.log(`   Account Number: ${result.data.accountNumber}`);
-      console.log(`   Account Name: ${result.data.accountName}`);
-      console.log(`   Bank Name: ${result.data.bankName}`);
-      console.log(`   Cashwyre Fee: ₦${cashwyreFee}`);
-      console.log(`   Cashwyre Deposit Amount: ₦${cashwyreDepositAmount}`);
+    // Send the ORIGINAL amount - the provider adds its own fee on top
+    const account = await provider.createDynamicAccount({ requestId, amount });
+    
+    // Provider returns depositAmount (includes their fee)
+    const cashwyreDepositAmount = account.depositAmount;
+    const cashwyreFee = account.providerFee;
+    
+    // BACKEND CALCULATES THE ACTUAL ADJUSTMENT
+    // User should pay total = amount + frontendDisplayFee (e.g., ₦150)
+    // Cashwyre says user pays = cashwyreDepositAmount (e.g., ₦101.50)
+    // So your ACTUAL platform fee = userSeesTotalPayable - cashwyreDepositAmount
+    const actualPlatformFee = userSeesTotalPayable - cashwyreDepositAmount;
+    
+    // The user pays this amount (same as what they see in frontend)
+    const userTotalPayable = userSeesTotalPayable;
+    
+    console.log(`💰 CASHWYRE PAYIN RESPONSE:`);
+    console.log(`   Account Number: ${account.accountNumber}`);
+    console.log(`   Account Name: ${account.accountName}`);
+    console.log(`   Bank Name: ${account.bankName}`);
+    console.log(`   Cashwyre Fee: ${formatNaira(cashwyreFee)}`);
+    console.log(`   Cashwyre Deposit Amount: ${formatNaira(cashwyreDepositAmount)}`);
+    
+    console.log(`💰 BACKEND ADJUSTMENT CALCULATION:`);
+    console.log(`   User wants to fund: ${formatNaira(amount)}`);
+    console.log(`   Frontend shows fee: ${formatNaira(frontendDisplayFee)}`);
+    console.log(`   User sees total: ${formatNaira(userSeesTotalPayable)}`);
+    console.log(`   Cashwyre says user pays: ${formatNaira(cashwyreDepositAmount)}`);
+    console.log(`   Backend adjustment: ${formatNaira(actualPlatformFee)}`);
+    console.log(`   TOTAL USER PAYS: ${formatNaira(userTotalPayable)}`);
+    console.log(`   User receives: ${formatNaira(amount)}`);
+    console.log(`   Expires On: ${expiresOn.toISOString()}`);
+    
+    // Create pending transaction in MongoDB
+    const user = await User.findById(userId);
+    if (user) {
+      const balanceBefore = user.walletBalance;
       
-      console.log(`💰 BACKEND ADJUSTMENT CALCULATION:`);
-      console.log(`   User wants to fund: ₦${amount}`);
-      console.log(`   Frontend shows fee: ₦${frontendDisplayFee}`);
-      console.log(`   User sees total: ₦${userSeesTotalPayable}`);
-      console.log(`   Cashwyre says user pays: ₦${cashwyreDepositAmount}`);
-      console.log(`   Backend adjustment: ₦${actualPlatformFee.toFixed(2)}`);
-      console.log(`   TOTAL USER PAYS: ₦${userTotalPayable}`);
-      console.log(`   User receives: ₦${amount}`);
-      console.log(`   Expires On: ${expiresOn.toISOString()}`);
+      const existingPending = await Transaction.findOne({ 
+        reference: requestId,
+        status: 'pending'
+      });
       
-      // Create pending transaction in MongoDB
-      const user = await User.findById(userId);
-      if (user) {
-        const balanceBefore = user.walletBalance;
-        
-        const existingPending = await Transaction.findOne({ 
+      if (!existingPending) {
+        const pendingTransaction = new Transaction({
+          userId: userId,
+          type: 'wallet_funding',
+          amount: amount,
+          balanceBefore: balanceBefore,
+          balanceAfter: balanceBefore,
           reference: requestId,
-          status: 'pending'
+          cashwyreReference: account.reference,
+          status: 'pending',
+          feeScheduleVersion,
+          description: `Wallet funding - ${formatNaira(amount)}`,
+          createdAt: new Date(), 
+          metadata: {
+            source: 'cashwyre_payin',
+            accountNumber: account.accountNumber,
+            accountName: account.accountName,
+            bankName: account.bankName,
+            bankCode: account.bankCode,
+            cashwyreDepositAmount: cashwyreDepositAmount,
+            cashwyreFee: cashwyreFee,
+            frontendDisplayFee: frontendDisplayFee,
+            actualPlatformFee: actualPlatformFee,
+            totalPayable: userTotalPayable,
+            amountToCredit: amount,
+            transactionReference: account.transactionReference,
+            feeType: account.feeType,
+            canConfirmPayin: account.canConfirmPayin,
+            requestId: requestId,
+            expiresOn: expiresOn,
+            expiresOnInMins: expiresOnInMins
+          },
+          completedAt: null
         });
         
-        if (!existingPending) {
-          const pendingTransaction = new Transaction({
-            userId: userId,
-            type: 'wallet_funding',
-            amount: amount,
-            previousBalance: balanceBefore,
-            newBalance: balanceBefore,
-            reference: requestId,
-            cashwyreReference: result.data.reference,
-            status: 'pending',
-            description: `Wallet funding - ₦${amount}`,
-            createdAt: new Date(), 
-            metadata: {
-              source: 'cashwyre_payin',
-              accountNumber: result.data.accountNumber,
-              accountName: result.data.accountName,
-              bankName: result.data.bankName,
-              bankCode: result.data.bankCode,
-              cashwyreDepositAmount: cashwyreDepositAmount,
-              cashwyreFee: cashwyreFee,
-              frontendDisplayFee: frontendDisplayFee,
-              actualPlatformFee: actualPlatformFee,
-              totalPayable: userTotalPayable,
-              amountToCredit: amount,
-              transactionReference: result.data.transactionReference,
-              feeType: result.data.feeType,
-              canConfirmPayin: result.data.canConfirmPayin,
-              requestId: requestId,
-              expiresOn: expiresOn,
-              expiresOnInMins: expiresOnInMins
-            },
-            completedAt: null
-          });
-          
-          await pendingTransaction.save();
-          console.log(`✅ Pending transaction saved to MongoDB`);
-        }
+        await pendingTransaction.save();
+        console.log(`✅ Pending transaction saved to MongoDB`);
+
+        await userEvents.publish([{
+          userId,
+          type: 'deposit.pending',
+          reference: requestId,
+          data: {
+            amount,
+            totalPayable: userTotalPayable,
+            accountNumber: account.accountNumber,
+            bankName: account.bankName,
+            expiresOn,
+            source: 'cashwyre_payin'
+          }
+        }]).catch(error => console.error('⚠️ deposit.pending not published:', error.message));
       }
-      
-      // Store virtual account info in MongoDB
-      // In createDynamicAccount function (around line 120-140)
-const virtualAccount = new VirtualAccount({
-  userId,
-  accountNumber: result.data.accountNumber,
-  accountName: result.data.accountName,
-  bankName: result.data.bankName,
-  bankCode: result.data.bankCode,
-  currency: result.data.currency || 'NGN',
-  amount: amount,                          // ← REQUIRED for funding
-  totalPayable: userTotalPayable,          // ← REQUIRED for funding
-  fee: frontendDisplayFee,                 // ← REQUIRED for funding
-  cashwyreRequestId: requestId,
-  cashwyreReference: result.data.reference,
-  expiresOn: expiresOn,
-  expiresOnInMins: expiresOnInMins,
-  active: true,
-  accountReference: null,                  // ← Not a reserve account
-  status: 'ACTIVE',
-  metadata: { accountType: 'funding' }
-});
-      
-      await virtualAccount.save();
-      
-      console.log(`✅ Payin initiated successfully`);
-      console.log(`   Account: ${result.data.accountNumber}`);
-      console.log(`   Bank: ${result.data.bankName}`);
-      console.log(`   Reference: ${result.data.reference}`);
-      console.log(`   User pays: ₦${userTotalPayable}`);
-      console.log(`   User receives: ₦${amount}`);
-      console.log(`   Frontend shows fee: ₦${frontendDisplayFee}`);
-      console.log(`   Actual backend fee: ₦${actualPlatformFee.toFixed(2)}`);
-      console.log(`   Expires: ${expiresOn.toISOString()}`);
-      
-      return {
-        success: true,
-        data: {
-          accountNumber: result.data.accountNumber,
-          accountName: result.data.accountName,
-          bankName: result.data.bankName,
-          bankCode: result.data.bankCode,
-          expiresOn: expiresOn.toISOString(),
-          expiresOnInMins: expiresOnInMins,
-          amount: amount,
-          totalPayable: userTotalPayable,
-          fee: frontendDisplayFee,
-          reference: result.data.reference,
-          transactionReference: result.data.transactionReference,
-          feeType: result.data.feeType,
-          requestId: requestId
-        }
-      };
     }
-    return result;
+    
+    // Store virtual account info in MongoDB
+    // In createDynamicAccount function (around line 120-140)
+    const virtualAccount = new VirtualAccount({
+      provider: provider.name,
+      userId,
+      accountNumber: account.accountNumber,
+      accountName: account.accountName,
+      bankName: account.bankName,
+      bankCode: account.bankCode,
+      currency: account.currency || 'NGN',
+      amount: amount,                          // ← REQUIRED for funding
+      totalPayable: userTotalPayable,          // ← REQUIRED for funding
+      fee: frontendDisplayFee,                 // ← REQUIRED for funding
+      feeScheduleVersion,
+      payinPolicy: mismatchPolicy,             // what a short or excess payment gets
+      cashwyreRequestId: requestId,
+      cashwyreReference: account.reference,
+      expiresOn: expiresOn,
+      expiresOnInMins: expiresOnInMins,
+      active: true,
+      accountReference: null,                  // ← Not a reserve account
+      status: 'ACTIVE',
+      metadata: { accountType: 'funding' }
+    });
+    
+    await virtualAccount.save();
+    
+    console.log(`✅ Payin initiated successfully`);
+    console.log(`   Account: ${account.accountNumber}`);
+    console.log(`   Bank: ${account.bankName}`);
+    console.log(`   Reference: ${account.reference}`);
+    console.log(`   User pays: ${formatNaira(userTotalPayable)}`);
+    console.log(`   User receives: ${formatNaira(amount)}`);
+    console.log(`   Frontend shows fee: ${formatNaira(frontendDisplayFee)}`);
+    console.log(`   Actual backend fee: ${formatNaira(actualPlatformFee)}`);
+    console.log(`   Expires: ${expiresOn.toISOString()}`);
+    
+    return {
+      success: true,
+      data: {
+        accountNumber: account.accountNumber,
+        accountName: account.accountName,
+        bankName: account.bankName,
+        bankCode: account.bankCode,
+        expiresOn: expiresOn.toISOString(),
+        expiresOnInMins: expiresOnInMins,
+        amount: amount,
+        totalPayable: userTotalPayable,
+        fee: frontendDisplayFee,
+        feeScheduleVersion,
+        payinPolicy: mismatchPolicy,
+        reference: account.reference,
+        transactionReference: account.transactionReference,
+        feeType: account.feeType,
+        requestId: requestId,
+        ...MONEY
+      }
+    };
   } catch (error) {
     console.error('Error:', error.message);
     throw error;
@@ -460,103 +392,82 @@ const virtualAccount = new VirtualAccount({
 
 
 
-// Update Wallet Balance
-const updateWalletBalance = async (userId, amount, type, reference, description, metadata = {}) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
+// Store a Cashwyre webhook in the inbox before acting on it (utils/webhookInbox.js).
+// Signature, timestamp and source IP are checked here (utils/webhookAuth.js); failures
+// are stored as rejected and answered 401. Answers 500 when it can't be stored, so the
+// sender retries - returns the stored event, or null once a response has been sent.
+const receiveCashwyreWebhook = async (req, res, { source, eventId, eventType, payload, rejectionReason = null }) => {
+  let auth;
+  try {
+    auth = webhookAuth.authenticateWebhook(req, source);
+  } catch (error) {
+    // Whatever a caller sends, a bad signature is a 401 - never a crash
+    console.error(`❌ ${source} webhook signature check failed:`, error.message);
+    res.status(401).json({ success: false, message: 'invalid signature' });
+    return null;
+  }
+  rejectionReason = auth.rejectionReason || rejectionReason;
   
   try {
-    const user = await User.findById(userId).session(session);
-    if (!user) throw new Error('User not found');
-    
-    const previousBalance = user.walletBalance;
-    let newBalance = previousBalance;
-    let serviceCharge = 0;
-    
-    if (type === 'credit') {
-      newBalance = previousBalance + amount;
-    } else if (type === 'debit') {
-      if (previousBalance < amount) throw new Error('Insufficient balance');
-      newBalance = previousBalance - amount;
-    }
-    
-    user.walletBalance = newBalance;
-    user.updatedAt = new Date();
-    await user.save({ session });
-    
-    if (type === 'credit' && amount >= 100) {
-      serviceCharge = calculateServiceCharge(amount);
-    }
-    
-    const transaction = new Transaction({
-  userId,
-  type: type === 'credit' ? 'wallet_funding' : 'debit',
-  amount,
-  previousBalance,
-  newBalance,
-  reference,
-  status: 'completed',
-  description,
-  metadata,
-  serviceCharge,
-  createdAt: new Date(),  // ← USE ACTUAL DATE
-  completedAt: new Date()
-});
-    
-    await transaction.save({ session });
-    
-    if (serviceCharge > 0) {
-      const serviceChargeTx = new Transaction({
-        userId,
-        type: 'commission',
-        amount: serviceCharge,
-        previousBalance: 0,
-        newBalance: serviceCharge,
-        reference: `${reference}_SERVICE_CHARGE`,
-        status: 'completed',
-        description: `Service charge for ₦${amount} deposit`,
-        metadata: { originalTransaction: reference, originalAmount: amount },
-        serviceCharge: serviceCharge,
-        completedAt: new Date()
-      });
-      await serviceChargeTx.save({ session });
+    const { event } = await webhookInbox.receive(req, {
+      provider: 'cashwyre', source, eventId, eventType, payload,
+      signatureVerified: auth.signatureVerified,
+      rejectionReason
+    });
+    if (rejectionReason) {
+      res.status(401).json({ success: false, message: rejectionReason });
+      return null;
     }
-    
-    await session.commitTransaction();
-    
-    return {
-      success: true,
-      newBalance,
-      serviceCharge,
-      transaction: { id: transaction._id, reference, amount }
-    };
+    return event;
   } catch (error) {
-    await session.abortTransaction();
-    throw error;
-  } finally {
-    session.endSession();
+    console.error(`❌ ${source} webhook not stored:`, error.message);
+    res.status(500).json({ success: false, message: 'Webhook not stored, please retry' });
+    return null;
   }
 };
 
+// processEvent outcome -> { success, message, ... } response body
+const inboxResponse = ({ event, result, error, skipped }) => {
+  if (error) return { success: false, message: error.message, webhookEventId: event._id };
+  if (skipped) return { success: true, message: `Already ${event.status}`, webhookEventId: event._id };
+  if (result.ignored) return { success: true, message: result.reason, webhookEventId: event._id };
+  return { success: true, ...result, webhookEventId: event._id };
+};
+
 // ==================== API ENDPOINTS ====================
 
 // Health check
-app.get('/health', (req, res) => res.json({ status: 'OK', service: 'Cashwyre Wallet' }));
+app.get('/health', (req, res) => res.json({ status: 'OK', service: 'Cashwyre Wallet', eventStreams: userEvents.connectionCount() }));
 
 // Create dynamic virtual account
-app.post('/api/virtual-accounts/create-dynamic', async (req, res) => {
+app.post('/api/virtual-accounts/create-dynamic', auth.requireUser, auth.actAsSelf('userId'), async (req, res) => {
   try {
-    const { userId, amount } = req.body;
+    const { userId } = req.body;
     
     if (!userId) {
       return res.status(400).json({ success: false, message: 'User ID required' });
     }
     
-    if (!amount || amount < 100) {
-      return res.status(400).json({ success: false, message: 'Minimum amount is ₦100' });
+    let amount;
+    try {
+      amount = parseKobo(req.body.amount);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    
+    // Amount is in kobo (10000 = ₦100)
+    if (amount < 10000) {
+      return res.status(400).json({ success: false, message: 'Minimum amount is ₦100 (10000 kobo)' });
+    }
+    
+    // The app sends back the fee it displayed (fee); refuse to open an account at another price
+    const feeQuote = await feeEngine.quote('dynamic_payin', amount);
+    const feeChanged = feeEngine.quoteMismatch(feeQuote, req.body.fee);
+    if (feeChanged) {
+      return res.status(409).json({ success: false, message: feeChanged, quote: feeQuote, ...MONEY });
     }
     
-    const result = await createDynamicAccount(userId, amount);
+    const result = await createDynamicAccount(userId, amount, feeQuote);
     res.json(result);
   } catch (error) {
     console.error('Create account error:', error.message);
@@ -569,12 +480,26 @@ app.post('/api/virtual-accounts/create-dynamic', async (req, res) => {
 
 
 
+// KYC fields for audit snapshots - BVN / NIN down to their last 4 digits
+const maskId = (value) => (value ? `****${String(value).slice(-4)}` : null);
+const kycSnapshot = (user) => ({
+  bvn: maskId(user.bvn),
+  nin: maskId(user.nin),
+  kycVerified: user.kycVerified,
+  accountReference: user.accountReference,
+  kycSubmittedAt: user.kycSubmittedAt,
+  kycApprovedAt: user.kycApprovedAt,
+  address: user.address,
+  dateOfBirth: user.dateOfBirth,
+  gender: user.gender
+});
+
 // server.js - ADD THESE ROUTES
 // ============================================================
 // CASHWYRE RESERVE ACCOUNT (DEDICATED ACCOUNT) - ENHANCED DEBUG
 // ============================================================
 
-app.post('/api/cashwyre/reserve-account', async (req, res) => {
+app.post('/api/cashwyre/reserve-account', auth.requireUser, auth.actAsSelf('userId'), async (req, res) => {
   console.log('\n' + '='.repeat(80));
   console.log('🏦🏦🏦 KYC RESERVE ACCOUNT REQUEST RECEIVED 🏦🏦🏦');
   console.log('Time:', new Date().toISOString());
@@ -649,7 +574,7 @@ app.post('/api/cashwyre/reserve-account', async (req, res) => {
       });
     }
     console.log(`✅ USER FOUND: ${user.fullName} (${user.email})`);
-    console.log(`   Current wallet balance: ₦${user.walletBalance}`);
+    console.log(`   Current wallet balance: ${formatNaira(user.walletBalance)}`);
     console.log(`   KYC Verified: ${user.kycVerified}`);
 
     // 🔥 LOG 4: CHECK EXISTING ACCOUNT
@@ -683,125 +608,44 @@ app.post('/api/cashwyre/reserve-account', async (req, res) => {
     }
     console.log('ℹ️ No existing account found - proceeding to create new one');
 
-    // 🔥 LOG 5: PREPARE CASHWYRE PAYLOAD
-    console.log('\n📤 PREPARING CASHWYRE PAYLOAD:');
-    const requestId = `${Date.now()}${Math.random().toString(36).substring(2, 10)}`;
-    console.log(`   Generated Request ID: ${requestId}`);
-
-    const cashwyrePayload = {
-      appId: CASHWYRE_CONFIG.businessCode,
-      requestId: requestId,
-      country: country,
-      currency: currency,
-      firstName: firstName.substring(0, 50),
-      lastName: lastName.substring(0, 50),
-      email: email || '',
-      phoneNumber: phoneNumber,
-      accountReference: accountReference,
-      bvn: bvn || '',
-      nin: nin || '',
-      businessCode: CASHWYRE_CONFIG.businessCode
-    };
-
-    console.log('\n📤 CASHWYRE REQUEST PAYLOAD:');
-    console.log(JSON.stringify(cashwyrePayload, null, 2));
-    console.log(`\n🔑 Using Secret Key: ${CASHWYRE_CONFIG.secretKey.substring(0, 10)}...`);
-    console.log(`🏢 Business Code: ${CASHWYRE_CONFIG.businessCode}`);
-    console.log(`🌐 URL: ${CASHWYRE_CONFIG.baseURL}/ReserveAccount/createReserveAccount`);
-
-    // 🔥 LOG 6: CALL CASHWYRE API
-    console.log('\n⏳ CALLING CASHWYRE API...');
+    // 🔥 LOG 5: CALL PROVIDER
+    const provider = providerFor('reserveAccount');
+    console.log(`\n⏳ CALLING ${provider.name.toUpperCase()} createDedicatedAccount...`);
     const startTime = Date.now();
 
-    const cashwyreResponse = await axios.post(
-      `${CASHWYRE_CONFIG.baseURL}/ReserveAccount/createReserveAccount`,
-      cashwyrePayload,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${CASHWYRE_CONFIG.secretKey}`,
-          'Accept': 'application/json'
-        },
-        timeout: 30000
-      }
-    );
+    const accountData = await provider.createDedicatedAccount({
+      userId,
+      firstName,
+      lastName,
+      email,
+      phone: phoneNumber,
+      bvn,
+      nin,
+      accountReference,
+      currency,
+      country
+    });
 
     const responseTime = Date.now() - startTime;
-    console.log(`\n⏱️ Cashwyre API Response Time: ${responseTime}ms`);
-
-    // 🔥 LOG 7: CASHWYRE RESPONSE
-    console.log('\n📥 CASHWYRE RESPONSE:');
-    console.log(`   Status: ${cashwyreResponse.status}`);
-    console.log(`   Success: ${cashwyreResponse.data.success}`);
-    console.log('   Full Response:');
-    console.log(JSON.stringify(cashwyreResponse.data, null, 2));
-
-    // 🔥 LOG 8: PROCESS RESPONSE
-    if (cashwyreResponse.data.success === true) {
-      const accountData = cashwyreResponse.data.data;
-      
-      console.log('\n✅ CASHWYRE ACCOUNT CREATED SUCCESSFULLY:');
-      console.log(`   Account Number: ${accountData.accountNumber}`);
-      console.log(`   Account Name: ${accountData.accountName}`);
-      console.log(`   Bank Name: ${accountData.bankName || 'Moniepoint Microfinance Bank'}`);
-      console.log(`   Bank Code: ${accountData.bankCode || '50515'}`);
-      console.log(`   Currency: ${accountData.currency || 'NGN'}`);
-      console.log(`   Status: ${accountData.status || 'ACTIVE'}`);
-      console.log(`   Created On: ${accountData.createdOn}`);
+    console.log(`\n⏱️ ${provider.name} API Response Time: ${responseTime}ms`);
+
+    // 🔥 LOG 6: PROVIDER RESPONSE
+    console.log('\n📥 PROVIDER RESPONSE:');
+    console.log(JSON.stringify(accountData.raw, null, 2));
+
+    console.log(`\n✅ ${provider.name.toUpperCase()} ACCOUNT CREATED SUCCESSFULLY:`);
+    console.log(`   Account Number: ${accountData.accountNumber}`);
+    console.log(`   Account Name: ${accountData.accountName}`);
+    console.log(`   Bank Name: ${accountData.bankName}`);
+    console.log(`   Bank Code: ${accountData.bankCode}`);
+    console.log(`   Currency: ${accountData.currency}`);
+    console.log(`   Status: ${accountData.status}`);
+    console.log(`   Created On: ${accountData.createdOn}`);
 
     // 🔥 LOG 9: SAVE TO MONGODB
-console.log('\n💾 SAVING TO MONGODB...');
-
-// Check if account already exists by accountReference OR accountNumber
-let existingAccount = await VirtualAccount.findOne({
-  $or: [
-    { accountReference: accountReference },
-    { accountNumber: accountData.accountNumber }
-  ]
-});
+    console.log('\n💾 SAVING TO MONGODB...');
 
-if (existingAccount) {
-  // Update existing account
-  console.log('🔄 Updating existing account:', existingAccount.accountNumber);
-  existingAccount.accountNumber = accountData.accountNumber;
-  existingAccount.accountName = accountData.accountName;
-  existingAccount.bankName = accountData.bankName || 'Moniepoint Microfinance Bank';
-  existingAccount.bankCode = accountData.bankCode || '50515';
-  existingAccount.status = accountData.status || 'ACTIVE';
-  existingAccount.active = true;
-  existingAccount.updatedAt = new Date();
-  existingAccount.metadata = {
-    ...existingAccount.metadata,
-    address: address,
-    dateOfBirth: dateOfBirth,
-    gender: gender,
-    bvn: bvn,
-    nin: nin,
-    kycSubmittedAt: new Date(),
-    accountType: 'reserve'
-  };
-  await existingAccount.save();
-  console.log(`✅ Updated existing account: ${existingAccount.accountNumber}`);
-} else {
-  // Create new account
-  const newAccount = new VirtualAccount({
-    userId: userId,
-    accountNumber: accountData.accountNumber,
-    accountName: accountData.accountName,
-    bankName: accountData.bankName || 'Moniepoint Microfinance Bank',
-    bankCode: accountData.bankCode || '50515',
-    currency: accountData.currency || 'NGN',
-    accountReference: accountReference,
-    active: true,
-    status: accountData.status || 'ACTIVE',
-    cashwyreRequestId: requestId,
-    amount: 0,
-    totalPayable: 0,
-    fee: 0,
-    expiresOn: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
-    expiresOnInMins: 525600,
-    createdAt: new Date(),
-    metadata: {
+    const kycMetadata = {
       address: address,
       dateOfBirth: dateOfBirth,
       gender: gender,
@@ -809,76 +653,118 @@ if (existingAccount) {
       nin: nin,
       kycSubmittedAt: new Date(),
       accountType: 'reserve'
-    }
-  });
-  await newAccount.save();
-  console.log(`✅ Created new account: ${newAccount.accountNumber}`);
-}
-
-      
+    };
 
-      // 🔥 LOG 10: UPDATE USER
-      console.log('\n👤 UPDATING USER RECORD...');
-      user.bvn = bvn || user.bvn;
-      user.nin = nin || user.nin;
-      user.kycVerified = true;
-      user.accountReference = accountReference;
-      user.kycSubmittedAt = new Date();
-      user.kycApprovedAt = new Date();
-      user.address = address || user.address;
-      if (dateOfBirth) user.dateOfBirth = new Date(dateOfBirth);
-      if (gender) user.gender = gender;
-      
-      await user.save();
-      console.log(`✅ User updated: ${user.fullName}`);
-      console.log(`   KYC Verified: ${user.kycVerified}`);
-      console.log(`   Account Reference: ${user.accountReference}`);
-
-      // 🔥 LOG 11: FINAL RESPONSE
-      console.log('\n📤 FINAL RESPONSE TO CLIENT:');
-      const finalResponse = {
-        success: true,
-        message: 'Reserve account created successfully',
-        account: {
-          accountNumber: accountData.accountNumber,
-          accountName: accountData.accountName,
-          bankName: accountData.bankName || 'Moniepoint Microfinance Bank',
-          bankCode: accountData.bankCode || '50515',
-          currency: accountData.currency || 'NGN',
-          status: accountData.status || 'ACTIVE',
-          accountReference: accountReference,
-          createdOn: accountData.createdOn
-        },
-        kycStatus: {
-          verified: true,
-          bvnProvided: !!bvn,
-          ninProvided: !!nin
-        }
-      };
-      
-      console.log(JSON.stringify(finalResponse, null, 2));
-      console.log('\n' + '='.repeat(80));
-      console.log('✅✅✅ KYC RESERVE ACCOUNT CREATED SUCCESSFULLY ✅✅✅');
-      console.log('='.repeat(80) + '\n');
+    // Check if account already exists by accountReference OR accountNumber
+    const reserveAccount = await VirtualAccount.findOne({
+      $or: [
+        { accountReference: accountReference },
+        { accountNumber: accountData.accountNumber }
+      ]
+    });
 
-      return res.json(finalResponse);
-      
+    if (reserveAccount) {
+      // Update existing account
+      console.log('🔄 Updating existing account:', reserveAccount.accountNumber);
+      reserveAccount.accountNumber = accountData.accountNumber;
+      reserveAccount.accountName = accountData.accountName;
+      reserveAccount.bankName = accountData.bankName;
+      reserveAccount.bankCode = accountData.bankCode;
+      reserveAccount.status = accountData.status;
+      reserveAccount.active = true;
+      reserveAccount.metadata = { ...reserveAccount.metadata, ...kycMetadata };
+      await reserveAccount.save();
+      console.log(`✅ Updated existing account: ${reserveAccount.accountNumber}`);
     } else {
-      // Cashwyre returned success: false
-      console.log('\n❌ CASHWYRE API RETURNED FAILURE:');
-      console.log(`   Message: ${cashwyreResponse.data.message || 'Unknown error'}`);
-      console.log(`   Full Response: ${JSON.stringify(cashwyreResponse.data, null, 2)}`);
-      
-      throw new Error(cashwyreResponse.data.message || 'Failed to create reserve account');
+      // Create new account
+      const newAccount = new VirtualAccount({
+        provider: provider.name,
+        userId: userId,
+        accountNumber: accountData.accountNumber,
+        accountName: accountData.accountName,
+        bankName: accountData.bankName,
+        bankCode: accountData.bankCode,
+        currency: accountData.currency,
+        accountReference: accountReference,
+        active: true,
+        status: accountData.status,
+        ...accountData.providerFields,
+        amount: 0,
+        totalPayable: 0,
+        fee: 0,
+        expiresOn: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
+        expiresOnInMins: 525600,
+        metadata: kycMetadata
+      });
+      await newAccount.save();
+      console.log(`✅ Created new account: ${newAccount.accountNumber}`);
     }
 
+    // 🔥 LOG 10: UPDATE USER
+    console.log('\n👤 UPDATING USER RECORD...');
+    const kycBefore = kycSnapshot(user);
+    user.bvn = bvn || user.bvn;
+    user.nin = nin || user.nin;
+    user.kycVerified = true;
+    user.accountReference = accountReference;
+    user.kycSubmittedAt = new Date();
+    user.kycApprovedAt = new Date();
+    user.address = address || user.address;
+    if (dateOfBirth) user.dateOfBirth = new Date(dateOfBirth);
+    if (gender) user.gender = gender;
+    
+    // The KYC change and its audit entry commit together
+    await ledger.withTransaction(async (session) => {
+      await user.save({ session });
+      await audit.log({
+        action: 'kyc.updated',
+        req,
+        target: { type: 'user', id: user._id },
+        before: kycBefore,
+        after: kycSnapshot(user),
+        metadata: { accountNumber: accountData.accountNumber }
+      }, { session });
+    });
+    console.log(`✅ User updated: ${user.fullName}`);
+    console.log(`   KYC Verified: ${user.kycVerified}`);
+    console.log(`   Account Reference: ${user.accountReference}`);
+
+    // 🔥 LOG 11: FINAL RESPONSE
+    console.log('\n📤 FINAL RESPONSE TO CLIENT:');
+    const finalResponse = {
+      success: true,
+      message: 'Reserve account created successfully',
+      account: {
+        accountNumber: accountData.accountNumber,
+        accountName: accountData.accountName,
+        bankName: accountData.bankName || 'Moniepoint Microfinance Bank',
+        bankCode: accountData.bankCode || '50515',
+        currency: accountData.currency || 'NGN',
+        status: accountData.status || 'ACTIVE',
+        accountReference: accountReference,
+        createdOn: accountData.createdOn
+      },
+      kycStatus: {
+        verified: true,
+        bvnProvided: !!bvn,
+        ninProvided: !!nin
+      }
+    };
+    
+    console.log(JSON.stringify(finalResponse, null, 2));
+    console.log('\n' + '='.repeat(80));
+    console.log('✅✅✅ KYC RESERVE ACCOUNT CREATED SUCCESSFULLY ✅✅✅');
+    console.log('='.repeat(80) + '\n');
+
+    return res.json(finalResponse);
+
   } catch (error) {
     console.log('\n❌❌❌ ERROR IN RESERVE ACCOUNT CREATION ❌❌❌');
     console.log(`   Error: ${error.message}`);
     console.log(`   Stack: ${error.stack}`);
     
     if (error.response) {
-      console.log('\n📥 ERROR RESPONSE FROM CASHWYRE:');
+      console.log('\n📥 ERROR RESPONSE FROM PROVIDER:');
       console.log(`   Status: ${error.response.status}`);
       console.log(`   Data: ${JSON.stringify(error.response.data, null, 2)}`);
     }
@@ -902,7 +788,7 @@ if (existingAccount) {
 
 // Get Reserve Account by User ID or Account Reference
 // Get Reserve Account - FETCH FROM CASHWYRE FIRST
-app.get('/api/cashwyre/reserve-account', async (req, res) => {
+app.get('/api/cashwyre/reserve-account', auth.requireUser, auth.actAsSelf('userId'), async (req, res) => {
   try {
     const { userId, accountReference } = req.query;
 
@@ -927,31 +813,15 @@ app.get('/api/cashwyre/reserve-account', async (req, res) => {
     
     console.log('🔍 Checking Cashwyre for account reference:', ref);
 
-    // 🔥 STEP 3: Fetch from Cashwyre FIRST
-    const requestId = `${Date.now()}${Math.random().toString(36).substring(2, 10)}`;
+    // 🔥 STEP 3: Fetch from the provider FIRST
+    const provider = providerFor('reserveAccount');
 
     try {
-      const cashwyreResponse = await axios.post(
-        `${CASHWYRE_CONFIG.baseURL}/ReserveAccount/getReserveAccount`,
-        {
-          appId: CASHWYRE_CONFIG.businessCode,
-          requestId: requestId,
-          AccountReference: ref
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${CASHWYRE_CONFIG.secretKey}`,
-            'Accept': 'application/json'
-          },
-          timeout: 15000
-        }
-      );
+      const accountData = await provider.getDedicatedAccount(ref);
 
-      console.log('📥 Cashwyre response:', JSON.stringify(cashwyreResponse.data, null, 2));
+      console.log(`📥 ${provider.name} response:`, JSON.stringify(accountData?.raw, null, 2));
 
-      if (cashwyreResponse.data.success === true) {
-        const accountData = cashwyreResponse.data.data;
+      if (accountData) {
 
         // 🔥 STEP 4: Use findOneAndUpdate with upsert to avoid duplicate key errors
         const result = await VirtualAccount.findOneAndUpdate(
@@ -979,7 +849,8 @@ app.get('/api/cashwyre/reserve-account', async (req, res) => {
               'metadata.syncedAt': new Date()
             },
             $setOnInsert: {
-              cashwyreRequestId: requestId,
+              provider: provider.name,
+              ...accountData.providerFields,
               createdAt: new Date()
             }
           },
@@ -1051,7 +922,7 @@ app.get('/api/cashwyre/reserve-account', async (req, res) => {
 });
 
 // Search Reserve Accounts
-app.post('/api/cashwyre/search-reserve-accounts', async (req, res) => {
+app.post('/api/cashwyre/search-reserve-accounts', requirePermission('reports.read'), async (req, res) => {
   try {
     const {
       userId,
@@ -1100,7 +971,7 @@ app.post('/api/cashwyre/search-reserve-accounts', async (req, res) => {
 });
 
 // Get User KYC Status
-app.get('/api/users/kyc-status', async (req, res) => {
+app.get('/api/users/kyc-status', auth.requireUser, auth.actAsSelf('userId'), async (req, res) => {
   try {
     const { userId } = req.query;
 
@@ -1122,6 +993,7 @@ app.get('/api/users/kyc-status', async (req, res) => {
     // Check if user has a reserve account
     const hasAccount = await VirtualAccount.findOne({
       userId: userId,
+      provider: 'cashwyre',
       active: true
     });
 
@@ -1146,134 +1018,55 @@ app.get('/api/users/kyc-status', async (req, res) => {
 
 
 // ==================== CASHWYRE FIAT DEPOSIT WEBHOOK ====================
+// Processing step for stored cashwyre-fiat events - crediting is utils/depositProcessor.js
+const processCashwyreFiatEvent = async (stored) => {
+  const parsed = getProvider('cashwyre').parseWebhook(stored.payload);
+  
+  if (parsed.event !== 'deposit') {
+    console.log(`⚠️ Unhandled event type: ${parsed.gatewayEvent}`);
+    return { ignored: true, reason: `Unhandled event type: ${parsed.gatewayEvent}` };
+  }
+  
+  console.log('✅ Processing fiat deposit webhook');
+  const result = await depositProcessor.processDeposit(depositProcessor.fromFiatWebhook(parsed), {
+    source: 'cashwyre-fiat',
+    webhookEventId: stored._id
+  });
+  return result.ignored ? result : { message: 'Deposit processed successfully', ...result, ...MONEY };
+};
+
+// Dry-run replay: what processCashwyreFiatEvent would credit today
+const previewCashwyreFiatEvent = async (stored) => {
+  const parsed = getProvider('cashwyre').parseWebhook(stored.payload);
+  if (parsed.event !== 'deposit') return { wouldCredit: false, reason: `Unhandled event type: ${parsed.gatewayEvent}` };
+  return depositProcessor.previewDeposit(depositProcessor.fromFiatWebhook(parsed));
+};
+
+webhookInbox.registerHandler('cashwyre-fiat', processCashwyreFiatEvent, { preview: previewCashwyreFiatEvent });
+
 app.post('/api/webhooks/cashwyre-fiat', async (req, res) => {
+  console.log('💰 Cashwyre Fiat Deposit Webhook Received');
+  console.log('Raw body:', req.rawBody?.toString());
+  console.log('Parsed body:', JSON.stringify(req.body, null, 2));
+  
+  let deposit = null;
   try {
-    console.log('💰 Cashwyre Fiat Deposit Webhook Received');
-    console.log('Raw body:', req.rawBody?.toString());
-    console.log('Parsed body:', JSON.stringify(req.body, null, 2));
-    
-    let webhookData;
-    if (req.rawBody) {
-      webhookData = JSON.parse(req.rawBody.toString());
-    } else {
-      webhookData = req.body;
-    }
-    
-    const { eventType, eventData } = webhookData;
-    
-    // Handle fiat deposit success
-    if (eventType === 'fiat_deposit.success' || eventType === 'fiat.deposit.success') {
-      console.log('✅ Processing fiat deposit webhook');
-      
-      const {
-        Code,
-        AmountPaid,
-        AmountSettled,
-        Currency,
-        AccountNumber,
-        AccountName,
-        BankName,
-        BankCode,
-        Country,
-        Narration,
-        Status,
-        RequestId,
-        SettledOn,
-        SourceOfPayment,
-        FundingMethod
-      } = eventData;
-      
-      // Check if payment was successful
-      if (Status !== 'success') {
-        console.log(`⚠️ Payment not successful: ${Status}`);
-        return res.status(200).json({ success: false, message: 'Payment not successful' });
-      }
-      
-      // Find the virtual account by account number
-      const virtualAccount = await VirtualAccount.findOne({ 
-        accountNumber: AccountNumber,
-        active: true
-      }).sort({ createdAt: -1 });
-      
-      if (!virtualAccount) {
-        console.log(`❌ Virtual account not found for: ${AccountNumber}`);
-        return res.status(200).json({ success: false, message: 'Virtual account not found' });
-      }
-      
-      console.log(`✅ Found virtual account for user: ${virtualAccount.userId}`);
-      
-      // Use AmountSettled (after fees) or fallback to AmountPaid
-      const amount = parseFloat(AmountSettled || AmountPaid || 0);
-      const reference = `CASHWYRE_${Code || RequestId || Date.now()}`;
-      
-      // Check if already processed
-      const existingTx = await Transaction.findOne({ reference });
-      if (existingTx) {
-        console.log(`⚠️ Transaction already processed: ${reference}`);
-        return res.status(200).json({ success: true, message: 'Already processed' });
-      }
-      
-      // Update wallet balance
-      const result = await updateWalletBalance(
-        virtualAccount.userId,
-        amount,
-        'credit',
-        reference,
-        Narration || `Deposit from ${BankName} - ${AccountNumber}`,
-        {
-          source: 'cashwyre_webhook',
-          paymentMethod: FundingMethod || 'bank_transfer',
-          bankName: BankName,
-          bankCode: BankCode,
-          accountNumber: AccountNumber,
-          accountName: AccountName,
-          currency: Currency || 'NGN',
-          cashwyreCode: Code,
-          cashwyreRequestId: RequestId,
-          settledOn: SettledOn,
-          sourceOfPayment: SourceOfPayment
-        }
-      );
-      
-      // Update virtual account with cashwyre reference
-      virtualAccount.cashwyreReference = Code || RequestId;
-      await virtualAccount.save();
-      
-      console.log(`✅ Successfully processed deposit: ₦${amount} for user ${virtualAccount.userId}`);
-      console.log(`💰 New balance: ₦${result.newBalance}`);
-      
-      // 🔥 CRITICAL: Update the pending transaction status in database
-      await Transaction.findOneAndUpdate(
-        { reference: reference },
-        { 
-          $set: { 
-            status: 'completed',
-            'metadata.webhookProcessed': true,
-            'metadata.webhookData': eventData,
-            'metadata.processedAt': new Date()
-          }
-        }
-      );
-      
-      return res.status(200).json({ 
-        success: true, 
-        message: 'Deposit processed successfully',
-        amount: amount,
-        newBalance: result.newBalance,
-        userId: virtualAccount.userId,
-        reference: reference
-      });
-      
-    } else {
-      console.log(`⚠️ Unhandled event type: ${eventType}`);
-      return res.status(200).json({ success: false, message: 'Unhandled event type' });
-    }
-    
+    deposit = getProvider('cashwyre').parseWebhook(req.rawBody || req.body);
   } catch (error) {
-    console.error('❌ Cashwyre webhook error:', error.message);
-    // Always return 200 to acknowledge receipt
-    return res.status(200).json({ success: false, message: error.message });
+    console.error('❌ Cashwyre webhook is not valid JSON:', error.message);
   }
+  
+  const event = await receiveCashwyreWebhook(req, res, {
+    source: 'cashwyre-fiat',
+    eventId: deposit?.eventId,
+    eventType: deposit?.gatewayEvent,
+    payload: deposit?.raw,
+    rejectionReason: deposit ? null : 'Invalid JSON'
+  });
+  if (!event) return;
+  
+  // Always return 200 once stored - failures are retried from the inbox
+  res.status(200).json(inboxResponse(await webhookInbox.processEvent(event)));
 });
 
 
@@ -1282,29 +1075,36 @@ app.post('/api/webhooks/cashwyre-fiat', async (req, res) => {
 
 
 
-// Unmatched webhook endpoint
+// ==================== UNMATCHED DEPOSIT WEBHOOK ====================
+// The PHP forwarder's deposits it couldn't place (cashwyre-process body). Run through
+// the normal pipeline: credited if we can match it, otherwise kept as an unmatched
+// DepositEvent for /api/admin/unmatched-deposits.
+const processCashwyreUnmatchedEvent = (stored) => depositProcessor.processDeposit(
+  depositProcessor.fromProcessPayload(stored.payload),
+  { source: 'cashwyre-unmatched', webhookEventId: stored._id }
+);
+
+webhookInbox.registerHandler('cashwyre-unmatched', processCashwyreUnmatchedEvent, {
+  preview: (stored) => depositProcessor.previewDeposit(depositProcessor.fromProcessPayload(stored.payload))
+});
+
 app.post('/api/webhooks/unmatched', async (req, res) => {
   console.log('📦 Unmatched webhook received:', JSON.stringify(req.body, null, 2));
   
-  try {
-    const unmatched = new UnmatchedWebhook({
-      reference: req.body.cashwyreCode,
-      payload: req.body,
-      receivedAt: new Date()
-    });
-    await unmatched.save();
-    
-    res.json({ success: true, message: 'Unmatched webhook stored' });
-  } catch (error) {
-    console.error('Error storing unmatched webhook:', error.message);
-    res.status(500).json({ success: false, message: error.message });
-  }
+  const event = await receiveCashwyreWebhook(req, res, {
+    source: 'cashwyre-unmatched',
+    eventId: req.body.cashwyreCode && `cashwyre-unmatched:${req.body.cashwyreCode}`,
+    eventType: req.body.status
+  });
+  if (!event) return;
+  
+  res.status(200).json(inboxResponse(await webhookInbox.processEvent(event)));
 });
 
 
 
 // Get the most recent active virtual account for a user
-app.get('/api/virtual-accounts/latest/:userId', async (req, res) => {
+app.get('/api/virtual-accounts/latest/:userId', auth.requireUser, auth.ownsParam(), async (req, res) => {
   try {
     const { userId } = req.params;
     
@@ -1327,7 +1127,8 @@ app.get('/api/virtual-accounts/latest/:userId', async (req, res) => {
       active: virtualAccount.active,
       amount: virtualAccount.amount,
       totalPayable: virtualAccount.totalPayable,
-      fee: virtualAccount.fee
+      fee: virtualAccount.fee,
+      ...MONEY
     });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -1335,7 +1136,7 @@ app.get('/api/virtual-accounts/latest/:userId', async (req, res) => {
 });
 
 // Get virtual account details
-app.get('/api/virtual-accounts/:userId', async (req, res) => {
+app.get('/api/virtual-accounts/:userId', auth.requireUser, auth.ownsParam(), async (req, res) => {
   try {
     const virtualAccount = await VirtualAccount.findOne({ 
       userId: req.params.userId, 
@@ -1362,11 +1163,41 @@ app.get('/api/virtual-accounts/:userId', async (req, res) => {
 });
 
 // Get user balance
-app.get('/api/wallet/balance/:userId', async (req, res) => {
+app.get('/api/wallet/balance/:userId', auth.requireUser, auth.ownsParam(), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    res.json({ success: true, walletBalance: user.walletBalance, commissionBalance: user.commissionBalance, ...MONEY });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Ledger journal for a reference - every posting, the totals and whether it balances
+app.get('/api/ledger/journal/:reference', requirePermission('reports.read'), async (req, res) => {
+  try {
+    const journal = await ledger.getJournal(req.params.reference);
+    if (!journal) return res.status(404).json({ success: false, message: 'No journal entry for this reference' });
+    res.json({ success: true, journal, ...MONEY });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Cached wallet balance vs the balance derived from the ledger postings
+app.get('/api/ledger/balance/:userId', auth.requireUser, auth.ownsParam(), async (req, res) => {
   try {
     const user = await User.findById(req.params.userId);
     if (!user) return res.status(404).json({ success: false, message: 'User not found' });
-    res.json({ success: true, walletBalance: user.walletBalance, commissionBalance: user.commissionBalance });
+
+    const derivedBalance = await ledger.deriveWalletBalance(user._id);
+    res.json({
+      success: true,
+      cachedBalance: user.walletBalance,
+      derivedBalance,
+      inSync: user.walletBalance === derivedBalance,
+      ...MONEY
+    });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
@@ -1380,7 +1211,7 @@ app.get('/api/wallet/balance/:userId', async (req, res) => {
 // Check transaction by account number
 // Check transaction by account number
 // Check transaction by account number - FIXED VERSION
-app.get('/api/transactions/check-by-account', async (req, res) => {
+app.get('/api/transactions/check-by-account', auth.requireUser, async (req, res) => {
   try {
     const { accountNumber } = req.query;
     
@@ -1390,14 +1221,26 @@ app.get('/api/transactions/check-by-account', async (req, res) => {
     
     console.log(`🔍 Checking transaction for account: ${accountNumber}`);
     
-    // Method 1: Check virtual account first
+    // Method 1: Check virtual account first (the caller's own - see utils/auth.js)
     const virtualAccount = await VirtualAccount.findOne({ 
-      accountNumber: accountNumber
+      accountNumber: accountNumber,
+      userId: req.user._id
     }).sort({ createdAt: -1 });
     
     if (virtualAccount) {
       console.log(`📋 Found virtual account: active=${virtualAccount.active}, amount=${virtualAccount.amount}`);
       
+      // Swept unpaid (utils/expirySweeper.js) - inactive, but nothing was paid
+      if (virtualAccount.status === 'EXPIRED' && !virtualAccount.processedAt) {
+        return res.json({ success: false, status: 'expired', expiresOn: virtualAccount.expiresOn });
+      }
+      
+      // Part paid and still open - a completed row here is only the first transfer
+      if (virtualAccount.active && virtualAccount.paymentStatus === 'partial') {
+        const payment = payinPolicy.fundingStatus(virtualAccount);
+        return res.json({ success: false, status: 'partial', message: payment.message, payment, ...MONEY });
+      }
+      
       // If virtual account is inactive (processed)
       if (!virtualAccount.active) {
         // Find transaction by metadata.accountNumber OR by userId
@@ -1406,6 +1249,7 @@ app.get('/api/transactions/check-by-account', async (req, res) => {
             { 'metadata.accountNumber': accountNumber },
             { userId: virtualAccount.userId }
           ],
+          userId: req.user._id,
           status: 'completed'
         }).sort({ createdAt: -1 });
         
@@ -1416,7 +1260,8 @@ app.get('/api/transactions/check-by-account', async (req, res) => {
             status: 'completed',
             amount: transaction.amount,
             reference: transaction.reference,
-            completedAt: transaction.completedAt
+            completedAt: transaction.completedAt,
+            ...MONEY
           });
         }
         
@@ -1426,7 +1271,8 @@ app.get('/api/transactions/check-by-account', async (req, res) => {
           success: true,
           status: 'completed',
           amount: virtualAccount.amount,
-          reference: virtualAccount.cashwyreRequestId
+          reference: virtualAccount.cashwyreRequestId,
+          ...MONEY
         });
       }
     }
@@ -1434,6 +1280,7 @@ app.get('/api/transactions/check-by-account', async (req, res) => {
     // Method 2: Check for any transaction with this account number in metadata
     const transactionByMetadata = await Transaction.findOne({ 
       'metadata.accountNumber': accountNumber,
+      userId: req.user._id,
       status: 'completed'
     }).sort({ createdAt: -1 });
     
@@ -1443,7 +1290,8 @@ app.get('/api/transactions/check-by-account', async (req, res) => {
         success: true,
         status: 'completed',
         amount: transactionByMetadata.amount,
-        reference: transactionByMetadata.reference
+        reference: transactionByMetadata.reference,
+        ...MONEY
       });
     }
     
@@ -1460,8 +1308,9 @@ app.get('/api/transactions/check-by-account', async (req, res) => {
 
 
 // Check transaction status in MongoDB - ADD THIS
-// Check transaction status in MongoDB - ADD THIS
-app.get('/api/transactions/check-status', async (req, res) => {
+// Check transaction status in MongoDB - reads only; the payin poller and the webhooks
+// keep it current (utils/payinPoller.js), and the app polls this often, so no logging
+app.get('/api/transactions/check-status', auth.requireUser, async (req, res) => {
   try {
     const { reference } = req.query;
     
@@ -1469,31 +1318,22 @@ app.get('/api/transactions/check-status', async (req, res) => {
       return res.json({ success: false, message: 'Reference required' });
     }
     
-    // Only log every 10th check to reduce noise
-    const checkCount = transactionCheckCount.get(reference) || 0;
-    transactionCheckCount.set(reference, checkCount + 1);
-    
-    if (checkCount % 10 === 0) {
-      console.log('🔍 Checking transaction status for reference:', reference);
-    }
-    
-    // Search in transactions collection
+    // Search in the caller's transactions
     const transaction = await Transaction.findOne({ 
       $or: [
         { reference: reference },
         { cashwyreReference: reference }
-      ]
+      ],
+      userId: req.user._id
     });
     
     if (transaction) {
-      if (checkCount % 10 === 0) {
-        console.log('✅ Found transaction in MongoDB. Status:', transaction.status);
-      }
       return res.json({
         success: true,
         status: transaction.status,
         amount: transaction.amount,
-        completedAt: transaction.completedAt
+        completedAt: transaction.completedAt,
+        ...MONEY
       });
     }
     
@@ -1502,25 +1342,23 @@ app.get('/api/transactions/check-status', async (req, res) => {
       $or: [
         { cashwyreRequestId: reference },
         { cashwyreReference: reference }
-      ]
+      ],
+      userId: req.user._id
     });
     
+    if (virtualAccount?.status === 'EXPIRED' && !virtualAccount.processedAt) {
+      return res.json({ success: false, status: 'expired', expiresOn: virtualAccount.expiresOn });
+    }
+    
     if (virtualAccount && !virtualAccount.active) {
-      if (checkCount % 10 === 0) {
-        console.log('✅ Found virtual account (processed). Amount:', virtualAccount.amount);
-      }
       return res.json({
         success: true,
         status: 'completed',
-        amount: virtualAccount.amount
+        amount: virtualAccount.amount,
+        ...MONEY
       });
     }
     
-    // Only log "not found" every 20th check
-    if (checkCount % 20 === 0) {
-      console.log('⏳ Transaction not found in MongoDB yet (check', checkCount + 1, ')');
-    }
-    
     res.json({ success: false, status: 'pending' });
     
   } catch (error) {
@@ -1530,40 +1368,35 @@ app.get('/api/transactions/check-status', async (req, res) => {
 });
 
 
-// Add this counter at the top with other variables
-const transactionCheckCount = new Map();
-
 
 
 
 
 // Add this to your server.js - Get Cashwyre transactions for a user
-app.get('/api/transactions/cashwyre/:userId', async (req, res) => {
+app.get('/api/transactions/cashwyre/:userId', auth.requireUser, auth.ownsParam(), async (req, res) => {
   try {
     const { userId } = req.params;
     const { limit = 100, skip = 0 } = req.query;
     
-    // Get wallet funding transactions from Cashwyre
-    const transactions = await Transaction.find({ 
+    // Get wallet funding transactions from Cashwyre (cashwyre_webhook_sync rows predate utils/depositProcessor.js)
+    const cashwyreFunding = {
       userId: userId,
       type: 'wallet_funding',
-      'metadata.source': 'cashwyre_webhook_sync'
-    })
+      'metadata.source': { $in: ['cashwyre_deposit', 'cashwyre_webhook_sync'] }
+    };
+    const transactions = await Transaction.find(cashwyreFunding)
     .sort({ createdAt: -1 })
     .limit(parseInt(limit))
     .skip(parseInt(skip));
     
-    const total = await Transaction.countDocuments({ 
-      userId: userId,
-      type: 'wallet_funding',
-      'metadata.source': 'cashwyre_webhook_sync'
-    });
+    const total = await Transaction.countDocuments(cashwyreFunding);
     
     res.json({
       success: true,
       transactions: transactions,
       total: total,
-      source: 'cashwyre'
+      source: 'cashwyre',
+      ...MONEY
     });
   } catch (error) {
     console.error('Error fetching Cashwyre transactions:', error.message);
@@ -1572,7 +1405,7 @@ app.get('/api/transactions/cashwyre/:userId', async (req, res) => {
 });
 
 // Get all transactions (combined from both sources)
-app.get('/api/transactions/all/:userId', async (req, res) => {
+app.get('/api/transactions/all/:userId', auth.requireUser, auth.ownsParam(), async (req, res) => {
   try {
     const { userId } = req.params;
     const { limit = 100, skip = 0 } = req.query;
@@ -1589,7 +1422,8 @@ app.get('/api/transactions/all/:userId', async (req, res) => {
       success: true,
       transactions: transactions,
       total: total,
-      pagination: { limit: parseInt(limit), skip: parseInt(skip) }
+      pagination: { limit: parseInt(limit), skip: parseInt(skip) },
+      ...MONEY
     });
   } catch (error) {
     console.error('Error fetching all transactions:', error.message);
@@ -1600,7 +1434,7 @@ app.get('/api/transactions/all/:userId', async (req, res) => {
 
 
 // Get transactions
-app.get('/api/transactions/:userId', async (req, res) => {
+app.get('/api/transactions/:userId', auth.requireUser, auth.ownsParam(), async (req, res) => {
   try {
     const { limit = 50, skip = 0 } = req.query;
     const transactions = await Transaction.find({ userId: req.params.userId })
@@ -1609,20 +1443,23 @@ app.get('/api/transactions/:userId', async (req, res) => {
       .skip(parseInt(skip));
     
     const total = await Transaction.countDocuments({ userId: req.params.userId });
-    res.json({ success: true, transactions, pagination: { total, limit: parseInt(limit), skip: parseInt(skip) } });
+    res.json({ success: true, transactions, pagination: { total, limit: parseInt(limit), skip: parseInt(skip) }, ...MONEY });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
 // Admin dashboard - Get all service charges
-app.get('/api/admin/service-charges', async (req, res) => {
+app.get('/api/admin/service-charges', requirePermission('reports.read'), async (req, res) => {
   try {
     const serviceCharges = await Transaction.find({ serviceCharge: { $gt: 0 } })
       .sort({ createdAt: -1 })
       .populate('userId', 'fullName email');
     
     const totalServiceCharges = serviceCharges.reduce((sum, t) => sum + (t.serviceCharge || 0), 0);
+    // Fees are VAT-inclusive and the EMTL comes out of them (utils/levies.js)
+    const totalVat = serviceCharges.reduce((sum, t) => sum + (t.levies?.vat || 0), 0);
+    const totalEmtl = serviceCharges.reduce((sum, t) => sum + (t.levies?.emtl || 0), 0);
     const totalTransactions = await Transaction.countDocuments();
     
     const dailyCharges = await Transaction.aggregate([
@@ -1631,6 +1468,8 @@ app.get('/api/admin/service-charges', async (req, res) => {
         $group: {
           _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
           total: { $sum: '$serviceCharge' },
+          vat: { $sum: { $ifNull: ['$levies.vat', 0] } },
+          emtl: { $sum: { $ifNull: ['$levies.emtl', 0] } },
           count: { $sum: 1 }
         }
       },
@@ -1641,6 +1480,9 @@ app.get('/api/admin/service-charges', async (req, res) => {
       success: true,
       data: {
         totalServiceCharges,
+        totalVat,
+        totalEmtl,
+        netServiceCharges: totalServiceCharges - totalVat - totalEmtl,
         totalTransactions,
         serviceCharges,
         dailyCharges,
@@ -1648,7 +1490,8 @@ app.get('/api/admin/service-charges', async (req, res) => {
           today: serviceCharges.filter(t => 
             new Date(t.createdAt).toDateString() === new Date().toDateString()
           ).reduce((sum, t) => sum + (t.serviceCharge || 0), 0)
-        }
+        },
+        ...MONEY
       }
     });
   } catch (error) {
@@ -1657,59 +1500,133 @@ app.get('/api/admin/service-charges', async (req, res) => {
 });
 
 
-// Partial payment webhook endpoint
-app.post('/api/webhooks/partial-payment', async (req, res) => {
-  console.log('⚠️ Partial payment webhook received:', JSON.stringify(req.body, null, 2));
+// Admin - monthly VAT / EMTL remittance, straight from the ledger.
+// ?month=YYYY-MM (Nigeria time), defaults to last month - the one due for filing
+app.get('/api/admin/levies/remittance', requirePermission('reports.read'), async (req, res) => {
+  const month = req.query.month || levies.previousMonth();
+  try {
+    levies.monthRange(month);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
   
   try {
-    const { userId, amount, reference, accountNumber, requiredAmount } = req.body;
-    
-    // Create a partial payment record
-    const partialPayment = new Transaction({
-      userId,
-      type: 'partial_payment',
-      amount,
-      previousBalance: 0,
-      newBalance: 0,
-      reference: `PARTIAL_${reference}`,
-      status: 'failed',
-      description: `Partial payment of ₦${amount} detected. Required amount was ₦${requiredAmount}. Contact support.`,
-      metadata: {
-        source: 'cashwyre_webhook',
-        accountNumber: accountNumber,
-        requiredAmount: requiredAmount,
-        isPartial: true
-      },
-      completedAt: new Date()
-    });
+    const report = await levies.remittanceReport(month);
     
-    await partialPayment.save();
+    // The transactions behind it, for reconciling against the filing
+    const transactions = await Transaction.aggregate([
+      { $match: { createdAt: { $gte: report.from, $lt: report.to }, status: 'completed', $or: [{ 'levies.vat': { $gt: 0 } }, { 'levies.emtl': { $gt: 0 } }] } },
+      {
+        $group: {
+          _id: '$type',
+          count: { $sum: 1 },
+          serviceCharge: { $sum: '$serviceCharge' },
+          vat: { $sum: '$levies.vat' },
+          emtl: { $sum: '$levies.emtl' }
+        }
+      }
+    ]);
     
-    res.json({ success: true, message: 'Partial payment recorded' });
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        vatDue: report.vat.net,
+        emtlDue: report.emtl.net,
+        transactions,
+        ...MONEY
+      }
+    });
   } catch (error) {
-    console.error('Error processing partial payment:', error.message);
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
+// Partial payment webhook endpoint
+// The forwarder's heads-up that a funding account was paid short. The transfer itself
+// arrives as a deposit (cashwyre-process / cashwyre-fiat), and the payin policy
+// decides what it gets (utils/payinPolicy.js) - this only reports where the account
+// stands. Nothing is written, so replays and duplicates are harmless.
+const partialPaymentStatus = async (body) => {
+  const virtualAccount = (body.accountNumber && await VirtualAccount.findOne({ accountNumber: body.accountNumber, provider: 'cashwyre' }).sort({ createdAt: -1 }))
+    || (body.reference && await VirtualAccount.findOne({ cashwyreRequestId: body.reference }));
+  if (!virtualAccount || !(virtualAccount.amount > 0)) return null;
+  return { accountNumber: virtualAccount.accountNumber, ...payinPolicy.fundingStatus(virtualAccount) };
+};
+
+// Processing step for stored partial-payment events
+const processPartialPaymentEvent = async (stored) => {
+  const body = stored.payload;
+  // Cashwyre sends naira; we store kobo
+  const amount = toKobo(body.amount);
+  const requiredAmount = toKobo(body.requiredAmount);
+  
+  const payment = await partialPaymentStatus(body);
+  if (!payment) {
+    return { ignored: true, reason: `No funding account for ${body.accountNumber || body.reference}` };
+  }
+  
+  console.log(`⚠️ Partial payment on ${payment.accountNumber}: ${formatNaira(amount)} of ${formatNaira(requiredAmount)} - account is ${payment.status}`);
+  return {
+    message: 'Partial payment noted - the deposit is settled by the payin policy',
+    accountNumber: payment.accountNumber,
+    paymentStatus: payment.status,
+    expected: payment.expected,
+    received: payment.received,
+    policy: payment.policy
+  };
+};
+
+// Partial payments never move money here - the deposit does
+const previewPartialPaymentEvent = async (stored) => {
+  const payment = await partialPaymentStatus(stored.payload);
+  return {
+    wouldCredit: false,
+    reason: payment
+      ? `Informational - funding account ${payment.accountNumber} is ${payment.status}`
+      : 'No funding account for it'
+  };
+};
+
+webhookInbox.registerHandler('partial-payment', processPartialPaymentEvent, { preview: previewPartialPaymentEvent });
+
+app.post('/api/webhooks/partial-payment', async (req, res) => {
+  console.log('⚠️ Partial payment webhook received:', JSON.stringify(req.body, null, 2));
+  
+  const event = await receiveCashwyreWebhook(req, res, {
+    source: 'partial-payment',
+    eventId: req.body.reference && `partial-payment:${req.body.reference}`,
+    eventType: 'partial_payment'
+  });
+  if (!event) return;
+  
+  const outcome = await webhookInbox.processEvent(event);
+  if (outcome.error) console.error('Error processing partial payment:', outcome.error.message);
+  res.status(outcome.error ? 500 : 200).json(inboxResponse(outcome));
+});
+
 // Transfer to user
-app.post('/api/transfer', async (req, res) => {
+app.post('/api/transfer', auth.requireUser, auth.actAsSelf('senderId'), pin.requirePin('transfer'), async (req, res) => {
   try {
-    const { senderId, receiverEmail, amount, description, transactionPin } = req.body;
+    const { senderId, receiverEmail, description } = req.body;
     
-    if (!senderId || !receiverEmail || !amount) {
+    if (!senderId || !receiverEmail || !req.body.amount) {
       return res.status(400).json({ success: false, message: 'Missing required fields' });
     }
     
-    const sender = await User.findById(senderId);
-    if (!sender) return res.status(404).json({ success: false, message: 'Sender not found' });
-    
-    if (transactionPin) {
-      if (!sender.transactionPinSet || sender.transactionPin !== transactionPin) {
-        return res.status(401).json({ success: false, message: 'Invalid transaction PIN' });
-      }
+    let amount;
+    try {
+      amount = parseKobo(req.body.amount);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (amount <= 0) {
+      return res.status(400).json({ success: false, message: 'Amount must be greater than zero' });
     }
     
+    // Checked against the PIN by requirePin
+    const sender = req.pinUser;
+    
     const receiver = await User.findOne({ email: receiverEmail });
     if (!receiver) return res.status(404).json({ success: false, message: 'Receiver not found' });
     
@@ -1717,29 +1634,45 @@ app.post('/api/transfer', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Cannot transfer to yourself' });
     }
     
-    if (sender.walletBalance < amount) {
+    // The sender pays the fee on top; the receiver gets the full amount
+    const feeQuote = await feeEngine.quote('transfer', amount);
+    const feeChanged = feeEngine.quoteMismatch(feeQuote, req.body.fee);
+    if (feeChanged) {
+      return res.status(409).json({ success: false, message: feeChanged, quote: feeQuote, ...MONEY });
+    }
+    const { fee, total, levies: levy } = feeQuote;
+    
+    if (sender.walletBalance < total) {
       return res.status(400).json({ success: false, message: 'Insufficient balance' });
     }
     
     const reference = `TRF_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
-    const session = await mongoose.startSession();
-    session.startTransaction();
     
-    try {
-      const senderPrevBalance = sender.walletBalance;
-      sender.walletBalance -= amount;
-      await sender.save({ session });
+    const senderBalances = await ledger.withTransaction(async (session) => {
+      const { balances } = await ledger.postJournal({
+        reference,
+        type: 'transfer',
+        description: description || `Transfer from ${sender.email} to ${receiver.email}`,
+        postings: [
+          ledger.debit(ledger.ACCOUNTS.USER_WALLET, total, { userId: sender._id }),
+          ledger.credit(ledger.ACCOUNTS.USER_WALLET, amount, { userId: receiver._id }),
+          ...levies.feePostings(fee, levy)
+        ],
+        metadata: { senderId: sender._id, receiverId: receiver._id, fee, feeScheduleVersion: feeQuote.scheduleVersion, vat: levy.vat }
+      }, { session });
       
-      const receiverPrevBalance = receiver.walletBalance;
-      receiver.walletBalance += amount;
-      await receiver.save({ session });
+      const senderBalance = balances[sender._id.toString()];
+      const receiverBalance = balances[receiver._id.toString()];
       
       await new Transaction({
         userId: sender._id,
         type: 'transfer',
         amount,
-        previousBalance: senderPrevBalance,
-        newBalance: sender.walletBalance,
+        balanceBefore: senderBalance.before,
+        balanceAfter: senderBalance.after,
+        serviceCharge: fee,
+        feeScheduleVersion: feeQuote.scheduleVersion,
+        levies: levy,
         reference,
         status: 'completed',
         description: description || `Transfer to ${receiver.email}`,
@@ -1751,8 +1684,8 @@ app.post('/api/transfer', async (req, res) => {
         userId: receiver._id,
         type: 'credit',
         amount,
-        previousBalance: receiverPrevBalance,
-        newBalance: receiver.walletBalance,
+        balanceBefore: receiverBalance.before,
+        balanceAfter: receiverBalance.after,
         reference: `${reference}_RECEIVER`,
         status: 'completed',
         description: description || `Transfer from ${sender.email}`,
@@ -1760,118 +1693,129 @@ app.post('/api/transfer', async (req, res) => {
         completedAt: new Date()
       }).save({ session });
       
-      await session.commitTransaction();
+      await audit.log({
+        action: 'transfer.sent',
+        req,
+        target: { type: 'user', id: receiver._id },
+        before: { balance: senderBalance.before },
+        after: { balance: senderBalance.after },
+        metadata: { reference, amount, fee, receiverEmail: receiver.email }
+      }, { session });
       
-      res.json({
-        success: true,
-        amount,
-        receiverName: receiver.fullName,
-        receiverEmail: receiver.email,
-        newBalance: sender.walletBalance,
-        message: 'Transfer completed successfully'
-      });
-    } catch (error) {
-      await session.abortTransaction();
-      throw error;
-    } finally {
-      session.endSession();
-    }
+      return senderBalance;
+    });
+    
+    res.json({
+      success: true,
+      amount,
+      fee,
+      totalDebited: total,
+      receiverName: receiver.fullName,
+      receiverEmail: receiver.email,
+      newBalance: senderBalances.after,
+      ...MONEY,
+      message: 'Transfer completed successfully'
+    });
   } catch (error) {
     console.error('Transfer error:', error.message);
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
-// Verify transaction PIN
-app.post('/api/users/verify-transaction-pin', async (req, res) => {
-  try {
-    const { userId, transactionPin } = req.body;
-    const user = await User.findById(userId);
-    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
-    
-    if (!user.transactionPinSet || user.transactionPin !== transactionPin) {
-      return res.status(401).json({ success: false, message: 'Invalid transaction PIN' });
-    }
-    
-    res.json({ success: true, message: 'PIN verified' });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
+// ==================== TRANSACTION PIN (utils/pin.js) ====================
+// Verify transaction PIN - { transactionPin }; wrong ones count toward the lock
+app.post('/api/users/verify-transaction-pin', auth.requireUser, auth.actAsSelf('userId'), pin.requirePin('verify'), (req, res) => {
+  res.json({ success: true, message: 'PIN verified' });
 });
 
-// Set transaction PIN
-app.post('/api/users/set-transaction-pin', async (req, res) => {
+// The caller's full record - req.user leaves the PIN hash and OTP out
+const pinRoute = (handler) => async (req, res) => {
   try {
-    const { userId, transactionPin } = req.body;
-    
-    if (!/^\d{6}$/.test(transactionPin)) {
-      return res.status(400).json({ success: false, message: 'PIN must be 6 digits' });
-    }
-    
-    const user = await User.findById(userId);
+    const user = await User.findById(req.user._id);
     if (!user) return res.status(404).json({ success: false, message: 'User not found' });
-    
-    user.transactionPin = transactionPin;
-    user.transactionPinSet = true;
-    await user.save();
-    
-    res.json({ success: true, message: 'Transaction PIN set successfully' });
+    await handler(user, req, res);
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    pin.sendError(res, error);
   }
-});
+};
+
+// Set transaction PIN - { transactionPin }, the first one only
+app.post('/api/users/set-transaction-pin', auth.requireUser, auth.actAsSelf('userId'), pinRoute(async (user, req, res) => {
+  await pin.setPin(user, req.body.transactionPin, { req });
+  res.json({ success: true, message: 'Transaction PIN set successfully' });
+}));
+
+// Change transaction PIN - { currentPin, newPin }
+app.post('/api/users/change-transaction-pin', auth.requireUser, auth.actAsSelf('userId'), pinRoute(async (user, req, res) => {
+  await pin.changePin(user, req.body.currentPin, req.body.newPin, { req });
+  res.json({ success: true, message: 'Transaction PIN changed successfully' });
+}));
+
+// Forgot transaction PIN - sends an OTP to the user's email / phone
+app.post('/api/users/forgot-transaction-pin', auth.requireUser, auth.actAsSelf('userId'), pinRoute(async (user, req, res) => {
+  const { expiresAt } = await pin.requestReset(user, { req });
+  res.json({ success: true, message: 'OTP sent', expiresAt });
+}));
+
+// Reset transaction PIN - { otp, newPin }; also lifts a lock
+app.post('/api/users/reset-transaction-pin', auth.requireUser, auth.actAsSelf('userId'), pinRoute(async (user, req, res) => {
+  await pin.resetPin(user, req.body.otp, req.body.newPin, { req });
+  res.json({ success: true, message: 'Transaction PIN reset successfully' });
+}));
 
 // Create user
+// What a user may see about themselves - never the password or PIN hashes
+const userProfile = (user) => ({
+  _id: user._id,
+  email: user.email,
+  fullName: user.fullName,
+  phone: user.phone,
+  walletBalance: user.walletBalance,
+  commissionBalance: user.commissionBalance,
+  transactionPinSet: user.transactionPinSet,
+  isActive: user.isActive,
+  role: roleOf(user),
+  ...MONEY
+});
+
+// Sign up. With a password the user is logged in straight away (tokens as
+// /api/auth/login); an existing email has to log in instead.
 app.post('/api/users/create', async (req, res) => {
   try {
-    const { email, fullName, phone } = req.body;
+    const { email, fullName, phone, password } = req.body;
+    
+    if (password !== undefined && String(password).length < 8) {
+      return res.status(400).json({ success: false, message: 'Password must be at least 8 characters' });
+    }
     
     let user = await User.findOne({ email });
     if (user) {
-      return res.json({ success: true, userId: user._id, user });
+      return res.status(409).json({ success: false, message: 'An account with this email already exists - log in instead' });
     }
     
-    user = new User({ email, fullName, phone });
+    user = new User({ email, fullName, phone, ...(password !== undefined && { password: String(password) }) });
     await user.save();
     
-    res.json({ success: true, userId: user._id, user });
+    const tokens = user.password ? await auth.issueTokens(user) : {};
+    res.json({ success: true, userId: user._id, user: userProfile(user), ...tokens });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
-// Get current user
-app.get('/api/users/current', async (req, res) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ success: false, message: 'No token provided' });
-    }
-    
-    const token = authHeader.replace('Bearer ', '');
-    const user = await User.findById(token);
-    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
-    
-    res.json({
-      success: true,
-      data: {
-        _id: user._id,
-        email: user.email,
-        fullName: user.fullName,
-        phone: user.phone,
-        walletBalance: user.walletBalance,
-        commissionBalance: user.commissionBalance,
-        transactionPinSet: user.transactionPinSet,
-        isActive: user.isActive
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
+// Get current user - the one the access token belongs to
+app.get('/api/users/current', auth.requireUser, (req, res) => {
+  res.json({ success: true, data: userProfile(req.user) });
 });
 
 // ==================== CHECK PAYIN STATUS ENDPOINT ====================
-app.post('/api/payin/check-status', async (req, res) => {
+// Only reads what the webhooks and the payin poller have recorded.
+// For funding accounts the answer is the funding intent (utils/payinPolicy.js):
+// status completed (paid / overpaid), partial, expired or pending, with payment
+// { status, message, expected, received, outstanding, credited, held, refunded, ... }
+const PAYIN_STATUS = { awaiting: 'pending', partial: 'partial', paid: 'completed', overpaid: 'completed', expired: 'expired' };
+
+app.post('/api/payin/check-status', auth.requireUser, async (req, res) => {
   try {
     const { reference, transactionReference } = req.body;
     
@@ -1886,15 +1830,48 @@ app.post('/api/payin/check-status', async (req, res) => {
         { 'metadata.cashwyreCode': searchRef },
         { 'metadata.cashwyreRequestId': searchRef },
         { 'metadata.requestId': searchRef }
-      ]
+      ],
+      userId: req.user._id
+    });
+    
+    // Search in VirtualAccount table
+    const virtualAccount = await VirtualAccount.findOne({
+      $or: [
+        { cashwyreRequestId: searchRef },
+        { cashwyreReference: searchRef },
+        { reference: searchRef },
+        ...(transaction?.metadata?.requestId ? [{ cashwyreRequestId: transaction.metadata.requestId }] : [])
+      ],
+      userId: req.user._id
     });
     
+    // Anything received (or expired) - tell the user exactly where the funding stands
+    const payment = virtualAccount?.amount > 0 ? payinPolicy.fundingStatus(virtualAccount) : null;
+    if (payment && payment.status !== 'awaiting') {
+      console.log(`📊 Funding account ${virtualAccount.accountNumber} is ${payment.status}`);
+      const status = PAYIN_STATUS[payment.status];
+      return res.json({
+        success: status === 'completed',
+        status,
+        message: payment.message,
+        amount: payment.credited,
+        payment,
+        ...MONEY,
+        data: {
+          status,
+          depositAmount: payment.credited,
+          transactionReference: transaction?.reference || virtualAccount.cashwyreRequestId
+        }
+      });
+    }
+    
     if (transaction && transaction.status === 'completed') {
       console.log('✅ Transaction found in local DB - COMPLETED');
       return res.json({
         success: true,
         status: 'completed',
         amount: transaction.amount,
+        ...MONEY,
         data: {
           status: 'completed',
           depositAmount: transaction.amount,
@@ -1903,73 +1880,13 @@ app.post('/api/payin/check-status', async (req, res) => {
       });
     }
     
-    // Search in VirtualAccount table
-    const virtualAccount = await VirtualAccount.findOne({
-      $or: [
-        { cashwyreRequestId: searchRef },
-        { cashwyreReference: searchRef },
-        { reference: searchRef }
-      ]
-    });
-    
-    if (virtualAccount && virtualAccount.amount) {
-      console.log('✅ Found virtual account with matching ID');
-      console.log('   User ID:', virtualAccount.userId);
-      console.log('   Amount:', virtualAccount.amount);
-      
-      // Check Cashwyre for status
-      const requestId = `${Date.now()}${Math.random().toString(36).substring(2, 10)}`;
-      
-      try {
-        const response = await axios.post(
-          `${CASHWYRE_CONFIG.baseURL}/payin/payinStatus`,
-          {
-            appId: CASHWYRE_CONFIG.appId,
-            requestId: requestId,
-            transactionReference: virtualAccount.cashwyreRequestId,
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${CASHWYRE_CONFIG.secretKey}`,
-            },
-            timeout: 15000
-          }
-        );
-        
-        console.log('📊 Cashwyre Status Response:', JSON.stringify(response.data));
-        
-        if (response.data.success && response.data.data) {
-          const status = response.data.data.status;
-          const amount = parseFloat(response.data.data.depositAmount || 0);
-          
-          if (status === 'completed' || status === 'success') {
-            await updateWalletBalance(
-              virtualAccount.userId,
-              amount,
-              'credit',
-              response.data.data.transactionReference || virtualAccount.cashwyreRequestId,
-              'Payin status check - successful',
-              { source: 'payin_status_check', cashwyreData: response.data.data }
-            );
-            
-            return res.json({
-              success: true,
-              status: 'completed',
-              amount: amount,
-              data: response.data.data
-            });
-          }
-        }
-      } catch (cashwyreError) {
-        console.log('Cashwyre check error:', cashwyreError.message);
-      }
-    }
-    
+    // Nothing yet. Cashwyre is asked in the background (utils/payinPoller.js) and
+    // the webhooks credit as they arrive, so there is no need to call it from here
     res.json({
       success: false,
       status: 'pending',
-      message: 'Payment still pending'
+      message: payment ? payment.message : 'Payment still pending',
+      ...(payment && { payment, ...MONEY })
     });
     
   } catch (error) {
@@ -1989,14 +1906,14 @@ app.post('/api/payin/check-status', async (req, res) => {
 
 
 // ==================== CHECK WEBHOOK STATUS ENDPOINT ====================
-app.get('/api/webhooks/check-status/:reference', async (req, res) => {
+app.get('/api/webhooks/check-status/:reference', auth.requireUser, async (req, res) => {
   try {
     const { reference } = req.params;
     
     console.log(`🔍 Checking webhook status for reference: ${reference}`);
     
-    // Find the transaction
-    const transaction = await Transaction.findOne({ reference });
+    // Find the caller's transaction
+    const transaction = await Transaction.findOne({ reference, userId: req.user._id });
     
     if (!transaction) {
       return res.json({
@@ -2008,7 +1925,6 @@ app.get('/api/webhooks/check-status/:reference', async (req, res) => {
     
     // Check if webhook has been processed
     const isProcessed = transaction.status === 'completed' || 
-                        transaction.status === 'successful' ||
                         transaction.metadata?.webhookProcessed === true;
     
     return res.json({
@@ -2017,6 +1933,7 @@ app.get('/api/webhooks/check-status/:reference', async (req, res) => {
       status: transaction.status,
       amount: transaction.amount,
       newBalance: transaction.balanceAfter,
+      ...MONEY,
       transaction: transaction,
       message: isProcessed ? 'Payment processed successfully' : 'Payment pending'
     });
@@ -2048,13 +1965,17 @@ app.get('/api/webhooks/test', (req, res) => {
 // ============================================
 // MANUAL BALANCE RECOVERY FOR USERS
 // ============================================
-app.post('/api/payments/manual-recovery', async (req, res) => {
+// Files an adjustment request for a deposit to accountNumber; it is credited once
+// another operator approves it (utils/adjustments.js). Evidence: cashwyreCode (or
+// providerReference) or screenshotUrl, and a note. With a code it is posted under the
+// deposit's own journal reference, so the deposit's webhook can't credit it as well.
+app.post('/api/payments/manual-recovery', requirePermission('deposit.recover'), async (req, res) => {
     try {
         const { accountNumber, amount, cashwyreCode } = req.body;
         
         console.log('🔄 Manual recovery requested:');
         console.log(`   Account: ${accountNumber}`);
-        console.log(`   Amount: ₦${amount}`);
+        console.log(`   Amount: ${amount} kobo`);
         console.log(`   Code: ${cashwyreCode}`);
         
         if (!accountNumber || !amount) {
@@ -2064,6 +1985,24 @@ app.post('/api/payments/manual-recovery', async (req, res) => {
             });
         }
         
+        const evidence = adjustments.readEvidence(req.body, { providerReference: cashwyreCode });
+        const missing = adjustments.missingEvidence(evidence);
+        if (missing) {
+            return res.status(400).json({ success: false, message: missing });
+        }
+        
+        const requestedBy = actorOf(req, req.body.by);
+        if (!requestedBy) {
+            return res.status(400).json({ success: false, message: 'by (who is asking) is required' });
+        }
+        
+        let creditAmount;
+        try {
+            creditAmount = parseKobo(amount);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        
         // Find the virtual account
         const virtualAccount = await VirtualAccount.findOne({
             accountNumber: accountNumber
@@ -2085,10 +2024,11 @@ app.post('/api/payments/manual-recovery', async (req, res) => {
         }
         
         // Check if already processed
-        const existingTx = await Transaction.findOne({
+        const code = evidence.providerReference;
+        const existingTx = code && await Transaction.findOne({
             $or: [
-                { cashwyreReference: cashwyreCode },
-                { reference: cashwyreCode }
+                { cashwyreReference: code },
+                { reference: { $in: [code, depositProcessor.journalReferenceOf(code)] } }
             ]
         });
         
@@ -2097,73 +2037,52 @@ app.post('/api/payments/manual-recovery', async (req, res) => {
                 success: true,
                 alreadyProcessed: true,
                 newBalance: user.walletBalance,
+                ...MONEY,
                 message: 'Transaction already processed'
             });
         }
         
-        const creditAmount = parseFloat(amount);
-        const oldBalance = user.walletBalance;
-        const newBalance = oldBalance + creditAmount;
-        
-        // Update user balance
-        user.walletBalance = newBalance;
-        user.updatedAt = new Date();
-        await user.save();
-        
-        // Mark virtual account as processed
-        virtualAccount.active = false;
-        virtualAccount.processedAt = new Date();
-        virtualAccount.cashwyreReference = cashwyreCode || `MANUAL_${Date.now()}`;
-        await virtualAccount.save();
-        
-        // Create transaction
-        const transaction = new Transaction({
+        const request = await adjustments.createRequest({
+            kind: 'deposit_recovery',
             userId: user._id,
-            type: 'wallet_funding',
             amount: creditAmount,
-            previousBalance: oldBalance,
-            newBalance: newBalance,
-            reference: cashwyreCode || `MANUAL_${Date.now()}`,
-            cashwyreReference: cashwyreCode,
-            status: 'completed',
-            description: `Manual Recovery - ₦${creditAmount} credited (Fee: ₦${(amountPaid || 0) - creditAmount} removed)`,
-            metadata: {
-                accountNumber: accountNumber,
-                source: 'manual_recovery',
-                amountPaid: amount,
-                netAmountToCredit: creditAmount,
-                recoveredAt: new Date()
-            },
-            completedAt: new Date()
-        });
-        
-        await transaction.save();
-        
-        console.log(`✅ MANUAL RECOVERY SUCCESSFUL:`);
-        console.log(`   User: ${user.email}`);
-        console.log(`   Balance: ₦${oldBalance} → ₦${newBalance}`);
-        console.log(`   Credited: ₦${creditAmount}`);
+            journalReference: code && depositProcessor.journalReferenceOf(code),
+            target: { accountNumber, cashwyreCode: code, virtualAccountId: virtualAccount._id },
+            evidence,
+            requestedBy,
+            balanceAtRequest: user.walletBalance
+        }, { req });
         
-        res.json({
+        res.status(202).json({
             success: true,
-            newBalance: newBalance,
-            oldBalance: oldBalance,
-            creditedAmount: creditAmount,
-            transactionId: transaction._id,
-            message: `Successfully credited ₦${creditAmount} to your wallet!`
+            request,
+            currentBalance: user.walletBalance,
+            ...MONEY,
+            message: `Recovery of ${formatNaira(creditAmount)} requested - another operator must approve it`
         });
         
     } catch (error) {
         console.error('Manual recovery error:', error.message);
-        res.status(500).json({
+        const status = error.code === 11000 ? 409 : 500;
+        res.status(status).json({
             success: false,
-            message: error.message || 'Failed to recover balance'
+            message: status === 409 ? 'A recovery for this reference is already awaiting approval' : error.message || 'Failed to recover balance'
         });
     }
 });
 
 
 // ==================== SYNC ENDPOINT FOR PHP WEBHOOK ====================
+// Processing step for stored cashwyre-sync events - crediting is utils/depositProcessor.js
+const processCashwyreSyncEvent = (stored) => depositProcessor.processDeposit(
+  depositProcessor.fromSyncPayload(stored.payload),
+  { source: 'cashwyre-sync', webhookEventId: stored._id }
+);
+
+webhookInbox.registerHandler('cashwyre-sync', processCashwyreSyncEvent, {
+  preview: (stored) => depositProcessor.previewDeposit(depositProcessor.fromSyncPayload(stored.payload))
+});
+
 app.post('/api/webhooks/cashwyre-sync', async (req, res) => {
   // ADD THESE LOGS INSIDE THE ROUTE HANDLER
   console.log('🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥');
@@ -2173,161 +2092,29 @@ app.post('/api/webhooks/cashwyre-sync', async (req, res) => {
   console.log('Body:', JSON.stringify(req.body, null, 2));
   console.log('🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥');
   
-  const startTime = Date.now();
   console.log('='.repeat(80));
   console.log('🔄 CASHWYRE SYNC RECEIVED');
   console.log('Time:', new Date().toISOString());
   console.log('Payload:', JSON.stringify(req.body, null, 2));
   
-  // ALWAYS send 200 response immediately to acknowledge receipt
-  res.status(200).json({ success: true, message: 'Webhook received - processing' });
+  const { cashwyreCode, transactionId, reference } = req.body;
+  const syncId = cashwyreCode || transactionId || reference;
+  const event = await receiveCashwyreWebhook(req, res, {
+    source: 'cashwyre-sync',
+    eventId: syncId && `cashwyre-sync:${syncId}`,
+    eventType: req.body.type || 'deposit'
+  });
+  if (!event) return;
   
-  // Continue processing asynchronously
-  try {
-    const { userId, amount, reference, cashwyreCode, accountNumber, bankName, sourceOfPayment, amountPaid, amountSettled, transactionId, settledOn, type } = req.body;
-    
-    if (!userId || !amount) {
-      console.log('❌ Missing required fields');
-      return;
-    }
-    
-    console.log(`💰 Webhook data: User requested ₦${amount}, Amount Paid: ₦${amountPaid}, Amount Settled: ₦${amountSettled}`);
-    
-    // Find the user
-    const user = await User.findById(userId);
-    if (!user) {
-      console.log('❌ User not found:', userId);
-      return;
-    }
-    
-    // IMPORTANT: Credit the original amount the user wanted to fund
-    // This is the amount they entered in the app (e.g., 100)
-    const creditAmount = parseFloat(amount);
-    
-    console.log(`💰 WILL CREDIT USER: ₦${creditAmount} (This is what they will see in their wallet)`);
-    console.log(`💰 Service charge deducted by payment provider: ₦${(amountPaid - creditAmount).toFixed(2)}`);
-    
-    // SEARCH FOR PENDING TRANSACTION
-    let pendingTransaction = await Transaction.findOne({ 
-      $or: [
-        { reference: cashwyreCode },
-        { cashwyreReference: cashwyreCode },
-        { 'metadata.requestId': cashwyreCode },
-        { reference: reference },
-        { 'metadata.accountNumber': accountNumber }
-      ],
-      status: 'pending'
-    });
-    
-    if (!pendingTransaction) {
-      pendingTransaction = await Transaction.findOne({
-        userId: userId,
-        'metadata.accountNumber': accountNumber,
-        status: 'pending'
-      });
-    }
-    
-    let transaction;
-    let oldBalance;
-    let newBalance;
-    
-    if (pendingTransaction) {
-      console.log('✅ Found pending transaction, updating to completed:', pendingTransaction._id);
-      
-      oldBalance = user.walletBalance;
-      newBalance = oldBalance + creditAmount;  // CREDIT THE USER'S REQUESTED AMOUNT
-      
-      user.walletBalance = newBalance;
-      user.updatedAt = new Date();
-      await user.save();
-      
-      pendingTransaction.status = 'completed';
-      pendingTransaction.newBalance = newBalance;
-      pendingTransaction.previousBalance = oldBalance;
-      pendingTransaction.cashwyreReference = cashwyreCode;
-      pendingTransaction.completedAt = new Date(settledOn || new Date());
-      pendingTransaction.description = `Virtual Account Funding - ₦${creditAmount} credited to wallet`;
-      pendingTransaction.metadata = {
-        ...pendingTransaction.metadata,
-        source: 'cashwyre_webhook_sync',
-        accountNumber: accountNumber,
-        bankName: bankName,
-        sourceOfPayment: sourceOfPayment,
-        amountPaid: amountPaid,
-        amountSettled: amountSettled,
-        originalTransactionId: transactionId,
-        settledOn: settledOn,
-        cashwyreCode: cashwyreCode,
-        paymentCompletedAt: new Date(),
-        status: 'completed',
-        creditedAmount: creditAmount,
-        serviceChargeDeducted: amountPaid - creditAmount
-      };
-      
-      transaction = await pendingTransaction.save();
-      console.log(`✅ UPDATED pending transaction to completed: ${transaction._id}`);
-      console.log(`💰 User wallet credited: ₦${creditAmount}`);
-      console.log(`💰 New balance: ₦${newBalance}`);
-      
-    } else {
-      console.log('⚠️ No pending transaction found, creating new completed transaction');
-      
-      oldBalance = user.walletBalance;
-      newBalance = oldBalance + creditAmount;  // CREDIT THE USER'S REQUESTED AMOUNT
-      
-      user.walletBalance = newBalance;
-      user.updatedAt = new Date();
-      await user.save();
-      
-      transaction = new Transaction({
-        userId: user._id,
-        type: 'wallet_funding',
-        amount: creditAmount,  // Store the credited amount
-        previousBalance: oldBalance,
-        newBalance: newBalance,
-        reference: cashwyreCode || reference,
-        cashwyreReference: cashwyreCode,
-        status: 'completed',
-        description: `Virtual Account Funding - ₦${creditAmount} credited to wallet`,
-        createdAt: new Date(),
-        metadata: {
-          source: 'cashwyre_webhook_sync',
-          accountNumber: accountNumber,
-          bankName: bankName,
-          sourceOfPayment: sourceOfPayment,
-          amountPaid: amountPaid,
-          amountSettled: amountSettled,
-          originalTransactionId: transactionId,
-          settledOn: settledOn,
-          cashwyreCode: cashwyreCode,
-          paymentCompletedAt: new Date(),
-          creditedAmount: creditAmount,
-          serviceChargeDeducted: amountPaid - creditAmount
-        },
-        completedAt: new Date(settledOn || new Date())
-      });
-      
-      await transaction.save();
-      console.log(`✅ Created new completed transaction: ${transaction._id}`);
-      console.log(`💰 User wallet credited: ₦${creditAmount}`);
-      console.log(`💰 New balance: ₦${newBalance}`);
-    }
-    
-    const duration = Date.now() - startTime;
-    console.log('✅ SYNC COMPLETED in ' + duration + 'ms');
-    console.log('='.repeat(80));
-    
-  } catch (error) {
-    console.error('❌ Sync error:', error.message);
-    console.error('Stack:', error.stack);
-    console.log('='.repeat(80));
-  }
+  // Acknowledge as soon as it is stored, then process asynchronously
+  res.status(200).json({ success: true, message: 'Webhook received - processing', webhookEventId: event._id });
+  await webhookInbox.processEvent(event);
 });
 
 
 
 // Add this endpoint to get pending transactions for a user
-app.get('/api/transactions/pending/:userId', async (req, res) => {
+app.get('/api/transactions/pending/:userId', auth.requireUser, auth.ownsParam(), async (req, res) => {
   try {
     const { userId } = req.params;
     
@@ -2341,7 +2128,8 @@ app.get('/api/transactions/pending/:userId', async (req, res) => {
     res.json({
       success: true,
       transactions: pendingTransactions,
-      count: pendingTransactions.length
+      count: pendingTransactions.length,
+      ...MONEY
     });
   } catch (error) {
     console.error('Error fetching pending transactions:', error);
@@ -2353,7 +2141,7 @@ app.get('/api/transactions/pending/:userId', async (req, res) => {
 
 // Add endpoint to get ALL transactions (pending + completed)
 // Get ALL transactions for a user (both pending and completed)
-app.get('/api/transactions/all/:userId', async (req, res) => {
+app.get('/api/transactions/all/:userId', auth.requireUser, auth.ownsParam(), async (req, res) => {
     try {
         const { userId } = req.params;
         
@@ -2367,7 +2155,8 @@ app.get('/api/transactions/all/:userId', async (req, res) => {
         res.json({
             success: true,
             transactions: transactions,
-            count: transactions.length
+            count: transactions.length,
+            ...MONEY
         });
     } catch (error) {
         console.error('Error fetching all transactions:', error);
@@ -2392,265 +2181,83 @@ app.get('/api/transactions/all/:userId', async (req, res) => {
 // ============================================
 // PROCESS CASHWYRE WEBHOOK - FIXED VERSION
 // ============================================
+// Processing step for stored cashwyre-process events - crediting is utils/depositProcessor.js
+const processCashwyreProcessEvent = (stored) => depositProcessor.processDeposit(
+    depositProcessor.fromProcessPayload(stored.payload),
+    { source: 'cashwyre-process', webhookEventId: stored._id }
+);
+
+webhookInbox.registerHandler('cashwyre-process', processCashwyreProcessEvent, {
+    preview: (stored) => depositProcessor.previewDeposit(depositProcessor.fromProcessPayload(stored.payload))
+});
+
 app.post('/api/webhooks/cashwyre-process', async (req, res) => {
     console.log('💰💰💰 CASHWYRE WEBHOOK RECEIVED BY NODE.JS 💰💰💰');
     console.log('Time:', new Date().toISOString());
     console.log('Body:', JSON.stringify(req.body, null, 2));
     
-    // ALWAYS respond immediately
-    res.status(200).json({ success: true, message: 'Processing' });
+    const event = await receiveCashwyreWebhook(req, res, {
+        source: 'cashwyre-process',
+        eventId: req.body.cashwyreCode && `cashwyre-process:${req.body.cashwyreCode}`,
+        eventType: req.body.status
+    });
+    if (!event) return;
     
-    try {
-        const { 
-            cashwyreCode, 
-            amountPaid, 
-            accountNumber, 
-            status, 
-            bankName, 
-            settledOn, 
-            isOverpaid, 
-            amountSettled,
-            netAmountToCredit,
-            feeDeducted,
-            originalRequestedAmount,
-            isPartial
-        } = req.body;
-        
-        console.log(`📋 Processing for account: ${accountNumber}`);
-        console.log(`💰 Amount Paid: ₦${amountPaid}`);
-        console.log(`💰 Fee Deducted: ₦${feeDeducted}`);
-        console.log(`💰 NET AMOUNT TO CREDIT: ₦${netAmountToCredit}`);
-        
-        // Find virtual account by account number
-        const virtualAccount = await VirtualAccount.findOne({ 
-            accountNumber: accountNumber
-        }).sort({ createdAt: -1 });
-        
-        if (!virtualAccount) {
-            console.log('❌ No virtual account found for:', accountNumber);
-            return;
-        }
-        
-        console.log(`✅ Found virtual account: ${virtualAccount._id}, active: ${virtualAccount.active}`);
-        console.log(`   Virtual Account Amount: ₦${virtualAccount.amount}`);
-        console.log(`   Account Type: ${virtualAccount.metadata?.accountType || 'unknown'}`);
-        
-        const user = await User.findById(virtualAccount.userId);
-        if (!user) {
-            console.log('❌ User not found:', virtualAccount.userId);
-            return;
-        }
-        
-        // ============================================
-        // 🔥 CRITICAL FIX: ALWAYS credit netAmountToCredit
-        // DO NOT cap based on virtualAccount.amount for reserve accounts
-        // ============================================
-        
-        let creditAmount = 0;
-        
-        // 1. Check if PHP sent netAmountToCredit
-        if (netAmountToCredit !== undefined && netAmountToCredit !== null) {
-            creditAmount = parseFloat(netAmountToCredit);
-            console.log(`💰 USING netAmountToCredit FROM PHP: ₦${creditAmount}`);
-        } else {
-            // 2. Fallback: calculate based on status
-            let fee = feeDeducted || 0;
-            if (fee === 0) {
-                fee = (amountPaid >= 50000) ? 100 : 50;
-            }
-            
-            if (status === 'PARTIALLY_PAID') {
-                creditAmount = Math.max(0, amountPaid - fee);
-                console.log(`💰 Calculated for PARTIALLY_PAID: ₦${amountPaid} - ₦${fee} = ₦${creditAmount}`);
-            } else if (status === 'OVERPAID') {
-                creditAmount = Math.max(0, amountPaid - fee);
-                console.log(`💰 Calculated for OVERPAID: ₦${creditAmount}`);
-            } else {
-                creditAmount = Math.max(0, amountPaid - fee);
-                console.log(`💰 Calculated normal: ₦${creditAmount}`);
-            }
-        }
-        
-        // 🔥 REMOVE THIS CAPPING LOGIC - IT BREAKS RESERVE ACCOUNTS
-        // The virtualAccount.amount is 0 for reserve accounts, but we should still credit
-        // if (creditAmount > virtualAccount.amount) {
-        //     console.log(`⚠️ Credit amount (₦${creditAmount}) exceeds virtual account amount (₦${virtualAccount.amount}), capping`);
-        //     creditAmount = virtualAccount.amount;
-        // }
-        
-        // 🔥 NEW LOGIC: Always credit the net amount, even if virtualAccount.amount is 0
-        // For reserve accounts, virtualAccount.amount is 0 (they are for receiving payments)
-        // The credit amount comes from the webhook, not from the virtual account
-        
-        // 4. If credit amount is 0 or negative, don't credit anything
-        if (creditAmount <= 0) {
-            console.log(`⚠️ No credit amount (₦${creditAmount}), skipping balance update`);
-            
-            // Still mark virtual account as processed
-            virtualAccount.active = false;
-            virtualAccount.processedAt = new Date();
-            virtualAccount.cashwyreReference = cashwyreCode;
-            await virtualAccount.save();
-            
-            // Create zero transaction record
-            const zeroTransaction = new Transaction({
-                userId: user._id,
-                type: 'wallet_funding',
-                amount: 0,
-                previousBalance: user.walletBalance,
-                newBalance: user.walletBalance,
-                reference: cashwyreCode,
-                cashwyreReference: cashwyreCode,
-                status: 'completed',
-                description: `Payment received but fee exceeded amount - No credit (Paid: ₦${amountPaid}, Fee: ₦${feeDeducted})`,
-                metadata: {
-                    accountNumber: accountNumber,
-                    source: 'cashwyre_webhook',
-                    amountPaid: amountPaid,
-                    feeDeducted: feeDeducted,
-                    netAmountToCredit: 0,
-                    status: status,
-                    isOverpaid: isOverpaid || false,
-                    bankName: bankName,
-                    cashwyreCode: cashwyreCode,
-                    noCreditGiven: true
-                },
-                completedAt: new Date(settledOn || new Date())
-            });
-            await zeroTransaction.save();
-            
-            console.log(`✅ Virtual account marked as processed, no credit given`);
-            return;
-        }
-        
-        // 5. UPDATE USER BALANCE WITH creditAmount
-        const oldBalance = user.walletBalance;
-        const newBalance = oldBalance + creditAmount;
-        
-        console.log(`💰 OLD BALANCE: ₦${oldBalance}`);
-        console.log(`💰 CREDITING: ₦${creditAmount}`);
-        console.log(`💰 NEW BALANCE: ₦${newBalance}`);
-        
-        // Use findOneAndUpdate for atomic operation
-        const updatedUser = await User.findOneAndUpdate(
-            { _id: user._id, walletBalance: oldBalance },
-            { 
-                $set: { 
-                    walletBalance: newBalance,
-                    updatedAt: new Date()
-                }
-            },
-            { new: true, runValidators: true }
-        );
-        
-        if (!updatedUser) {
-            console.log('❌ Balance update failed - race condition detected');
-            return;
-        }
-        
-        console.log(`✅ User balance updated: ₦${oldBalance} → ₦${newBalance}`);
-        
-        // 6. Mark virtual account as processed
-        virtualAccount.active = false;
-        virtualAccount.processedAt = new Date();
-        virtualAccount.cashwyreReference = cashwyreCode;
-        await virtualAccount.save();
-        console.log(`✅ Virtual account ${accountNumber} marked as inactive`);
-        
-        // 7. Find or create transaction
-        let pendingTransaction = await Transaction.findOne({ 
-            userId: virtualAccount.userId,
-            $or: [
-                { status: 'pending' },
-                { 'metadata.accountNumber': accountNumber },
-                { cashwyreReference: cashwyreCode }
-            ]
-        }).sort({ createdAt: -1 });
-        
-        if (pendingTransaction && pendingTransaction.status === 'pending') {
-            // Update existing pending to completed
-            pendingTransaction.status = 'completed';
-            pendingTransaction.amount = creditAmount;
-            pendingTransaction.newBalance = newBalance;
-            pendingTransaction.previousBalance = oldBalance;
-            pendingTransaction.cashwyreReference = cashwyreCode;
-            pendingTransaction.completedAt = new Date(settledOn || new Date());
-            pendingTransaction.description = `Wallet Funding - ₦${creditAmount} credited (Fee: ₦${feeDeducted || (amountPaid - creditAmount)} removed)`;
-            pendingTransaction.metadata = {
-                ...pendingTransaction.metadata,
-                accountNumber: accountNumber,
-                source: 'cashwyre_webhook',
-                amountPaid: amountPaid,
-                amountSettled: amountSettled,
-                feeDeducted: feeDeducted || (amountPaid - creditAmount),
-                netAmountToCredit: creditAmount,
-                originalRequestedAmount: originalRequestedAmount || virtualAccount.amount,
-                status: status,
-                settledOn: settledOn,
-                isOverpaid: isOverpaid || false,
-                bankName: bankName,
-                cashwyreCode: cashwyreCode,
-                isPartial: isPartial || false,
-                processedAt: new Date()
-            };
-            await pendingTransaction.save();
-            console.log('✅ Updated pending transaction to completed');
-        } else {
-            // Create new transaction
-            const newTransaction = new Transaction({
-                userId: user._id,
-                type: 'wallet_funding',
-                amount: creditAmount,
-                previousBalance: oldBalance,
-                newBalance: newBalance,
-                reference: cashwyreCode,
-                cashwyreReference: cashwyreCode,
-                status: 'completed',
-                description: `Wallet Funding - ₦${creditAmount} credited (Fee: ₦${feeDeducted || (amountPaid - creditAmount)} removed)`,
-                createdAt: new Date(),
-                completedAt: new Date(settledOn || new Date()),
-                metadata: {
-                    accountNumber: accountNumber,
-                    source: 'cashwyre_webhook',
-                    amountPaid: amountPaid,
-                    amountSettled: amountSettled,
-                    feeDeducted: feeDeducted || (amountPaid - creditAmount),
-                    netAmountToCredit: creditAmount,
-                    originalRequestedAmount: originalRequestedAmount || virtualAccount.amount,
-                    status: status,
-                    settledOn: settledOn,
-                    isOverpaid: isOverpaid || false,
-                    bankName: bankName,
-                    cashwyreCode: cashwyreCode,
-                    isPartial: isPartial || false,
-                    processedAt: new Date()
-                },
-            });
-            await newTransaction.save();
-            console.log('✅ Created new transaction');
-        }
-        
-        console.log(`✅✅✅ SUCCESS: User ${user.email} credited ₦${creditAmount}`);
-        console.log(`   💰 Balance: ₦${oldBalance} → ₦${newBalance}`);
-        console.log(`   💰 Fee Removed: ₦${feeDeducted || (amountPaid - creditAmount)}`);
-        
-    } catch (error) {
-        console.error('❌ Webhook error:', error.message);
-        console.error('Stack:', error.stack);
-    }
+    // Respond as soon as it is stored, then process
+    res.status(200).json({ success: true, message: 'Processing', webhookEventId: event._id });
+    await webhookInbox.processEvent(event);
 });
 
+// ==================== PAYSTACK ROUTERS ====================
+// Mounted after the Cashwyre endpoints above, so those keep precedence on shared paths
+// (e.g. /api/wallet/balance/:userId). Each prefix can be moved with its env var.
+// routes/virtualAccountSyncRoutes.js is the main backend's own endpoint and is not
+// served here - wallet credits only come from verified provider events.
+const ROUTE_PREFIXES = {
+  payments: process.env.PAYMENTS_ROUTE_PREFIX || '/api/payments',
+  wallet: process.env.WALLET_ROUTE_PREFIX || '/api/wallet',
+  virtualAccount: process.env.VIRTUAL_ACCOUNT_ROUTE_PREFIX || '/api/virtual-account',
+  webhooks: process.env.WEBHOOKS_ROUTE_PREFIX || '/api/webhooks',
+  fees: process.env.FEES_ROUTE_PREFIX || '/api/fees',
+  failedSyncs: process.env.FAILED_SYNCS_ROUTE_PREFIX || '/api/admin/failed-syncs',
+  unmatchedDeposits: process.env.UNMATCHED_DEPOSITS_ROUTE_PREFIX || '/api/admin/unmatched-deposits',
+  webhookReplay: process.env.WEBHOOK_REPLAY_ROUTE_PREFIX || '/api/admin/webhooks',
+  events: process.env.EVENTS_ROUTE_PREFIX || '/api/events',
+  auth: process.env.AUTH_ROUTE_PREFIX || '/api/auth',
+  staff: process.env.STAFF_ROUTE_PREFIX || '/api/admin/staff',
+  adjustments: process.env.ADJUSTMENTS_ROUTE_PREFIX || '/api/admin/adjustments',
+  audit: process.env.AUDIT_ROUTE_PREFIX || '/api/admin/audit'
+};
 
-
-
-
+app.use(ROUTE_PREFIXES.payments, require('./routes/payments'));
+app.use(ROUTE_PREFIXES.wallet, require('./routes/wallet'));
+app.use(ROUTE_PREFIXES.virtualAccount, require('./routes/virtualAccount'));
+app.use(ROUTE_PREFIXES.webhooks, require('./routes/webhooks'));
+app.use(ROUTE_PREFIXES.fees, require('./routes/fees'));
+app.use(ROUTE_PREFIXES.failedSyncs, require('./routes/failedSyncs'));
+app.use(ROUTE_PREFIXES.unmatchedDeposits, require('./routes/unmatchedDeposits'));
+app.use(ROUTE_PREFIXES.webhookReplay, require('./routes/webhookReplay'));
+app.use(ROUTE_PREFIXES.events, require('./routes/events'));
+app.use(ROUTE_PREFIXES.auth, require('./routes/auth'));
+app.use(ROUTE_PREFIXES.staff, require('./routes/staff'));
+app.use(ROUTE_PREFIXES.adjustments, require('./routes/adjustments'));
+app.use(ROUTE_PREFIXES.audit, require('./routes/audit'));
+
+console.log('🧩 Models:', registeredModels().map(m => `${m.name} (${m.definedIn})`).join(', '));
+console.log('🧭 Routers:', JSON.stringify(ROUTE_PREFIXES));
 
 // ==================== START SERVER ====================
 const PORT = process.env.PORT || 3000;
 
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cashwyre_wallet')
+// Resolves with the http.Server once MongoDB is connected and the app is listening
+const start = ({
+  mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/cashwyre_wallet',
+  port = PORT
+} = {}) => mongoose.connect(mongoUri)
   .then(async () => {
     console.log('MongoDB connected');
+    startTimers(mongoUri, port);
+    userEvents.watch();
     
     try {
       const db = mongoose.connection.db;
@@ -2710,13 +2317,28 @@ app.post('/api/webhooks/test-forward', (req, res) => {
 
     
     
-    app.listen(PORT, '0.0.0.0', () => {
-      console.log(`Server running on port ${PORT}`);
-      console.log(`Cashwyre Business Code: ${CASHWYRE_CONFIG.businessCode}`);
-      console.log(`Currency: ${CASHWYRE_CONFIG.currency}`);
-      console.log(`API URL: http://localhost:${PORT}/api/virtual-accounts/create-dynamic`);
-      console.log(`Payin Status URL: http://localhost:${PORT}/api/payin/check-status`);
-      console.log(`Sync URL: http://localhost:${PORT}/api/webhooks/cashwyre-sync`);
+    return new Promise((resolve) => {
+      const server = app.listen(port, '0.0.0.0', () => {
+        require('./routes/events').attachWebSocket(server, `${ROUTE_PREFIXES.events}/ws`);
+        console.log(`Server running on port ${port}`);
+        console.log(`Cashwyre Business Code: ${CASHWYRE_CONFIG.businessCode}`);
+        console.log(`Currency: ${CASHWYRE_CONFIG.currency}`);
+        console.log(`API URL: http://localhost:${port}/api/virtual-accounts/create-dynamic`);
+        console.log(`Payin Status URL: http://localhost:${port}/api/payin/check-status`);
+        console.log(`Sync URL: http://localhost:${port}/api/webhooks/cashwyre-sync`);
+        webhookAuth.missingSecrets().forEach(name => {
+          console.log(`⚠️ ${name} is not set - webhooks signed with it are all rejected`);
+        });
+        if (!process.env.JWT_SECRET) {
+          console.log('⚠️ JWT_SECRET is not set - nobody can log in, and user routes answer 500');
+        }
+        resolve(server);
+      });
     });
-  })
-  .catch(err => console.error('MongoDB error:', err));
+  });
+
+if (require.main === module) {
+  start().catch(err => console.error('MongoDB error:', err));
+}
+
+module.exports = { app, start };
@@ -0,0 +1,114 @@
+// simulator/cashwyre.js - The Cashwyre business API endpoints providers/cashwyre.js calls
+// Same envelope as the real API: { success, message, data }, amounts in naira.
+const express = require('express');
+const { toKobo, toNaira } = require('../utils/money');
+
+const BANK = { bankName: 'Moniepoint Microfinance Bank', bankCode: '50515' };
+
+const cashwyreRouter = (state, config) => {
+  const router = express.Router();
+
+  const fail = (res, status, message) => res.status(status).json({ success: false, message, data: null });
+
+  router.use((req, res, next) => {
+    if (!req.headers.authorization?.startsWith('Bearer ')) {
+      return fail(res, 401, 'Missing bearer token');
+    }
+    next();
+  });
+
+  router.post('/ReserveAccount/createReserveAccount', (req, res) => {
+    const { accountReference, firstName, lastName, bvn, nin, currency = 'NGN' } = req.body;
+    if (!accountReference) return fail(res, 400, 'accountReference is required');
+    if (!bvn && !nin) return fail(res, 400, 'BVN or NIN is required');
+
+    // Cashwyre hands back the existing account for a known reference
+    let account = state.cashwyre.reserveAccounts.get(accountReference);
+    if (!account) {
+      account = {
+        accountNumber: state.nextAccountNumber(),
+        accountName: `${firstName} ${lastName}`.trim(),
+        ...BANK,
+        currency,
+        status: 'ACTIVE',
+        accountReference,
+        createdOn: new Date().toISOString()
+      };
+      state.cashwyre.reserveAccounts.set(accountReference, account);
+      console.log(`🧪 [cashwyre] reserve account ${account.accountNumber} for ${accountReference}`);
+    }
+    res.json({ success: true, message: 'Reserve account created', data: account });
+  });
+
+  router.post('/ReserveAccount/getReserveAccount', (req, res) => {
+    const account = state.cashwyre.reserveAccounts.get(req.body.AccountReference);
+    if (!account) return fail(res, 200, 'Reserve account not found');
+    res.json({ success: true, message: 'Reserve account retrieved', data: account });
+  });
+
+  router.post('/payin/initiatePayin', (req, res) => {
+    const { requestId, amount, currency = 'NGN' } = req.body;
+    if (!requestId || !(amount > 0)) return fail(res, 400, 'requestId and amount are required');
+
+    const amountKobo = toKobo(amount);
+    const feeKobo = Math.round(amountKobo * config.cashwyreFeeBps / 10000);
+    const payin = {
+      requestId,
+      reference: state.newId('CWPAYIN'),
+      transactionReference: state.newId('CWTXN'),
+      accountNumber: state.nextAccountNumber(),
+      accountName: 'CASHWYRE SIMULATOR',
+      ...BANK,
+      currency,
+      amount: amountKobo,
+      feeAmount: feeKobo,
+      depositAmount: amountKobo + feeKobo,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    };
+    state.cashwyre.payins.set(requestId, payin);
+    console.log(`🧪 [cashwyre] payin ${requestId}: ${payin.accountNumber} expects ₦${toNaira(payin.depositAmount)}`);
+
+    res.json({
+      success: true,
+      message: 'Payin initiated',
+      data: {
+        accountNumber: payin.accountNumber,
+        accountName: payin.accountName,
+        bankName: payin.bankName,
+        bankCode: payin.bankCode,
+        currency,
+        reference: payin.reference,
+        transactionReference: payin.transactionReference,
+        depositAmount: toNaira(payin.depositAmount),
+        feeAmount: toNaira(payin.feeAmount),
+        feeType: 'sender',
+        canConfirmPayin: false
+      }
+    });
+  });
+
+  router.post('/payin/payinStatus', (req, res) => {
+    const payin = state.cashwyre.payins.get(req.body.transactionReference);
+    if (!payin) return fail(res, 200, 'Payin not found');
+    res.json({
+      success: true,
+      message: 'Payin status retrieved',
+      data: {
+        status: payin.status,
+        transactionReference: payin.transactionReference,
+        depositAmount: toNaira(payin.paidAmount ?? payin.depositAmount),
+        ...(payin.code && {
+          code: payin.code,
+          amountPaid: toNaira(payin.paidAmount),
+          amountSettled: toNaira(payin.amountSettled),
+          settledOn: payin.settledOn
+        })
+      }
+    });
+  });
+
+  return router;
+};
+
+module.exports = { cashwyreRouter };
@@ -0,0 +1,212 @@
+// simulator/control.js - /simulator/* endpoints that play the customer's side:
+// pay into an account or through a checkout, then fire the webhook the real
+// provider would send back at the app. Amounts in request bodies are kobo.
+const crypto = require('crypto');
+const axios = require('axios');
+const express = require('express');
+const { toNaira, formatNaira } = require('../utils/money');
+const { signatureHeaders } = require('../utils/webhookAuth');
+
+const controlRouter = (state, config) => {
+  const router = express.Router();
+
+  // POST the exact bytes we signed - re-serialising would break the signature
+  const fire = async (name, path, payload, headers = () => ({})) => {
+    const body = JSON.stringify(payload);
+    const record = { name, url: `${config.appUrl}${path}`, payload, firedAt: new Date().toISOString() };
+    try {
+      const response = await axios.post(record.url, body, {
+        headers: { 'Content-Type': 'application/json', ...headers(body) },
+        timeout: 15000,
+        validateStatus: () => true
+      });
+      record.status = response.status;
+      record.response = response.data;
+    } catch (error) {
+      record.status = 'error';
+      record.response = error.message;
+    }
+    state.webhooks.push(record);
+    console.log(`🧪 [webhook] ${name} -> ${record.url} (${record.status})`);
+    return record;
+  };
+
+  const hmac = (secret, body) => crypto.createHmac('sha512', secret).update(body).digest('hex');
+
+  const paystackHeaders = (body) => ({ 'x-paystack-signature': hmac(config.paystackSecret, body) });
+  // Signed the way utils/webhookAuth.js checks; unsigned (so rejected) when the secret isn't set
+  const senderHeaders = (sender, secret) => (body) => (secret ? signatureHeaders(sender, secret, body) : {});
+  const cashwyreHeaders = senderHeaders('cashwyre', config.cashwyreWebhookSecret);
+  const forwarderHeaders = senderHeaders('forwarder', config.forwarderWebhookSecret);
+
+  const firePaystackCharge = (transaction) => fire(
+    'paystack charge.success',
+    config.paystackWebhookPath,
+    { event: 'charge.success', data: transaction },
+    paystackHeaders
+  );
+
+  // ==================== STATE ====================
+  router.get('/state', (req, res) => res.json({ success: true, state: state.toJSON() }));
+
+  router.post('/reset', (req, res) => {
+    state.reset();
+    res.json({ success: true, message: 'Simulator state cleared' });
+  });
+
+  // ==================== CASHWYRE ====================
+  // webhook: fiat (Cashwyre's own event), process or sync (what the PHP forwarder sends),
+  // or none - a lost webhook, so only the payin poller can find it
+  router.post('/cashwyre/deposit', async (req, res) => {
+    const { accountNumber, webhook = 'fiat', userId } = req.body;
+    if (!['fiat', 'process', 'sync', 'none'].includes(webhook)) {
+      return res.status(400).json({ success: false, message: 'webhook must be fiat, process, sync or none' });
+    }
+    if (webhook === 'sync' && !userId) {
+      return res.status(400).json({ success: false, message: 'userId is required for sync webhooks' });
+    }
+    const match = state.findByAccountNumber(accountNumber);
+    if (!match || match.kind === 'dedicated') {
+      return res.status(404).json({ success: false, message: `No Cashwyre account ${accountNumber}` });
+    }
+
+    const payin = match.kind === 'payin' ? match.record : null;
+    const amountPaid = Number(req.body.amount ?? payin?.depositAmount);
+    if (!Number.isInteger(amountPaid) || amountPaid <= 0) {
+      return res.status(400).json({ success: false, message: 'amount (kobo) is required for reserve accounts' });
+    }
+
+    const fee = payin ? Math.min(payin.feeAmount, amountPaid) : Math.round(amountPaid * config.cashwyreFeeBps / 10000);
+    const amountSettled = amountPaid - fee;
+    const code = state.newId('CWDEP');
+    const settledOn = new Date().toISOString();
+    if (payin) {
+      payin.status = 'success';
+      payin.paidAmount = amountPaid;
+      payin.amountSettled = amountSettled;
+      payin.code = code;
+      payin.settledOn = settledOn;
+    }
+    console.log(`🧪 [cashwyre] ${formatNaira(amountPaid)} paid into ${accountNumber}`);
+
+    let record = null;
+    if (webhook === 'none') {
+      console.log(`🧪 [cashwyre] no webhook for ${code}`);
+    } else if (webhook === 'fiat') {
+      record = await fire('cashwyre fiat_deposit.success', '/api/webhooks/cashwyre-fiat', {
+        eventType: 'fiat_deposit.success',
+        eventData: {
+          Code: code,
+          AmountPaid: toNaira(amountPaid),
+          AmountSettled: toNaira(amountSettled),
+          Currency: 'NGN',
+          AccountNumber: accountNumber,
+          AccountName: match.record.accountName,
+          BankName: match.record.bankName,
+          BankCode: match.record.bankCode,
+          Country: 'NG',
+          Narration: `Simulated transfer to ${accountNumber}`,
+          Status: 'success',
+          RequestId: payin?.requestId || code,
+          SettledOn: settledOn,
+          SourceOfPayment: 'SIMULATOR',
+          FundingMethod: 'bank_transfer'
+        }
+      }, cashwyreHeaders);
+    } else if (webhook === 'process') {
+      const expected = payin?.depositAmount ?? amountPaid;
+      const status = amountPaid < expected ? 'PARTIALLY_PAID' : amountPaid > expected ? 'OVERPAID' : 'PAID';
+      record = await fire('cashwyre process', '/api/webhooks/cashwyre-process', {
+        cashwyreCode: code,
+        accountNumber,
+        status,
+        bankName: match.record.bankName,
+        settledOn,
+        amountPaid: toNaira(amountPaid),
+        amountSettled: toNaira(amountSettled),
+        feeDeducted: toNaira(fee),
+        originalRequestedAmount: toNaira(payin?.amount ?? amountPaid),
+        netAmountToCredit: toNaira(amountSettled),
+        isOverpaid: status === 'OVERPAID',
+        isPartial: status === 'PARTIALLY_PAID'
+      }, forwarderHeaders);
+    } else {
+      record = await fire('cashwyre sync', '/api/webhooks/cashwyre-sync', {
+        userId,
+        reference: payin?.requestId || code,
+        cashwyreCode: code,
+        accountNumber,
+        bankName: match.record.bankName,
+        sourceOfPayment: 'SIMULATOR',
+        transactionId: code,
+        settledOn,
+        type: 'deposit',
+        amount: toNaira(payin?.amount ?? amountSettled),
+        amountPaid: toNaira(amountPaid),
+        amountSettled: toNaira(amountSettled)
+      }, forwarderHeaders);
+    }
+
+    res.json({ success: true, webhook: record });
+  });
+
+  // ==================== PAYSTACK ====================
+  // Transfer into a dedicated account
+  router.post('/paystack/deposit', async (req, res) => {
+    const { accountNumber } = req.body;
+    const amount = Number(req.body.amount);
+    const match = state.findByAccountNumber(accountNumber);
+    if (!match || match.kind !== 'dedicated') {
+      return res.status(404).json({ success: false, message: `No Paystack dedicated account ${accountNumber}` });
+    }
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return res.status(400).json({ success: false, message: 'amount (kobo) is required' });
+    }
+
+    const transaction = {
+      id: state.paystack.transactions.size + 1,
+      reference: state.newId('DVA'),
+      amount,
+      currency: 'NGN',
+      status: 'success',
+      channel: 'dedicated_nuban',
+      paid_at: new Date().toISOString(),
+      metadata: {},
+      customer: match.record.customer,
+      authorization: { receiver_bank_account_number: accountNumber, receiver_bank: match.record.bank.name }
+    };
+    state.paystack.transactions.set(transaction.reference, transaction);
+    res.json({ success: true, webhook: await firePaystackCharge(transaction) });
+  });
+
+  // Settle an initialized charge without a browser; status: success | failed
+  router.post('/paystack/charge/:reference', async (req, res) => {
+    const transaction = state.paystack.transactions.get(req.params.reference);
+    if (!transaction) return res.status(404).json({ success: false, message: 'Unknown reference' });
+
+    transaction.status = req.body.status || 'success';
+    transaction.paid_at = transaction.status === 'success' ? new Date().toISOString() : null;
+    const record = transaction.status === 'success' ? await firePaystackCharge(transaction) : null;
+    res.json({ success: true, transaction, webhook: record });
+  });
+
+  // authorization_url from /transaction/initialize lands here: pay, notify, redirect back
+  router.get('/paystack/checkout/:reference', async (req, res) => {
+    const transaction = state.paystack.transactions.get(req.params.reference);
+    if (!transaction) return res.status(404).send('Unknown reference');
+
+    if (transaction.status !== 'success') {
+      transaction.status = 'success';
+      transaction.paid_at = new Date().toISOString();
+      await firePaystackCharge(transaction);
+    }
+    if (!transaction.callback_url) return res.send(`Paid ${formatNaira(transaction.amount)}`);
+
+    const separator = transaction.callback_url.includes('?') ? '&' : '?';
+    res.redirect(`${transaction.callback_url}${separator}trxref=${transaction.reference}&reference=${transaction.reference}`);
+  });
+
+  return router;
+};
+
+module.exports = { controlRouter };
@@ -0,0 +1,109 @@
+// simulator/paystack.js - The Paystack API endpoints providers/paystack.js calls
+// Same envelope as the real API: { status, message, data }, amounts in kobo.
+const express = require('express');
+
+const paystackRouter = (state, config) => {
+  const router = express.Router();
+
+  const fail = (res, status, message) => res.status(status).json({ status: false, message });
+
+  router.use((req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${config.paystackSecret}`) {
+      return fail(res, 401, 'Invalid key');
+    }
+    next();
+  });
+
+  router.get('/customer', (req, res) => {
+    const customer = state.paystack.customers.get(req.query.email);
+    res.json({ status: true, message: 'Customers retrieved', data: customer ? [customer] : [] });
+  });
+
+  router.post('/customer', (req, res) => {
+    const { email, first_name, last_name, phone } = req.body;
+    if (!email) return fail(res, 400, 'Email is required');
+
+    const customer = state.paystack.customers.get(email) || {
+      id: state.paystack.customers.size + 1,
+      customer_code: state.newId('CUS'),
+      email,
+      first_name,
+      last_name,
+      phone
+    };
+    state.paystack.customers.set(email, customer);
+    res.json({ status: true, message: 'Customer created', data: customer });
+  });
+
+  router.post('/dedicated_account', (req, res) => {
+    const { customer: customerCode, preferred_bank } = req.body;
+    const customer = [...state.paystack.customers.values()].find(c => c.customer_code === customerCode);
+    if (!customer) return fail(res, 404, 'Customer not found');
+
+    // Same wording as Paystack - providers/paystack.js falls back on it
+    if (state.paystack.dedicatedAccounts.has(customerCode)) {
+      return fail(res, 400, 'Customer has already been assigned a dedicated account');
+    }
+
+    const account = {
+      id: state.paystack.dedicatedAccounts.size + 1,
+      account_number: state.nextAccountNumber(),
+      account_name: `${customer.first_name || ''} ${customer.last_name || ''}`.trim() || customer.email,
+      bank: { id: 1, name: preferred_bank === 'titan-paystack' ? 'Titan Paystack' : 'Wema Bank', slug: preferred_bank || 'wema-bank' },
+      currency: 'NGN',
+      active: true,
+      assigned: true,
+      customer: { customer_code: customerCode, email: customer.email }
+    };
+    state.paystack.dedicatedAccounts.set(customerCode, account);
+    console.log(`🧪 [paystack] dedicated account ${account.account_number} for ${customer.email}`);
+    res.json({ status: true, message: 'Assigned Managed Account Successfully Created', data: account });
+  });
+
+  router.get('/dedicated_account', (req, res) => {
+    const account = state.paystack.dedicatedAccounts.get(req.query.customer);
+    res.json({ status: true, message: 'Managed Accounts Successfully Retrieved', data: account ? [account] : [] });
+  });
+
+  router.post('/transaction/initialize', (req, res) => {
+    const { email, amount, reference = state.newId('SIMREF'), callback_url, metadata } = req.body;
+    if (!email || !Number.isInteger(Number(amount)) || Number(amount) <= 0) {
+      return fail(res, 400, 'Email and a kobo amount are required');
+    }
+    if (state.paystack.transactions.has(reference)) return fail(res, 400, 'Duplicate Transaction Reference');
+
+    const transaction = {
+      id: state.paystack.transactions.size + 1,
+      reference,
+      amount: Number(amount),
+      currency: 'NGN',
+      status: 'abandoned', // what Paystack reports until the customer pays
+      channel: 'card',
+      callback_url,
+      metadata: metadata || {},
+      customer: { email },
+      created_at: new Date().toISOString()
+    };
+    state.paystack.transactions.set(reference, transaction);
+
+    res.json({
+      status: true,
+      message: 'Authorization URL created',
+      data: {
+        authorization_url: `${config.publicUrl}/simulator/paystack/checkout/${reference}`,
+        access_code: state.newId('ACCESS'),
+        reference
+      }
+    });
+  });
+
+  router.get('/transaction/verify/:reference', (req, res) => {
+    const transaction = state.paystack.transactions.get(req.params.reference);
+    if (!transaction) return fail(res, 400, 'Transaction reference not found');
+    res.json({ status: true, message: 'Verification successful', data: transaction });
+  });
+
+  return router;
+};
+
+module.exports = { paystackRouter };
@@ -0,0 +1,49 @@
+// simulator/server.js - Local stand-in for Cashwyre and Paystack
+// Point the app at it with
+//   CASHWYRE_BASE_URL=http://localhost:4010/cashwyre/api/v1.0
+//   PAYSTACK_BASE_URL=http://localhost:4010/paystack
+// and drive payments through /simulator/* (see simulator/control.js).
+// State lives in memory and is gone on restart.
+const express = require('express');
+require('dotenv').config();
+const { createState } = require('./state');
+const { cashwyreRouter } = require('./cashwyre');
+const { paystackRouter } = require('./paystack');
+const { controlRouter } = require('./control');
+
+const SIMULATOR_PORT = process.env.SIMULATOR_PORT || 4010;
+
+const createSimulator = (overrides = {}) => {
+  const config = {
+    appUrl: process.env.SIMULATOR_APP_URL || `http://localhost:${process.env.PORT || 3000}`,
+    publicUrl: process.env.SIMULATOR_PUBLIC_URL || `http://localhost:${SIMULATOR_PORT}`,
+    paystackSecret: process.env.PAYSTACK_SECRET_KEY?.trim(),
+    paystackWebhookPath: `${process.env.WEBHOOKS_ROUTE_PREFIX || '/api/webhooks'}/paystack`,
+    cashwyreWebhookSecret: process.env.CASHWYRE_WEBHOOK_SECRET,
+    forwarderWebhookSecret: process.env.FORWARDER_WEBHOOK_SECRET,
+    cashwyreFeeBps: 150, // 1.5% sender fee on payins
+    ...overrides
+  };
+  if (!config.paystackSecret) throw new Error('PAYSTACK_SECRET_KEY missing - the simulator signs with the app\'s key');
+
+  const state = createState();
+  const app = express();
+  app.use(express.json());
+
+  app.get('/health', (req, res) => res.json({ status: 'OK', service: 'Provider Simulator' }));
+  app.use('/cashwyre/api/v1.0', cashwyreRouter(state, config));
+  app.use('/paystack', paystackRouter(state, config));
+  app.use('/simulator', controlRouter(state, config));
+
+  return { app, state, config };
+};
+
+if (require.main === module) {
+  const { app, config } = createSimulator();
+  app.listen(SIMULATOR_PORT, () => {
+    console.log(`🧪 Provider simulator on http://localhost:${SIMULATOR_PORT}`);
+    console.log(`   Webhooks go to ${config.appUrl}`);
+  });
+}
+
+module.exports = { createSimulator };
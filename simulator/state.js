@@ -0,0 +1,61 @@
+// simulator/state.js - Everything the simulator remembers, in memory only
+// Amounts are kept in kobo like the app; the Cashwyre routes convert to naira at their edge.
+const crypto = require('crypto');
+
+const createState = () => {
+  let accountSeq = 0;
+
+  const state = {
+    cashwyre: {
+      reserveAccounts: new Map(), // accountReference -> account
+      payins: new Map()           // requestId -> payin
+    },
+    paystack: {
+      customers: new Map(),         // email -> customer
+      dedicatedAccounts: new Map(), // customer_code -> account
+      transactions: new Map()       // reference -> transaction
+    },
+    webhooks: [] // every webhook fired at the app, newest last
+  };
+
+  // 10-digit NUBAN-looking numbers, unique per simulator run
+  state.nextAccountNumber = () => `90${String(++accountSeq).padStart(8, '0')}`;
+  state.newId = (prefix) => `${prefix}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+
+  state.findByAccountNumber = (accountNumber) => {
+    for (const payin of state.cashwyre.payins.values()) {
+      if (payin.accountNumber === accountNumber) return { kind: 'payin', record: payin };
+    }
+    for (const account of state.cashwyre.reserveAccounts.values()) {
+      if (account.accountNumber === accountNumber) return { kind: 'reserve', record: account };
+    }
+    for (const account of state.paystack.dedicatedAccounts.values()) {
+      if (account.account_number === accountNumber) return { kind: 'dedicated', record: account };
+    }
+    return null;
+  };
+
+  state.reset = () => {
+    accountSeq = 0;
+    Object.values(state.cashwyre).forEach(map => map.clear());
+    Object.values(state.paystack).forEach(map => map.clear());
+    state.webhooks.length = 0;
+  };
+
+  state.toJSON = () => ({
+    cashwyre: {
+      reserveAccounts: [...state.cashwyre.reserveAccounts.values()],
+      payins: [...state.cashwyre.payins.values()]
+    },
+    paystack: {
+      customers: [...state.paystack.customers.values()],
+      dedicatedAccounts: [...state.paystack.dedicatedAccounts.values()],
+      transactions: [...state.paystack.transactions.values()]
+    },
+    webhooks: state.webhooks
+  });
+
+  return state;
+};
+
+module.exports = { createState };
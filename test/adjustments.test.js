@@ -0,0 +1,130 @@
+// test/adjustments.test.js - Maker-checker recoveries against an in-memory MongoDB
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const VirtualAccount = require('../models/VirtualAccount');
+const DepositEvent = require('../models/DepositEvent');
+const JournalEntry = require('../models/JournalEntry');
+const Transaction = require('../models/Transaction');
+const adjustments = require('../utils/adjustments');
+const depositProcessor = require('../utils/depositProcessor');
+const { connect, clear, createUser } = require('./helpers/mongo');
+
+let stop;
+before(async () => { stop = await connect(); });
+after(() => stop?.());
+beforeEach(() => clear());
+
+const setUp = async () => {
+  const user = await createUser();
+  const account = await VirtualAccount.create({
+    provider: 'cashwyre',
+    userId: user._id,
+    accountNumber: '9200000001',
+    accountName: user.fullName,
+    bankName: 'Test Bank',
+    bankCode: '000',
+    cashwyreRequestId: 'RECOVERY_REQ',
+    accountReference: 'RECOVERY_REF'
+  });
+  return { user, account };
+};
+
+// What /api/payments/manual-recovery files for a deposit with a Cashwyre code
+const requestRecovery = ({ user, account }, code, amount) => adjustments.createRequest({
+  kind: 'deposit_recovery',
+  userId: user._id,
+  amount,
+  journalReference: depositProcessor.journalReferenceOf(code),
+  target: { accountNumber: account.accountNumber, cashwyreCode: code, virtualAccountId: account._id },
+  evidence: { providerReference: code, note: 'Customer sent proof of payment' },
+  requestedBy: 'maker@example.com',
+  balanceAtRequest: 0
+});
+
+const webhook = (account, code, amountPaid) => depositProcessor.processDeposit({
+  cashwyreCode: code,
+  accountNumber: account.accountNumber,
+  status: 'completed',
+  gatewayStatus: 'success',
+  amountPaid
+}, { source: 'cashwyre-fiat' });
+
+const balanceOf = async (user) => (await User.findById(user._id)).walletBalance;
+
+describe('deposit recovery', () => {
+  it('credits once when the webhook arrives after an approved recovery', async () => {
+    const setup = await setUp();
+    const request = await requestRecovery(setup, 'CW_LATE', 500000);
+
+    const approved = await adjustments.approve(request._id, { by: 'checker@example.com' });
+    assert.equal(approved.request.journalReference, 'CASHWYRE_CW_LATE');
+    assert.equal(await balanceOf(setup.user), 500000);
+    const closed = await DepositEvent.findOne({ cashwyreCode: 'CW_LATE' });
+    assert.equal(closed.status, 'credited');
+    assert.equal(closed.history.at(-1).action, 'recovered');
+
+    const result = await webhook(setup.account, 'CW_LATE', 500000);
+
+    assert.equal(result.ignored, true);
+    assert.equal(result.reason, 'Already credited');
+    assert.equal(await balanceOf(setup.user), 500000);
+    assert.equal(await JournalEntry.countDocuments({ reference: 'CASHWYRE_CW_LATE' }), 1);
+  });
+
+  it('refuses to approve a recovery the webhook already credited', async () => {
+    const setup = await setUp();
+    const request = await requestRecovery(setup, 'CW_EARLY', 500000);
+    const credited = await webhook(setup.account, 'CW_EARLY', 500000);
+
+    await assert.rejects(
+      adjustments.approve(request._id, { by: 'checker@example.com' }),
+      error => error.status === 409
+    );
+
+    assert.equal(await balanceOf(setup.user), credited.amount);
+    assert.equal(await JournalEntry.countDocuments({ reference: 'CASHWYRE_CW_EARLY' }), 1);
+  });
+
+  it('is not approved by whoever asked for it', async () => {
+    const setup = await setUp();
+    const request = await requestRecovery(setup, 'CW_SELF', 500000);
+
+    assert.equal(await adjustments.approve(request._id, { by: 'maker@example.com' }), null);
+    assert.equal(await balanceOf(setup.user), 0);
+  });
+});
+
+describe('provider top-up', () => {
+  const requestTopUp = (user, reference) => adjustments.createRequest({
+    kind: 'provider_topup',
+    userId: user._id,
+    amount: 250000,
+    journalReference: reference,
+    target: { transactionType: 'wallet_funding', gateway: 'paystack', source: 'paystack_funding', description: 'Wallet funding' },
+    evidence: { providerReference: reference, note: 'Paystack charge verified by hand' },
+    requestedBy: 'maker@example.com',
+    balanceAtRequest: 0
+  });
+
+  it('moves nothing until a second operator approves it', async () => {
+    const user = await createUser();
+    const request = await requestTopUp(user, 'PSK_TOPUP_1');
+    assert.equal(await balanceOf(user), 0);
+
+    const approved = await adjustments.approve(request._id, { by: 'checker@example.com' });
+
+    assert.equal(approved.balanceAfter, 250000);
+    assert.equal(await balanceOf(user), 250000);
+    const transaction = await Transaction.findOne({ reference: 'PSK_TOPUP_1' });
+    assert.equal(transaction.type, 'wallet_funding');
+    assert.equal(String(transaction.metadata.adjustmentRequestId), String(request._id));
+  });
+
+  it('refuses a second request for the same reference while one is pending', async () => {
+    const user = await createUser();
+    await requestTopUp(user, 'PSK_TOPUP_2');
+
+    await assert.rejects(requestTopUp(user, 'PSK_TOPUP_2'), error => error.code === 11000);
+  });
+});
@@ -0,0 +1,99 @@
+// test/audit.test.js - The per-target audit chains, against an in-memory MongoDB
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AuditEvent = require('../models/AuditEvent');
+const VirtualAccount = require('../models/VirtualAccount');
+const audit = require('../utils/audit');
+const auth = require('../utils/auth');
+const depositProcessor = require('../utils/depositProcessor');
+const { requirePermission } = require('../utils/permissions');
+const { connect, clear, createUser } = require('./helpers/mongo');
+
+let stop;
+before(async () => { stop = await connect(); });
+after(() => stop?.());
+beforeEach(() => clear());
+
+describe('audit chains', () => {
+  it('numbers each target\'s entries on their own', async () => {
+    await audit.log({ action: 'kyc.updated', target: { type: 'user', id: 'A' } });
+    await audit.log({ action: 'kyc.updated', target: { type: 'user', id: 'B' } });
+    const second = await audit.log({ action: 'pin.set', target: { type: 'user', id: 'A' } });
+
+    assert.equal(second.chain, 'user:A');
+    assert.equal(second.seq, 2);
+    assert.equal((await AuditEvent.findOne({ chain: 'user:B' })).seq, 1);
+    assert.deepEqual(await audit.verify(), { ok: true, chains: 2, checked: 3 });
+  });
+
+  it('names the chain and entry that was changed', async () => {
+    await audit.log({ action: 'kyc.updated', target: { type: 'user', id: 'A' } });
+    await audit.log({ action: 'kyc.updated', target: { type: 'user', id: 'B' } });
+    // Around the model, which refuses updates
+    await AuditEvent.collection.updateOne({ chain: 'user:B' }, { $set: { action: 'pin.set' } });
+
+    const result = await audit.verify();
+
+    assert.equal(result.ok, false);
+    assert.equal(result.chain, 'user:B');
+    assert.equal(result.brokenAt, 1);
+    assert.equal(result.reason, 'contents changed');
+  });
+
+  it('records a deposit credited from a webhook', async () => {
+    const user = await createUser();
+    await VirtualAccount.create({
+      provider: 'cashwyre',
+      userId: user._id,
+      accountNumber: '9300000001',
+      accountName: user.fullName,
+      bankName: 'Test Bank',
+      bankCode: '000',
+      cashwyreRequestId: 'AUDIT_REQ',
+      accountReference: 'AUDIT_REF'
+    });
+
+    const credited = await depositProcessor.processDeposit({
+      cashwyreCode: 'CW_AUDITED',
+      accountNumber: '9300000001',
+      status: 'completed',
+      gatewayStatus: 'success',
+      amountPaid: 500000
+    }, { source: 'cashwyre-fiat' });
+
+    const entry = await AuditEvent.findOne({ action: 'deposit.credited' });
+    assert.equal(entry.chain, `user:${user._id}`);
+    assert.equal(entry.actor.type, 'system');
+    assert.equal(entry.actor.id, 'cashwyre-fiat');
+    assert.equal(entry.after.walletBalance, credited.newBalance);
+    assert.equal(entry.metadata.cashwyreCode, 'CW_AUDITED');
+  });
+});
+
+describe('access.denied', () => {
+  // Runs the guard on a bare request -> the status it answered with
+  const guard = async (headers = {}) => {
+    const req = { method: 'GET', originalUrl: '/api/admin/audit', headers, ip: '203.0.113.7' };
+    let status = null;
+    const res = { status(code) { status = code; return this; }, json() { return this; } };
+    await requirePermission('audit.read')(req, res, () => { status = 'next'; });
+    return status;
+  };
+
+  it('only logs a request without a token', async () => {
+    assert.equal(await guard(), 401);
+    assert.equal(await AuditEvent.countDocuments({ action: 'access.denied' }), 0);
+  });
+
+  it('records a signed-in caller without the permission', async () => {
+    const user = await createUser();
+    const { accessToken } = await auth.issueTokens(user);
+
+    assert.equal(await guard({ authorization: `Bearer ${accessToken}` }), 403);
+    const entry = await AuditEvent.findOne({ action: 'access.denied' });
+    assert.equal(entry.actor.id, String(user._id));
+    assert.equal(entry.chain, 'route:GET /api/admin/audit');
+  });
+});
@@ -0,0 +1,171 @@
+// test/depositProcessor.test.js - Deposits from report to wallet, against an in-memory MongoDB
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const VirtualAccount = require('../models/VirtualAccount');
+const DepositEvent = require('../models/DepositEvent');
+const JournalEntry = require('../models/JournalEntry');
+const Transaction = require('../models/Transaction');
+const depositProcessor = require('../utils/depositProcessor');
+const { connect, clear, createUser } = require('./helpers/mongo');
+
+// The default schedule's reserve_deposit fee below ₦50,000 (utils/feeEngine.js)
+const RESERVE_FEE = 5000;
+
+let accounts = 0;
+
+const createAccount = (user, fields = {}) => {
+  accounts += 1;
+  return VirtualAccount.create({
+    provider: 'cashwyre',
+    userId: user._id,
+    accountNumber: `90000${String(accounts).padStart(5, '0')}`,
+    accountName: user.fullName,
+    bankName: 'Test Bank',
+    bankCode: '000',
+    cashwyreRequestId: `REQ_${accounts}`,
+    ...fields
+  });
+};
+
+const deposit = (accountNumber, amountPaid, cashwyreCode, extra = {}) => ({
+  cashwyreCode,
+  accountNumber,
+  status: 'completed',
+  gatewayStatus: 'success',
+  amountPaid,
+  ...extra
+});
+
+const balanceOf = async (user) => (await User.findById(user._id)).walletBalance;
+
+let stop;
+before(async () => { stop = await connect(); });
+after(() => stop?.());
+beforeEach(() => clear());
+
+describe('depositProcessor.processDeposit', () => {
+  it('credits a reserve account deposit less the fee', async () => {
+    const user = await createUser();
+    const account = await createAccount(user, { accountReference: 'RESERVE_1' });
+
+    const result = await depositProcessor.processDeposit(deposit(account.accountNumber, 500000, 'CW_ONE'), { source: 'cashwyre-fiat' });
+
+    assert.equal(result.amount, 500000 - RESERVE_FEE);
+    assert.equal(result.fee, RESERVE_FEE);
+    assert.equal(await balanceOf(user), 500000 - RESERVE_FEE);
+    assert.equal((await DepositEvent.findOne({ cashwyreCode: 'CW_ONE' })).status, 'credited');
+  });
+
+  it('ignores a second delivery of the same code', async () => {
+    const user = await createUser();
+    const account = await createAccount(user, { accountReference: 'RESERVE_2' });
+
+    await depositProcessor.processDeposit(deposit(account.accountNumber, 500000, 'CW_TWICE'), { source: 'cashwyre-fiat' });
+    const again = await depositProcessor.processDeposit(deposit(account.accountNumber, 500000, 'CW_TWICE'), { source: 'cashwyre-sync' });
+
+    assert.equal(again.ignored, true);
+    assert.equal(again.reason, 'Already credited');
+    assert.equal(await balanceOf(user), 500000 - RESERVE_FEE);
+    const event = await DepositEvent.findOne({ cashwyreCode: 'CW_TWICE' });
+    assert.deepEqual(event.reports.map(report => report.source), ['cashwyre-fiat', 'cashwyre-sync']);
+  });
+
+  it('credits once when every endpoint reports the code at the same time', async () => {
+    const user = await createUser();
+    const account = await createAccount(user, { accountReference: 'RESERVE_3' });
+    const sources = ['cashwyre-fiat', 'cashwyre-sync', 'cashwyre-process'];
+
+    const results = await Promise.allSettled(sources.map(source =>
+      depositProcessor.processDeposit(deposit(account.accountNumber, 500000, 'CW_RACE'), { source })
+    ));
+
+    const credited = results.filter(r => r.status === 'fulfilled' && !r.value.ignored);
+    assert.equal(credited.length, 1);
+    assert.equal(await balanceOf(user), 500000 - RESERVE_FEE);
+    assert.equal(await JournalEntry.countDocuments({ reference: 'CASHWYRE_CW_RACE' }), 1);
+    assert.equal(await Transaction.countDocuments({ userId: user._id }), 1);
+    assert.equal(await DepositEvent.countDocuments({ cashwyreCode: 'CW_RACE' }), 1);
+    assert.equal((await DepositEvent.findOne({ cashwyreCode: 'CW_RACE' })).status, 'credited');
+  });
+
+  it('leaves a deposit no account matches unmatched, whatever userId the sender names', async () => {
+    const user = await createUser();
+
+    const result = await depositProcessor.processDeposit(
+      deposit('9999999999', 300000, 'CW_NOBODY', { userId: String(user._id) }),
+      { source: 'cashwyre-sync' }
+    );
+
+    assert.equal(result.unmatched, true);
+    assert.equal(await balanceOf(user), 0);
+    assert.equal((await DepositEvent.findOne({ cashwyreCode: 'CW_NOBODY' })).status, 'unmatched');
+  });
+});
+
+describe('depositProcessor with the payin mismatch policy', () => {
+  // ₦1,000 asked for, ₦15 quoted fee
+  const fundingAccount = (user, payinPolicy) => createAccount(user, {
+    amount: 100000,
+    fee: 1500,
+    totalPayable: 101500,
+    payinPolicy
+  });
+
+  it('holds a short payment in suspense and releases it when the rest arrives', async () => {
+    const user = await createUser();
+    const account = await fundingAccount(user, { underpayment: 'suspense', overpayment: 'refund' });
+
+    const first = await depositProcessor.processDeposit(deposit(account.accountNumber, 50000, 'CW_PART_1'), { source: 'cashwyre-fiat' });
+    assert.equal(first.amount, 0);
+    assert.equal(first.held, 50000);
+    assert.equal(first.paymentStatus, 'partial');
+    assert.equal(await balanceOf(user), 0);
+    assert.equal((await DepositEvent.findOne({ cashwyreCode: 'CW_PART_1' })).status, 'held');
+
+    // ₦600 more is ₦85 over - refunded by the policy, the rest credited with what was held
+    const second = await depositProcessor.processDeposit(deposit(account.accountNumber, 60000, 'CW_PART_2'), { source: 'cashwyre-fiat' });
+    assert.equal(second.released, 50000);
+    assert.equal(second.refund, 8500);
+    assert.equal(second.fee, 1500);
+    assert.equal(second.amount, 100000);
+    assert.equal(second.paymentStatus, 'overpaid');
+    assert.equal(await balanceOf(user), 100000);
+
+    const settled = await VirtualAccount.findById(account._id);
+    assert.equal(settled.amountReceived, 110000);
+    assert.equal(settled.amountHeld, 0);
+    assert.equal(settled.amountRefunded, 8500);
+    assert.equal(settled.feeCharged, 1500);
+    assert.equal((await DepositEvent.findOne({ cashwyreCode: 'CW_PART_1' })).status, 'credited');
+    assert.equal((await DepositEvent.findOne({ cashwyreCode: 'CW_PART_2' })).refund.amount, 8500);
+  });
+
+  it('owes a short payment back to the payer under the refund policy', async () => {
+    const user = await createUser();
+    const account = await fundingAccount(user, { underpayment: 'refund', overpayment: 'credit' });
+
+    const result = await depositProcessor.processDeposit(deposit(account.accountNumber, 40000, 'CW_SHORT'), { source: 'cashwyre-fiat' });
+
+    assert.equal(result.amount, 0);
+    assert.equal(result.refund, 40000);
+    assert.equal(result.paymentStatus, 'awaiting');
+    assert.equal(await balanceOf(user), 0);
+    const event = await DepositEvent.findOne({ cashwyreCode: 'CW_SHORT' });
+    assert.equal(event.status, 'refund_pending');
+    assert.equal(event.refund.amount, 40000);
+  });
+
+  it('settles an exact payment with the quoted fee only', async () => {
+    const user = await createUser();
+    const account = await fundingAccount(user, { underpayment: 'suspense', overpayment: 'suspense' });
+
+    const result = await depositProcessor.processDeposit(deposit(account.accountNumber, 101500, 'CW_EXACT'), { source: 'cashwyre-fiat' });
+
+    assert.equal(result.amount, 100000);
+    assert.equal(result.fee, 1500);
+    assert.equal(result.paymentStatus, 'paid');
+    assert.equal(await balanceOf(user), 100000);
+    assert.ok((await VirtualAccount.findById(account._id)).processedAt);
+  });
+});
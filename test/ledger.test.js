@@ -0,0 +1,152 @@
+// test/ledger.test.js - postJournal against a real (in-memory) MongoDB
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const ledger = require('../utils/ledger');
+const { connect, clear, createUser } = require('./helpers/mongo');
+
+const { ACCOUNTS } = ledger;
+
+const topUp = (user, amount, reference) => ledger.postJournal({
+  reference,
+  type: 'deposit',
+  description: 'Test top-up',
+  postings: [
+    ledger.debit(ACCOUNTS.PROVIDER_CLEARING, amount),
+    ledger.credit(ACCOUNTS.USER_WALLET, amount, { userId: user._id })
+  ]
+});
+
+let stop;
+before(async () => { stop = await connect(); });
+after(() => stop?.());
+beforeEach(() => clear());
+
+describe('ledger.postJournal', () => {
+  it('posts a balanced entry and moves the cached balance with it', async () => {
+    const user = await createUser();
+
+    const { entry, balances } = await topUp(user, 250000, 'TEST_TOPUP_1');
+
+    assert.deepEqual(balances[user._id.toString()], { before: 0, after: 250000 });
+    assert.equal(entry.postings.find(p => p.account === ACCOUNTS.USER_WALLET).balanceAfter, 250000);
+    assert.equal((await User.findById(user._id)).walletBalance, 250000);
+    assert.equal(await ledger.deriveWalletBalance(user._id), 250000);
+    assert.equal((await ledger.getJournal('TEST_TOPUP_1')).balanced, true);
+  });
+
+  it('refuses an unbalanced entry and writes nothing', async () => {
+    const user = await createUser();
+
+    await assert.rejects(ledger.postJournal({
+      reference: 'TEST_UNBALANCED',
+      type: 'deposit',
+      postings: [
+        ledger.debit(ACCOUNTS.PROVIDER_CLEARING, 100000),
+        ledger.credit(ACCOUNTS.USER_WALLET, 99999, { userId: user._id })
+      ]
+    }), /Unbalanced journal entry/);
+
+    assert.equal(await JournalEntry.countDocuments(), 0);
+    assert.equal((await User.findById(user._id)).walletBalance, 0);
+  });
+
+  it('refuses amounts that are not whole kobo', async () => {
+    const user = await createUser();
+
+    await assert.rejects(ledger.postJournal({
+      reference: 'TEST_FRACTION',
+      type: 'deposit',
+      postings: [
+        ledger.debit(ACCOUNTS.PROVIDER_CLEARING, 100.5),
+        ledger.credit(ACCOUNTS.USER_WALLET, 100.5, { userId: user._id })
+      ]
+    }), /whole number of kobo/);
+  });
+
+  it('posts a reference once - the second post fails and the balance moves once', async () => {
+    const user = await createUser();
+
+    await topUp(user, 100000, 'TEST_ONCE');
+    await assert.rejects(topUp(user, 100000, 'TEST_ONCE'), error => error.code === 11000);
+
+    assert.equal(await JournalEntry.countDocuments({ reference: 'TEST_ONCE' }), 1);
+    assert.equal((await User.findById(user._id)).walletBalance, 100000);
+  });
+
+  it('credits once when the same reference is posted concurrently', async () => {
+    const user = await createUser();
+
+    const results = await Promise.allSettled([1, 2, 3].map(() => topUp(user, 100000, 'TEST_RACE')));
+
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+    assert.equal(await JournalEntry.countDocuments({ reference: 'TEST_RACE' }), 1);
+    assert.equal((await User.findById(user._id)).walletBalance, 100000);
+  });
+
+  it('refuses a debit larger than the wallet and rolls the entry back', async () => {
+    const user = await createUser();
+    await topUp(user, 50000, 'TEST_FUND');
+
+    await assert.rejects(ledger.postJournal({
+      reference: 'TEST_OVERDRAW',
+      type: 'transfer',
+      postings: [
+        ledger.debit(ACCOUNTS.USER_WALLET, 60000, { userId: user._id }),
+        ledger.credit(ACCOUNTS.PROVIDER_CLEARING, 60000)
+      ]
+    }), /Insufficient balance/);
+
+    assert.equal(await JournalEntry.countDocuments({ reference: 'TEST_OVERDRAW' }), 0);
+    assert.equal((await User.findById(user._id)).walletBalance, 50000);
+  });
+
+  it('reconciles a drifted cache back to the postings', async () => {
+    const user = await createUser();
+    await topUp(user, 70000, 'TEST_DRIFT');
+    await User.updateOne({ _id: user._id }, { $set: { walletBalance: 1 } }, { ledger: true });
+
+    const result = await ledger.reconcileWalletBalance(user._id);
+
+    assert.deepEqual(result, { cached: 1, derived: 70000, corrected: true });
+    assert.equal((await User.findById(user._id)).walletBalance, 70000);
+  });
+});
+
+describe('guardWalletBalance', () => {
+  const refused = { message: 'walletBalance can only be changed by posting to the ledger' };
+
+  it('refuses updates that set the balance outside the ledger', async () => {
+    const user = await createUser();
+
+    await assert.rejects(User.updateOne({ _id: user._id }, { $inc: { walletBalance: 100 } }), refused);
+    await assert.rejects(User.updateOne({ _id: user._id }, [{ $set: { walletBalance: 100 } }]), refused);
+    await assert.rejects(User.findOneAndUpdate({ _id: user._id }, { walletBalance: 100 }), refused);
+    assert.equal((await User.findById(user._id)).walletBalance, 0);
+  });
+
+  it('refuses replacing a user, which would rewrite the balance', async () => {
+    const user = await createUser();
+    const replacement = { fullName: user.fullName, email: user.email, phone: user.phone };
+
+    await assert.rejects(User.replaceOne({ _id: user._id }, replacement), refused);
+    await assert.rejects(User.findOneAndReplace({ _id: user._id }, replacement), refused);
+  });
+
+  it('checks every operation of a bulkWrite', async () => {
+    const user = await createUser();
+
+    await assert.rejects(User.bulkWrite([
+      { updateOne: { filter: { _id: user._id }, update: { $set: { fullName: 'Renamed' } } } },
+      { updateOne: { filter: { _id: user._id }, update: { $set: { walletBalance: 100 } } } }
+    ]), refused);
+    await assert.rejects(User.bulkWrite([
+      { replaceOne: { filter: { _id: user._id }, replacement: { fullName: 'Renamed', email: user.email, phone: user.phone } } }
+    ]), refused);
+    assert.equal((await User.findById(user._id)).fullName, user.fullName);
+
+    await User.bulkWrite([{ updateOne: { filter: { _id: user._id }, update: { $set: { fullName: 'Renamed' } } } }]);
+    assert.equal((await User.findById(user._id)).fullName, 'Renamed');
+  });
+});
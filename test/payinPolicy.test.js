@@ -0,0 +1,129 @@
+// test/payinPolicy.test.js - How one transfer into a funding account is divided up
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const payinPolicy = require('../utils/payinPolicy');
+
+// ₦1,000 asked for with a ₦15 quoted fee, nothing received yet
+const intent = (fields = {}) => payinPolicy.intentOf({
+  amount: 100000,
+  fee: 1500,
+  totalPayable: 101500,
+  paymentStatus: 'awaiting',
+  ...fields
+});
+
+const policy = (underpayment, overpayment) => ({ underpayment, overpayment });
+
+// amountPaid + release = credit + fee + hold + refund, whatever the policy
+const assertBalanced = (split, amountPaid) => {
+  assert.equal(amountPaid + split.release, split.credit + split.fee + split.hold + split.refund);
+};
+
+describe('payinPolicy.settle', () => {
+  it('credits an exact payment less the quoted fee', () => {
+    const split = payinPolicy.settle(intent(), 101500, payinPolicy.DEFAULT_POLICY);
+
+    assert.deepEqual(split, { credit: 100000, fee: 1500, hold: 0, refund: 0, release: 0, status: 'paid' });
+  });
+
+  describe('underpayment', () => {
+    it('credit: credits it now, taking the fee first', () => {
+      const split = payinPolicy.settle(intent(), 50000, policy('credit', 'credit'));
+
+      assert.deepEqual(split, { credit: 48500, fee: 1500, hold: 0, refund: 0, release: 0, status: 'partial' });
+    });
+
+    it('credit: takes the fee once across transfers', () => {
+      const split = payinPolicy.settle(intent({ amountReceived: 50000, feeCharged: 1500, paymentStatus: 'partial' }), 51500, policy('credit', 'credit'));
+
+      assert.deepEqual(split, { credit: 51500, fee: 0, hold: 0, refund: 0, release: 0, status: 'paid' });
+    });
+
+    it('suspense: holds all of it', () => {
+      const split = payinPolicy.settle(intent(), 50000, policy('suspense', 'credit'));
+
+      assert.deepEqual(split, { credit: 0, fee: 0, hold: 50000, refund: 0, release: 0, status: 'partial' });
+    });
+
+    it('suspense: releases what was held once the rest arrives', () => {
+      const split = payinPolicy.settle(
+        intent({ amountReceived: 50000, amountHeld: 50000, paymentStatus: 'partial' }),
+        51500,
+        policy('suspense', 'credit')
+      );
+
+      assert.deepEqual(split, { credit: 100000, fee: 1500, hold: 0, refund: 0, release: 50000, status: 'paid' });
+      assertBalanced(split, 51500);
+    });
+
+    it('refund: owes all of it back and leaves the account waiting', () => {
+      const split = payinPolicy.settle(intent(), 40000, policy('refund', 'credit'));
+
+      assert.deepEqual(split, { credit: 0, fee: 0, hold: 0, refund: 40000, release: 0, status: 'awaiting' });
+    });
+
+    it('refund: refunded money does not count towards the total', () => {
+      const split = payinPolicy.settle(
+        intent({ amountReceived: 40000, amountRefunded: 40000 }),
+        101500,
+        policy('refund', 'credit')
+      );
+
+      assert.deepEqual(split, { credit: 100000, fee: 1500, hold: 0, refund: 0, release: 0, status: 'paid' });
+    });
+  });
+
+  describe('overpayment', () => {
+    it('credit: credits the excess too', () => {
+      const split = payinPolicy.settle(intent(), 110000, policy('credit', 'credit'));
+
+      assert.deepEqual(split, { credit: 108500, fee: 1500, hold: 0, refund: 0, release: 0, status: 'overpaid' });
+    });
+
+    it('suspense: holds only the excess', () => {
+      const split = payinPolicy.settle(intent(), 110000, policy('credit', 'suspense'));
+
+      assert.deepEqual(split, { credit: 100000, fee: 1500, hold: 8500, refund: 0, release: 0, status: 'overpaid' });
+    });
+
+    it('refund: owes only the excess back', () => {
+      const split = payinPolicy.settle(intent(), 110000, policy('credit', 'refund'));
+
+      assert.deepEqual(split, { credit: 100000, fee: 1500, hold: 0, refund: 8500, release: 0, status: 'overpaid' });
+    });
+
+    it('a transfer after the account was paid is all excess', () => {
+      const split = payinPolicy.settle(
+        intent({ amountReceived: 101500, amountCredited: 100000, feeCharged: 1500, paymentStatus: 'paid' }),
+        20000,
+        policy('credit', 'refund')
+      );
+
+      assert.deepEqual(split, { credit: 0, fee: 0, hold: 0, refund: 20000, release: 0, status: 'overpaid' });
+    });
+  });
+
+  it('balances for every policy and amount', () => {
+    for (const underpayment of payinPolicy.MODES) {
+      for (const overpayment of payinPolicy.MODES) {
+        for (const amountPaid of [1, 1500, 50000, 101499, 101500, 101501, 250000]) {
+          assertBalanced(payinPolicy.settle(intent(), amountPaid, policy(underpayment, overpayment)), amountPaid);
+          assertBalanced(
+            payinPolicy.settle(intent({ amountReceived: 30000, amountHeld: 30000, paymentStatus: 'partial' }), amountPaid, policy(underpayment, overpayment)),
+            amountPaid
+          );
+        }
+      }
+    }
+  });
+});
+
+describe('payinPolicy.policyOf', () => {
+  it('uses the policy stored on the account', () => {
+    assert.deepEqual(payinPolicy.policyOf({ payinPolicy: policy('suspense', 'refund') }), policy('suspense', 'refund'));
+  });
+
+  it('falls back to the current policy for accounts from before it', () => {
+    assert.deepEqual(payinPolicy.policyOf({}), payinPolicy.policyFor('dynamic_payin'));
+  });
+});
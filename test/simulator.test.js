@@ -0,0 +1,240 @@
+// test/simulator.test.js - Deposits end to end: the app creates accounts on the provider
+// simulator (simulator/server.js), the simulator plays the customer and fires the
+// signed webhook back at the app, against an in-memory MongoDB.
+// The provider URLs are set before server.js is required, so its adapters call the simulator.
+process.env.PAYSTACK_SECRET_KEY = 'sk_test_simulator';
+process.env.CASHWYRE_WEBHOOK_SECRET = 'test-cashwyre-secret';
+process.env.FORWARDER_WEBHOOK_SECRET = 'test-forwarder-secret';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.KEEP_ALIVE = 'false';
+delete process.env.CASHWYRE_WEBHOOK_IPS;
+delete process.env.CASHWYRE_FIAT_WEBHOOK_IPS;
+delete process.env.FORWARDER_WEBHOOK_IPS;
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulator } = require('../simulator/server');
+const { signatureHeaders } = require('../utils/webhookAuth');
+const { connect, clear, createUser } = require('./helpers/mongo');
+
+// The default schedule's reserve_deposit fee below ₦50,000 (utils/feeEngine.js)
+const RESERVE_FEE = 5000;
+
+const listen = (app) => new Promise(resolve => {
+  const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+});
+const urlOf = (server) => `http://127.0.0.1:${server.address().port}`;
+const close = (server) => new Promise(resolve => (server ? server.close(resolve) : resolve()));
+
+let stop;
+let simulator;
+let simulatorServer;
+let appServer;
+let appUrl;
+let models;
+let auth;
+
+before(async () => {
+  simulator = createSimulator({
+    paystackSecret: process.env.PAYSTACK_SECRET_KEY,
+    cashwyreWebhookSecret: process.env.CASHWYRE_WEBHOOK_SECRET,
+    forwarderWebhookSecret: process.env.FORWARDER_WEBHOOK_SECRET
+  });
+  simulatorServer = await listen(simulator.app);
+  const simulatorUrl = urlOf(simulatorServer);
+  process.env.CASHWYRE_BASE_URL = `${simulatorUrl}/cashwyre/api/v1.0`;
+  process.env.PAYSTACK_BASE_URL = `${simulatorUrl}/paystack`;
+
+  const { app } = require('../server');
+  // After server.js, so connect() builds the indexes of every model it loads
+  stop = await connect();
+  appServer = await listen(app);
+  appUrl = urlOf(appServer);
+  // The simulator's routers read its config on every request
+  simulator.config.appUrl = appUrl;
+  simulator.config.publicUrl = simulatorUrl;
+
+  models = {
+    User: require('../models/User'),
+    DepositEvent: require('../models/DepositEvent'),
+    JournalEntry: require('../models/JournalEntry'),
+    WebhookEvent: require('../models/WebhookEvent'),
+    Transaction: require('../models/Transaction')
+  };
+  auth = require('../utils/auth');
+});
+
+after(async () => {
+  await close(appServer);
+  await close(simulatorServer);
+  await stop?.();
+});
+
+beforeEach(async () => {
+  await clear();
+  simulator.state.reset();
+});
+
+const request = async (base, path, body, token) => {
+  const response = await fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const app = (path, body, token) => request(appUrl, path, body, token);
+const simulate = (path, body) => request(urlOf(simulatorServer), path, body);
+
+// Some webhooks are acknowledged before they are processed - wait for the inbox to finish
+const processed = async (source, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const pending = await models.WebhookEvent.countDocuments({ source, status: { $in: ['received', 'processing'] } });
+    if (pending === 0) return;
+    if (Date.now() > deadline) throw new Error(`${source} webhooks still processing after ${timeoutMs}ms`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+};
+
+const balanceOf = async (user) => (await models.User.findById(user._id)).walletBalance;
+
+const signIn = async (user) => (await auth.issueTokens(user)).accessToken;
+
+describe('Cashwyre reserve account', () => {
+  let user;
+  let accountNumber;
+
+  beforeEach(async () => {
+    user = await createUser();
+    const created = await app('/api/cashwyre/reserve-account', {
+      firstName: 'Test',
+      lastName: 'User',
+      email: user.email,
+      phoneNumber: user.phone,
+      bvn: '22222222222',
+      accountReference: `REF_${user._id}`
+    }, await signIn(user));
+    assert.equal(created.status, 200, JSON.stringify(created.body));
+    accountNumber = created.body.account.accountNumber;
+  });
+
+  it('credits a transfer reported by Cashwyre\'s own fiat webhook', async () => {
+    const paid = await simulate('/simulator/cashwyre/deposit', { accountNumber, amount: 500000, webhook: 'fiat' });
+
+    assert.equal(paid.body.webhook.status, 200);
+    assert.equal(await balanceOf(user), 500000 - RESERVE_FEE);
+    const code = paid.body.webhook.payload.eventData.Code;
+    assert.equal((await models.DepositEvent.findOne({ cashwyreCode: code })).status, 'credited');
+  });
+
+  it('credits a transfer reported by the forwarder\'s process webhook', async () => {
+    const paid = await simulate('/simulator/cashwyre/deposit', { accountNumber, amount: 500000, webhook: 'process' });
+    await processed('cashwyre-process');
+
+    assert.equal(paid.body.webhook.status, 200);
+    assert.equal(await balanceOf(user), 500000 - RESERVE_FEE);
+  });
+
+  it('credits a transfer Cashwyre delivers twice once', async () => {
+    const paid = await simulate('/simulator/cashwyre/deposit', { accountNumber, amount: 500000, webhook: 'fiat' });
+    const { url, payload } = paid.body.webhook;
+    const body = JSON.stringify(payload);
+
+    const again = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...signatureHeaders('cashwyre', process.env.CASHWYRE_WEBHOOK_SECRET, body) },
+      body
+    });
+
+    assert.equal(again.status, 200);
+    assert.equal(await balanceOf(user), 500000 - RESERVE_FEE);
+    assert.equal(await models.JournalEntry.countDocuments({ reference: `CASHWYRE_${payload.eventData.Code}` }), 1);
+  });
+});
+
+describe('Paystack dedicated account', () => {
+  it('credits a transfer into the account from the signed charge.success', async () => {
+    const user = await createUser();
+    const created = await app('/api/virtual-account/create-instant-account', {
+      email: user.email,
+      firstName: 'Test',
+      lastName: 'User',
+      phone: user.phone
+    }, await signIn(user));
+    assert.equal(created.status, 200, JSON.stringify(created.body));
+
+    const paid = await simulate('/simulator/paystack/deposit', { accountNumber: created.body.accountNumber, amount: 250000 });
+    await processed('paystack');
+
+    assert.equal(paid.body.webhook.status, 200);
+    assert.equal(await balanceOf(user), 250000);
+    const reference = paid.body.webhook.payload.data.reference;
+    assert.equal(await models.JournalEntry.countDocuments({ reference }), 1);
+  });
+
+  it('credits nothing when the charge is signed with another key', async () => {
+    const user = await createUser();
+    const created = await app('/api/virtual-account/create-instant-account', {
+      email: user.email,
+      firstName: 'Test',
+      lastName: 'User',
+      phone: user.phone
+    }, await signIn(user));
+
+    simulator.config.paystackSecret = 'sk_test_someone_else';
+    try {
+      const paid = await simulate('/simulator/paystack/deposit', { accountNumber: created.body.accountNumber, amount: 250000 });
+      assert.equal(paid.body.webhook.status, 401);
+    } finally {
+      simulator.config.paystackSecret = process.env.PAYSTACK_SECRET_KEY;
+    }
+    assert.equal(await balanceOf(user), 0);
+  });
+});
+
+describe('Paystack card checkout', () => {
+  it('completes the pending transaction initialize-paystack opened', async () => {
+    const user = await createUser();
+    const started = await app('/api/payments/initialize-paystack', {
+      email: user.email,
+      amount: 100000,
+      reference: `CHK_${user._id}`
+    }, await signIn(user));
+    assert.equal(started.status, 200, JSON.stringify(started.body));
+
+    const paid = await simulate(`/simulator/paystack/charge/${started.body.reference}`, { status: 'success' });
+    await processed('paystack');
+
+    assert.equal(paid.body.webhook.status, 200);
+    assert.equal(await balanceOf(user), 100000);
+    const transactions = await models.Transaction.find({ reference: started.body.reference });
+    assert.equal(transactions.length, 1);
+    assert.equal(transactions[0].status, 'completed');
+    assert.equal(transactions[0].serviceCharge, started.body.fee);
+  });
+
+  it('answers the old /api/payments/webhook/paystack URL with the same handler', async () => {
+    const user = await createUser();
+    const started = await app('/api/payments/initialize-paystack', {
+      email: user.email,
+      amount: 100000,
+      reference: `OLD_${user._id}`
+    }, await signIn(user));
+
+    simulator.config.paystackWebhookPath = '/api/payments/webhook/paystack';
+    try {
+      const paid = await simulate(`/simulator/paystack/charge/${started.body.reference}`, { status: 'success' });
+      assert.equal(paid.body.webhook.status, 200);
+    } finally {
+      simulator.config.paystackWebhookPath = '/api/webhooks/paystack';
+    }
+    // The same charge.success delivered to the current URL too
+    await simulate(`/simulator/paystack/charge/${started.body.reference}`, { status: 'success' });
+    await processed('paystack');
+
+    assert.equal(await balanceOf(user), 100000);
+    assert.equal(await models.WebhookEvent.countDocuments({ provider: 'paystack', accepted: true }), 1);
+  });
+});
@@ -0,0 +1,119 @@
+// test/webhookAuth.test.js - Cashwyre webhook signatures and IP allowlists
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const webhookAuth = require('../utils/webhookAuth');
+
+const SECRET = 'test-webhook-secret';
+const BODY = JSON.stringify({ eventType: 'fiat_deposit.success', eventData: { Code: 'CW_1' } });
+
+const signed = (overrides = {}) => {
+  const headers = webhookAuth.signatureHeaders('cashwyre', SECRET, BODY);
+  return {
+    secret: SECRET,
+    rawBody: BODY,
+    signature: headers['x-cashwyre-signature'],
+    timestamp: headers['x-cashwyre-timestamp'],
+    ...overrides
+  };
+};
+
+describe('webhookAuth.checkSignature', () => {
+  it('accepts what signatureHeaders signs', () => {
+    assert.equal(webhookAuth.checkSignature(signed()), null);
+  });
+
+  it('accepts an upper-case hex signature', () => {
+    const request = signed();
+    assert.equal(webhookAuth.checkSignature({ ...request, signature: request.signature.toUpperCase() }), null);
+  });
+
+  it('rejects a body changed after signing', () => {
+    assert.equal(webhookAuth.checkSignature(signed({ rawBody: BODY.replace('CW_1', 'CW_2') })), 'invalid signature');
+  });
+
+  it('rejects another secret', () => {
+    assert.equal(webhookAuth.checkSignature(signed({ secret: 'someone-else' })), 'invalid signature');
+  });
+
+  it('rejects a timestamp outside the window', () => {
+    const timestamp = Math.floor(Date.now() / 1000) - webhookAuth.TOLERANCE_SECONDS - 60;
+    const headers = webhookAuth.signatureHeaders('cashwyre', SECRET, BODY, timestamp);
+    assert.equal(webhookAuth.checkSignature(signed({
+      signature: headers['x-cashwyre-signature'],
+      timestamp: headers['x-cashwyre-timestamp']
+    })), 'stale timestamp');
+  });
+
+  it('rejects missing headers, body and secret', () => {
+    assert.equal(webhookAuth.checkSignature(signed({ signature: undefined })), 'unsigned request');
+    assert.equal(webhookAuth.checkSignature(signed({ timestamp: undefined })), 'unsigned request');
+    assert.equal(webhookAuth.checkSignature(signed({ rawBody: '' })), 'raw body missing');
+    assert.equal(webhookAuth.checkSignature(signed({ secret: undefined })), 'webhook secret not configured');
+    assert.equal(webhookAuth.checkSignature(signed({ timestamp: '12abc' })), 'malformed timestamp');
+  });
+
+  it('rejects signatures that are not 128 hex characters without throwing', () => {
+    const good = signed().signature;
+    for (const signature of [
+      good.slice(0, 126),
+      `${good}00`,
+      `${good.slice(0, 127)}z`,
+      // 128 characters but more bytes - used to crash timingSafeEqual
+      `${good.slice(0, 126)}é`,
+      '€'.repeat(128)
+    ]) {
+      assert.equal(webhookAuth.checkSignature(signed({ signature })), 'malformed signature', signature);
+    }
+  });
+});
+
+describe('webhookAuth.authenticateWebhook', () => {
+  afterEach(() => {
+    delete process.env.CASHWYRE_WEBHOOK_SECRET;
+    delete process.env.CASHWYRE_WEBHOOK_IPS;
+    delete process.env.CASHWYRE_FIAT_WEBHOOK_IPS;
+  });
+
+  const request = (headers, ip = '102.89.1.1') => ({ rawBody: BODY, headers, ip });
+
+  it('verifies a signed request from an allowed address', () => {
+    process.env.CASHWYRE_WEBHOOK_SECRET = SECRET;
+    process.env.CASHWYRE_WEBHOOK_IPS = '102.89.0.0/16';
+
+    const result = webhookAuth.authenticateWebhook(request(webhookAuth.signatureHeaders('cashwyre', SECRET, BODY)), 'cashwyre-fiat');
+
+    assert.deepEqual(result, { signatureVerified: true, rejectionReason: null });
+  });
+
+  it('rejects a signed request from outside the allowlist', () => {
+    process.env.CASHWYRE_WEBHOOK_SECRET = SECRET;
+    process.env.CASHWYRE_FIAT_WEBHOOK_IPS = '41.58.0.0/16';
+
+    const result = webhookAuth.authenticateWebhook(
+      request(webhookAuth.signatureHeaders('cashwyre', SECRET, BODY), '::ffff:102.89.1.1'),
+      'cashwyre-fiat'
+    );
+
+    assert.equal(result.signatureVerified, true);
+    assert.equal(result.rejectionReason, 'source IP 102.89.1.1 not allowed');
+  });
+
+  it('rejects everything while the secret is unset', () => {
+    const result = webhookAuth.authenticateWebhook(request(webhookAuth.signatureHeaders('cashwyre', SECRET, BODY)), 'cashwyre-fiat');
+
+    assert.deepEqual(result, { signatureVerified: false, rejectionReason: 'webhook secret not configured' });
+  });
+
+  it('checks forwarder endpoints against the forwarder headers', () => {
+    process.env.FORWARDER_WEBHOOK_SECRET = SECRET;
+    try {
+      const cashwyreSigned = request(webhookAuth.signatureHeaders('cashwyre', SECRET, BODY));
+      const forwarderSigned = request(webhookAuth.signatureHeaders('forwarder', SECRET, BODY));
+
+      assert.equal(webhookAuth.authenticateWebhook(cashwyreSigned, 'cashwyre-sync').rejectionReason, 'unsigned request');
+      assert.equal(webhookAuth.authenticateWebhook(forwarderSigned, 'cashwyre-sync').rejectionReason, null);
+    } finally {
+      delete process.env.FORWARDER_WEBHOOK_SECRET;
+    }
+  });
+});
@@ -0,0 +1,153 @@
+// test/webhooks.test.js - The cashwyre-fiat endpoint over HTTP, against an in-memory MongoDB
+// Secrets are set before server.js is required; requiring it starts no timers.
+process.env.PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY || 'sk_test_webhooks';
+process.env.CASHWYRE_WEBHOOK_SECRET = 'test-cashwyre-secret';
+process.env.KEEP_ALIVE = 'false';
+delete process.env.CASHWYRE_WEBHOOK_IPS;
+delete process.env.CASHWYRE_FIAT_WEBHOOK_IPS;
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { app } = require('../server');
+const User = require('../models/User');
+const VirtualAccount = require('../models/VirtualAccount');
+const WebhookEvent = require('../models/WebhookEvent');
+const { signatureHeaders } = require('../utils/webhookAuth');
+const { connect, clear, createUser } = require('./helpers/mongo');
+
+// The default schedule's reserve_deposit fee below ₦50,000 (utils/feeEngine.js)
+const RESERVE_FEE = 5000;
+
+let stop;
+let server;
+let baseUrl;
+
+before(async () => {
+  stop = await connect();
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+// Also runs when before() failed part way
+after(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+  await stop?.();
+});
+
+beforeEach(() => clear());
+
+// A fiat_deposit.success body as Cashwyre sends it (naira)
+const fiatDeposit = (accountNumber, code, amountPaid = 5000) => JSON.stringify({
+  eventType: 'fiat_deposit.success',
+  eventData: {
+    Code: code,
+    AmountPaid: amountPaid,
+    Currency: 'NGN',
+    AccountNumber: accountNumber,
+    Status: 'success',
+    RequestId: code,
+    SettledOn: new Date().toISOString()
+  }
+});
+
+const post = (body, headers = {}) => fetch(`${baseUrl}/api/webhooks/cashwyre-fiat`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body
+});
+
+const signed = (body) => signatureHeaders('cashwyre', process.env.CASHWYRE_WEBHOOK_SECRET, body);
+
+describe('POST /api/webhooks/cashwyre-fiat', () => {
+  let user;
+  let account;
+
+  beforeEach(async () => {
+    user = await createUser();
+    account = await VirtualAccount.create({
+      provider: 'cashwyre',
+      userId: user._id,
+      accountNumber: '9100000001',
+      accountName: user.fullName,
+      bankName: 'Test Bank',
+      bankCode: '000',
+      cashwyreRequestId: 'RESERVE_REQ',
+      accountReference: 'RESERVE_REF'
+    });
+  });
+
+  const balance = async () => (await User.findById(user._id)).walletBalance;
+
+  it('credits a correctly signed deposit', async () => {
+    const body = fiatDeposit(account.accountNumber, 'CW_SIGNED');
+
+    const response = await post(body, signed(body));
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).success, true);
+    assert.equal(await balance(), 500000 - RESERVE_FEE);
+    assert.equal((await WebhookEvent.findOne({ eventId: 'fiat_deposit.success:CW_SIGNED' })).signatureVerified, true);
+  });
+
+  it('credits a redelivered deposit once', async () => {
+    const body = fiatDeposit(account.accountNumber, 'CW_REDELIVERED');
+
+    await post(body, signed(body));
+    const again = await post(body, signed(body));
+
+    assert.equal(again.status, 200);
+    assert.equal(await balance(), 500000 - RESERVE_FEE);
+  });
+
+  it('rejects an unsigned deposit and stores it as rejected', async () => {
+    const body = fiatDeposit(account.accountNumber, 'CW_UNSIGNED');
+
+    const response = await post(body);
+
+    assert.equal(response.status, 401);
+    assert.equal(await balance(), 0);
+    const stored = await WebhookEvent.findOne({ eventId: 'fiat_deposit.success:CW_UNSIGNED' });
+    assert.equal(stored.status, 'rejected');
+    assert.equal(stored.rejectionReason, 'unsigned request');
+  });
+
+  it('keeps only the start of an oversized rejected body', async () => {
+    const deposit = JSON.parse(fiatDeposit(account.accountNumber, 'CW_OVERSIZED'));
+    deposit.eventData.Narration = 'x'.repeat(100000);
+    const body = JSON.stringify(deposit);
+
+    const response = await post(body);
+
+    assert.equal(response.status, 401);
+    const stored = await WebhookEvent.findOne({ eventId: 'fiat_deposit.success:CW_OVERSIZED' });
+    assert.equal(stored.rawBody, body.slice(0, 4096));
+    assert.equal(stored.rawBodyLength, body.length);
+    assert.equal(stored.rawBodyTruncated, true);
+    assert.equal(stored.payload, null);
+  });
+
+  it('rejects a deposit whose amount was changed after signing', async () => {
+    const body = fiatDeposit(account.accountNumber, 'CW_TAMPERED');
+    const headers = signed(body);
+
+    const response = await post(fiatDeposit(account.accountNumber, 'CW_TAMPERED', 500000), headers);
+
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).message, 'invalid signature');
+    assert.equal(await balance(), 0);
+  });
+
+  it('answers 401, not 500, to a signature with non-hex characters', async () => {
+    const body = fiatDeposit(account.accountNumber, 'CW_MULTIBYTE');
+    const headers = signed(body);
+    headers['x-cashwyre-signature'] = `${headers['x-cashwyre-signature'].slice(0, 127)}é`;
+
+    const response = await post(body, headers);
+
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).message, 'malformed signature');
+    assert.equal(await balance(), 0);
+  });
+});
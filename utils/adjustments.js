@@ -0,0 +1,360 @@
+// utils/adjustments.js - Maker-checker for manual balance changes
+// force-update-balance, manual-recovery, recover-zero-balance and the wallet top-ups
+// (/api/wallet/top-up, /virtual-account-topup) don't move money any more: they file
+// an AdjustmentRequest with evidence (a provider reference or a
+// screenshot, and a note). A different operator approves it (routes/adjustments.js),
+// and only then is it posted - as a ledger journal against suspense plus its
+// Transaction, both carrying adjustmentRequestId, in the same database transaction
+// that marks the request posted. A rejected request posts nothing.
+// A deposit recovery naming a Cashwyre code is posted under the deposit's own journal
+// reference (CASHWYRE_<code>) and closes its DepositEvent, so the deposit's webhook,
+// arriving before or after, can't credit it a second time.
+// Each step is an audit event (utils/audit.js) on the user, written in the same
+// transaction as the step; pass { req } for who.
+const AdjustmentRequest = require('../models/AdjustmentRequest');
+const DepositEvent = require('../models/DepositEvent');
+const Transaction = require('../models/Transaction');
+const VirtualAccount = require('../models/VirtualAccount');
+const ledger = require('./ledger');
+const audit = require('./audit');
+const { CLOSED, journalReferenceOf } = require('./depositProcessor');
+const { formatNaira } = require('./money');
+
+const conflict = (message) => Object.assign(new Error(message), { status: 409 });
+
+// { providerReference, screenshotUrl, note } from a request body; defaults fill gaps
+// (e.g. the Cashwyre code a recovery names)
+const readEvidence = (body = {}, defaults = {}) => {
+  const text = (value) => String(value || '').trim() || undefined;
+  return {
+    providerReference: text(body.providerReference) || text(defaults.providerReference),
+    screenshotUrl: text(body.screenshotUrl),
+    note: text(body.note) || text(body.reason) || text(defaults.note)
+  };
+};
+
+// -> what is missing, or null
+const missingEvidence = (evidence) => {
+  if (!evidence.note) return 'note (why) is required';
+  if (!evidence.providerReference && !evidence.screenshotUrl) return 'providerReference or screenshotUrl is required as evidence';
+  return null;
+};
+
+// File a request. Throws a duplicate key error (11000) if one for the same journal
+// reference is already pending.
+const createRequest = async ({ kind, userId, direction = 'credit', amount, journalReference, target = {}, evidence, requestedBy, balanceAtRequest, requestedBalance }, { req = null } = {}) => {
+  const request = new AdjustmentRequest({
+    kind,
+    userId,
+    direction,
+    amount,
+    target,
+    evidence,
+    requestedBy,
+    balanceAtRequest,
+    requestedBalance,
+    history: [{ action: 'requested', by: requestedBy, note: evidence.note }]
+  });
+  request.journalReference = journalReference || `ADJ_${request._id}`;
+  await ledger.withTransaction(async (session) => {
+    await request.save({ session });
+    await audit.log({
+      action: 'adjustment.requested',
+      req,
+      target: { type: 'user', id: userId },
+      after: { status: 'pending', balance: balanceAtRequest, requestedBalance },
+      metadata: { ...auditDetails(request), evidence: request.evidence, target: request.target }
+    }, { session });
+  });
+
+  console.log(`📝 Adjustment requested by ${requestedBy}: ${kind} ${request.direction} ${formatNaira(amount)} for user ${userId} (${request._id})`);
+  return request;
+};
+
+// What every adjustment audit event says about the request
+const auditDetails = (request) => ({
+  adjustmentRequestId: request._id,
+  kind: request.kind,
+  direction: request.direction,
+  amount: request.amount,
+  requestedBy: request.requestedBy,
+  reviewedBy: request.reviewedBy || null
+});
+
+const walletPostings = ({ direction, amount, userId }) => (direction === 'debit'
+  ? [ledger.debit(ledger.ACCOUNTS.USER_WALLET, amount, { userId }), ledger.credit(ledger.ACCOUNTS.SUSPENSE, amount)]
+  : [ledger.debit(ledger.ACCOUNTS.SUSPENSE, amount), ledger.credit(ledger.ACCOUNTS.USER_WALLET, amount, { userId })]);
+
+// Stored on the journal and the Transaction, pointing back at the request
+const linkOf = (request) => ({ adjustmentRequestId: request._id, requestedBy: request.requestedBy, approvedBy: request.reviewedBy });
+
+// ==================== POSTING ====================
+// Each posts one approved request inside the approval's session.
+// -> { transaction, balanceBefore, balanceAfter }
+const POSTERS = {
+  balance_correction: async (request, session) => {
+    const link = linkOf(request);
+    const { balances } = await ledger.postJournal({
+      reference: request.journalReference,
+      type: 'adjustment',
+      description: `Manual balance adjustment: ${request.evidence.note}`,
+      postings: walletPostings(request),
+      metadata: { ...link, reason: request.evidence.note, providerReference: request.evidence.providerReference }
+    }, { session });
+    const { before, after } = balances[request.userId.toString()];
+
+    const transaction = new Transaction({
+      userId: request.userId,
+      type: 'balance_adjustment',
+      amount: request.amount,
+      reference: request.journalReference,
+      status: 'completed',
+      description: `Manual balance adjustment: ${request.evidence.note}`,
+      balanceBefore: before,
+      balanceAfter: after,
+      authenticationMethod: 'manual',
+      metadata: {
+        ...link,
+        adjustmentType: 'manual',
+        direction: request.direction,
+        reason: request.evidence.note,
+        processedAt: new Date().toISOString()
+      },
+      completedAt: new Date()
+    });
+    await transaction.save({ session });
+    return { transaction, balanceBefore: before, balanceAfter: after };
+  },
+
+  deposit_recovery: async (request, session) => {
+    const { accountNumber, virtualAccountId } = request.target;
+    // Requests filed before target.cashwyreCode carry the code as their evidence
+    const cashwyreCode = request.target.cashwyreCode || request.evidence.providerReference;
+    if (cashwyreCode) request.journalReference = journalReferenceOf(cashwyreCode);
+
+    // A webhook may have credited it while the request waited
+    if (cashwyreCode) {
+      const credited = await Transaction.exists({
+        $or: [{ cashwyreReference: cashwyreCode }, { reference: { $in: [cashwyreCode, request.journalReference] } }],
+        status: 'completed'
+      }).session(session);
+      if (credited) throw conflict(`${cashwyreCode} was already credited`);
+      const event = await DepositEvent.findOne({ cashwyreCode }).select('status').session(session);
+      if (event && CLOSED.includes(event.status)) throw conflict(`${cashwyreCode} is already ${event.status}`);
+    }
+
+    const link = linkOf(request);
+    // Money we can't tie to a provider event comes out of suspense
+    const { balances } = await ledger.postJournal({
+      reference: request.journalReference,
+      type: 'recovery',
+      description: `Manual recovery for account ${accountNumber}`,
+      postings: walletPostings(request),
+      metadata: { ...link, accountNumber, cashwyreCode, source: 'manual_recovery' }
+    }, { session });
+    const { before, after } = balances[request.userId.toString()];
+
+    // Mark virtual account as processed
+    if (virtualAccountId) {
+      await VirtualAccount.updateOne(
+        { _id: virtualAccountId },
+        { $set: { active: false, processedAt: new Date(), cashwyreReference: cashwyreCode || request.journalReference } },
+        { session }
+      );
+    }
+
+    const transaction = new Transaction({
+      userId: request.userId,
+      type: 'wallet_funding',
+      amount: request.amount,
+      balanceBefore: before,
+      balanceAfter: after,
+      reference: request.journalReference,
+      cashwyreReference: cashwyreCode,
+      status: 'completed',
+      description: `Manual Recovery - ${formatNaira(request.amount)} credited`,
+      authenticationMethod: 'manual',
+      metadata: {
+        ...link,
+        accountNumber,
+        source: 'manual_recovery',
+        amountPaid: request.amount,
+        netAmountToCredit: request.amount,
+        recoveredAt: new Date()
+      },
+      completedAt: new Date()
+    });
+    await transaction.save({ session });
+
+    // Closed like a credited deposit - later reports of the code are ignored
+    if (cashwyreCode) {
+      await DepositEvent.updateOne(
+        { cashwyreCode },
+        {
+          $set: {
+            status: 'credited',
+            userId: request.userId,
+            virtualAccountId,
+            feeAmount: 0,
+            creditedAmount: request.amount,
+            journalReference: request.journalReference,
+            transactionId: transaction._id,
+            creditedAt: new Date(),
+            lastError: null
+          },
+          $setOnInsert: { accountNumber, amountPaid: request.amount },
+          $push: { history: { action: 'recovered', by: request.reviewedBy, userId: request.userId, note: request.evidence.note } }
+        },
+        { upsert: true, session }
+      );
+    }
+    return { transaction, balanceBefore: before, balanceAfter: after };
+  },
+
+  zero_balance_recovery: async (request, session) => {
+    const { transactionId, originalReference } = request.target;
+    const original = await Transaction.findOne({
+      _id: transactionId,
+      status: 'completed',
+      $or: [{ balanceAfter: 0 }, { balanceAfter: { $exists: false } }]
+    }).session(session);
+    if (!original) throw conflict(`${originalReference} no longer has a zero balance to recover`);
+
+    const link = linkOf(request);
+    // Re-credit through the ledger - the RECOVERY_ reference makes this one-shot
+    const { balances } = await ledger.postJournal({
+      reference: request.journalReference,
+      type: 'recovery',
+      description: `Zero-balance recovery for ${originalReference}`,
+      postings: walletPostings(request),
+      metadata: { ...link, originalReference, oldBalanceAfter: original.balanceAfter || 0 }
+    }, { session });
+    const { before, after } = balances[request.userId.toString()];
+
+    const transaction = await Transaction.findOneAndUpdate(
+      { _id: original._id },
+      {
+        $set: {
+          balanceBefore: before,
+          balanceAfter: after,
+          'metadata.recovery': {
+            ...link,
+            recoveredAt: new Date(),
+            oldBalanceAfter: original.balanceAfter || 0,
+            newBalanceAfter: after
+          }
+        }
+      },
+      { new: true, session }
+    );
+    return { transaction, balanceBefore: before, balanceAfter: after };
+  },
+
+  provider_topup: async (request, session) => {
+    const { transactionType, gateway, source, description } = request.target;
+
+    // Credited some other way while the request waited
+    if (await Transaction.exists({ reference: request.journalReference, status: 'completed' }).session(session)) {
+      throw conflict(`${request.journalReference} was already credited`);
+    }
+
+    const link = linkOf(request);
+    // A payment the provider holds for us - from clearing, not suspense
+    const { balances } = await ledger.postJournal({
+      reference: request.journalReference,
+      type: 'deposit',
+      description,
+      postings: [
+        ledger.debit(ledger.ACCOUNTS.PROVIDER_CLEARING, request.amount, { provider: 'paystack' }),
+        ledger.credit(ledger.ACCOUNTS.USER_WALLET, request.amount, { userId: request.userId })
+      ],
+      metadata: { ...link, source }
+    }, { session });
+    const { before, after } = balances[request.userId.toString()];
+
+    const transaction = new Transaction({
+      userId: request.userId,
+      type: transactionType,
+      amount: request.amount,
+      reference: request.journalReference,
+      status: 'completed',
+      description,
+      balanceBefore: before,
+      balanceAfter: after,
+      gateway,
+      authenticationMethod: 'manual',
+      metadata: { ...link, source, processedAt: new Date().toISOString() },
+      completedAt: new Date()
+    });
+    await transaction.save({ session });
+    return { transaction, balanceBefore: before, balanceAfter: after };
+  }
+};
+
+// ==================== REVIEW ====================
+// Approve and post. -> { request, transaction, balanceBefore, balanceAfter }, or null
+// if it is no longer pending or `by` asked for it. Throws with status 409 when the
+// money was recovered some other way meanwhile (the request stays pending).
+const approve = (id, { by, note = null, req = null }) => ledger.withTransaction(async (session) => {
+  const now = new Date();
+  const request = await AdjustmentRequest.findOneAndUpdate(
+    { _id: id, status: 'pending', requestedBy: { $ne: by } },
+    {
+      $set: { status: 'posted', reviewedBy: by, reviewNote: note, reviewedAt: now },
+      $push: { history: { action: 'approved', by, note, at: now } }
+    },
+    { new: true, session }
+  );
+  if (!request) return null;
+
+  const { transaction, balanceBefore, balanceAfter } = await POSTERS[request.kind](request, session);
+  request.transactionId = transaction._id;
+  request.balanceBefore = balanceBefore;
+  request.balanceAfter = balanceAfter;
+  request.postedAt = now;
+  await request.save({ session });
+  await audit.log({
+    action: 'adjustment.approved',
+    req,
+    target: { type: 'user', id: request.userId },
+    before: { status: 'pending', balance: balanceBefore },
+    after: { status: 'posted', balance: balanceAfter },
+    metadata: { ...auditDetails(request), journalReference: request.journalReference, transactionId: transaction._id, note }
+  }, { session });
+
+  console.log(`✅ Adjustment ${request._id} approved by ${by}: ${request.kind} ${request.direction} ${formatNaira(request.amount)} | ${formatNaira(balanceBefore)} → ${formatNaira(balanceAfter)}`);
+  return { request, transaction, balanceBefore, balanceAfter };
+});
+
+// -> the rejected request, or null if it is no longer pending
+const reject = (id, { by, reason, req = null }) => ledger.withTransaction(async (session) => {
+  const request = await AdjustmentRequest.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    {
+      $set: { status: 'rejected', reviewedBy: by, reviewNote: reason, reviewedAt: new Date() },
+      $push: { history: { action: 'rejected', by, note: reason } }
+    },
+    { new: true, session }
+  );
+  if (!request) return null;
+
+  await audit.log({
+    action: 'adjustment.rejected',
+    req,
+    target: { type: 'user', id: request.userId },
+    before: { status: 'pending' },
+    after: { status: 'rejected' },
+    metadata: { ...auditDetails(request), reason }
+  }, { session });
+  console.log(`🚫 Adjustment ${request._id} rejected by ${by}: ${reason}`);
+  return request;
+});
+
+module.exports = {
+  KINDS: AdjustmentRequest.KINDS,
+  readEvidence,
+  missingEvidence,
+  createRequest,
+  approve,
+  reject
+};
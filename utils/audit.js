@@ -0,0 +1,158 @@
+// utils/audit.js - Who changed what, in a tamper-evident log
+// Money-moving and admin code calls log() with the session of the transaction that
+// makes the change, so the entry commits or rolls back with it - there is no money
+// movement without its audit entry. A failed write fails the transaction; nothing
+// is swallowed.
+//
+// Entries are chained per target (chainOf: 'user:<id>', 'deposit:<id>', 'route:POST
+// /api/...'), so credits to different users never wait on each other. Within a chain
+// each AuditEvent gets the next seq and hash = sha256(its canonical JSON + the
+// previous entry's hash); two transactions racing for a seq conflict on the unique
+// (chain, seq) index and the loser is retried by withTransaction, so every chain
+// stays a single line. verify() walks the chains and names the first entry that
+// doesn't fit. Entries from before chains have no chain and form one line of their own.
+// Snapshots are stored as plain JSON (ObjectIds and dates as strings) so the hash
+// can be recomputed from what is stored, here or from an export.
+//
+// Actions:
+//   transfer.sent                              /api/transfer
+//   deposit.credited                           provider-reported credits: utils/depositProcessor.js,
+//                                              routes/webhooks.js, utils/chargeProcessor.js
+//   wallet.reconciled                          /api/wallet/emergency-sync
+//   adjustment.requested / .approved / .rejected   utils/adjustments.js requests (top-ups too)
+//   deposit.assigned / .refund_marked / .refunded  /api/admin/unmatched-deposits
+//   webhook.replayed, sync.retried, sync.resolved, fees.schedule_published
+//   kyc.updated, account.references_fixed, staff.role_changed
+//   pin.set / .changed / .reset_requested / .reset, pin.failed, pin.locked   utils/pin.js
+//   access.denied                              utils/permissions.js refusals of a signed-in caller
+//   audit.exported                             routes/audit.js
+const crypto = require('crypto');
+const AuditEvent = require('../models/AuditEvent');
+const ledger = require('./ledger');
+
+const GENESIS = '0'.repeat(64);
+
+// ObjectIds, dates and undefined as JSON would have them
+const plain = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+// JSON with object keys sorted, so the same content always hashes the same
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashOf = (entry) => crypto.createHash('sha256').update(canonical({
+  ...(entry.chain && { chain: entry.chain }),
+  seq: entry.seq,
+  createdAt: new Date(entry.createdAt).toISOString(),
+  actor: plain(entry.actor),
+  action: entry.action,
+  target: plain(entry.target),
+  before: plain(entry.before),
+  after: plain(entry.after),
+  metadata: plain(entry.metadata),
+  requestId: entry.requestId || null,
+  ip: entry.ip || null,
+  prevHash: entry.prevHash
+})).digest('hex');
+
+// The caller as routes see it: req.staff (utils/permissions.js), else req.user
+const actorFrom = (req) => {
+  if (!req) return { type: 'system' };
+  if (req.staff) {
+    return req.staff.id === 'main-backend'
+      ? { type: 'service', id: req.staff.id, role: req.staff.role }
+      : { type: 'staff', id: req.staff.id, email: req.staff.email, role: req.staff.role };
+  }
+  if (req.user) return { type: 'user', id: String(req.user._id), email: req.user.email };
+  return { type: 'anonymous' };
+};
+
+// The chain an entry for this target joins
+const chainOf = (target) => {
+  if (!target || !target.type) return 'system';
+  return target.id ? `${target.type}:${target.id}` : target.type;
+};
+
+// Append one entry inside the caller's transaction (or one of its own when there is
+// no session). Throws when it can't be written. -> the stored AuditEvent
+const log = async ({ action, req = null, actor = null, target = {}, before = null, after = null, metadata = null }, { session = null } = {}) => {
+  const entry = {
+    chain: chainOf(plain(target)),
+    actor: plain(actor || actorFrom(req)),
+    action,
+    target: plain(target),
+    before: plain(before),
+    after: plain(after),
+    metadata: plain(metadata),
+    requestId: req ? req.id || null : null,
+    ip: req ? req.ip || null : null
+  };
+
+  return ledger.withTransaction(async (txSession) => {
+    const last = await AuditEvent.findOne({ chain: entry.chain }).sort({ seq: -1 }).select('seq hash').session(txSession).lean();
+    const event = new AuditEvent({
+      ...entry,
+      seq: last ? last.seq + 1 : 1,
+      createdAt: new Date(),
+      prevHash: last ? last.hash : GENESIS
+    });
+    // Hashed as the schema stores it, so verify() sees the same thing
+    event.hash = hashOf(event.toObject());
+    return event.save({ session: txSession });
+  }, session);
+};
+
+// Walk one chain in seq order from fromSeq; chain null is the entries from before
+// chains. -> { chain, ok, checked, lastSeq, brokenAt?, reason? }
+const verifyChain = async (chain, fromSeq = 1) => {
+  const inChain = chain === null ? { chain: { $exists: false } } : { chain };
+  let previous = fromSeq > 1 ? await AuditEvent.findOne({ ...inChain, seq: fromSeq - 1 }).lean() : null;
+  if (fromSeq > 1 && !previous) return { chain, ok: false, checked: 0, lastSeq: null, brokenAt: fromSeq - 1, reason: 'missing entry' };
+
+  let checked = 0;
+  const cursor = AuditEvent.find({ ...inChain, seq: { $gte: fromSeq } }).sort({ seq: 1 }).lean().cursor();
+  for await (const event of cursor) {
+    const expectedSeq = previous ? previous.seq + 1 : 1;
+    const broken = (reason, seq = event.seq) => ({ chain, ok: false, checked, lastSeq: previous ? previous.seq : null, brokenAt: seq, reason });
+
+    if (event.seq !== expectedSeq) return broken('missing entry', expectedSeq);
+    if (event.prevHash !== (previous ? previous.hash : GENESIS)) return broken('previous hash does not match');
+    if (event.hash !== hashOf(event)) return broken('contents changed');
+
+    previous = event;
+    checked++;
+  }
+  return { chain, ok: true, checked, lastSeq: previous ? previous.seq : null };
+};
+
+// One chain from fromSeq, or every chain from the start.
+// -> verifyChain's result for one chain; { ok, chains, checked } for all of them,
+// with the first broken chain's chain, brokenAt and reason when one is
+const verify = async ({ chain, fromSeq = 1 } = {}) => {
+  if (chain !== undefined) return verifyChain(chain, fromSeq);
+
+  const chains = await AuditEvent.distinct('chain');
+  if (await AuditEvent.exists({ chain: { $exists: false } })) chains.unshift(null);
+
+  let checked = 0;
+  for (const name of chains) {
+    const result = await verifyChain(name);
+    checked += result.checked;
+    if (!result.ok) return { ...result, chains: chains.length, checked };
+  }
+  return { ok: true, chains: chains.length, checked };
+};
+
+module.exports = {
+  GENESIS,
+  canonical,
+  hashOf,
+  actorFrom,
+  chainOf,
+  log,
+  verify
+};
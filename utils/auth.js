@@ -0,0 +1,149 @@
+// utils/auth.js - Who is calling: JWT access / refresh tokens and the route guards
+// POST /api/auth/login (routes/auth.js) hands out a short-lived access token and a
+// refresh token. The app sends the access token as Authorization: Bearer <token>;
+// requireUser turns it into req.user. A refresh token is used once: /refresh
+// swaps it for a new pair, and only a hash of the latest one is kept on the user
+// (User.refreshToken). Presenting an older one means it leaked - the stored one is
+// cleared, and the user logs in again.
+//
+// User-scoped routes then check the token's user owns what they ask for:
+//   ownsParam('userId')  the :userId in the path must be the caller
+//   actAsSelf('userId')  a userId in the body / query must be the caller, and is
+//                        filled in from the token when the app leaves it out
+//   owns(req, userId)    for records looked up some other way (by reference)
+//
+// JWT_SECRET signs both kinds (a 'typ' claim keeps them apart); JWT_ACCESS_TTL
+// (default 15m) and JWT_REFRESH_TTL (default 30d) take jsonwebtoken durations.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const ACCESS_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TTL = process.env.JWT_REFRESH_TTL || '30d';
+// Never sent back with req.user
+const PRIVATE_FIELDS = '-password -transactionPin -refreshToken -resetPasswordToken -resetPasswordOTP';
+
+const secret = () => {
+  if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET is not set');
+  return process.env.JWT_SECRET;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// -> { accessToken, refreshToken, expiresIn (seconds) }
+const signTokens = (user) => {
+  const subject = String(user._id);
+  const accessToken = jwt.sign({ typ: 'access' }, secret(), { subject, expiresIn: ACCESS_TTL });
+  const refreshToken = jwt.sign({ typ: 'refresh' }, secret(), {
+    subject,
+    expiresIn: REFRESH_TTL,
+    jwtid: crypto.randomBytes(16).toString('hex')
+  });
+
+  const { exp, iat } = jwt.decode(accessToken);
+  return { accessToken, refreshToken, expiresIn: exp - iat };
+};
+
+// Sign a new pair and keep the refresh token's hash on the user (login)
+const issueTokens = async (user) => {
+  const tokens = signTokens(user);
+  await User.updateOne({ _id: user._id }, { $set: { refreshToken: hashToken(tokens.refreshToken) } });
+  return tokens;
+};
+
+// -> the token's payload if it is a valid, unexpired token of that kind, else null
+const verify = (token, typ) => {
+  try {
+    const payload = jwt.verify(token, secret());
+    return payload.typ === typ && mongoose.isValidObjectId(payload.sub) ? payload : null;
+  } catch (error) {
+    if (error.message === 'JWT_SECRET is not set') throw error;
+    return null;
+  }
+};
+
+// The active user an access token belongs to, or null
+const userFromToken = async (token) => {
+  const payload = token && verify(token, 'access');
+  if (!payload) return null;
+
+  const user = await User.findById(payload.sub).select(PRIVATE_FIELDS);
+  return user && user.isActive !== false ? user : null;
+};
+
+// Swap a refresh token for a new pair. -> { user, tokens }, or null if it is
+// expired, unknown, or not the latest one issued (which also logs the user out)
+const refresh = async (refreshToken) => {
+  const payload = refreshToken && verify(refreshToken, 'refresh');
+  if (!payload) return null;
+
+  const user = await User.findById(payload.sub).select('refreshToken isActive');
+  if (!user || user.isActive === false) return null;
+
+  if (user.refreshToken !== hashToken(refreshToken)) {
+    console.log(`🔐 Old refresh token presented for user ${user._id} - logging them out`);
+    await revoke(user._id);
+    return null;
+  }
+
+  // Compare-and-swap, so one refresh token can't be spent twice in parallel
+  const tokens = signTokens(user);
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, refreshToken: hashToken(refreshToken) },
+    { $set: { refreshToken: hashToken(tokens.refreshToken) } }
+  );
+  return modifiedCount ? { user, tokens } : null;
+};
+
+const revoke = (userId) => User.updateOne({ _id: userId }, { $set: { refreshToken: null } });
+
+const bearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+// ==================== ROUTE GUARDS ====================
+// Sets req.user from the Bearer access token, or answers 401
+const requireUser = async (req, res, next) => {
+  try {
+    req.user = await userFromToken(bearerToken(req));
+  } catch (error) {
+    console.error('❌ Authentication failed:', error.message);
+    return res.status(500).json({ success: false, message: 'Authentication is not available' });
+  }
+  if (!req.user) {
+    return res.status(401).json({ success: false, message: 'Valid access token required' });
+  }
+  next();
+};
+
+const owns = (req, userId) => Boolean(req.user && userId && String(userId) === String(req.user._id));
+
+const forbidden = (res) => res.status(403).json({ success: false, message: 'Not allowed for this user' });
+
+// After requireUser: the path parameter must be the caller
+const ownsParam = (name = 'userId') => (req, res, next) => (owns(req, req.params[name]) ? next() : forbidden(res));
+
+// After requireUser: the body / query field must be the caller - or missing, and
+// then it is set to the caller, so the handler below reads it as before
+const actAsSelf = (name = 'userId') => (req, res, next) => {
+  const source = req.method === 'GET' ? req.query : req.body;
+  if (source[name] !== undefined && source[name] !== '' && !owns(req, source[name])) return forbidden(res);
+  source[name] = String(req.user._id);
+  next();
+};
+
+module.exports = {
+  ACCESS_TTL,
+  REFRESH_TTL,
+  issueTokens,
+  refresh,
+  revoke,
+  bearerToken,
+  userFromToken,
+  requireUser,
+  owns,
+  ownsParam,
+  actAsSelf
+};
@@ -0,0 +1,128 @@
+// utils/chargeProcessor.js - Crediting a card / bank charge the gateway says succeeded
+// POST /payments/verify-paystack (the app polling) and the reverification worker
+// (utils/paystackReverifier.js) both end here once verifyCharge reports completed.
+// The ledger journal is keyed on the charge reference, so two callers racing on
+// one charge - or the webhook (routes/webhooks.js) - can't credit it twice.
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const ledger = require('./ledger');
+const feeEngine = require('./feeEngine');
+const levies = require('./levies');
+const { formatNaira } = require('./money');
+const { queueCreditSync } = require('./syncVirtualAccount');
+const audit = require('./audit');
+
+// Gross in from the gateway: the wallet gets the credit, the fee goes to VAT and
+// fee income. A card charge isn't a bank transfer, so no EMTL.
+const cardPostings = ({ grossAmount, credit, fee, levy, userId, gateway }) => [
+  ledger.debit(ledger.ACCOUNTS.PROVIDER_CLEARING, grossAmount, { provider: gateway }),
+  ...(credit > 0 ? [ledger.credit(ledger.ACCOUNTS.USER_WALLET, credit, { userId })] : []),
+  ...levies.feePostings(fee, levy)
+];
+
+// Who paid: the charge metadata, else the customer's email, else whoever opened
+// the pending transaction. -> userId string or null
+const chargeUserId = async (charge) => {
+  if (charge.metadata?.userId) return charge.metadata.userId.toString();
+
+  if (charge.customerEmail) {
+    const user = await User.findOne({ email: charge.customerEmail }).select('_id').lean();
+    if (user) return user._id.toString();
+  }
+
+  const pending = await Transaction.findOne({ reference: charge.reference, status: 'pending' }).select('userId');
+  return pending ? pending.userId.toString() : null;
+};
+
+// Credit a completed charge: journal, completed transaction, main backend sync - one
+// Mongo transaction. source names the caller in the journal and verificationHistory;
+// fields are extra $set fields for the transaction.
+// -> { userId, amount, fee, grossAmount, balanceBefore, balanceAfter }
+const creditCharge = async (charge, { userId, gateway, source, method = 'polling', fields = {} }) => {
+  const reference = charge.reference;
+  const grossAmount = charge.amount; // providers report kobo - the quoted fee included
+  const { fee, credit: amount, scheduleVersion } = await feeEngine.includedFee(reference, grossAmount);
+  const levy = levies.assess({ fee, amount: grossAmount });
+  const description = `Wallet funding via ${gateway} - ${reference}`;
+  userId = userId.toString();
+
+  console.log(`💰 Verified amount: ${formatNaira(grossAmount)} (fee ${formatNaira(fee)}, credit ${formatNaira(amount)})`);
+
+  return ledger.withTransaction(async (session) => {
+    const { balances } = await ledger.postJournal({
+      reference,
+      type: 'deposit',
+      description,
+      postings: cardPostings({ grossAmount, credit: amount, fee, levy, userId, gateway }),
+      metadata: { source, fee, feeScheduleVersion: scheduleVersion, vat: levy.vat }
+    }, { session });
+
+    const { before: balanceBefore, after: balanceAfter } = balances[userId];
+
+    await Transaction.findOneAndUpdate(
+      { reference },
+      {
+        $set: {
+          ...fields,
+          userId,
+          amount,
+          serviceCharge: fee,
+          feeScheduleVersion: scheduleVersion,
+          levies: { vat: levy.vat, emtl: levy.emtl },
+          status: 'completed',
+          type: 'wallet_funding',
+          description,
+          balanceBefore,
+          balanceAfter,
+          gatewayResponse: charge.raw,
+          gatewayReference: reference,
+          gateway,
+          updatedAt: new Date()
+        },
+        $setOnInsert: {
+          reference,
+          createdAt: new Date(),
+          transactionId: `TXN_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`
+        },
+        $push: {
+          'metadata.verificationHistory': {
+            method,
+            timestamp: new Date(),
+            status: 'success',
+            response: { source, verifiedAt: new Date(), amount }
+          }
+        }
+      },
+      { upsert: true, session, new: true }
+    );
+
+    // The main backend sync commits with the credit (utils/outbox.js)
+    await queueCreditSync({
+      userId,
+      reference,
+      amount,
+      fee,
+      balanceBefore,
+      balanceAfter,
+      gateway,
+      origin: source
+    }, { session });
+
+    await audit.log({
+      action: 'deposit.credited',
+      actor: { type: 'system', id: source },
+      target: { type: 'user', id: userId },
+      before: { walletBalance: balanceBefore },
+      after: { walletBalance: balanceAfter },
+      metadata: { gateway, reference, method, amountPaid: grossAmount, amount, fee }
+    }, { session });
+
+    return { userId, amount, fee, grossAmount, balanceBefore, balanceAfter };
+  });
+};
+
+module.exports = {
+  cardPostings,
+  chargeUserId,
+  creditCharge
+};
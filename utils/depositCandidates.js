@@ -0,0 +1,121 @@
+// utils/depositCandidates.js - Who an unmatched Cashwyre deposit probably belongs to
+// Nothing here credits anyone: it ranks users for the admin who assigns the deposit
+// (routes/unmatchedDeposits.js). Each signal adds to a user's score:
+//   account number - any virtual account (inactive, expired, Paystack) or user
+//                    record that ever had the number it was paid into
+//   sender name    - words of the payer's name found in the user's full name
+//   amount + time  - a funding account or pending funding transaction for the
+//                    same amount, created in the CANDIDATE_WINDOW_HOURS before payment
+const User = require('../models/User');
+const VirtualAccount = require('../models/VirtualAccount');
+const Transaction = require('../models/Transaction');
+const { formatNaira } = require('./money');
+
+const CANDIDATE_WINDOW_HOURS = Number(process.env.UNMATCHED_CANDIDATE_WINDOW_HOURS) || 48;
+const MAX_CANDIDATES = 5;
+
+const SCORES = {
+  accountNumber: 60,
+  nameWord: 15, // per word, up to three
+  amount: 30,
+  pendingTransaction: 20
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "ADEBAYO, JOHN O." -> ['adebayo', 'john'] - initials and short words match too much
+const nameWords = (name = '') => [...new Set(
+  name.toLowerCase().split(/[^a-z]+/).filter(word => word.length >= 3)
+)];
+
+// event: a DepositEvent. Returns up to MAX_CANDIDATES in the candidateSchema shape,
+// best first.
+const suggestCandidates = async (event) => {
+  const found = new Map(); // userId -> candidate
+  const add = (userId, points, reason, virtualAccountId = null) => {
+    if (!userId) return;
+    const key = userId.toString();
+    const candidate = found.get(key) || { userId, score: 0, reasons: [] };
+    candidate.score += points;
+    candidate.reasons.push(reason);
+    if (virtualAccountId && !candidate.virtualAccountId) candidate.virtualAccountId = virtualAccountId;
+    found.set(key, candidate);
+  };
+
+  // ========== ACCOUNT NUMBER ==========
+  if (event.accountNumber) {
+    const accounts = await VirtualAccount.find({ accountNumber: event.accountNumber })
+      .select('userId provider active amount').limit(20);
+    accounts.forEach(account => add(
+      account.userId,
+      SCORES.accountNumber,
+      `${account.provider} account ${event.accountNumber}${account.active ? '' : ' (inactive)'}`,
+      account.amount > 0 ? account._id : null
+    ));
+
+    const owners = await User.find({ 'virtualAccount.accountNumber': event.accountNumber }).select('_id').limit(5);
+    owners.forEach(user => add(user._id, SCORES.accountNumber, `reserve account ${event.accountNumber} on the user record`));
+  }
+
+  // ========== SENDER NAME ==========
+  const words = nameWords(event.senderName);
+  if (words.length) {
+    const users = await User.find({
+      $or: words.map(word => ({ fullName: { $regex: `\\b${escapeRegex(word)}`, $options: 'i' } }))
+    }).select('fullName').limit(50);
+
+    users.forEach(user => {
+      const shared = words.filter(word => nameWords(user.fullName).includes(word));
+      if (shared.length) {
+        add(user._id, SCORES.nameWord * Math.min(shared.length, 3), `sender "${event.senderName}" shares ${shared.join(', ')}`);
+      }
+    });
+  }
+
+  // ========== AMOUNT + TIME WINDOW ==========
+  const paidAt = event.settledOn || event.createdAt || new Date();
+  const windowStart = new Date(paidAt.getTime() - CANDIDATE_WINDOW_HOURS * 60 * 60 * 1000);
+
+  const fundingAccounts = await VirtualAccount.find({
+    provider: 'cashwyre',
+    amount: { $gt: 0 },
+    $or: [{ totalPayable: event.amountPaid }, { amount: event.amountPaid }],
+    createdAt: { $gte: windowStart, $lte: paidAt }
+  }).select('userId createdAt processedAt').limit(20);
+  fundingAccounts
+    .filter(account => !account.processedAt)
+    .forEach(account => add(
+      account.userId,
+      SCORES.amount,
+      `unpaid ${formatNaira(event.amountPaid)} funding account from ${account.createdAt.toISOString()}`,
+      account._id
+    ));
+
+  const pending = await Transaction.find({
+    type: 'wallet_funding',
+    status: 'pending',
+    amount: event.amountPaid,
+    createdAt: { $gte: windowStart, $lte: paidAt }
+  }).select('userId createdAt').limit(20);
+  pending.forEach(tx => add(tx.userId, SCORES.pendingTransaction, `pending ${formatNaira(event.amountPaid)} funding from ${tx.createdAt.toISOString()}`));
+
+  const ranked = [...found.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES);
+
+  const users = await User.find({ _id: { $in: ranked.map(c => c.userId) } }).select('fullName email');
+  const byId = new Map(users.map(user => [user._id.toString(), user]));
+  return ranked
+    .filter(candidate => byId.has(candidate.userId.toString()))
+    .map(candidate => ({
+      ...candidate,
+      fullName: byId.get(candidate.userId.toString()).fullName,
+      email: byId.get(candidate.userId.toString()).email
+    }));
+};
+
+module.exports = {
+  CANDIDATE_WINDOW_HOURS,
+  nameWords,
+  suggestCandidates
+};
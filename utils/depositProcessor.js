@@ -0,0 +1,765 @@
+// utils/depositProcessor.js - The one place a Cashwyre deposit becomes a wallet credit
+// cashwyre-fiat, cashwyre-sync and cashwyre-process are thin adapters: each turns its
+// payload into a deposit (fromFiatWebhook / fromSyncPayload / fromProcessPayload) and
+// hands it to processDeposit. So does the payin poller (fromPayinStatus), for
+// funding accounts whose webhook never came.
+//
+// Crediting policy - the same whichever endpoint reported the deposit:
+//   fee    = the fee quoted on the funding account (VirtualAccount.fee), or for
+//            accounts without a quote the reserve_deposit fee of the schedule in
+//            force when it was paid (utils/feeEngine.js)
+//   credit = amountPaid - fee, never below zero
+// Funding accounts paid more or less than they asked for, or over several transfers,
+// follow the under / overpayment policy instead (utils/payinPolicy.js): the quoted fee
+// is taken once, and money can be held in suspense or owed back to the payer.
+// A funding account paid after it expired (utils/expirySweeper.js) is credited as a
+// plain deposit - reserve_deposit fee, its own transaction - and flagged.
+// What a sender says to credit (amount / netAmountToCredit) is recorded on the
+// DepositEvent for comparison, never trusted.
+//
+// Idempotency: one DepositEvent per Cashwyre code, and its journal reference
+// CASHWYRE_<code> is unique, so a second report of the same code can't credit again.
+//
+// A deposit no account or user matches is kept as 'unmatched' with suggested owners
+// (utils/depositCandidates.js). An admin then assigns it (assignDeposit - credited
+// here like any other deposit) or marks it for refund (routes/unmatchedDeposits.js).
+const DepositEvent = require('../models/DepositEvent');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const VirtualAccount = require('../models/VirtualAccount');
+const ledger = require('./ledger');
+const feeEngine = require('./feeEngine');
+const levies = require('./levies');
+const { queueCreditSync } = require('./syncVirtualAccount');
+const { suggestCandidates } = require('./depositCandidates');
+const { isPaidAfterExpiry } = require('./expirySweeper');
+const payinPolicy = require('./payinPolicy');
+const userEvents = require('./userEvents');
+const audit = require('./audit');
+const { toKobo, formatNaira } = require('./money');
+
+const DONE = ['credited', 'no_credit'];
+// Settled without a credit - later reports of the code are ignored too
+const CLOSED = [...DONE, 'held', 'refund_pending', 'refunded'];
+
+// DepositEvent report source of utils/payinPoller.js
+const POLL_SOURCE = 'payin-poll';
+
+// The journal (and Transaction) reference a Cashwyre code is credited under. A manual
+// recovery of the deposit posts under it too (utils/adjustments.js), so only one can.
+const journalReferenceOf = (code) => `CASHWYRE_${code}`;
+
+// Naira from the sender -> kobo, keeping "not sent" distinct from zero
+const optionalKobo = (value) => (value === undefined || value === null || value === '' ? undefined : toKobo(value));
+
+// ==================== ADAPTERS ====================
+// Each returns { cashwyreCode, requestId, accountNumber, userId, status, gatewayStatus,
+// amountPaid, amountSettled, requestedAmount, reportedCredit, currency, bankName,
+// senderName, sourceOfPayment, narration, settledOn } - amounts in kobo, status
+// completed | failed
+
+// parsed = CashwyreProvider.parseWebhook(...) of a fiat_deposit event
+const fromFiatWebhook = (parsed) => {
+  const { eventData = {} } = parsed.raw;
+  return {
+    cashwyreCode: eventData.Code,
+    requestId: eventData.RequestId,
+    accountNumber: parsed.accountNumber,
+    status: parsed.status,
+    gatewayStatus: eventData.Status,
+    amountPaid: parsed.amountPaid,
+    amountSettled: optionalKobo(eventData.AmountSettled),
+    currency: eventData.Currency,
+    bankName: eventData.BankName,
+    senderName: eventData.SenderName || eventData.SenderAccountName,
+    sourceOfPayment: eventData.SourceOfPayment,
+    narration: eventData.Narration,
+    settledOn: eventData.SettledOn
+  };
+};
+
+// PHP forwarder /cashwyre-sync body (naira)
+const fromSyncPayload = (body) => ({
+  cashwyreCode: body.cashwyreCode,
+  requestId: body.reference,
+  accountNumber: body.accountNumber,
+  userId: body.userId,
+  status: 'completed',
+  gatewayStatus: body.type,
+  amountPaid: optionalKobo(body.amountPaid) ?? optionalKobo(body.amount),
+  amountSettled: optionalKobo(body.amountSettled),
+  requestedAmount: optionalKobo(body.amount),
+  reportedCredit: optionalKobo(body.amount),
+  bankName: body.bankName,
+  senderName: body.senderName,
+  sourceOfPayment: body.sourceOfPayment,
+  settledOn: body.settledOn
+});
+
+// PHP forwarder /cashwyre-process body (naira) - status PAID | PARTIALLY_PAID | OVERPAID
+const fromProcessPayload = (body) => ({
+  cashwyreCode: body.cashwyreCode,
+  accountNumber: body.accountNumber,
+  status: /FAIL|EXPIRE|CANCEL/i.test(body.status || '') ? 'failed' : 'completed',
+  gatewayStatus: body.status,
+  amountPaid: optionalKobo(body.amountPaid),
+  amountSettled: optionalKobo(body.amountSettled),
+  requestedAmount: optionalKobo(body.originalRequestedAmount),
+  reportedCredit: optionalKobo(body.netAmountToCredit),
+  bankName: body.bankName,
+  senderName: body.senderName,
+  settledOn: body.settledOn
+});
+
+// verifyCharge() of a funding account (utils/payinPoller.js). Only a paid payin
+// carries the deposit's code - without one it can't be credited idempotently.
+const fromPayinStatus = (charge, virtualAccount) => ({
+  cashwyreCode: charge.metadata.code,
+  requestId: virtualAccount.cashwyreRequestId,
+  accountNumber: virtualAccount.accountNumber,
+  status: charge.status,
+  gatewayStatus: charge.gatewayStatus,
+  amountPaid: charge.metadata.amountPaid ?? charge.amount,
+  amountSettled: charge.metadata.amountSettled,
+  settledOn: charge.metadata.settledOn || undefined
+});
+
+// ==================== POLICY ====================
+// -> { fee, credit, scheduleVersion, hold, refund, release, paymentStatus }
+// hold / refund / release and paymentStatus only come from funding accounts -
+// payinPolicy.settle() against the account as it stands
+const creditingPolicy = async (amountPaid, virtualAccount, { paidAt = new Date() } = {}) => {
+  if (virtualAccount?.amount > 0) {
+    const { status, ...split } = payinPolicy.settle(
+      payinPolicy.intentOf(virtualAccount),
+      amountPaid,
+      payinPolicy.policyOf(virtualAccount)
+    );
+    return { ...split, paymentStatus: status, scheduleVersion: virtualAccount.feeScheduleVersion ?? null };
+  }
+
+  const { fee, credit, scheduleVersion } = await feeEngine.quote('reserve_deposit', amountPaid, { at: paidAt });
+  return { fee, credit, scheduleVersion, hold: 0, refund: 0, release: 0, paymentStatus: null };
+};
+
+// What reached clearing (plus anything released from suspense) vs what we owe the
+// user and what goes to suspense. VAT and EMTL come out of the difference and the
+// platform keeps the rest, which is negative when Cashwyre's fee is larger than ours.
+const depositPostings = ({ settled, credit, userId, levy, hold = 0, refund = 0, release = 0 }) => [
+  ledger.debit(ledger.ACCOUNTS.PROVIDER_CLEARING, settled, { provider: 'cashwyre' }),
+  ...(release > 0 ? [ledger.debit(ledger.ACCOUNTS.SUSPENSE, release)] : []),
+  ...(credit > 0 ? [ledger.credit(ledger.ACCOUNTS.USER_WALLET, credit, { userId })] : []),
+  ...(hold + refund > 0 ? [ledger.credit(ledger.ACCOUNTS.SUSPENSE, hold + refund)] : []),
+  ...levies.feePostings(settled + release - credit - hold - refund, levy)
+];
+
+// ==================== PIPELINE ====================
+// Find or create the DepositEvent for this code and add this delivery's report
+const recordDeposit = async (deposit, report) => {
+  const fields = {
+    requestId: deposit.requestId,
+    accountNumber: deposit.accountNumber,
+    amountPaid: deposit.amountPaid,
+    amountSettled: deposit.amountSettled,
+    providerFee: deposit.amountSettled === undefined ? 0 : Math.max(0, deposit.amountPaid - deposit.amountSettled),
+    requestedAmount: deposit.requestedAmount,
+    currency: deposit.currency || 'NGN',
+    bankName: deposit.bankName,
+    senderName: deposit.senderName,
+    sourceOfPayment: deposit.sourceOfPayment,
+    narration: deposit.narration,
+    settledOn: deposit.settledOn ? new Date(deposit.settledOn) : undefined
+  };
+  Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+
+  const upsert = () => DepositEvent.findOneAndUpdate(
+    { cashwyreCode: deposit.cashwyreCode },
+    { $setOnInsert: fields, $push: { reports: report } },
+    { upsert: true, new: true }
+  );
+
+  try {
+    return await upsert();
+  } catch (error) {
+    // Two reports of a new code raced on the insert - the loser just appends
+    if (error.code === 11000) return upsert();
+    throw error;
+  }
+};
+
+// Whose deposit this is - decided by the account it was paid into, never by a
+// userId in the body. No match means unmatched (captureUnmatched), not a guess.
+const matchDeposit = async ({ accountNumber, requestId, userId }) => {
+  let virtualAccount = null;
+  if (accountNumber) {
+    virtualAccount = await VirtualAccount.findOne({ accountNumber, provider: 'cashwyre' }).sort({ createdAt: -1 });
+  }
+  if (!virtualAccount && requestId) {
+    virtualAccount = await VirtualAccount.findOne({ cashwyreRequestId: requestId });
+  }
+
+  let user = virtualAccount ? await User.findById(virtualAccount.userId) : null;
+  if (!user && accountNumber) {
+    user = await User.findOne({ 'virtualAccount.accountNumber': accountNumber });
+  }
+  if (!user && userId) {
+    console.log(`⚠️ Sender said user ${userId}, but no account matches ${accountNumber || requestId} - leaving it unmatched`);
+  }
+  if (user && userId && String(user._id) !== String(userId)) {
+    console.log(`⚠️ Sender said user ${userId}, account ${accountNumber} belongs to ${user._id} - using the account owner`);
+  }
+
+  return { virtualAccount, user };
+};
+
+// deposit: adapter output. Returns the webhook inbox result shape:
+// { cashwyreCode, userId, amount, fee, newBalance, reference } or { ignored: true, reason }
+const processDeposit = async (deposit, { source, webhookEventId = null } = {}) => {
+  const code = deposit.cashwyreCode;
+  if (!code) throw new Error(`${source} deposit has no Cashwyre code - cannot credit it idempotently`);
+  if (deposit.status !== 'completed') {
+    console.log(`⚠️ Deposit ${code} not successful: ${deposit.gatewayStatus}`);
+    return { ignored: true, reason: `Payment not successful: ${deposit.gatewayStatus}`, cashwyreCode: code };
+  }
+  if (!(deposit.amountPaid > 0)) throw new Error(`${source} deposit ${code} has no amount`);
+
+  const event = await recordDeposit(deposit, {
+    source,
+    webhookEventId,
+    amountPaid: deposit.amountPaid,
+    amountSettled: deposit.amountSettled,
+    reportedCredit: deposit.reportedCredit
+  });
+
+  if (event.amountPaid !== deposit.amountPaid) {
+    console.log(`⚠️ ${source} reports ${formatNaira(deposit.amountPaid)} for ${code}, first report said ${formatNaira(event.amountPaid)}`);
+  }
+  if (CLOSED.includes(event.status)) {
+    console.log(`♻️ Deposit ${code} already ${event.status} (${event.reports[0]?.source})`);
+    return { ignored: true, reason: `Already ${event.status}`, cashwyreCode: code, transactionId: event.transactionId };
+  }
+
+  const { virtualAccount, user } = await matchDeposit({ ...deposit, accountNumber: event.accountNumber, requestId: event.requestId });
+  if (!user) return captureUnmatched(event, source);
+
+  return creditDeposit(event, { user, virtualAccount, source, webhookEventId });
+};
+
+// Park a deposit nobody matches for an admin, with the likeliest owners
+const captureUnmatched = async (event, source) => {
+  const code = event.cashwyreCode;
+  const message = `No user for Cashwyre deposit ${code} into ${event.accountNumber}`;
+  const candidates = await suggestCandidates(event);
+
+  await DepositEvent.updateOne({ _id: event._id, status: { $nin: CLOSED } }, {
+    $set: { status: 'unmatched', lastError: message, candidates, candidatesAt: new Date() },
+    ...(event.status !== 'unmatched' && { $push: { history: { action: 'captured', by: source, note: message } } })
+  });
+
+  console.log(`❓ Deposit ${code} (${formatNaira(event.amountPaid)}) unmatched - ${candidates.length} candidate(s) suggested`);
+  return { ignored: true, unmatched: true, reason: message, cashwyreCode: code, depositEventId: event._id, candidates: candidates.length };
+};
+
+// Credit a recorded deposit to user. resolution (assignDeposit) is appended to the
+// event's history in the same transaction, and so is its audit entry (utils/audit.js):
+// auditEvent(result) when given, else deposit.credited by the reporting source.
+const creditDeposit = async (event, { user, virtualAccount, source, webhookEventId = null, resolution = null, auditEvent = null }) => {
+  const code = event.cashwyreCode;
+  const settledOn = event.settledOn || new Date();
+  // The funding account's quote and pending row only count if it was paid in time
+  const paidAfterExpiry = isPaidAfterExpiry(virtualAccount, settledOn);
+  const settled = event.amountSettled ?? event.amountPaid;
+  const journalReference = journalReferenceOf(code);
+
+  if (paidAfterExpiry) {
+    console.log(`⌛ Deposit ${code} paid after funding account ${virtualAccount.accountNumber} expired (${virtualAccount.expiresOn.toISOString()}) - crediting as a plain deposit`);
+  }
+
+  try {
+    return await ledger.withTransaction(async (session) => {
+      // Read inside the transaction: two transfers into one funding account conflict
+      // here, and the retried one sees what the other received
+      const account = virtualAccount && await VirtualAccount.findById(virtualAccount._id).session(session);
+      const fundingAccount = account?.amount > 0 && !paidAfterExpiry ? account : null;
+      const { fee, credit, scheduleVersion, hold, refund, release, paymentStatus } =
+        await creditingPolicy(event.amountPaid, fundingAccount, { paidAt: settledOn });
+      // On the fee actually collected - all of the payment when the fee ate it
+      const collected = event.amountPaid + release - credit - hold - refund;
+      const levy = levies.assess({ fee: collected, amount: event.amountPaid, inbound: true });
+
+      console.log(`💰 Deposit ${code} (${source}): paid ${formatNaira(event.amountPaid)}, fee ${formatNaira(fee)}, credit ${formatNaira(credit)} → ${user.email}`);
+      if (hold || refund || release) {
+        console.log(`   ${paymentStatus} funding account ${fundingAccount.accountNumber}: held ${formatNaira(hold)}, refund ${formatNaira(refund)}, released ${formatNaira(release)}`);
+      }
+
+      let balanceBefore = user.walletBalance;
+      let balanceAfter = user.walletBalance;
+
+      if (settled > 0) {
+        const { balances } = await ledger.postJournal({
+          reference: journalReference,
+          type: 'deposit',
+          description: credit > 0 ? `Wallet Funding - ${formatNaira(credit)}`
+            : hold > 0 ? `Payment of ${formatNaira(event.amountPaid)} held in suspense`
+              : refund > 0 ? `Payment of ${formatNaira(event.amountPaid)} to be refunded`
+                : `Payment of ${formatNaira(event.amountPaid)} absorbed by fees`,
+          postings: depositPostings({ settled, credit, userId: user._id, levy, hold, refund, release }),
+          metadata: {
+            source,
+            cashwyreCode: code,
+            accountNumber: event.accountNumber,
+            depositEventId: event._id,
+            webhookEventId,
+            feeScheduleVersion: scheduleVersion,
+            vat: levy.vat,
+            emtl: levy.emtl,
+            ...(fundingAccount && { paymentStatus, held: hold, refund, released: release })
+          }
+        }, { session });
+        if (balances[user._id.toString()]) {
+          ({ before: balanceBefore, after: balanceAfter } = balances[user._id.toString()]);
+        }
+      }
+
+      // The funding intent - what has arrived against what was asked for
+      if (fundingAccount) {
+        fundingAccount.amountReceived += event.amountPaid;
+        fundingAccount.amountCredited += credit;
+        fundingAccount.amountHeld += hold - release;
+        fundingAccount.amountRefunded += refund;
+        fundingAccount.feeCharged += fee;
+        fundingAccount.paymentStatus = paymentStatus;
+        fundingAccount.payments.push({ cashwyreCode: code, amountPaid: event.amountPaid, credit, fee, hold, refund, release, at: settledOn });
+        // The webhooks are getting through - the poller can leave this account alone
+        if (source !== POLL_SOURCE && !fundingAccount.poll.stoppedAt) {
+          fundingAccount.poll.stoppedAt = new Date();
+          fundingAccount.poll.stopReason = `deposit reported by ${source}`;
+        }
+        // Open until paid in full (or the expiry sweep)
+        if (['paid', 'overpaid'].includes(paymentStatus) && !fundingAccount.processedAt) {
+          fundingAccount.processedAt = new Date();
+          fundingAccount.cashwyreReference = code;
+          fundingAccount.active = false;
+        }
+        await fundingAccount.save({ session });
+      } else if (account) {
+        account.processedAt = new Date();
+        account.cashwyreReference = code;
+        // Funding accounts are single use; reserve accounts keep receiving
+        if (!account.accountReference) account.active = false;
+        await account.save({ session });
+      }
+
+      const part = paymentStatus === 'partial'
+        ? ` - part payment, ${formatNaira(fundingAccount.amountReceived)} of ${formatNaira(payinPolicy.intentOf(fundingAccount).expected)} received`
+        : '';
+
+      const metadata = {
+        source: 'cashwyre_deposit',
+        reportedBy: source,
+        accountNumber: event.accountNumber,
+        bankName: event.bankName,
+        sourceOfPayment: event.sourceOfPayment,
+        cashwyreCode: code,
+        amountPaid: event.amountPaid,
+        amountSettled: event.amountSettled,
+        feeDeducted: fee,
+        creditedAmount: credit,
+        depositEventId: event._id,
+        noCreditGiven: credit === 0,
+        ...(fundingAccount && {
+          paymentStatus,
+          amountReceived: fundingAccount.amountReceived,
+          amountHeld: fundingAccount.amountHeld,
+          amountRefunded: fundingAccount.amountRefunded,
+          releasedFromSuspense: release
+        }),
+        ...(paidAfterExpiry && {
+          paidAfterExpiry: true,
+          expiredFundingReference: virtualAccount.cashwyreRequestId,
+          fundingAccountExpiresOn: virtualAccount.expiresOn
+        })
+      };
+      const metadataFields = Object.fromEntries(Object.entries(metadata).map(([key, value]) => [`metadata.${key}`, value]));
+
+      let transaction = null;
+      if (credit === 0 && (hold > 0 || refund > 0)) {
+        await userEvents.publish([{
+          userId: user._id,
+          type: 'deposit.pending',
+          reference: code,
+          data: {
+            amount: event.amountPaid,
+            held: hold,
+            refund,
+            paymentStatus,
+            accountNumber: event.accountNumber,
+            source: 'cashwyre_deposit'
+          }
+        }], { session });
+
+        // Nothing for the wallet yet - the pending row just shows what has arrived
+        if (fundingAccount) {
+          await Transaction.updateOne(
+            { reference: fundingAccount.cashwyreRequestId, userId: user._id, status: { $in: ['pending', 'expired'] } },
+            { $set: metadataFields },
+            { session }
+          );
+        }
+      } else {
+        const description = (credit > 0
+          ? `Wallet Funding - ${formatNaira(credit)} credited (Fee: ${formatNaira(fee)})`
+          : `Payment received but fee exceeded amount - No credit (Paid: ${formatNaira(event.amountPaid)}, Fee: ${formatNaira(fee)})`)
+          + (release > 0 ? `, including ${formatNaira(release)} held from earlier transfers` : '')
+          + part
+          + (paidAfterExpiry ? ' - paid after the funding account expired' : '');
+        const fields = {
+          amount: credit,
+          balanceBefore,
+          balanceAfter,
+          serviceCharge: fee,
+          feeScheduleVersion: scheduleVersion,
+          levies: { vat: levy.vat, emtl: levy.emtl },
+          cashwyreReference: code,
+          gateway: 'cashwyre',
+          description,
+          completedAt: settledOn
+        };
+
+        // The pending row createDynamicAccount wrote, if this was a funding account.
+        // A part payment the fee ate gets its own row and leaves it pending.
+        if (fundingAccount && (credit > 0 || paymentStatus !== 'partial')) {
+          transaction = await Transaction.transition(
+            { reference: fundingAccount.cashwyreRequestId, userId: user._id },
+            'completed',
+            { ...fields, ...metadataFields },
+            { session }
+          );
+        }
+        if (!transaction) {
+          transaction = new Transaction({
+            userId: user._id,
+            type: 'wallet_funding',
+            reference: journalReference,
+            status: 'completed',
+            metadata,
+            ...fields
+          });
+          await transaction.save({ session });
+        }
+      }
+
+      const flags = [
+        ...(paidAfterExpiry ? ['paid_after_expiry'] : []),
+        ...(refund > 0 && credit > 0 ? ['refund_due'] : []),
+        ...(hold > 0 && paymentStatus === 'overpaid' ? ['excess_held'] : [])
+      ];
+      const history = [
+        ...(resolution ? [resolution] : []),
+        ...(refund > 0 ? [{ action: 'marked_for_refund', by: source, note: `payin policy: ${paymentStatus === 'overpaid' ? 'overpayment' : 'underpayment'}` }] : [])
+      ];
+      await DepositEvent.updateOne({ _id: event._id }, {
+        $set: {
+          status: credit > 0 ? 'credited' : hold > 0 ? 'held' : refund > 0 ? 'refund_pending' : 'no_credit',
+          userId: user._id,
+          virtualAccountId: account?._id,
+          feeAmount: fee,
+          feeScheduleVersion: scheduleVersion,
+          creditedAmount: credit,
+          journalReference,
+          transactionId: transaction?._id,
+          creditedAt: new Date(),
+          lastError: null,
+          ...(flags.length && { flags }),
+          ...(refund > 0 && { 'refund.amount': refund, 'refund.reason': paymentStatus === 'overpaid' ? 'Overpayment' : 'Underpayment' })
+        },
+        ...(history.length && { $push: { history: { $each: history } } })
+      }, { session });
+
+      // The short payments this one completed were credited with it
+      if (release > 0) {
+        await DepositEvent.updateMany(
+          { virtualAccountId: fundingAccount._id, status: 'held', _id: { $ne: event._id } },
+          {
+            $set: { status: 'credited', releasedIn: journalReference, creditedAt: new Date() },
+            $push: { history: { action: 'released', by: source, note: journalReference } }
+          },
+          { session }
+        );
+      }
+
+      if (credit > 0) {
+        await queueCreditSync({
+          userId: user._id,
+          reference: transaction.reference,
+          amount: credit,
+          fee,
+          balanceBefore,
+          balanceAfter,
+          gateway: 'cashwyre',
+          origin: source,
+          occurredAt: settledOn
+        }, { session });
+      }
+
+      const result = {
+        cashwyreCode: code,
+        userId: user._id,
+        amount: credit,
+        fee,
+        newBalance: balanceAfter,
+        reference: transaction?.reference || journalReference,
+        ...(fundingAccount && { paymentStatus, held: hold, refund, released: release })
+      };
+      await audit.log(auditEvent ? auditEvent(result) : {
+        action: 'deposit.credited',
+        actor: { type: 'system', id: source },
+        target: { type: 'user', id: user._id },
+        before: { walletBalance: balanceBefore },
+        after: { walletBalance: balanceAfter },
+        metadata: { gateway: 'cashwyre', journalReference, webhookEventId, amountPaid: event.amountPaid, ...result }
+      }, { session });
+
+      console.log(`✅ Deposit ${code}: ${formatNaira(balanceBefore)} → ${formatNaira(balanceAfter)}`);
+      return result;
+    });
+  } catch (error) {
+    // A failed assignment goes back in the unmatched queue
+    await DepositEvent.updateOne(
+      { _id: event._id, status: { $nin: CLOSED } },
+      { $set: { status: resolution ? 'unmatched' : 'failed', lastError: error.message } }
+    );
+    throw error;
+  }
+};
+
+// What processDeposit would do with this deposit today, without writing anything
+// (webhook replay dry runs). For a deposit already settled, credited vs credit shows
+// whether today's policy agrees with what was done then.
+const previewDeposit = async (deposit) => {
+  const code = deposit.cashwyreCode;
+  if (!code) return { wouldCredit: false, reason: 'No Cashwyre code' };
+  if (deposit.status !== 'completed') {
+    return { wouldCredit: false, reason: `Payment not successful: ${deposit.gatewayStatus}`, cashwyreCode: code };
+  }
+
+  // The first report's figures win, as in processDeposit
+  const event = await DepositEvent.findOne({ cashwyreCode: code });
+  const amountPaid = event?.amountPaid ?? deposit.amountPaid;
+  const settledOn = event?.settledOn || (deposit.settledOn ? new Date(deposit.settledOn) : new Date());
+  const { virtualAccount, user } = await matchDeposit({
+    ...deposit,
+    accountNumber: event?.accountNumber ?? deposit.accountNumber,
+    requestId: event?.requestId ?? deposit.requestId
+  });
+  const paidAfterExpiry = isPaidAfterExpiry(virtualAccount, settledOn);
+  // A funding account already holds this transfer - its recorded split is what the
+  // policy made of it, not a new payment on top
+  const recorded = virtualAccount?.payments?.find(payment => payment.cashwyreCode === code);
+  const { fee, credit, scheduleVersion, hold, refund, release, paymentStatus } = recorded
+    ? { ...recorded.toObject(), scheduleVersion: virtualAccount.feeScheduleVersion ?? null, paymentStatus: virtualAccount.paymentStatus }
+    : await creditingPolicy(amountPaid, paidAfterExpiry ? null : virtualAccount, { paidAt: settledOn });
+  const policy = {
+    cashwyreCode: code,
+    amountPaid,
+    fee,
+    credit,
+    scheduleVersion,
+    userId: user?._id || null,
+    paidAfterExpiry,
+    ...(paymentStatus && { paymentStatus, hold, refund, release })
+  };
+
+  if (event && CLOSED.includes(event.status)) {
+    const credited = event.creditedAmount || 0;
+    return {
+      wouldCredit: false,
+      reason: `Already ${event.status}`,
+      ...policy,
+      creditedTo: event.userId || null,
+      credited,
+      difference: credit - credited
+    };
+  }
+  if (!user) return { wouldCredit: false, reason: 'No user - would be kept as unmatched', ...policy };
+
+  return {
+    wouldCredit: credit > 0,
+    ...policy,
+    balanceBefore: user.walletBalance,
+    balanceAfter: user.walletBalance + credit
+  };
+};
+
+// An admin says whose an unmatched deposit is. The caller has checked the event is
+// unmatched and found the user; virtualAccount (optional) is one of the user's
+// unpaid funding accounts, so its quoted fee and pending transaction apply.
+// auditEvent(result) is written in the crediting transaction.
+const assignDeposit = (event, { user, virtualAccount = null, by, note = null, auditEvent = null }) => {
+  console.log(`👤 Deposit ${event.cashwyreCode} assigned to ${user.email} by ${by}`);
+  return creditDeposit(event, {
+    user,
+    virtualAccount,
+    source: 'admin-assign',
+    resolution: { action: 'assigned', by, note, userId: user._id, at: new Date() },
+    auditEvent
+  });
+};
+
+// ==================== SUSPENSE ====================
+// A funding account expired short with money held (underpayment policy 'suspense'):
+// it goes to the wallet now, less whatever of the quoted fee is still unpaid.
+// utils/expirySweeper.js calls this once the account is EXPIRED.
+// -> { reference, credit, fee } or null when nothing is held
+const releaseHeld = (virtualAccountId, { now = new Date() } = {}) => ledger.withTransaction(async (session) => {
+  const account = await VirtualAccount.findById(virtualAccountId).session(session);
+  if (!account || !(account.amountHeld > 0) || account.status !== 'EXPIRED') return null;
+
+  const held = account.amountHeld;
+  const { expected, fee: quotedFee, feeCharged } = payinPolicy.intentOf(account);
+  const fee = Math.min(held, Math.max(0, quotedFee - feeCharged));
+  const credit = held - fee;
+  // Not inbound: the EMTL on the transfers themselves was booked when they arrived
+  const levy = levies.assess({ fee, amount: held });
+  const journalReference = `PAYIN_RELEASE_${account.cashwyreRequestId}`;
+
+  const { balances } = await ledger.postJournal({
+    reference: journalReference,
+    type: 'deposit',
+    description: `Held part payment released - ${formatNaira(credit)}`,
+    postings: [
+      ledger.debit(ledger.ACCOUNTS.SUSPENSE, held),
+      ...(credit > 0 ? [ledger.credit(ledger.ACCOUNTS.USER_WALLET, credit, { userId: account.userId })] : []),
+      ...levies.feePostings(fee, levy)
+    ],
+    metadata: { source: 'payin_release', accountNumber: account.accountNumber, virtualAccountId: account._id, vat: levy.vat, emtl: levy.emtl }
+  }, { session });
+
+  let { before: balanceBefore, after: balanceAfter } = balances[account.userId.toString()] || {};
+  if (balanceBefore === undefined) {
+    const user = await User.findById(account.userId).select('walletBalance').session(session);
+    balanceBefore = balanceAfter = user?.walletBalance ?? 0;
+  }
+
+  account.amountHeld = 0;
+  account.amountCredited += credit;
+  account.feeCharged += fee;
+  account.payments.push({ amountPaid: 0, credit, fee, release: held, at: now });
+  await account.save({ session });
+
+  const fields = {
+    amount: credit,
+    balanceBefore,
+    balanceAfter,
+    serviceCharge: fee,
+    levies: { vat: levy.vat, emtl: levy.emtl },
+    gateway: 'cashwyre',
+    description: `Wallet Funding - ${formatNaira(credit)} credited (Fee: ${formatNaira(fee)}) - part payment, ${formatNaira(account.amountReceived)} of ${formatNaira(expected)} received before the funding account expired`,
+    completedAt: now
+  };
+  const metadata = {
+    source: 'cashwyre_deposit',
+    reportedBy: 'expiry-sweep',
+    accountNumber: account.accountNumber,
+    releasedFromSuspense: held,
+    amountReceived: account.amountReceived,
+    feeDeducted: fee,
+    creditedAmount: credit
+  };
+
+  // The pending row createDynamicAccount wrote - the sweep has just expired it
+  let transaction = await Transaction.transition(
+    { reference: account.cashwyreRequestId, userId: account.userId },
+    'completed',
+    { ...fields, ...Object.fromEntries(Object.entries(metadata).map(([key, value]) => [`metadata.${key}`, value])) },
+    { session }
+  );
+  if (!transaction) {
+    transaction = new Transaction({
+      userId: account.userId,
+      type: 'wallet_funding',
+      reference: journalReference,
+      status: 'completed',
+      metadata,
+      ...fields
+    });
+    await transaction.save({ session });
+  }
+
+  await DepositEvent.updateMany(
+    { virtualAccountId: account._id, status: 'held' },
+    {
+      $set: { status: 'credited', releasedIn: journalReference, creditedAt: now },
+      $push: { history: { action: 'released', by: 'expiry-sweep', note: journalReference } }
+    },
+    { session }
+  );
+
+  if (credit > 0) {
+    await queueCreditSync({
+      userId: account.userId,
+      reference: transaction.reference,
+      amount: credit,
+      fee,
+      balanceBefore,
+      balanceAfter,
+      gateway: 'cashwyre',
+      origin: 'expiry-sweep',
+      occurredAt: now
+    }, { session });
+  }
+
+  console.log(`🔓 Released ${formatNaira(held)} held on expired funding account ${account.accountNumber}: credit ${formatNaira(credit)}, fee ${formatNaira(fee)}`);
+  return { reference: transaction.reference, credit, fee };
+});
+
+// The refund transfer for a deposit went out (routes/unmatchedDeposits.js). Money
+// the payin policy booked to suspense leaves it here, as REFUND_<code>; unmatched
+// deposits were never booked, so only the event changes.
+// auditEvent(updated), when given, is written in the same transaction.
+// -> the updated DepositEvent, or null if it has no refund outstanding
+const markRefunded = (event, { by, reference, auditEvent = null }) => ledger.withTransaction(async (session) => {
+  const pending = event.status === 'refund_pending';
+  const updated = await DepositEvent.findOneAndUpdate(
+    { _id: event._id, ...(pending ? { status: 'refund_pending' } : { flags: 'refund_due' }) },
+    {
+      $set: { ...(pending && { status: 'refunded' }), 'refund.reference': reference, 'refund.refundedAt': new Date() },
+      ...(!pending && { $pull: { flags: 'refund_due' } }),
+      $push: { history: { action: 'refunded', by, note: reference } }
+    },
+    { new: true, session }
+  );
+  if (!updated) return null;
+
+  const amount = updated.refund.amount ?? updated.amountPaid;
+  if (updated.journalReference && amount > 0) {
+    await ledger.postJournal({
+      reference: `REFUND_${updated.cashwyreCode}`,
+      type: 'withdrawal',
+      description: `Refund of ${formatNaira(amount)} to the payer of ${updated.cashwyreCode}`,
+      postings: [
+        ledger.debit(ledger.ACCOUNTS.SUSPENSE, amount),
+        ledger.credit(ledger.ACCOUNTS.PROVIDER_CLEARING, amount, { provider: 'cashwyre' })
+      ],
+      metadata: { source: 'refund', cashwyreCode: updated.cashwyreCode, depositEventId: updated._id, refundReference: reference, by }
+    }, { session });
+  }
+  if (auditEvent) await audit.log(auditEvent(updated), { session });
+  return updated;
+});
+
+module.exports = {
+  POLL_SOURCE,
+  CLOSED,
+  journalReferenceOf,
+  fromFiatWebhook,
+  fromSyncPayload,
+  fromProcessPayload,
+  fromPayinStatus,
+  creditingPolicy,
+  processDeposit,
+  previewDeposit,
+  assignDeposit,
+  releaseHeld,
+  markRefunded
+};
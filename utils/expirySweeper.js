@@ -0,0 +1,91 @@
+// utils/expirySweeper.js - Expiring dynamic funding accounts nobody paid
+// createDynamicAccount gives each funding account an expiresOn (one hour) and writes
+// a pending wallet_funding Transaction. A timer in server.js runs sweepExpired():
+//   - funding accounts past expiresOn + FUNDING_EXPIRY_GRACE_MINUTES, not paid in
+//     full, become inactive with status EXPIRED
+//   - their pending transactions (and any cashwyre_payin pending row past its
+//     metadata.expiresOn) move to 'expired', so they leave the pending lists
+//   - part payments the policy held in suspense (utils/payinPolicy.js) are credited,
+//     less the unpaid fee, and that transaction completes after all
+//
+// Money that arrives anyway (utils/depositProcessor.js):
+//   - paid before expiresOn + grace, webhook late: credited as the funding it was,
+//     and the expired transaction completes (expired -> completed is allowed)
+//   - paid after: credited as a plain deposit - reserve_deposit fee, its own
+//     CASHWYRE_<code> transaction - flagged paid_after_expiry for support
+const VirtualAccount = require('../models/VirtualAccount');
+const Transaction = require('../models/Transaction');
+
+const EXPIRY_GRACE_MS = (Number(process.env.FUNDING_EXPIRY_GRACE_MINUTES) || 10) * 60 * 1000;
+
+// Was this payment into a funding account made too late to count as that funding?
+const isPaidAfterExpiry = (virtualAccount, paidAt = new Date()) => Boolean(
+  virtualAccount?.amount > 0 &&
+  virtualAccount.expiresOn &&
+  new Date(paidAt).getTime() > virtualAccount.expiresOn.getTime() + EXPIRY_GRACE_MS
+);
+
+// -> { accounts, transactions, released } expired / released by this run
+const sweepExpired = async ({ now = new Date(), limit = 200 } = {}) => {
+  const cutoff = new Date(now.getTime() - EXPIRY_GRACE_MS);
+
+  const due = await VirtualAccount.find({
+    provider: 'cashwyre',
+    amount: { $gt: 0 },
+    active: true,
+    processedAt: null,
+    expiresOn: { $ne: null, $lt: cutoff }
+  }).sort({ expiresOn: 1 }).limit(limit).select('cashwyreRequestId accountNumber');
+
+  let accounts = 0;
+  let transactions = 0;
+  let released = 0;
+  for (const account of due) {
+    // processedAt: null again - a deposit may have landed since the find
+    const { modifiedCount } = await VirtualAccount.updateOne(
+      { _id: account._id, active: true, processedAt: null },
+      { $set: { active: false, status: 'EXPIRED', 'metadata.expiredAt': now } }
+    );
+    if (!modifiedCount) continue;
+    accounts++;
+
+    const expired = await Transaction.transition(
+      { reference: account.cashwyreRequestId, status: 'pending' },
+      'expired',
+      { 'metadata.expiredAt': now }
+    );
+    if (expired) transactions++;
+  }
+
+  // Pending payin rows whose account row was never written
+  const { modifiedCount: orphans } = await Transaction.updateMany(
+    { status: 'pending', 'metadata.source': 'cashwyre_payin', 'metadata.expiresOn': { $lt: cutoff } },
+    { $set: { status: 'expired', 'metadata.expiredAt': now } }
+  );
+  transactions += orphans;
+
+  // Held part payments on expired accounts - just expired, or a release that failed
+  // last time. Required here: depositProcessor requires this module.
+  const { releaseHeld } = require('./depositProcessor');
+  const holding = await VirtualAccount.find({ status: 'EXPIRED', amountHeld: { $gt: 0 } })
+    .limit(limit)
+    .select('_id accountNumber');
+  for (const account of holding) {
+    try {
+      if (await releaseHeld(account._id, { now })) released++;
+    } catch (error) {
+      console.error(`❌ Releasing held funds on ${account.accountNumber} failed:`, error.message);
+    }
+  }
+
+  if (accounts || transactions || released) {
+    console.log(`⌛ Expiry sweep: ${accounts} funding account(s), ${transactions} pending transaction(s) expired, ${released} held part payment(s) released`);
+  }
+  return { accounts, transactions, released };
+};
+
+module.exports = {
+  EXPIRY_GRACE_MS,
+  isPaidAfterExpiry,
+  sweepExpired
+};
@@ -0,0 +1,226 @@
+// utils/feeEngine.js - Every fee we charge comes from here
+// Fees live in MongoDB as versioned, effective-dated FeeSchedules (models/FeeSchedule.js).
+// The schedule in force at a moment is the one with the latest effectiveFrom at or
+// before it. Each product has one rule:
+//   percentage  round(amount * bps / 10000) + flat
+//   flat        flat
+//   tiered      the first band whose `below` is above the amount (the last band is
+//               open-ended), each band percentage or flat
+// min / max then cap the fee, whatever the type. Amounts and fees are integer kobo.
+//
+// quote() is what the app shows (GET /api/fees/quote) and what the charging code
+// uses, so the two can't diverge; it returns the schedule version, which is stored
+// on the transaction it priced.
+const FeeSchedule = require('../models/FeeSchedule');
+const Transaction = require('../models/Transaction');
+const levies = require('./levies');
+
+const { PRODUCTS } = FeeSchedule;
+const CACHE_MS = (Number(process.env.FEE_SCHEDULE_CACHE_SECONDS) || 60) * 1000;
+
+// How each product's fee reaches us: 'added' on top of what the payer sends, or
+// 'deducted' from what arrives (reserve accounts have no quote to pay against)
+const FEE_APPLIED = {
+  dynamic_payin: 'added',
+  reserve_deposit: 'deducted',
+  paystack_card: 'added',
+  transfer: 'added'
+};
+
+// Bank transfers into a wallet - the ones EMTL applies to
+const INBOUND_TRANSFERS = ['dynamic_payin', 'reserve_deposit'];
+
+// Version 1 - the fees that were hardcoded before the engine existed
+const DEFAULT_SCHEDULE = {
+  version: 1,
+  effectiveFrom: new Date(0),
+  note: 'Initial schedule (previously hardcoded)',
+  products: {
+    // 1.5%, ₦1.50 minimum, ₦7,500 cap
+    dynamic_payin: { type: 'percentage', bps: 150, min: 150, max: 750000 },
+    // ₦50, or ₦100 from ₦50,000
+    reserve_deposit: {
+      type: 'tiered',
+      tiers: [
+        { below: 5000000, type: 'flat', flat: 5000 },
+        { type: 'flat', flat: 10000 }
+      ]
+    },
+    paystack_card: { type: 'flat', flat: 0 },
+    transfer: { type: 'flat', flat: 0 }
+  }
+};
+
+// ==================== RULES ====================
+const computeFee = (rule, amount) => {
+  if (!(amount > 0)) return 0;
+
+  const band = rule.type === 'tiered'
+    ? rule.tiers.find(tier => tier.below === undefined || tier.below === null || amount < tier.below)
+    : rule;
+  let fee = (band.type === 'percentage' ? Math.round(amount * (band.bps || 0) / 10000) : 0) + (band.flat || 0);
+
+  if (rule.min !== undefined && rule.min !== null && fee < rule.min) fee = rule.min;
+  if (rule.max !== undefined && rule.max !== null && fee > rule.max) fee = rule.max;
+  return fee;
+};
+
+const isKoboValue = (value) => value === undefined || value === null || (Number.isInteger(value) && value >= 0);
+
+const bandProblem = (band, label) => {
+  if (!['percentage', 'flat'].includes(band.type)) return `${label}: type must be percentage or flat`;
+  if (band.bps !== undefined && !(Number.isInteger(band.bps) && band.bps >= 0 && band.bps <= 10000)) {
+    return `${label}: bps must be a whole number from 0 to 10000`;
+  }
+  if (!isKoboValue(band.flat)) return `${label}: flat must be whole kobo`;
+  return null;
+};
+
+// -> null when the rule is usable, otherwise what is wrong with it
+const ruleProblem = (product, rule) => {
+  if (!rule || typeof rule !== 'object') return `${product}: rule missing`;
+  if (!isKoboValue(rule.min) || !isKoboValue(rule.max)) return `${product}: min / max must be whole kobo`;
+  if (rule.min != null && rule.max != null && rule.min > rule.max) return `${product}: min is above max`;
+
+  if (rule.type !== 'tiered') return bandProblem(rule, product);
+
+  const { tiers } = rule;
+  if (!Array.isArray(tiers) || !tiers.length) return `${product}: tiered rule needs tiers`;
+  for (let i = 0; i < tiers.length; i++) {
+    const problem = bandProblem(tiers[i], `${product} tier ${i + 1}`);
+    if (problem) return problem;
+
+    const last = i === tiers.length - 1;
+    if (last && tiers[i].below != null) return `${product}: the last tier must have no 'below'`;
+    if (!last && !(Number.isInteger(tiers[i].below) && tiers[i].below > 0)) {
+      return `${product} tier ${i + 1}: below must be whole kobo`;
+    }
+    if (i > 0 && !last && tiers[i].below <= tiers[i - 1].below) return `${product}: tiers must go up`;
+  }
+  return null;
+};
+
+// ==================== SCHEDULES ====================
+let cache = null; // { schedules (newest version first), loadedAt }
+
+const loadSchedules = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_MS) return cache.schedules;
+
+  let schedules = await FeeSchedule.find().sort({ version: -1 }).lean();
+  if (!schedules.length) {
+    // Fresh database - start from the old hardcoded fees (migration 006 does the same)
+    try {
+      await FeeSchedule.create(DEFAULT_SCHEDULE);
+      console.log('💸 Fee schedule v1 seeded from defaults');
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+    schedules = await FeeSchedule.find().sort({ version: -1 }).lean();
+  }
+
+  cache = { schedules, loadedAt: Date.now() };
+  return schedules;
+};
+
+const scheduleAt = async (at = new Date()) => {
+  const schedules = await loadSchedules();
+  const inForce = schedules
+    .filter(schedule => new Date(schedule.effectiveFrom) <= at)
+    .sort((a, b) => new Date(b.effectiveFrom) - new Date(a.effectiveFrom) || b.version - a.version);
+  if (!inForce.length) throw new Error(`No fee schedule in force at ${at.toISOString()}`);
+  return inForce[0];
+};
+
+// Publish the next version. Products left out carry over from the latest version.
+// Throws with the reason when the rules or the date are unusable.
+const publishSchedule = async ({ products = {}, effectiveFrom, note, publishedBy } = {}, { session = null } = {}) => {
+  const unknown = Object.keys(products).filter(product => !PRODUCTS.includes(product));
+  if (unknown.length) throw new Error(`Unknown fee products: ${unknown.join(', ')}`);
+
+  const from = effectiveFrom ? new Date(effectiveFrom) : new Date();
+  if (Number.isNaN(from.getTime())) throw new Error('effectiveFrom is not a date');
+  // A schedule can't reprice quotes the app has already shown
+  if (from < new Date(Date.now() - 60 * 1000)) throw new Error('effectiveFrom is in the past');
+
+  cache = null; // number from the database, not this instance's cache
+  const [latest] = await loadSchedules();
+  const merged = { ...latest.products, ...products };
+  for (const product of PRODUCTS) {
+    const problem = ruleProblem(product, merged[product]);
+    if (problem) throw new Error(problem);
+  }
+
+  try {
+    const [schedule] = await FeeSchedule.create([{
+      version: latest.version + 1,
+      effectiveFrom: from,
+      products: merged,
+      note,
+      publishedBy
+    }], { session });
+    cache = null;
+    console.log(`💸 Fee schedule v${schedule.version} published, effective ${from.toISOString()}`);
+    return schedule;
+  } catch (error) {
+    if (error.code === 11000) throw new Error('Another fee schedule version was published at the same time - try again');
+    throw error;
+  }
+};
+
+// ==================== QUOTES ====================
+// -> { product, amount, fee, total (what the payer sends), credit (what lands in the
+// wallet), levies: { vat, emtl } (already inside the fee), scheduleVersion }
+const quote = async (product, amount, { at = new Date() } = {}) => {
+  if (!PRODUCTS.includes(product)) throw new Error(`Unknown fee product: ${product}`);
+  if (!Number.isInteger(amount) || amount < 0) throw new Error('Amounts must be whole numbers in kobo');
+
+  const schedule = await scheduleAt(at);
+  const fee = computeFee(schedule.products[product], amount);
+  const added = FEE_APPLIED[product] === 'added';
+  const total = added ? amount + fee : amount;
+  const { vat, emtl } = levies.assess({ fee, amount: total, inbound: INBOUND_TRANSFERS.includes(product) });
+
+  return {
+    product,
+    amount,
+    fee,
+    total,
+    credit: added ? amount : Math.max(0, amount - fee),
+    levies: { vat, emtl },
+    scheduleVersion: schedule.version
+  };
+};
+
+// The app may send back the fee it displayed - null when it still matches the
+// current quote (or none was sent), otherwise why the app should re-quote
+const quoteMismatch = (current, displayedFee) => {
+  if (displayedFee === undefined || displayedFee === null || displayedFee === '') return null;
+  if (Number(displayedFee) === current.fee) return null;
+  return `The fee is now ${current.fee} kobo (schedule v${current.scheduleVersion}), not ${displayedFee} - please confirm the new quote`;
+};
+
+// A charge priced up front (initialize-paystack) is sent to the gateway as amount +
+// fee and the pending row keeps metadata.quotedFee. When the gross comes back, this
+// splits it so the wallet gets exactly the amount the app showed. References with
+// no priced pending row (older app builds) were charged no fee.
+const includedFee = async (reference, grossAmount) => {
+  const pending = await Transaction.findOne({ reference }).select('feeScheduleVersion metadata').lean();
+  if (!pending?.feeScheduleVersion) return { fee: 0, credit: grossAmount, scheduleVersion: null };
+
+  const fee = Math.min(pending.metadata?.quotedFee || 0, grossAmount);
+  return { fee, credit: grossAmount - fee, scheduleVersion: pending.feeScheduleVersion };
+};
+
+module.exports = {
+  PRODUCTS,
+  FEE_APPLIED,
+  DEFAULT_SCHEDULE,
+  computeFee,
+  ruleProblem,
+  loadSchedules,
+  scheduleAt,
+  publishSchedule,
+  quote,
+  quoteMismatch,
+  includedFee
+};
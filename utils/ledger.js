@@ -0,0 +1,289 @@
+// utils/ledger.js - Double-entry ledger
+// This is the ONLY code allowed to move money. Every wallet balance change is a
+// balanced journal entry, and User.walletBalance is just a cache of the
+// user_wallet postings (see deriveWalletBalance / reconcileWalletBalance).
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const { formatNaira } = require('./money');
+const userEvents = require('./userEvents');
+
+const ACCOUNTS = {
+  USER_WALLET: 'user_wallet',                 // what we owe each user
+  PLATFORM_FEE_INCOME: 'platform_fee_income', // service charges we earned
+  PROVIDER_CLEARING: 'provider_clearing',     // money held at Cashwyre / Paystack
+  SUSPENSE: 'suspense',                       // unexplained money, manual fixes, opening balances
+  VAT_PAYABLE: 'vat_payable',                 // VAT on our fees, owed to FIRS (utils/levies.js)
+  EMTL_PAYABLE: 'emtl_payable'                // Electronic Money Transfer Levy, owed to FIRS
+};
+
+const debit = (account, amount, extra = {}) => ({ account, direction: 'debit', amount, ...extra });
+const credit = (account, amount, extra = {}) => ({ account, direction: 'credit', amount, ...extra });
+
+const validatePostings = (postings) => {
+  if (!Array.isArray(postings) || postings.length < 2) {
+    throw new Error('A journal entry needs at least two postings');
+  }
+
+  let debits = 0;
+  let credits = 0;
+
+  for (const posting of postings) {
+    if (!Object.values(ACCOUNTS).includes(posting.account)) {
+      throw new Error(`Unknown ledger account: ${posting.account}`);
+    }
+    if (posting.account === ACCOUNTS.USER_WALLET && !posting.userId) {
+      throw new Error('user_wallet postings need a userId');
+    }
+    if (!Number.isInteger(posting.amount) || posting.amount <= 0) {
+      throw new Error(`Posting amount must be a positive whole number of kobo (got ${posting.amount})`);
+    }
+    if (posting.direction === 'debit') debits += posting.amount;
+    else if (posting.direction === 'credit') credits += posting.amount;
+    else throw new Error(`Unknown posting direction: ${posting.direction}`);
+  }
+
+  if (debits !== credits) {
+    throw new Error(`Unbalanced journal entry: debits ${formatNaira(debits)} != credits ${formatNaira(credits)}`);
+  }
+};
+
+// Run fn inside the caller's session, or open a Mongo transaction of our own
+const withTransaction = async (fn, session = null) => {
+  if (session) return fn(session);
+
+  const ownSession = await mongoose.startSession();
+  try {
+    let result;
+    await ownSession.withTransaction(async () => {
+      result = await fn(ownSession);
+    });
+    return result;
+  } finally {
+    ownSession.endSession();
+  }
+};
+
+// Post a balanced journal entry and update the cached wallet balances it touches.
+// Returns { entry, balances } where balances[userId] = { before, after }.
+// The journal reference is unique, so posting the same reference twice fails
+// with a duplicate key error instead of moving money twice.
+// updateCachedBalances: false leaves walletBalance alone (migrations); the balance
+// after each user's postings then comes from balancesAfter[userId] (kobo) when
+// given, else from the cached walletBalance as it stands.
+const postJournal = async ({ reference, type, description, postings, metadata = {} }, options = {}) => {
+  const { session = null, updateCachedBalances = true, balancesAfter = null } = options;
+
+  if (!reference) throw new Error('Journal reference is required');
+  validatePostings(postings);
+
+  return withTransaction(async (txSession) => {
+    const User = mongoose.model('User');
+
+    // Net effect per user: credits increase what we owe them, debits reduce it
+    const walletDeltas = new Map();
+    for (const posting of postings) {
+      if (posting.account !== ACCOUNTS.USER_WALLET) continue;
+      const key = posting.userId.toString();
+      const signed = posting.direction === 'credit' ? posting.amount : -posting.amount;
+      walletDeltas.set(key, (walletDeltas.get(key) || 0) + signed);
+    }
+
+    const balances = {};
+    for (const [userId, delta] of walletDeltas) {
+      if (!updateCachedBalances) {
+        let after = balancesAfter ? balancesAfter[userId] : undefined;
+        if (after === undefined) {
+          const user = await User.findById(userId).select('walletBalance').session(txSession);
+          if (!user) throw new Error('User not found');
+          after = user.walletBalance;
+        }
+        balances[userId] = { before: after - delta, after };
+        continue;
+      }
+
+      const filter = { _id: userId };
+      if (delta < 0) filter.walletBalance = { $gte: -delta };
+
+      const updated = await User.findOneAndUpdate(
+        filter,
+        { $inc: { walletBalance: delta }, $set: { updatedAt: new Date() } },
+        { new: true, session: txSession, ledger: true }
+      );
+
+      if (!updated) {
+        const exists = await User.exists({ _id: userId }).session(txSession);
+        throw new Error(exists ? 'Insufficient balance' : 'User not found');
+      }
+
+      balances[userId] = { before: updated.walletBalance - delta, after: updated.walletBalance };
+    }
+
+    const [entry] = await JournalEntry.create([{
+      reference,
+      type,
+      description,
+      metadata,
+      postings: postings.map(posting => ({
+        ...posting,
+        balanceAfter: posting.account === ACCOUNTS.USER_WALLET
+          ? balances[posting.userId.toString()].after
+          : null
+      }))
+    }], { session: txSession });
+
+    // balance.updated / deposit.credited / transfer.* for the app's live stream -
+    // inserted in this transaction, so they go out when it commits (utils/userEvents.js)
+    if (updateCachedBalances) {
+      await userEvents.publishJournal({ reference, type, metadata }, balances, { session: txSession });
+    }
+
+    console.log(`📒 Journal ${type} posted: ${reference} (${postings.length} postings)`);
+
+    return { entry, balances };
+  }, session);
+};
+
+// Wallet balance straight from the postings (credits - debits)
+const deriveWalletBalance = async (userId, { session = null } = {}) => {
+  const id = new mongoose.Types.ObjectId(userId.toString());
+
+  const [result] = await JournalEntry.aggregate([
+    { $match: { 'postings.account': ACCOUNTS.USER_WALLET, 'postings.userId': id } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.account': ACCOUNTS.USER_WALLET, 'postings.userId': id } },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ['$postings.direction', 'credit'] },
+              '$postings.amount',
+              { $multiply: ['$postings.amount', -1] }
+            ]
+          }
+        }
+      }
+    }
+  ]).session(session);
+
+  return result ? result.balance : 0;
+};
+
+// Reset the cached walletBalance to what the postings say. Reads and writes in one
+// transaction, so a postJournal landing in between conflicts (and the whole thing
+// is retried) instead of being overwritten; the write is also guarded on the
+// cached value it read. Pass a session to run inside the caller's transaction.
+const reconcileWalletBalance = async (userId, { session = null } = {}) => {
+  const User = mongoose.model('User');
+
+  const result = await withTransaction(async (session) => {
+    const user = await User.findById(userId).select('walletBalance').session(session);
+    if (!user) throw new Error('User not found');
+
+    const derived = await deriveWalletBalance(userId, { session });
+    const cached = user.walletBalance || 0;
+    if (cached === derived) return { cached, derived, corrected: false };
+
+    // A missing balance can't be $inc'ed - it is set outright
+    const update = typeof user.walletBalance === 'number'
+      ? { $inc: { walletBalance: derived - cached }, $set: { updatedAt: new Date() } }
+      : { $set: { walletBalance: derived, updatedAt: new Date() } };
+    const { modifiedCount } = await User.updateOne(
+      { _id: userId, walletBalance: user.walletBalance },
+      update,
+      { session, ledger: true }
+    );
+    if (!modifiedCount) throw new Error('Wallet balance changed while reconciling - try again');
+    return { cached, derived, corrected: true };
+  }, session);
+
+  if (result.corrected) {
+    console.log(`📒 Wallet cache corrected for ${userId}: ${formatNaira(result.cached)} → ${formatNaira(result.derived)}`);
+  }
+  return result;
+};
+
+// The journal entry for a reference, with its totals and whether it balances
+const getJournal = async (reference) => {
+  const entry = await JournalEntry.findOne({ reference }).lean();
+  if (!entry) return null;
+
+  const totals = entry.postings.reduce((sum, posting) => {
+    sum[posting.direction === 'debit' ? 'debits' : 'credits'] += posting.amount;
+    return sum;
+  }, { debits: 0, credits: 0 });
+
+  return {
+    reference: entry.reference,
+    type: entry.type,
+    description: entry.description,
+    postings: entry.postings,
+    metadata: entry.metadata,
+    createdAt: entry.createdAt,
+    totals,
+    balanced: totals.debits === totals.credits
+  };
+};
+
+const LEDGER_ONLY = 'walletBalance can only be changed by posting to the ledger';
+
+const names = (fields, field) => fields !== null && typeof fields === 'object' && field in fields;
+
+const touchesBalance = (update = {}) => {
+  // Pipeline updates: any stage that sets, unsets or replaces it
+  if (Array.isArray(update)) {
+    return update.some(stage => names(stage.$set, 'walletBalance') || names(stage.$addFields, 'walletBalance') ||
+      [].concat(stage.$unset || []).includes('walletBalance') ||
+      Boolean(stage.$project || stage.$replaceWith || stage.$replaceRoot));
+  }
+  return 'walletBalance' in update ||
+    ['$set', '$inc', '$unset', '$mul', '$setOnInsert'].some(op => names(update[op], 'walletBalance'));
+};
+
+// Mongoose plugin for User schemas: refuse walletBalance writes that don't come
+// from the ledger (ledger updates pass the `ledger: true` query option).
+// A replacement rewrites walletBalance whether or not it names it, so replaceOne
+// and findOneAndReplace are refused outright without the option. Mongoose 7 has no
+// bulkWrite middleware - the plugin wraps the model's bulkWrite instead, with the
+// same rules per operation. Writes through Model.collection skip Mongoose and this
+// guard; only migrations do that.
+const guardWalletBalance = (schema) => {
+  schema.pre('save', function (next) {
+    if (!this.isNew && this.isModified('walletBalance')) {
+      return next(new Error(LEDGER_ONLY));
+    }
+    next();
+  });
+
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function (next) {
+    if (touchesBalance(this.getUpdate() || {}) && !this.getOptions().ledger) {
+      return next(new Error(LEDGER_ONLY));
+    }
+    next();
+  });
+
+  schema.pre(['replaceOne', 'findOneAndReplace'], function (next) {
+    if (!this.getOptions().ledger) return next(new Error(LEDGER_ONLY));
+    next();
+  });
+
+  schema.statics.bulkWrite = async function (ops, options = {}) {
+    const refused = !options.ledger && ops.some(op => op.replaceOne ||
+      touchesBalance(op.updateOne?.update) || touchesBalance(op.updateMany?.update));
+    if (refused) throw new Error(LEDGER_ONLY);
+    return mongoose.Model.bulkWrite.call(this, ops, options);
+  };
+};
+
+module.exports = {
+  ACCOUNTS,
+  debit,
+  credit,
+  withTransaction,
+  postJournal,
+  deriveWalletBalance,
+  reconcileWalletBalance,
+  getJournal,
+  guardWalletBalance
+};
@@ -0,0 +1,128 @@
+// utils/levies.js - Nigerian statutory levies on the money we move
+//   VAT   7.5% on our platform fee. Fees are quoted VAT-inclusive, so the customer
+//         pays what the fee engine quoted and we carve the VAT out of it.
+//   EMTL  ₦50 Electronic Money Transfer Levy on each inbound bank transfer of
+//         ₦10,000 or more. The deposit fee is what covers it, so it comes out of
+//         our fee too - the user's credit never changes.
+// Both are booked to their own payable accounts on the same journal entry as the
+// fee, and remittanceReport() totals them per month for filing.
+const JournalEntry = require('../models/JournalEntry');
+const ledger = require('./ledger');
+
+const VAT_RATE_BPS = Number(process.env.VAT_RATE_BPS ?? 750);
+const EMTL_AMOUNT = Number(process.env.EMTL_AMOUNT_KOBO ?? 5000);
+const EMTL_THRESHOLD = Number(process.env.EMTL_THRESHOLD_KOBO ?? 1000000);
+
+// Nigeria is UTC+1 all year - filing months run on local time
+const WAT_OFFSET_MS = 60 * 60 * 1000;
+
+// fee: what we charged (kobo); amount: the money moved; inbound: a bank transfer
+// into a wallet (deposits), as opposed to a card charge or a wallet-to-wallet move.
+// -> { vat, emtl, netFee } - netFee is what we keep, negative when the EMTL is
+// bigger than the fee.
+const assess = ({ fee = 0, amount = 0, inbound = false }) => {
+  const emtl = inbound && amount >= EMTL_THRESHOLD ? EMTL_AMOUNT : 0;
+  const taxable = fee - emtl;
+  const vat = taxable > 0 ? Math.round(taxable * VAT_RATE_BPS / (10000 + VAT_RATE_BPS)) : 0;
+  return { vat, emtl, netFee: fee - emtl - vat };
+};
+
+// Postings for the fee side of an entry. income is everything the entry leaves
+// for us (the fee, or a deposit's settlement margin); the levies come out of it
+// and platform_fee_income gets the rest, as a debit if that is negative.
+const feePostings = (income, { vat = 0, emtl = 0 } = {}) => {
+  const rest = income - vat - emtl;
+  return [
+    ...(vat > 0 ? [ledger.credit(ledger.ACCOUNTS.VAT_PAYABLE, vat)] : []),
+    ...(emtl > 0 ? [ledger.credit(ledger.ACCOUNTS.EMTL_PAYABLE, emtl)] : []),
+    ...(rest > 0 ? [ledger.credit(ledger.ACCOUNTS.PLATFORM_FEE_INCOME, rest)] : []),
+    ...(rest < 0 ? [ledger.debit(ledger.ACCOUNTS.PLATFORM_FEE_INCOME, -rest)] : [])
+  ];
+};
+
+// ==================== REMITTANCE ====================
+// month: 'YYYY-MM' (Nigeria time). -> [from, to)
+const monthRange = (month) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) throw new Error('month must be YYYY-MM');
+  const year = Number(match[1]);
+  const index = Number(match[2]) - 1;
+  return [
+    new Date(Date.UTC(year, index, 1) - WAT_OFFSET_MS),
+    new Date(Date.UTC(year, index + 1, 1) - WAT_OFFSET_MS)
+  ];
+};
+
+// The month before the current one, Nigeria time - the one due for filing
+const previousMonth = (now = new Date()) => {
+  const local = new Date(now.getTime() + WAT_OFFSET_MS);
+  const previous = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() - 1, 1));
+  return `${previous.getUTCFullYear()}-${String(previous.getUTCMonth() + 1).padStart(2, '0')}`;
+};
+
+const REPORT_ACCOUNTS = [
+  ledger.ACCOUNTS.VAT_PAYABLE,
+  ledger.ACCOUNTS.EMTL_PAYABLE,
+  ledger.ACCOUNTS.PLATFORM_FEE_INCOME
+];
+
+// Straight from the journal, so it matches the ledger to the kobo.
+// -> { month, from, to, vat, emtl, feeIncome, byType } where each account total is
+// { credits, debits, net, postings }; net is what is due (or was earned).
+const remittanceReport = async (month = previousMonth()) => {
+  const [from, to] = monthRange(month);
+
+  const rows = await JournalEntry.aggregate([
+    { $match: { createdAt: { $gte: from, $lt: to }, 'postings.account': { $in: REPORT_ACCOUNTS } } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.account': { $in: REPORT_ACCOUNTS } } },
+    {
+      $group: {
+        _id: { account: '$postings.account', type: '$type' },
+        credits: { $sum: { $cond: [{ $eq: ['$postings.direction', 'credit'] }, '$postings.amount', 0] } },
+        debits: { $sum: { $cond: [{ $eq: ['$postings.direction', 'debit'] }, '$postings.amount', 0] } },
+        postings: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const empty = () => ({ credits: 0, debits: 0, net: 0, postings: 0 });
+  const add = (bucket, row) => {
+    bucket.credits += row.credits;
+    bucket.debits += row.debits;
+    bucket.net += row.credits - row.debits;
+    bucket.postings += row.postings;
+  };
+
+  const totals = Object.fromEntries(REPORT_ACCOUNTS.map(account => [account, empty()]));
+  const byType = {}; // journal type (deposit, transfer, ...) -> account -> totals
+  for (const row of rows) {
+    const { account, type } = row._id;
+    add(totals[account], row);
+    if (!byType[type]) byType[type] = {};
+    if (!byType[type][account]) byType[type][account] = empty();
+    add(byType[type][account], row);
+  }
+
+  return {
+    month,
+    from,
+    to,
+    rates: { vatRateBps: VAT_RATE_BPS, emtlAmount: EMTL_AMOUNT, emtlThreshold: EMTL_THRESHOLD },
+    vat: totals[ledger.ACCOUNTS.VAT_PAYABLE],
+    emtl: totals[ledger.ACCOUNTS.EMTL_PAYABLE],
+    feeIncome: totals[ledger.ACCOUNTS.PLATFORM_FEE_INCOME],
+    byType
+  };
+};
+
+module.exports = {
+  VAT_RATE_BPS,
+  EMTL_AMOUNT,
+  EMTL_THRESHOLD,
+  assess,
+  feePostings,
+  monthRange,
+  previousMonth,
+  remittanceReport
+};
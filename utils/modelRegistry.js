@@ -0,0 +1,31 @@
+// utils/modelRegistry.js - Every Mongoose model is defined through here
+// server.js and the Paystack routers run in one process on one connection, so two
+// files defining 'User' differently would quietly hand one of them the wrong schema.
+// defineModel refuses that at startup instead.
+const path = require('path');
+const mongoose = require('mongoose');
+
+const definitions = new Map(); // name -> { schema, definedIn }
+
+const defineModel = (name, schema, filename = 'unknown') => {
+  const definedIn = path.relative(path.join(__dirname, '..'), filename);
+  const existing = definitions.get(name);
+
+  if (existing) {
+    if (existing.schema === schema) return mongoose.model(name);
+    throw new Error(`Conflicting definitions for model ${name}: ${existing.definedIn} and ${definedIn}`);
+  }
+
+  if (mongoose.models[name]) {
+    throw new Error(`Model ${name} was registered without defineModel (${definedIn}) - use utils/modelRegistry.js`);
+  }
+
+  const model = mongoose.model(name, schema);
+  definitions.set(name, { schema, definedIn });
+  return model;
+};
+
+// [{ name, definedIn }] for startup logs
+const registeredModels = () => [...definitions.entries()].map(([name, { definedIn }]) => ({ name, definedIn }));
+
+module.exports = { defineModel, registeredModels };
@@ -0,0 +1,50 @@
+// utils/money.js - All money is stored and returned as integer kobo (minor units)
+// Naira only exists at the edges: Cashwyre / PHP payloads in, log lines and receipts out.
+const CURRENCY = 'NGN';
+const EXPONENT = 2;
+
+// Spread into API responses so the app never has to guess the unit
+const MONEY = Object.freeze({ currency: CURRENCY, exponent: EXPONENT });
+
+// toFixed first so 1.005 * 100 = 100.49999... still rounds to 101
+const toKobo = (naira) => Math.round(Number((Number(naira || 0) * 100).toFixed(4)));
+
+const toNaira = (kobo) => Number(kobo || 0) / 100;
+
+const formatNaira = (kobo) => `₦${toNaira(kobo).toLocaleString('en-NG', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const isKobo = (value) => Number.isInteger(value);
+
+// Request body amounts must already be whole kobo - reject floats and strings like "1.5"
+const parseKobo = (value) => {
+  const amount = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(amount)) {
+    throw new Error('Amounts must be whole numbers in kobo');
+  }
+  return amount;
+};
+
+// Mongoose field definition for an integer kobo amount
+const koboField = (options = {}) => ({
+  type: Number,
+  validate: {
+    validator: (value) => value === null || value === undefined || Number.isInteger(value),
+    message: '{PATH} must be a whole number of kobo'
+  },
+  ...options
+});
+
+module.exports = {
+  CURRENCY,
+  EXPONENT,
+  MONEY,
+  toKobo,
+  toNaira,
+  formatNaira,
+  isKobo,
+  parseKobo,
+  koboField
+};
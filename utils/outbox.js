@@ -0,0 +1,174 @@
+// utils/outbox.js - Transactional outbox
+// Code that changes money and must tell another service about it calls enqueue()
+// with the session of its ledger transaction: the message commits or rolls back
+// with the change. dispatchDue() (a timer in server.js) then delivers each message
+// with the handler registered for its topic:
+//   - success marks it delivered
+//   - a failure schedules the next attempt with exponential backoff
+//   - after MAX_ATTEMPTS, or a 4xx the receiver will never accept, it is dead
+// Every failure is mirrored to FailedSync so support can see what hasn't arrived.
+const FailedSync = require('../models/FailedSync');
+const OutboxMessage = require('../models/OutboxMessage');
+
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 10;
+const BASE_DELAY_MS = Number(process.env.OUTBOX_BASE_DELAY_MS) || 30 * 1000;
+const MAX_DELAY_MS = Number(process.env.OUTBOX_MAX_DELAY_MS) || 6 * 60 * 60 * 1000;
+// A 'delivering' message this old was abandoned by a crashed dispatcher
+const STALE_DELIVERING_MS = 5 * 60 * 1000;
+
+const handlers = new Map(); // topic -> async (message) => response data
+
+const registerHandler = (topic, handler) => {
+  if (handlers.has(topic)) throw new Error(`Outbox handler for ${topic} is already registered`);
+  handlers.set(topic, handler);
+};
+
+// Add a message inside the caller's transaction. key makes it idempotent: a second
+// enqueue of the same key fails the transaction, like a second journal reference.
+const enqueue = async ({ topic, key, payload }, { session = null } = {}) => {
+  const [message] = await OutboxMessage.create([{ topic, key, payload }], { session });
+  return message;
+};
+
+// 30s, 1m, 2m, 4m ... capped, with ±20% jitter so a backlog doesn't retry in lockstep
+const backoff = (attempts) => {
+  const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// 4xx means the receiver understood and refused - retrying the same payload won't help
+// (408 and 429 are the exceptions: they ask us to come back later)
+const isPermanent = (statusCode) => statusCode >= 400 && statusCode < 500 && ![408, 429].includes(statusCode);
+
+const recordFailure = async (message, { error, statusCode, dead, nextAttemptAt }) => {
+  const { payload } = message;
+  try {
+    await FailedSync.findOneAndUpdate(
+      { outboxMessageId: message._id },
+      {
+        $set: {
+          error,
+          lastStatusCode: statusCode,
+          retryCount: message.attempts,
+          lastAttempt: new Date(),
+          status: dead ? 'dead' : 'retrying',
+          nextAttemptAt: dead ? null : nextAttemptAt
+        },
+        $setOnInsert: {
+          userId: String(payload.userId),
+          amount: payload.amount,
+          reference: payload.reference || message.key
+        }
+      },
+      { upsert: true }
+    );
+  } catch (failedSyncError) {
+    // The outbox row is the source of truth - losing the mirror isn't fatal
+    console.error(`⚠️ Could not record FailedSync for ${message.key}:`, failedSyncError.message);
+  }
+};
+
+// Claim and deliver one message. Returns { message, delivered } / { message, error } /
+// { message, skipped: true } when someone else has it.
+const deliver = async (messageOrId) => {
+  const id = messageOrId?._id || messageOrId;
+  const now = new Date();
+
+  const message = await OutboxMessage.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'delivering', lockedAt: { $lt: new Date(now - STALE_DELIVERING_MS) } }
+      ]
+    },
+    { $set: { status: 'delivering', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!message) return { message: await OutboxMessage.findById(id), skipped: true };
+
+  const handler = handlers.get(message.topic);
+  // An earlier failure left a FailedSync behind (attempts restart at 0 on a requeue)
+  const failedBefore = message.attempts > 1 || Boolean(message.lastError);
+  try {
+    if (!handler) throw new Error(`No outbox handler registered for ${message.topic}`);
+    await handler(message);
+
+    message.status = 'delivered';
+    message.deliveredAt = new Date();
+    message.lastError = null;
+    message.lockedAt = null;
+    await message.save();
+
+    if (failedBefore) {
+      await FailedSync.updateOne(
+        { outboxMessageId: message._id },
+        { $set: { status: 'resolved', resolvedAt: new Date(), nextAttemptAt: null } }
+      );
+    }
+    console.log(`📤 Outbox ${message.topic} ${message.key} delivered (attempt ${message.attempts})`);
+    return { message, delivered: true };
+  } catch (error) {
+    const statusCode = error.response?.status;
+    const reason = error.response?.data?.message || error.message;
+    const dead = message.attempts >= MAX_ATTEMPTS || isPermanent(statusCode);
+    const nextAttemptAt = dead ? null : new Date(Date.now() + backoff(message.attempts));
+
+    message.status = dead ? 'dead' : 'pending';
+    message.lastError = reason;
+    message.lastStatusCode = statusCode;
+    message.lockedAt = null;
+    if (dead) message.deadAt = new Date();
+    else message.nextAttemptAt = nextAttemptAt;
+    await message.save();
+
+    await recordFailure(message, { error: reason, statusCode, dead, nextAttemptAt });
+    console.error(dead
+      ? `💀 Outbox ${message.topic} ${message.key} dead after ${message.attempts} attempts: ${reason}`
+      : `⏳ Outbox ${message.topic} ${message.key} failed (attempt ${message.attempts}), next at ${nextAttemptAt.toISOString()}: ${reason}`);
+    return { message, error };
+  }
+};
+
+// Deliver what is due, oldest first. One at a time keeps the receiver's load flat.
+const dispatchDue = async ({ limit = 50 } = {}) => {
+  const now = new Date();
+  const due = await OutboxMessage.find({
+    $or: [
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { status: 'delivering', lockedAt: { $lt: new Date(now - STALE_DELIVERING_MS) } }
+    ]
+  }).sort({ nextAttemptAt: 1 }).limit(limit).select('_id');
+
+  const outcomes = [];
+  for (const { _id } of due) {
+    outcomes.push(await deliver(_id));
+  }
+  return outcomes;
+};
+
+// Make a dead or waiting message due now, with a fresh set of attempts
+// (support fixed whatever refused it). null if it is delivered, cancelled or in flight.
+const requeue = async (id) => OutboxMessage.findOneAndUpdate(
+  { _id: id, status: { $in: ['dead', 'pending'] } },
+  { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), deadAt: null } },
+  { new: true }
+);
+
+// Stop delivering a message that was settled some other way
+const cancel = async (id) => OutboxMessage.findOneAndUpdate(
+  { _id: id, status: { $in: ['dead', 'pending'] } },
+  { $set: { status: 'cancelled', lockedAt: null } },
+  { new: true }
+);
+
+module.exports = {
+  MAX_ATTEMPTS,
+  registerHandler,
+  enqueue,
+  backoff,
+  deliver,
+  dispatchDue,
+  requeue,
+  cancel
+};
@@ -0,0 +1,164 @@
+// utils/payinPolicy.js - What to do when a funding account is paid the wrong amount
+// A dynamic funding account asks for totalPayable (amount + our quoted fee). Payers
+// send less, more, or the right total over several transfers. Per product, the
+// policy says what happens to a shortfall (underpayment) and to an excess (overpayment):
+//   credit    into the wallet now, less whatever of the quoted fee is still unpaid
+//   suspense  held in the suspense account. An underpayment is credited once the
+//             rest arrives, or less the fee when the account expires
+//             (utils/expirySweeper.js); an overpayment waits for an admin
+//   refund    owed back to the payer - queued like an unmatched deposit's refund
+//             (routes/unmatchedDeposits.js)
+// The quoted fee is charged once per funding account, however many transfers it
+// takes. Default is credit / credit, which is what crediting did before the policy.
+// Override with PAYIN_MISMATCH_POLICY, e.g.
+//   {"dynamic_payin":{"underpayment":"suspense","overpayment":"refund"}}
+// Each funding account keeps the policy in force when it was created, so a change
+// only applies to accounts handed out after it.
+const { PRODUCTS } = require('../models/FeeSchedule');
+const { formatNaira } = require('./money');
+
+const MODES = ['credit', 'suspense', 'refund'];
+const SIDES = ['underpayment', 'overpayment'];
+const DEFAULT_POLICY = { underpayment: 'credit', overpayment: 'credit' };
+
+const loadPolicies = () => {
+  let configured = {};
+  try {
+    configured = JSON.parse(process.env.PAYIN_MISMATCH_POLICY || '{}');
+  } catch (error) {
+    console.error(`⚠️ PAYIN_MISMATCH_POLICY is not valid JSON, using the defaults: ${error.message}`);
+  }
+
+  return Object.fromEntries(PRODUCTS.map(product => {
+    const policy = { ...DEFAULT_POLICY };
+    for (const side of SIDES) {
+      const mode = configured[product]?.[side];
+      if (mode === undefined) continue;
+      if (MODES.includes(mode)) policy[side] = mode;
+      else console.error(`⚠️ PAYIN_MISMATCH_POLICY ${product}.${side} must be one of ${MODES.join(', ')} - got ${mode}`);
+    }
+    return [product, policy];
+  }));
+};
+
+const POLICIES = loadPolicies();
+
+const policyFor = (product = 'dynamic_payin') => ({ ...(POLICIES[product] || DEFAULT_POLICY) });
+
+// The policy stored on a funding account; accounts from before the policy get today's
+const policyOf = (virtualAccount) => {
+  const stored = virtualAccount?.payinPolicy || {};
+  const current = policyFor('dynamic_payin');
+  return {
+    underpayment: stored.underpayment || current.underpayment,
+    overpayment: stored.overpayment || current.overpayment
+  };
+};
+
+// Where a funding account stands before the next transfer, in settle()'s terms
+const intentOf = (virtualAccount) => ({
+  expected: virtualAccount.totalPayable || virtualAccount.amount + (virtualAccount.fee || 0),
+  fee: virtualAccount.fee || 0,
+  received: virtualAccount.amountReceived || 0,
+  held: virtualAccount.amountHeld || 0,
+  refunded: virtualAccount.amountRefunded || 0,
+  feeCharged: virtualAccount.feeCharged || 0,
+  status: virtualAccount.paymentStatus
+});
+
+const split = ({ credit = 0, fee = 0, hold = 0, refund = 0, release = 0, status }) =>
+  ({ credit, fee, hold, refund, release, status });
+
+// One transfer into a funding account, divided up by the policy. intent: intentOf()
+// before the transfer. All kobo.
+// -> { credit, fee, hold, refund, release, status }
+//   credit  to the wallet now             fee      of the quote, taken now
+//   hold    into suspense                 release  held money leaving suspense now
+//   refund  owed back to the payer        status   the account's paymentStatus after
+// amountPaid + release = credit + fee + hold + refund
+const settle = (intent, amountPaid, policy) => {
+  const { expected, fee: quotedFee, received, held, refunded, feeCharged, status } = intent;
+  // Refunded money never counts towards what was asked for
+  const applied = received - refunded;
+  const feeDue = Math.max(0, quotedFee - feeCharged);
+  const total = applied + amountPaid;
+
+  if (total < expected) {
+    if (policy.underpayment === 'suspense') return split({ hold: amountPaid, status: 'partial' });
+    if (policy.underpayment === 'refund') return split({ refund: amountPaid, status: applied > 0 ? 'partial' : 'awaiting' });
+    const fee = Math.min(feeDue, amountPaid);
+    return split({ credit: amountPaid - fee, fee, status: 'partial' });
+  }
+
+  // The total is in. Short payments held so far are released (once the account is
+  // paid, anything held is an excess waiting for an admin), and only the excess is policed.
+  const release = applied < expected ? held : 0;
+  const excess = Math.min(amountPaid, total - expected);
+  const kept = policy.overpayment === 'credit' ? 0 : excess;
+  const available = release + amountPaid - kept;
+  const fee = Math.min(feeDue, available);
+  return split({
+    credit: available - fee,
+    fee,
+    hold: policy.overpayment === 'suspense' ? kept : 0,
+    refund: policy.overpayment === 'refund' ? kept : 0,
+    release,
+    status: excess > 0 || status === 'overpaid' ? 'overpaid' : 'paid'
+  });
+};
+
+// ==================== STATUS ====================
+// What /api/payin/check-status tells the user about a funding account
+const fundingStatus = (virtualAccount) => {
+  const { expected, received, held, refunded } = intentOf(virtualAccount);
+  const policy = policyOf(virtualAccount);
+  const expired = virtualAccount.status === 'EXPIRED' && !virtualAccount.processedAt;
+  const status = expired ? 'expired' : virtualAccount.paymentStatus || 'awaiting';
+  const outstanding = Math.max(0, expected - (received - refunded));
+  const credited = virtualAccount.amountCredited || 0;
+
+  const notes = [];
+  if (held > 0) {
+    notes.push({
+      overpaid: `The extra ${formatNaira(held)} is held while we review it`,
+      expired: `${formatNaira(held)} held from your transfers is being credited to your wallet, less the fee`
+    }[status] || `${formatNaira(held)} is held until the full amount arrives`);
+  }
+  if (refunded > 0) notes.push(`${formatNaira(refunded)} will be refunded to the sender`);
+  if (credited > 0 && status !== 'paid') notes.push(`${formatNaira(credited)} has been credited to your wallet`);
+
+  const message = {
+    awaiting: `Waiting for your transfer of ${formatNaira(expected)}`,
+    partial: `Received ${formatNaira(received)} of ${formatNaira(expected)} - send the remaining ${formatNaira(outstanding)} before the account expires`,
+    paid: 'Payment received in full',
+    overpaid: `Received ${formatNaira(received)}, more than the ${formatNaira(expected)} requested`,
+    expired: received > 0
+      ? `This funding account expired after receiving ${formatNaira(received)} of ${formatNaira(expected)}`
+      : 'This funding account expired before any payment arrived'
+  }[status];
+
+  return {
+    status,
+    message: [message, ...notes].join('. '),
+    expected,
+    received,
+    outstanding,
+    credited,
+    held,
+    refunded,
+    feeCharged: virtualAccount.feeCharged || 0,
+    payments: (virtualAccount.payments || []).length,
+    policy,
+    expiresOn: virtualAccount.expiresOn
+  };
+};
+
+module.exports = {
+  MODES,
+  DEFAULT_POLICY,
+  policyFor,
+  policyOf,
+  intentOf,
+  settle,
+  fundingStatus
+};
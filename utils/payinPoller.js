@@ -0,0 +1,125 @@
+// utils/payinPoller.js - Asking Cashwyre about open funding accounts ourselves
+// Crediting a dynamic funding account used to depend on a webhook, or on the app
+// calling check-status while it was open. A timer in server.js now runs pollDue():
+// every open funding account (unpaid, not expired) is checked with /payin/payinStatus
+// on a backoff schedule until it is paid, it expires, or a webhook reports a deposit
+// for it (utils/depositProcessor.js stops the polling then).
+//
+// A paid status is credited through processDeposit like any webhook, keyed on the
+// same Cashwyre code, so a poll and a webhook for one transfer can't both credit it.
+//
+// Schedule: PAYIN_POLL_SCHEDULE_SECONDS, seconds between polls (default
+// 30,30,60,60,120,300 - the last repeats), never past expiresOn + the expiry grace.
+const VirtualAccount = require('../models/VirtualAccount');
+const { getProvider } = require('../providers');
+const depositProcessor = require('./depositProcessor');
+const { EXPIRY_GRACE_MS } = require('./expirySweeper');
+
+const SCHEDULE_MS = (process.env.PAYIN_POLL_SCHEDULE_SECONDS || '30,30,60,60,120,300')
+  .split(',')
+  .map(seconds => Number(seconds) * 1000)
+  .filter(ms => ms > 0);
+// How long a claimed account is left to the instance polling it
+const LEASE_MS = 60 * 1000;
+
+// The open funding accounts
+const OPEN = {
+  provider: 'cashwyre',
+  amount: { $gt: 0 },
+  active: true,
+  processedAt: null,
+  status: { $ne: 'EXPIRED' },
+  'poll.stoppedAt': null
+};
+
+const delayAfter = (attempts) => SCHEDULE_MS[Math.min(attempts, SCHEDULE_MS.length - 1)] || 60000;
+
+// Poll one funding account now and record the outcome on it.
+// -> { status, credited?, result?, error? }
+const pollOne = async (virtualAccount, { now = new Date() } = {}) => {
+  const attempts = (virtualAccount.poll?.attempts || 0) + 1;
+  const deadline = virtualAccount.expiresOn
+    ? new Date(virtualAccount.expiresOn.getTime() + EXPIRY_GRACE_MS)
+    : null;
+  let outcome;
+  let closed = false;
+
+  try {
+    const charge = await getProvider(virtualAccount.provider).verifyCharge(virtualAccount.cashwyreRequestId);
+    outcome = { status: charge.gatewayStatus || charge.status };
+    closed = charge.status === 'failed';
+
+    if (charge.status === 'completed') {
+      if (charge.metadata.code) {
+        const result = await depositProcessor.processDeposit(
+          depositProcessor.fromPayinStatus(charge, virtualAccount),
+          { source: depositProcessor.POLL_SOURCE }
+        );
+        outcome = { ...outcome, credited: !result.ignored, result };
+        if (!result.ignored) {
+          console.log(`🛰️ Payin poll credited ${virtualAccount.accountNumber} (${charge.metadata.code}) - the webhook never came`);
+        }
+      } else {
+        // Paid, but nothing to key a credit on - the webhook has to bring it
+        console.log(`⚠️ Payin poll: ${virtualAccount.accountNumber} is paid but Cashwyre sent no deposit code`);
+        outcome.status = 'completed_without_code';
+      }
+    }
+  } catch (error) {
+    outcome = { status: 'error', error: error.message };
+  }
+
+  // Cashwyre closed it, or it is past expiry - the expiry sweep takes it from here
+  const next = new Date(now.getTime() + delayAfter(attempts - 1));
+  const stopReason = closed ? `Cashwyre status ${outcome.status}`
+    : deadline && now >= deadline ? 'expired' : null;
+
+  await VirtualAccount.updateOne({ _id: virtualAccount._id }, {
+    $set: {
+      'poll.attempts': attempts,
+      'poll.lastAt': now,
+      'poll.lastStatus': outcome.status,
+      'poll.lastError': outcome.error || null,
+      'poll.nextAt': deadline && next > deadline ? deadline : next,
+      ...(stopReason && { 'poll.stoppedAt': now, 'poll.stopReason': stopReason })
+    }
+  });
+
+  return outcome;
+};
+
+// -> { polled, credited, failed } for this run
+const pollDue = async ({ now = new Date(), limit = 50 } = {}) => {
+  const due = await VirtualAccount.find({
+    ...OPEN,
+    $or: [{ 'poll.nextAt': null }, { 'poll.nextAt': { $lte: now } }]
+  }).sort({ 'poll.nextAt': 1 }).limit(limit);
+
+  let polled = 0;
+  let credited = 0;
+  let failed = 0;
+  for (const account of due) {
+    // Claim it, so another instance running the same timer skips it
+    const { modifiedCount } = await VirtualAccount.updateOne(
+      { _id: account._id, 'poll.nextAt': account.poll?.nextAt ?? null },
+      { $set: { 'poll.nextAt': new Date(now.getTime() + LEASE_MS) } }
+    );
+    if (!modifiedCount) continue;
+
+    const outcome = await pollOne(account, { now });
+    polled++;
+    if (outcome.credited) credited++;
+    if (outcome.error) failed++;
+  }
+
+  if (credited || failed) {
+    console.log(`🛰️ Payin poll: ${polled} account(s) checked, ${credited} credited, ${failed} failed`);
+  }
+  return { polled, credited, failed };
+};
+
+module.exports = {
+  SCHEDULE_MS,
+  pollOne,
+  pollDue
+};
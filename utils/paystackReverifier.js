@@ -0,0 +1,163 @@
+// utils/paystackReverifier.js - Settling Paystack checkouts nobody came back for
+// A card funding sits 'pending' until the webhook, the callback page or the app's
+// polling (POST /payments/verify-paystack) settles it. When none of them do - the
+// app was closed, the webhook lost - a timer in server.js runs reverifyDue(): each
+// pending Paystack transaction is checked with /transaction/verify/:reference on a
+// backoff schedule, and
+//   - success    is credited (utils/chargeProcessor.js), like the app's polling
+//   - failed / reversed fails the transaction
+//   - anything else (abandoned, ongoing, ...) is checked again later - an abandoned
+//     checkout can still be paid - until the horizon, when it fails as abandoned
+// Each check bumps verificationAttempts / lastVerifiedAt, sets nextRetryAt and
+// canRetry, and is appended to metadata.verificationHistory with method 'polling'.
+//
+// Schedule: PAYSTACK_REVERIFY_SCHEDULE_SECONDS, seconds between checks, the first
+// counted from creation (default 60,120,300,600,1800,3600 - the last repeats).
+// Horizon: PAYSTACK_REVERIFY_HORIZON_HOURS after creation (default 24).
+const Transaction = require('../models/Transaction');
+const { getProvider } = require('../providers');
+const chargeProcessor = require('./chargeProcessor');
+const { formatNaira } = require('./money');
+
+const SOURCE = 'paystack_reverify';
+const SCHEDULE_MS = (process.env.PAYSTACK_REVERIFY_SCHEDULE_SECONDS || '60,120,300,600,1800,3600')
+  .split(',')
+  .map(seconds => Number(seconds) * 1000)
+  .filter(ms => ms > 0);
+const HORIZON_MS = (Number(process.env.PAYSTACK_REVERIFY_HORIZON_HOURS) || 24) * 60 * 60 * 1000;
+// How long a claimed transaction is left to the instance checking it
+const LEASE_MS = 60 * 1000;
+
+// Paystack statuses that are final even before the horizon. 'abandoned' is not:
+// the customer can still go back to the checkout and pay.
+const FINAL_FAILURES = ['failed', 'reversed'];
+
+const PENDING = {
+  gateway: 'paystack',
+  type: 'wallet_funding',
+  status: 'pending'
+};
+
+const delayAfter = (attempts) => SCHEDULE_MS[Math.min(attempts, SCHEDULE_MS.length - 1)] || 60000;
+
+const historyEntry = (status, now, response) => ({
+  method: 'polling',
+  timestamp: now,
+  status,
+  response: { source: SOURCE, ...response }
+});
+
+// Check one pending Paystack transaction now and record the outcome on it.
+// -> { status, credited?, failed?, error? }
+const reverifyOne = async (transaction, { now = new Date() } = {}) => {
+  const reference = transaction.reference;
+  const attempts = (transaction.verificationAttempts || 0) + 1;
+  const horizon = new Date(transaction.createdAt.getTime() + HORIZON_MS);
+  const checked = { verificationAttempts: attempts, lastVerifiedAt: now };
+
+  let charge = null;
+  let verifyError = null;
+  try {
+    charge = await getProvider('paystack').verifyCharge(reference);
+  } catch (error) {
+    // Unreachable, or Paystack doesn't know the reference - try again until the horizon
+    verifyError = error.response?.data?.message || error.message;
+  }
+
+  if (charge?.status === 'completed') {
+    try {
+      const credited = await chargeProcessor.creditCharge(charge, {
+        userId: transaction.userId,
+        gateway: 'paystack',
+        source: SOURCE,
+        fields: { ...checked, canRetry: false, nextRetryAt: null }
+      });
+      console.log(`🔁 Paystack reverify credited ${reference}: User ${credited.userId} +${formatNaira(credited.amount)} - nobody else settled it`);
+      return { status: charge.gatewayStatus, credited: true };
+    } catch (error) {
+      // The journal reference is unique: the webhook or the app got there first
+      if (error.code === 11000 || error.message.includes('duplicate key')) {
+        return { status: 'already_credited' };
+      }
+      await Transaction.updateOne({ _id: transaction._id, status: 'pending' }, {
+        $set: { ...checked, nextRetryAt: new Date(now.getTime() + delayAfter(attempts - 1)) },
+        $push: { 'metadata.verificationHistory': historyEntry('error', now, { attempt: attempts, error: error.message }) }
+      });
+      return { status: 'error', error: error.message };
+    }
+  }
+
+  const gatewayStatus = charge ? charge.gatewayStatus : 'error';
+  const failureReason = charge && FINAL_FAILURES.includes(charge.gatewayStatus)
+    ? `Paystack status ${charge.gatewayStatus}`
+    : now >= horizon
+      ? `Not paid within ${HORIZON_MS / 3600000} hour(s) - last Paystack status ${gatewayStatus}`
+      : null;
+  const next = new Date(now.getTime() + delayAfter(attempts - 1));
+
+  const update = {
+    $set: {
+      ...checked,
+      ...(charge && { gatewayResponse: charge.raw }),
+      ...(failureReason
+        ? { status: 'failed', failureReason, canRetry: false, nextRetryAt: null }
+        : { canRetry: true, nextRetryAt: next > horizon ? horizon : next })
+    },
+    $push: {
+      'metadata.verificationHistory': historyEntry(gatewayStatus, now, {
+        attempt: attempts,
+        ...(verifyError && { error: verifyError }),
+        ...(failureReason && { closed: failureReason })
+      })
+    }
+  };
+  await Transaction.updateOne({ _id: transaction._id, status: 'pending' }, update);
+
+  if (failureReason) {
+    console.log(`🔁 Paystack reverify closed ${reference}: ${failureReason}`);
+  }
+  return { status: gatewayStatus, failed: Boolean(failureReason), ...(verifyError && { error: verifyError }) };
+};
+
+// -> { checked, credited, failed, errors } for this run
+const reverifyDue = async ({ now = new Date(), limit = 50 } = {}) => {
+  const due = await Transaction.find({
+    ...PENDING,
+    $or: [
+      // Never checked here yet - give the customer the first interval to pay
+      { nextRetryAt: null, createdAt: { $lte: new Date(now.getTime() - delayAfter(0)) } },
+      { nextRetryAt: { $lte: now } }
+    ]
+  }).sort({ nextRetryAt: 1, createdAt: 1 }).limit(limit);
+
+  let checked = 0;
+  let credited = 0;
+  let failed = 0;
+  let errors = 0;
+  for (const transaction of due) {
+    // Claim it, so another instance running the same timer skips it
+    const { modifiedCount } = await Transaction.updateOne(
+      { _id: transaction._id, status: 'pending', nextRetryAt: transaction.nextRetryAt ?? null },
+      { $set: { nextRetryAt: new Date(now.getTime() + LEASE_MS) } }
+    );
+    if (!modifiedCount) continue;
+
+    const outcome = await reverifyOne(transaction, { now });
+    checked++;
+    if (outcome.credited) credited++;
+    if (outcome.failed) failed++;
+    if (outcome.error) errors++;
+  }
+
+  if (credited || failed || errors) {
+    console.log(`🔁 Paystack reverify: ${checked} pending transaction(s) checked, ${credited} credited, ${failed} failed, ${errors} error(s)`);
+  }
+  return { checked, credited, failed, errors };
+};
+
+module.exports = {
+  SCHEDULE_MS,
+  HORIZON_MS,
+  reverifyOne,
+  reverifyDue
+};
@@ -0,0 +1,107 @@
+// utils/permissions.js - Who may use the admin and ops endpoints
+// Staff log in like anyone else (routes/auth.js); their User.role decides what the
+// access token lets them do. Each admin route names the one permission it needs:
+//   app.post('/api/wallet/force-update-balance', requirePermission('balance.adjust'), ...)
+// and answers 401 without a valid token, 403 without the permission. Every refusal
+// is logged with who asked, for what, and from where. Refusals of a signed-in
+// caller (or the main backend's key) are also kept as access.denied audit events
+// (utils/audit.js); requests without a token are not - anyone can send those, and
+// each would be a permanent entry.
+//
+// The main backend calls some of these tools server-to-server: a matching
+// x-internal-api-key (MAIN_BACKEND_API_KEY) still works, and acts as a superadmin -
+// except on routes guarded with { internalKey: false }, which need a staff login
+// (approving adjustments: the key can't be both maker and checker).
+const crypto = require('crypto');
+const auth = require('./auth');
+const audit = require('./audit');
+const { PERMISSIONS, ROLES, isRole, isPermission } = require('./roles');
+
+// Admins the main backend made before roles (isAdmin, or role 'admin') keep full
+// access until they are given one of the roles in utils/roles.js
+const roleOf = (user) => {
+  if (!user) return 'user';
+  if (isRole(user.role) && user.role !== 'user') return user.role;
+  return user.isAdmin || user.role === 'admin' ? 'superadmin' : 'user';
+};
+
+const can = (user, permission) => ROLES[roleOf(user)].includes(permission);
+
+// Who to record as having done something: the logged-in staff member, or - for
+// the main backend's key - whoever the request names
+const actorOf = (req, claimed) => (req.staff && req.staff.email) || String(claimed || '').trim() || null;
+
+// Compared as digests, so the time taken says nothing about the key or its length
+const hasInternalKey = (req) => {
+  const expected = process.env.MAIN_BACKEND_API_KEY;
+  const given = req.headers['x-internal-api-key'];
+  if (!expected || typeof given !== 'string') return false;
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+};
+
+// Throws if the access.denied entry can't be written. record: false only logs it.
+const logDenied = async (req, permission, reason, user = null, { record = true } = {}) => {
+  console.warn(`🚫 Denied ${req.method} ${req.originalUrl} (needs ${permission}): ${reason}`, {
+    userId: user ? String(user._id) : null,
+    email: user ? user.email : null,
+    role: user ? roleOf(user) : null,
+    ip: req.ip
+  });
+  if (!record) return;
+  await audit.log({
+    action: 'access.denied',
+    req,
+    target: { type: 'route', id: `${req.method} ${req.originalUrl.split('?')[0]}` },
+    metadata: { permission, reason, role: user ? roleOf(user) : null }
+  });
+};
+
+// Route guard - sets req.user (req.staff says who, for logs and records).
+// internalKey: false refuses the main backend's key - a staff token is required.
+const requirePermission = (permission, { internalKey = true } = {}) => {
+  if (!isPermission(permission)) throw new Error(`Unknown permission: ${permission}`);
+
+  return async (req, res, next) => {
+    const keyed = hasInternalKey(req);
+    if (keyed && internalKey) {
+      req.staff = { id: 'main-backend', role: 'superadmin' };
+      return next();
+    }
+
+    try {
+      req.user = await auth.userFromToken(auth.bearerToken(req));
+    } catch (error) {
+      console.error('❌ Authentication failed:', error.message);
+      return res.status(500).json({ success: false, message: 'Authentication is not available' });
+    }
+    const denied = !req.user && keyed
+      ? { status: 403, message: 'A staff login is required - the internal API key cannot do this', reason: 'internal key refused' }
+      : !req.user
+        ? { status: 401, message: 'Valid access token required', reason: 'no valid access token' }
+        : !can(req.user, permission)
+          ? { status: 403, message: `Missing permission: ${permission}`, reason: `role ${roleOf(req.user)} lacks it` }
+          : null;
+    if (denied) {
+      try {
+        await logDenied(req, permission, denied.reason, req.user, { record: Boolean(req.user) || keyed });
+      } catch (error) {
+        console.error('❌ Denied access not recorded:', error.message);
+        return res.status(500).json({ success: false, message: 'Audit log is not available' });
+      }
+      return res.status(denied.status).json({ success: false, message: denied.message });
+    }
+
+    req.staff = { id: String(req.user._id), email: req.user.email, role: roleOf(req.user) };
+    next();
+  };
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  roleOf,
+  can,
+  actorOf,
+  requirePermission
+};
@@ -0,0 +1,220 @@
+// utils/pin.js - Transaction PINs: checking, setting, changing and resetting them
+// Every debit a user starts goes through requirePin (after auth.requireUser), so
+// money never leaves a wallet without the owner's PIN. PINs are 6 digits, stored
+// as bcrypt hashes (models/User.js hashes on save). PIN_MAX_ATTEMPTS wrong PINs in
+// a row lock it for PIN_LOCK_MINUTES (423); the right PIN clears the count.
+//
+// Changing the PIN needs the current one, and counts toward the lock like any
+// other check. Forgot-PIN sends a one-time code through the main backend (which
+// emails / texts it - POST ${MAIN_BACKEND_URL}${MAIN_BACKEND_OTP_PATH}); only a
+// hash of it is kept, in User.resetPasswordOTP. A code is good for one try within
+// PIN_OTP_MINUTES, and a new one can be asked for after a minute.
+//
+// Every change, wrong PIN and lock is an audit event (pin.*, utils/audit.js), written
+// in the same transaction as the change it records.
+const crypto = require('crypto');
+const axios = require('axios');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const audit = require('./audit');
+const ledger = require('./ledger');
+const { MAIN_BACKEND_URL, MAIN_BACKEND_API_KEY } = require('./syncVirtualAccount');
+
+const PIN_FORMAT = /^\d{6}$/;
+const OTP_MINUTES = Number(process.env.PIN_OTP_MINUTES) || 10;
+const OTP_RESEND_MS = 60 * 1000;
+const MAIN_BACKEND_OTP_PATH = process.env.MAIN_BACKEND_OTP_PATH || '/api/notifications/otp';
+
+// Carries the status and body the route answers with
+const pinError = (status, message, extra = {}) => Object.assign(new Error(message), { status, extra });
+
+const hasPin = (user) => Boolean(user.transactionPinSet && user.transactionPin);
+
+const minutesUntil = (date) => Math.max(1, Math.ceil((new Date(date) - Date.now()) / 60000));
+
+const lockedError = (lockedUntil) => pinError(423, `Transaction PIN locked. Try again in ${minutesUntil(lockedUntil)} minute(s)`, {
+  code: 'PIN_LOCKED',
+  lockedUntil
+});
+
+const checkFormat = (pin, name = 'PIN') => {
+  if (!PIN_FORMAT.test(String(pin || ''))) throw pinError(400, `${name} must be 6 digits`);
+};
+
+// ==================== CHECKING ====================
+// Throws a pinError unless `pin` is the user's PIN. A wrong one counts toward the lock.
+const verify = async (user, pin, { req = null, purpose = 'debit' } = {}) => {
+  if (!hasPin(user)) throw pinError(403, 'Set a transaction PIN first', { code: 'PIN_NOT_SET' });
+  if (user.isPinLocked()) throw lockedError(user.pinLockedUntil);
+  if (pin === undefined || pin === null || pin === '') throw pinError(400, 'Transaction PIN is required');
+
+  if (await user.matchTransactionPin(pin)) {
+    if (user.failedPinAttempts || user.pinLockedUntil) await user.resetFailedPinAttempts();
+    return user;
+  }
+
+  const { failedPinAttempts, pinLockedUntil, lockedNow } = await ledger.withTransaction(async (session) => {
+    const counted = await user.incrementFailedPinAttempts({ session });
+    await audit.log({
+      action: counted.lockedNow ? 'pin.locked' : 'pin.failed',
+      req,
+      target: { type: 'user', id: user._id },
+      after: { failedPinAttempts: counted.failedPinAttempts, pinLockedUntil: counted.pinLockedUntil },
+      metadata: { purpose }
+    }, { session });
+    return counted;
+  });
+  if (lockedNow) {
+    console.warn(`🔒 Transaction PIN locked for ${user.email} until ${pinLockedUntil.toISOString()}`);
+    throw lockedError(pinLockedUntil);
+  }
+  throw pinError(401, 'Invalid transaction PIN', {
+    code: 'PIN_INVALID',
+    attemptsLeft: Math.max(User.PIN_MAX_ATTEMPTS - failedPinAttempts, 0)
+  });
+};
+
+const sendError = (res, error) => {
+  if (!error.status) {
+    console.error('❌ Transaction PIN check failed:', error.message);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+  if (error.status === 423) res.set('Retry-After', String(minutesUntil(error.extra.lockedUntil) * 60));
+  res.status(error.status).json({ success: false, message: error.message, ...error.extra });
+};
+
+// Route guard for debits, after requireUser: body.transactionPin must be the
+// caller's PIN. The caller's full record (with the hash) is left on req.pinUser.
+const requirePin = (purpose = 'debit') => async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    req.pinUser = await verify(user, req.body.transactionPin, { req, purpose });
+  } catch (error) {
+    return sendError(res, error);
+  }
+  next();
+};
+
+// ==================== SETTING ====================
+const savePin = async (user, pin, { req, action, metadata = null }) => {
+  const wasSet = hasPin(user);
+  user.transactionPin = String(pin);
+  user.transactionPinSet = true;
+  user.failedPinAttempts = 0;
+  user.pinLockedUntil = null;
+  user.resetPasswordOTP = null;
+  user.resetPasswordOTPExpire = null;
+  await ledger.withTransaction(async (session) => {
+    await user.save({ session });
+    await audit.log({
+      action,
+      req,
+      target: { type: 'user', id: user._id },
+      before: { transactionPinSet: wasSet },
+      after: { transactionPinSet: true },
+      metadata
+    }, { session });
+  });
+
+  console.log(`🔐 Transaction PIN ${action.replace('pin.', '')} for ${user.email}`);
+  return user;
+};
+
+// First PIN only - after that it is change (current PIN) or reset (OTP)
+const setPin = async (user, pin, { req = null } = {}) => {
+  checkFormat(pin);
+  if (hasPin(user)) {
+    throw pinError(409, 'A transaction PIN is already set - change it with the current PIN, or reset it with an OTP', { code: 'PIN_ALREADY_SET' });
+  }
+  return savePin(user, pin, { req, action: 'pin.set' });
+};
+
+const changePin = async (user, currentPin, newPin, { req = null } = {}) => {
+  checkFormat(newPin, 'New PIN');
+  await verify(user, currentPin, { req, purpose: 'change' });
+  if (String(currentPin) === String(newPin)) throw pinError(400, 'New PIN must be different from the current PIN');
+  return savePin(user, newPin, { req, action: 'pin.changed' });
+};
+
+// ==================== FORGOT PIN ====================
+// Send a one-time code. -> { expiresAt }
+const requestReset = async (user, { req = null } = {}) => {
+  const issuedAt = user.resetPasswordOTPExpire && new Date(user.resetPasswordOTPExpire.getTime() - OTP_MINUTES * 60000);
+  if (issuedAt && Date.now() - issuedAt < OTP_RESEND_MS) {
+    throw pinError(429, 'An OTP was just sent - wait a minute before asking again');
+  }
+
+  const otp = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(Date.now() + OTP_MINUTES * 60000);
+  const otpHash = await bcrypt.hash(otp, 10);
+  await ledger.withTransaction(async (session) => {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { resetPasswordOTP: otpHash, resetPasswordOTPExpire: expiresAt } },
+      { session }
+    );
+    await audit.log({
+      action: 'pin.reset_requested',
+      req,
+      target: { type: 'user', id: user._id },
+      metadata: { expiresAt }
+    }, { session });
+  });
+
+  try {
+    await axios.post(`${MAIN_BACKEND_URL}${MAIN_BACKEND_OTP_PATH}`, {
+      event: 'pin.reset_otp',
+      userId: String(user._id),
+      email: user.email,
+      phone: user.phone,
+      otp,
+      expiresAt,
+      source: 'virtual_account_backend'
+    }, {
+      timeout: 15000,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'VirtualAccountBackend/1.0',
+        ...(MAIN_BACKEND_API_KEY && { 'x-internal-api-key': MAIN_BACKEND_API_KEY })
+      }
+    });
+  } catch (error) {
+    // Nobody can use a code that never arrived
+    await User.updateOne({ _id: user._id }, { $set: { resetPasswordOTP: null, resetPasswordOTPExpire: null } });
+    console.error(`❌ PIN reset OTP for ${user.email} not sent:`, error.message);
+    throw pinError(502, 'Could not send the OTP - try again shortly');
+  }
+
+  console.log(`📨 PIN reset OTP sent for ${user.email}`);
+  return { expiresAt };
+};
+
+// The code is used up by the first try, right or wrong
+const resetPin = async (user, otp, newPin, { req = null } = {}) => {
+  checkFormat(newPin, 'New PIN');
+  const { resetPasswordOTP: otpHash, resetPasswordOTPExpire: expiresAt } = user;
+  const claimed = otpHash && await User.findOneAndUpdate(
+    { _id: user._id, resetPasswordOTP: otpHash },
+    { $set: { resetPasswordOTP: null, resetPasswordOTPExpire: null } }
+  );
+  if (!claimed || !expiresAt || expiresAt < new Date()) {
+    throw pinError(400, 'OTP is invalid or has expired - ask for a new one');
+  }
+  if (!await bcrypt.compare(String(otp || ''), otpHash)) {
+    await audit.log({ action: 'pin.failed', req, target: { type: 'user', id: user._id }, metadata: { purpose: 'reset' } });
+    throw pinError(400, 'OTP is invalid or has expired - ask for a new one');
+  }
+  return savePin(user, newPin, { req, action: 'pin.reset' });
+};
+
+module.exports = {
+  PIN_FORMAT,
+  verify,
+  requirePin,
+  sendError,
+  setPin,
+  changePin,
+  requestReset,
+  resetPin
+};
@@ -0,0 +1,39 @@
+// utils/roles.js - The staff roles and what each may do (used by utils/permissions.js)
+// Kept free of other requires so models/User.js can validate User.role against it.
+const PERMISSIONS = {
+  'reports.read': 'Read admin reports, ledger journals, queues and account searches',
+  'balance.adjust': 'Credit, correct or rebuild a wallet balance',
+  'deposit.recover': 'Credit a deposit by hand or assign an unmatched one',
+  'deposit.refund': 'Refund unmatched deposits',
+  'webhooks.replay': 'Replay stored webhooks',
+  'sync.manage': 'Retry or resolve main backend syncs',
+  'accounts.repair': 'Repair dedicated account records',
+  'fees.manage': 'Publish fee schedules',
+  'adjustments.approve': "Approve another operator's balance correction or recovery",
+  'audit.read': 'Search, verify and export the audit log',
+  'roles.manage': 'Give staff their roles'
+};
+
+const ROLES = {
+  user: [],
+  support: ['reports.read'],
+  auditor: ['reports.read', 'audit.read'],
+  finance: ['reports.read', 'balance.adjust', 'deposit.recover', 'deposit.refund', 'fees.manage', 'adjustments.approve'],
+  ops: ['reports.read', 'deposit.recover', 'webhooks.replay', 'sync.manage', 'accounts.repair'],
+  superadmin: Object.keys(PERMISSIONS)
+};
+
+// What the main backend set before roles - still stored, read as superadmin
+const LEGACY_ROLES = ['admin'];
+
+// Own keys only - 'constructor' or 'toString' are not roles
+const isRole = (role) => typeof role === 'string' && Object.hasOwn(ROLES, role);
+const isPermission = (permission) => typeof permission === 'string' && Object.hasOwn(PERMISSIONS, permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  LEGACY_ROLES,
+  isRole,
+  isPermission
+};
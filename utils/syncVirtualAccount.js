@@ -1,74 +1,100 @@
-// utils/syncVirtualAccount.js
+// utils/syncVirtualAccount.js - Telling the main backend about wallet credits
+// Every credit the main backend must mirror (Cashwyre deposits, Paystack payments,
+// payin status checks) calls queueCreditSync inside its ledger transaction. The
+// message goes through the outbox (utils/outbox.js), which retries with backoff;
+// nothing here blocks or fails the credit itself.
+//
+// Contract v1 - POST ${MAIN_BACKEND_URL}${MAIN_BACKEND_SYNC_PATH}, headers
+// x-sync-version: 1, Idempotency-Key: <messageId>, x-internal-api-key (if set):
+//   { version: 1, messageId: 'credit:<reference>', event: 'wallet.credited',
+//     userId, reference, type: 'wallet_funding', status: 'completed',
+//     amount, fee, balanceBefore, balanceAfter (all integer kobo),
+//     currency: 'NGN', exponent: 2, gateway, origin, occurredAt,
+//     source: 'virtual_account_backend' }
+// The same messageId can arrive more than once; the main backend must ignore repeats.
 const axios = require('axios');
+const outbox = require('./outbox');
+const { MONEY, formatNaira } = require('./money');
 
 const MAIN_BACKEND_URL = process.env.MAIN_BACKEND_URL || 'https://vtpass-backend.onrender.com';
+const MAIN_BACKEND_SYNC_PATH = process.env.MAIN_BACKEND_SYNC_PATH || '/api/transactions/sync-payment';
 const MAIN_BACKEND_API_KEY = process.env.MAIN_BACKEND_API_KEY;
+// Where the main backend answers "what do you have for this reference" (:reference is filled in)
+const MAIN_BACKEND_LOOKUP_PATH = process.env.MAIN_BACKEND_LOOKUP_PATH || '/api/transactions/reference/:reference';
 
-async function syncVirtualAccountTransferWithMainBackend(userId, amountInNaira, reference) {
-  console.log(`\n🔄 SYNC STARTED:`);
-  console.log(`   User: ${userId}`);
-  console.log(`   Amount: ₦${amountInNaira}`);
-  console.log(`   Reference: ${reference}`);
-  console.log(`   Target: ${MAIN_BACKEND_URL}/api/wallet/top-up`);
+const SYNC_CONTRACT_VERSION = 1;
+const CREDIT_TOPIC = 'main-backend-credit';
 
-  if (!MAIN_BACKEND_URL) {
-    console.log('❌ MAIN_BACKEND_URL not configured');
-    return { success: false, error: 'MAIN_BACKEND_URL not configured' };
-  }
-
-  const payload = {
-    userId: userId.toString(),
-    amount: Math.round(amountInNaira * 100), // Convert to kobo
-    reference: reference,
-    description: `Virtual account deposit - ${reference}`,
-    source: 'virtual_account_webhook'
-  };
+const creditPayload = ({ userId, reference, amount, fee = 0, balanceBefore, balanceAfter, gateway, origin, occurredAt = new Date() }) => ({
+  version: SYNC_CONTRACT_VERSION,
+  messageId: `credit:${reference}`,
+  event: 'wallet.credited',
+  userId: userId.toString(),
+  reference,
+  type: 'wallet_funding',
+  status: 'completed',
+  amount,
+  fee,
+  balanceBefore,
+  balanceAfter,
+  ...MONEY,
+  gateway,
+  origin,
+  occurredAt,
+  source: 'virtual_account_backend'
+});
 
-  console.log('📦 Sync payload:', payload);
+// Call inside the credit's ledger transaction (pass its session)
+const queueCreditSync = (credit, { session = null } = {}) => {
+  const payload = creditPayload(credit);
+  return outbox.enqueue({ topic: CREDIT_TOPIC, key: payload.messageId, payload }, { session });
+};
 
-  for (let attempt = 1; attempt <= 3; attempt++) {
-    try {
-      console.log(`\n🔄 Sync attempt ${attempt}/3...`);
-      
-      const response = await axios.post(
-        `${MAIN_BACKEND_URL}/api/wallet/top-up`,
-        payload,
-        {
-          timeout: 15000,
-          headers: {
-            'Content-Type': 'application/json',
-            'User-Agent': 'VirtualAccountBackend/1.0',
-            ...(MAIN_BACKEND_API_KEY && { 'x-internal-api-key': MAIN_BACKEND_API_KEY })
-          }
-        }
-      );
+// Outbox handler - throws (with axios' error.response) so the outbox can back off
+const deliverCreditSync = async (message) => {
+  const { payload } = message;
+  console.log(`🔄 Syncing ${payload.reference} (${formatNaira(payload.amount)}) to main backend, attempt ${message.attempts}`);
 
-      console.log(`✅ SYNC SUCCESS:`, response.data);
-      return { success: true, data: response.data };
+  const response = await axios.post(`${MAIN_BACKEND_URL}${MAIN_BACKEND_SYNC_PATH}`, payload, {
+    timeout: 15000,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'VirtualAccountBackend/1.0',
+      'x-sync-version': String(payload.version),
+      'Idempotency-Key': payload.messageId,
+      ...(MAIN_BACKEND_API_KEY && { 'x-internal-api-key': MAIN_BACKEND_API_KEY })
+    }
+  });
+  return response.data;
+};
 
-    } catch (error) {
-      console.error(`❌ Sync attempt ${attempt} failed:`, {
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        message: error.response?.data?.message || error.message,
-        data: error.response?.data
-      });
+outbox.registerHandler(CREDIT_TOPIC, deliverCreditSync);
 
-      if (attempt === 3) {
-        console.error('💥 ALL SYNC ATTEMPTS FAILED');
-        return { 
-          success: false, 
-          error: error.message,
-          response: error.response?.data 
-        };
+// The main backend's record of a reference - null when it has none (404)
+const fetchMainBackendTransaction = async (reference) => {
+  const path = MAIN_BACKEND_LOOKUP_PATH.replace(':reference', encodeURIComponent(reference));
+  try {
+    const response = await axios.get(`${MAIN_BACKEND_URL}${path}`, {
+      timeout: 15000,
+      headers: {
+        'User-Agent': 'VirtualAccountBackend/1.0',
+        ...(MAIN_BACKEND_API_KEY && { 'x-internal-api-key': MAIN_BACKEND_API_KEY })
       }
-
-      // Wait before retry
-      const delay = attempt * 2000;
-      console.log(`⏳ Waiting ${delay}ms before retry...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
+    });
+    // Accept { data: {...} }, { transaction: {...} } or the record itself
+    return response.data?.transaction || response.data?.data || response.data;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
   }
-}
+};
 
-module.exports = { syncVirtualAccountTransferWithMainBackend };
+module.exports = {
+  MAIN_BACKEND_URL,
+  MAIN_BACKEND_API_KEY,
+  SYNC_CONTRACT_VERSION,
+  CREDIT_TOPIC,
+  creditPayload,
+  queueCreditSync,
+  fetchMainBackendTransaction
+};
@@ -0,0 +1,155 @@
+// utils/userEvents.js - Live deposit / transfer / balance events per user
+// Money-moving code publishes inside its ledger transaction, so an event exists only
+// once the change commits (a rolled-back credit announces nothing). The ledger
+// publishes balance.updated, deposit.credited and transfer.sent / .received for every
+// journal it posts (publishJournal); deposit.pending comes from the funding code.
+//
+// Delivery goes through the database, not this process: watch() opens a change
+// stream on UserEvent in every server instance and hands each insert to the
+// listeners subscribed for that user here (routes/events.js - SSE and WebSocket).
+// So a webhook credited on one instance reaches a stream held open by another.
+// Change streams need a replica set, which the ledger's transactions already do.
+const mongoose = require('mongoose');
+const UserEvent = require('../models/UserEvent');
+
+const RESTART_DELAY_MS = 5000;
+// Journal types whose wallet credits are money arriving
+const DEPOSIT_JOURNALS = ['deposit', 'recovery'];
+
+const listeners = new Map(); // userId -> Set of (event) => void
+let stream = null;
+let resumeToken = null;
+
+// Add events inside the caller's transaction. events: [{ userId, type, reference, data }]
+const publish = async (events, { session = null } = {}) => {
+  if (!events.length) return [];
+  return UserEvent.insertMany(events, { session });
+};
+
+// The events a posted journal means for each user it touched. balances is
+// postJournal's { [userId]: { before, after } }.
+const journalEvents = ({ reference, type, metadata = {} }, balances) => Object.entries(balances)
+  .flatMap(([userId, { before, after }]) => {
+    const change = after - before;
+    const balance = { reference, balance: after, previousBalance: before, change };
+    const events = [{ userId, type: 'balance.updated', reference, data: { ...balance, journalType: type } }];
+
+    if (type === 'transfer' && change !== 0) {
+      const sent = change < 0;
+      events.push({
+        userId,
+        type: sent ? 'transfer.sent' : 'transfer.received',
+        reference,
+        data: {
+          ...balance,
+          amount: Math.abs(change),
+          counterpartyId: String((sent ? metadata.receiverId : metadata.senderId) || '') || null,
+          fee: sent ? metadata.fee || 0 : 0
+        }
+      });
+    } else if (DEPOSIT_JOURNALS.includes(type) && change > 0) {
+      events.push({
+        userId,
+        type: 'deposit.credited',
+        reference,
+        data: { ...balance, amount: change, fee: metadata.fee || 0, source: metadata.source || type }
+      });
+    }
+    return events;
+  });
+
+const publishJournal = (journal, balances, { session = null } = {}) =>
+  publish(journalEvents(journal, balances), { session });
+
+// -> the event as streams send it
+const toMessage = (event) => ({
+  id: String(event._id),
+  type: event.type,
+  reference: event.reference || null,
+  data: event.data || {},
+  createdAt: event.createdAt
+});
+
+// Listen for one user's events on this instance. -> unsubscribe()
+const subscribe = (userId, listener) => {
+  const key = String(userId);
+  if (!listeners.has(key)) listeners.set(key, new Set());
+  listeners.get(key).add(listener);
+
+  return () => {
+    const set = listeners.get(key);
+    if (!set) return;
+    set.delete(listener);
+    if (!set.size) listeners.delete(key);
+  };
+};
+
+const dispatch = (event) => {
+  const set = listeners.get(String(event.userId));
+  if (!set) return;
+  const message = toMessage(event);
+  for (const listener of set) {
+    try {
+      listener(message);
+    } catch (error) {
+      console.error('⚠️ User event listener failed:', error.message);
+    }
+  }
+};
+
+// A user's events after lastId (the SSE Last-Event-ID), oldest first, for catching up
+const since = async (userId, lastId, { limit = 100 } = {}) => {
+  if (!mongoose.isValidObjectId(lastId)) return [];
+  const events = await UserEvent.find({ userId, _id: { $gt: lastId } }).sort({ _id: 1 }).limit(limit).lean();
+  return events.map(toMessage);
+};
+
+// Open the change stream. It reopens itself (resuming where it stopped) if it drops.
+const watch = () => {
+  if (stream) return stream;
+
+  stream = UserEvent.watch(
+    [{ $match: { operationType: 'insert' } }],
+    resumeToken ? { resumeAfter: resumeToken } : {}
+  );
+  stream.on('change', (change) => {
+    resumeToken = change._id;
+    dispatch(change.fullDocument);
+  });
+  stream.on('error', (error) => {
+    console.error('⚠️ User event stream failed:', error.message);
+    // The saved token may be too old to resume from - start afresh next time
+    if (error.code === 286) resumeToken = null;
+    restart();
+  });
+  stream.on('close', () => restart());
+
+  console.log('📡 Watching user events');
+  return stream;
+};
+
+const restart = () => {
+  if (!stream) return;
+  // Errors from the closing stream are forwarded too - nobody is left to handle them
+  stream.removeAllListeners();
+  stream.on('error', () => {});
+  stream.close();
+  stream = null;
+  setTimeout(() => {
+    if (!stream) watch();
+  }, RESTART_DELAY_MS);
+};
+
+// Open connections on this instance, for /health
+const connectionCount = () => [...listeners.values()].reduce((sum, set) => sum + set.size, 0);
+
+module.exports = {
+  TYPES: UserEvent.TYPES,
+  publish,
+  publishJournal,
+  journalEvents,
+  subscribe,
+  since,
+  watch,
+  connectionCount
+};
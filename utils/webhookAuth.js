@@ -0,0 +1,117 @@
+// utils/webhookAuth.js - Who may call the Cashwyre webhook endpoints
+// Every request carries <prefix>-timestamp (unix seconds) and <prefix>-signature,
+// the hex HMAC-SHA512 of `${timestamp}.${rawBody}` with the sender's shared secret.
+// The timestamp is inside the signature, so an old request can't be replayed with
+// a fresh one; replays inside the window are caught by the webhook inbox dedupe.
+const crypto = require('crypto');
+
+const TOLERANCE_SECONDS = Number(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+// Cashwyre calls cashwyre-fiat itself; the PHP forwarder calls the rest
+const SENDERS = {
+  cashwyre: { headerPrefix: 'x-cashwyre', secretEnv: 'CASHWYRE_WEBHOOK_SECRET', ipsEnv: 'CASHWYRE_WEBHOOK_IPS' },
+  forwarder: { headerPrefix: 'x-forwarder', secretEnv: 'FORWARDER_WEBHOOK_SECRET', ipsEnv: 'FORWARDER_WEBHOOK_IPS' }
+};
+
+const ENDPOINTS = {
+  'cashwyre-fiat': 'cashwyre',
+  'cashwyre-sync': 'forwarder',
+  'cashwyre-process': 'forwarder',
+  'cashwyre-unmatched': 'forwarder',
+  'partial-payment': 'forwarder'
+};
+
+// Hex HMAC-SHA512 - anything else is refused before comparing
+const SIGNATURE_FORMAT = /^[0-9a-f]{128}$/i;
+
+const sign = (secret, timestamp, rawBody) =>
+  crypto.createHmac('sha512', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+
+// Headers a sender attaches - the simulator and tests sign with this
+const signatureHeaders = (sender, secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) => {
+  const { headerPrefix } = SENDERS[sender];
+  return {
+    [`${headerPrefix}-timestamp`]: String(timestamp),
+    [`${headerPrefix}-signature`]: sign(secret, timestamp, rawBody)
+  };
+};
+
+// -> null when the signature is good, otherwise the reason it isn't
+const checkSignature = ({ secret, rawBody, signature, timestamp, now = Date.now() }) => {
+  if (!secret) return 'webhook secret not configured';
+  if (!signature || !timestamp) return 'unsigned request';
+  if (!rawBody) return 'raw body missing';
+  if (!/^\d+$/.test(timestamp)) return 'malformed timestamp';
+  if (!SIGNATURE_FORMAT.test(signature)) return 'malformed signature';
+  if (Math.abs(now / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) return 'stale timestamp';
+
+  const expected = sign(secret, timestamp, rawBody);
+  const expectedBytes = Buffer.from(expected, 'hex');
+  const signatureBytes = Buffer.from(signature, 'hex');
+  const valid = expectedBytes.length === signatureBytes.length &&
+    crypto.timingSafeEqual(expectedBytes, signatureBytes);
+  return valid ? null : 'invalid signature';
+};
+
+// ==================== IP ALLOWLIST ====================
+const normalizeIp = (ip = '') => ip.replace(/^::ffff:/, '');
+
+const ipv4ToInt = (ip) => ip.split('.').reduce((acc, octet) => (acc << 8) + Number(octet), 0) >>> 0;
+
+// Exact addresses, or IPv4 CIDR ranges like 102.89.0.0/16
+const ipMatches = (ip, entry) => {
+  if (!entry.includes('/')) return ip === entry;
+  const [range, bits] = entry.split('/');
+  if (!/^\d+\.\d+\.\d+\.\d+$/.test(ip)) return false;
+  const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+  return (ipv4ToInt(ip) & mask) === (ipv4ToInt(range) & mask);
+};
+
+// <ENDPOINT>_WEBHOOK_IPS (e.g. CASHWYRE_SYNC_WEBHOOK_IPS) wins over the sender-wide list.
+// An empty list allows any address - the signature still has to match.
+const allowlistFor = (source) => {
+  const endpointEnv = `${source.toUpperCase().replace(/-/g, '_')}_WEBHOOK_IPS`;
+  const list = process.env[endpointEnv] ?? process.env[SENDERS[ENDPOINTS[source]].ipsEnv] ?? '';
+  return list.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
+const isIpAllowed = (source, ip) => {
+  const allowlist = allowlistFor(source);
+  return !allowlist.length || allowlist.some(entry => ipMatches(normalizeIp(ip), entry));
+};
+
+// ==================== ENDPOINT CHECK ====================
+// -> { signatureVerified, rejectionReason } in the shape webhookInbox.receive takes
+const authenticateWebhook = (req, source) => {
+  const sender = SENDERS[ENDPOINTS[source]];
+  if (!sender) throw new Error(`No webhook sender configured for ${source}`);
+
+  const signatureProblem = checkSignature({
+    secret: process.env[sender.secretEnv],
+    rawBody: req.rawBody,
+    signature: req.headers[`${sender.headerPrefix}-signature`],
+    timestamp: req.headers[`${sender.headerPrefix}-timestamp`]
+  });
+  const ipProblem = isIpAllowed(source, req.ip) ? null : `source IP ${normalizeIp(req.ip)} not allowed`;
+
+  return {
+    signatureVerified: !signatureProblem,
+    rejectionReason: ipProblem || signatureProblem
+  };
+};
+
+// Secrets that aren't set - their endpoints reject every request (startup warning)
+const missingSecrets = () => Object.values(SENDERS)
+  .map(sender => sender.secretEnv)
+  .filter(name => !process.env[name]);
+
+module.exports = {
+  TOLERANCE_SECONDS,
+  SENDERS,
+  ENDPOINTS,
+  signatureHeaders,
+  checkSignature,
+  isIpAllowed,
+  authenticateWebhook,
+  missingSecrets
+};
@@ -0,0 +1,267 @@
+// utils/webhookInbox.js - Durable webhook inbox
+// Every endpoint does the same two steps:
+//   1. receive() stores the delivery raw in WebhookEvent. The unique
+//      (provider, eventId) index is the dedupe - it survives restarts and is
+//      shared by every instance, unlike an in-memory Set.
+//   2. processEvent() claims the event and runs the handler registered for its
+//      source. A throw marks it failed; retryFailed() picks it up again later.
+// Handlers get the stored event and return a plain result object, or
+// { ignored: true, reason } for events that need no action.
+//
+// replay() runs a stored event through today's handler again, whatever became of it
+// the first time. Handlers are idempotent (unique journal references, one
+// DepositEvent per Cashwyre code), so replaying something already credited moves no
+// money. A handler may register a preview: the same decision without writing
+// anything, which is what a dry run returns.
+const crypto = require('crypto');
+const WebhookEvent = require('../models/WebhookEvent');
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+// A 'processing' event this old was abandoned by a crashed worker
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+// How much of a rejected delivery's body is kept. Anyone can post up to the 10mb
+// parser limit unsigned; the start of it and its size are enough for forensics.
+const REJECTED_BODY_CHARS = Number(process.env.WEBHOOK_REJECTED_BODY_CHARS) || 4096;
+
+const handlers = new Map(); // source -> async (event) => result
+const previews = new Map(); // source -> async (event) => what the handler would do
+
+const registerHandler = (source, handler, { preview = null } = {}) => {
+  if (handlers.has(source)) throw new Error(`Webhook handler for ${source} is already registered`);
+  handlers.set(source, handler);
+  if (preview) previews.set(source, preview);
+};
+
+const rawBodyOf = (req) => {
+  if (typeof req.rawBody === 'string') return req.rawBody;
+  if (Buffer.isBuffer(req.rawBody)) return req.rawBody.toString();
+  if (Buffer.isBuffer(req.body)) return req.body.toString();
+  return req.body === undefined ? null : JSON.stringify(req.body);
+};
+
+// Without a provider id, the same bytes twice are the same event
+const fingerprint = (rawBody) => `sha256:${crypto.createHash('sha256').update(rawBody || '').digest('hex')}`;
+
+// Store one delivery. Returns { event, duplicate }.
+// rejectionReason stores it as rejected - kept for the record (a body over
+// REJECTED_BODY_CHARS cut to that, without its parsed payload), never processed.
+const receive = async (req, { provider, source, eventId, eventType, payload, signatureVerified = false, rejectionReason = null }) => {
+  const rawBody = rawBodyOf(req);
+  const doc = {
+    provider,
+    source,
+    eventId: eventId ? String(eventId) : fingerprint(rawBody),
+    eventType,
+    rawBody,
+    payload: payload === undefined ? req.body : payload,
+    headers: req.headers,
+    ip: req.ip,
+    signatureVerified
+  };
+
+  if (rejectionReason) {
+    const truncated = Boolean(rawBody) && rawBody.length > REJECTED_BODY_CHARS;
+    const event = await WebhookEvent.create({
+      ...doc,
+      rawBody: truncated ? rawBody.slice(0, REJECTED_BODY_CHARS) : rawBody,
+      rawBodyLength: rawBody ? rawBody.length : 0,
+      rawBodyTruncated: truncated,
+      payload: truncated ? null : doc.payload,
+      accepted: false,
+      status: 'rejected',
+      rejectionReason
+    });
+    console.log(`🚫 Webhook ${source} ${doc.eventId} rejected: ${rejectionReason}`);
+    return { event, duplicate: false };
+  }
+
+  try {
+    const event = await WebhookEvent.create(doc);
+    console.log(`📥 Webhook ${source} ${doc.eventId} stored (${event._id})`);
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const event = await WebhookEvent.findOneAndUpdate(
+      { provider, eventId: doc.eventId, accepted: true },
+      { $inc: { deliveries: 1 }, $set: { lastDeliveredAt: new Date() } },
+      { new: true }
+    );
+    // The duplicate key wasn't the accepted event's (or it is gone) - not a redelivery
+    if (!event) throw error;
+    console.log(`♻️ Webhook ${source} ${doc.eventId} already received (${event.status}, delivery ${event.deliveries})`);
+    return { event, duplicate: true };
+  }
+};
+
+// Run the handler for one stored event. Only received/failed events (or ones stuck
+// in processing) can be claimed, so two callers never process the same event.
+// Returns { event, result } on success, { event, error } on failure and
+// { event, skipped: true } when there was nothing to claim.
+const processEvent = async (eventOrId) => {
+  const id = eventOrId?._id || eventOrId;
+  const now = new Date();
+
+  const event = await WebhookEvent.findOneAndUpdate(
+    {
+      _id: id,
+      accepted: true,
+      $or: [
+        { status: { $in: ['received', 'failed'] } },
+        { status: 'processing', lastAttemptAt: { $lt: new Date(now - STALE_PROCESSING_MS) } }
+      ]
+    },
+    { $set: { status: 'processing', lastAttemptAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!event) {
+    const current = await WebhookEvent.findById(id);
+    return { event: current, skipped: true };
+  }
+
+  return runHandler(event);
+};
+
+// Run the handler on a claimed event and store the outcome
+const runHandler = async (event, { replay = null } = {}) => {
+  const handler = handlers.get(event.source);
+  try {
+    if (!handler) throw new Error(`No webhook handler registered for ${event.source}`);
+
+    const result = await handler(event) || {};
+    // A replay that found nothing to do keeps the record of what the first run did
+    const keepFirstRun = replay && result.ignored && replay.previousStatus === 'processed';
+    if (keepFirstRun) {
+      event.status = 'processed';
+    } else {
+      event.status = result.ignored ? 'ignored' : 'processed';
+      event.result = result;
+      event.lastError = null;
+      event.processedAt = new Date();
+    }
+    if (replay) Object.assign(event.replays[event.replays.length - 1], { status: result.ignored ? 'ignored' : 'processed', result });
+    await event.save();
+
+    console.log(`✅ Webhook ${event.source} ${event.eventId} ${replay ? 'replayed: ' : ''}${result.ignored ? `ignored (${result.reason})` : 'processed'}`);
+    return { event, result };
+  } catch (error) {
+    event.status = 'failed';
+    event.lastError = error.message;
+    if (replay) Object.assign(event.replays[event.replays.length - 1], { status: 'failed', error: error.message });
+    await event.save();
+
+    console.error(`❌ Webhook ${event.source} ${event.eventId} ${replay ? 'replay ' : ''}failed (attempt ${event.attempts}): ${error.message}`);
+    return { event, error };
+  }
+};
+
+// Retry failed and abandoned events, oldest first
+const retryFailed = async ({ limit = 50, maxAttempts = MAX_ATTEMPTS } = {}) => {
+  const events = await WebhookEvent.find({
+    accepted: true,
+    attempts: { $lt: maxAttempts },
+    $or: [
+      { status: 'failed' },
+      { status: 'processing', lastAttemptAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+    ]
+  }).sort({ createdAt: 1 }).limit(limit).select('_id');
+
+  const outcomes = [];
+  for (const { _id } of events) {
+    outcomes.push(await processEvent(_id));
+  }
+  return outcomes;
+};
+
+// ==================== REPLAY ====================
+// Run one stored event through the current handler again. dryRun returns its
+// preview ({ event, preview }) and writes nothing. Rejected events are never replayed.
+const replay = async (eventOrId, { dryRun = false, by = null } = {}) => {
+  const id = eventOrId?._id || eventOrId;
+
+  if (dryRun) {
+    const event = await WebhookEvent.findById(id);
+    if (!event) return { event: null, skipped: true, reason: 'Not found' };
+    if (!event.accepted) return { event, skipped: true, reason: 'Rejected events are not replayed' };
+
+    const preview = previews.get(event.source);
+    if (!preview) return { event, error: new Error(`No dry run for ${event.source} events`) };
+    try {
+      return { event, preview: await preview(event) };
+    } catch (error) {
+      return { event, error };
+    }
+  }
+
+  const before = await WebhookEvent.findById(id).select('status accepted');
+  if (!before) return { event: null, skipped: true, reason: 'Not found' };
+  if (!before.accepted) return { event: before, skipped: true, reason: 'Rejected events are not replayed' };
+  const previousStatus = before.status;
+
+  const now = new Date();
+  const event = await WebhookEvent.findOneAndUpdate(
+    {
+      _id: id,
+      accepted: true,
+      $or: [
+        { status: { $ne: 'processing' } },
+        { lastAttemptAt: { $lt: new Date(now - STALE_PROCESSING_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lastAttemptAt: now },
+      $inc: { attempts: 1 },
+      $push: { replays: { at: now, by, previousStatus } }
+    },
+    { new: true }
+  );
+  if (!event) return { event: before, skipped: true, reason: 'Being processed right now' };
+
+  console.log(`🔁 Replaying webhook ${event.source} ${event.eventId} (was ${previousStatus})${by ? ` for ${by}` : ''}`);
+  return runHandler(event, { replay: { previousStatus } });
+};
+
+// filter: { source, status, from, to, ids } - at most limit events, oldest first
+const replayMatching = async ({ source, status, from, to, ids } = {}, { dryRun = false, by = null, limit = 100 } = {}) => {
+  const query = { accepted: true };
+  if (ids) query._id = { $in: ids };
+  if (source) query.source = { $in: [].concat(source) };
+  if (status) query.status = { $in: [].concat(status) };
+  if (from || to) {
+    query.createdAt = {
+      ...(from && { $gte: new Date(from) }),
+      ...(to && { $lte: new Date(to) })
+    };
+  }
+
+  const events = await WebhookEvent.find(query).sort({ createdAt: 1 }).limit(limit).select('_id');
+  const outcomes = [];
+  for (const { _id } of events) {
+    outcomes.push(await replay(_id, { dryRun, by }));
+  }
+  return outcomes;
+};
+
+// replay() outcome -> plain object for API responses and the CLI
+const replaySummary = ({ event, result, preview, error, skipped, reason }) => ({
+  id: event?._id || null,
+  source: event?.source,
+  eventId: event?.eventId,
+  status: event?.status,
+  ...(skipped && { skipped: true, reason }),
+  ...(preview && { preview }),
+  ...(result && { result }),
+  ...(error && { error: error.message })
+});
+
+module.exports = {
+  MAX_ATTEMPTS,
+  registerHandler,
+  receive,
+  processEvent,
+  retryFailed,
+  replay,
+  replayMatching,
+  replaySummary
+};
@@ -0,0 +1,121 @@
+// utils/websocket.js - Just enough WebSocket (RFC 6455) to push events to the app
+// The event stream only ever sends, so this does the handshake, sends text frames,
+// answers pings and closes - no extensions, no fragmented or binary messages from
+// the client (those close the socket). Used by routes/events.js on the server's
+// 'upgrade' event.
+const crypto = require('crypto');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+// Clients only send control frames here; anything bigger is not one of ours
+const MAX_INCOMING_BYTES = 64 * 1024;
+
+const frame = (opcode, payload = Buffer.alloc(0)) => {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+// Refuse an upgrade with a plain HTTP status
+const reject = (socket, status, message) => {
+  socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+};
+
+// Complete the handshake on an 'upgrade' request.
+// -> { send(text), ping(), close(code), onClose(fn) }, or null if this wasn't a WebSocket handshake
+const accept = (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+    reject(socket, 400, 'Bad Request');
+    return null;
+  }
+
+  const acceptKey = crypto.createHash('sha1').update(key + GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey}`,
+    '',
+    ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  const closeHandlers = [];
+  let open = true;
+  let buffered = Buffer.alloc(0);
+
+  const finish = () => {
+    if (!open) return;
+    open = false;
+    closeHandlers.forEach(fn => fn());
+  };
+
+  const close = (code = 1000) => {
+    if (!open) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    socket.end(frame(OPCODES.close, payload));
+    finish();
+  };
+
+  // Client frames are always masked
+  socket.on('data', (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    if (buffered.length > MAX_INCOMING_BYTES) return close(1009);
+
+    while (buffered.length >= 2) {
+      const opcode = buffered[0] & 0x0f;
+      let length = buffered[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffered.length < 4) return;
+        length = buffered.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        return close(1009);
+      }
+      if (buffered.length < offset + 4 + length) return;
+
+      const mask = buffered.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffered.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      buffered = buffered.subarray(offset + 4 + length);
+
+      if (opcode === OPCODES.ping) socket.write(frame(OPCODES.pong, payload));
+      else if (opcode === OPCODES.close) return close();
+      else if (opcode !== OPCODES.pong && opcode !== OPCODES.text) return close(1003);
+    }
+  });
+  socket.on('close', finish);
+  socket.on('error', finish);
+
+  return {
+    send: (text) => {
+      if (open) socket.write(frame(OPCODES.text, Buffer.from(text)));
+    },
+    ping: () => {
+      if (open) socket.write(frame(OPCODES.ping));
+    },
+    close,
+    onClose: (fn) => closeHandlers.push(fn)
+  };
+};
+
+module.exports = {
+  accept,
+  reject
+};